@@ -0,0 +1,416 @@
+// save as src/audio.js
+// AudioEngine: procedural Web Audio soundscape; every sound is synthesized, no asset files.
+// - Buses: sfx and music gains into a master gain and a limiter. Volumes are 0-1 per bus.
+// - Player sounds: footsteps (louder and brighter with speed), jump/walljump chirps, landing and wall thumps,
+//   and a whoosh when a sprint gets going.
+// - Music: a detuned sawtooth pad cycling a synthwave progression, with a lowpass that opens with the player's speed.
+// - Run sounds: a chime per checkpoint and an arpeggio at the finish.
+// - Browsers only start audio after a user gesture: the context is created (or resumed) on the first
+//   pointer/key/touch press. Output is muted while the tab is hidden.
+// - Pass `context` (e.g. an OfflineAudioContext) to render without a browser, as the tests do.
+
+const CHORDS = [ // MIDI notes: Am, F, C, G
+  { root: 45, notes: [57, 60, 64] },
+  { root: 41, notes: [53, 57, 60] },
+  { root: 48, notes: [55, 60, 64] },
+  { root: 43, notes: [55, 59, 62] }
+];
+const PAD_DETUNE = [-8, 8];    // cents per voice pair
+const GESTURES = ['pointerdown', 'keydown', 'touchend'];
+
+export const DEFAULT_VOLUME = { master: 0.8, sfx: 0.9, music: 0.5 };
+
+export class AudioEngine {
+  /**
+   * @param {object} [opts]
+   * @param {BaseAudioContext} [opts.context] - Use this context (started already) instead of creating one on the first gesture
+   * @param {Window} [opts.window] - Source of gestures, visibility and AudioContext
+   * @param {{ master?: number, sfx?: number, music?: number }} [opts.volume]
+   * @param {boolean} [opts.music] - false leaves the pad off
+   * @param {boolean} [opts.muteWhenHidden] - Silence output while the tab is hidden
+   * @param {number} [opts.chordTime] - Seconds per chord of the pad
+   * @param {[number, number]} [opts.cutoff] - Pad lowpass range (Hz) from standing still to `cutoffSpeed`
+   * @param {number} [opts.cutoffSpeed] - Horizontal speed (units/s) that fully opens the pad
+   */
+  constructor(opts = {}) {
+    this.window = opts.window ?? (typeof window !== 'undefined' ? window : null);
+    this.volume = { ...DEFAULT_VOLUME, ...opts.volume };
+    this.musicEnabled = opts.music ?? true;
+    this.muteWhenHidden = opts.muteWhenHidden ?? true;
+    this.chordTime = opts.chordTime ?? 8;
+    this.cutoff = opts.cutoff ?? [280, 3200];
+    this.cutoffSpeed = opts.cutoffSpeed ?? 9;
+    this.muted = false;
+    this.hidden = false;
+
+    /** @type {BaseAudioContext|null} null until unlocked (or when Web Audio is unavailable) */
+    this.context = null;
+    this.player = null;
+    this._ownsContext = !opts.context;
+    this._off = [];
+    this._pad = null;
+    this._sprinting = false;
+    this._cutoffTarget = 0;
+
+    if (opts.context) this._build(opts.context);
+    this._bindWindow();
+  }
+
+  /** True once sounds can play. */
+  get ready() {
+    return !!this.context && this.context.state !== 'closed';
+  }
+
+  /**
+   * Create or resume the AudioContext; call from a user gesture. Done automatically on the first press.
+   * @returns {Promise<boolean>} whether audio is running
+   */
+  async unlock() {
+    if (!this.context) {
+      const Ctor = this.window?.AudioContext ?? this.window?.webkitAudioContext;
+      if (!Ctor) return false;
+      this._build(new Ctor());
+    }
+    const ctx = this.context;
+    if (ctx.state === 'suspended' && typeof ctx.startRendering !== 'function') { // offline contexts render on demand
+      try { await ctx.resume(); } catch { /* still blocked; the next gesture retries */ }
+    }
+    if (ctx.state === 'running') this._unbindGestures();
+    return ctx.state === 'running';
+  }
+
+  /**
+   * @param {'master'|'sfx'|'music'} bus
+   * @param {number} value - 0-1
+   */
+  setVolume(bus, value) {
+    if (!(bus in this.volume)) throw new Error(`AudioEngine.setVolume: unknown bus "${bus}"`);
+    this.volume[bus] = clamp(value, 0, 1);
+    this._applyVolume();
+  }
+
+  setMuted(muted) {
+    this.muted = !!muted;
+    this._applyVolume();
+  }
+
+  /** Turn the ambient pad on or off. */
+  setMusic(enabled) {
+    this.musicEnabled = !!enabled;
+    if (!this.context) return;
+    if (enabled && !this._pad) this._startPad();
+    else if (!enabled && this._pad) this._stopPad();
+  }
+
+  /**
+   * Play the player's sounds from its events; update() reads its speed.
+   * @param {import('./player.js').Player} player
+   */
+  attachPlayer(player) {
+    this.player = player;
+    this._off.push(
+      player.on('footstep', ({ speed }) => this.footstep(speed)),
+      player.on('jump', () => this.jump()),
+      player.on('walljump', () => this.jump(1.3)),
+      player.on('land', ({ impactSpeed }) => this.land(impactSpeed)),
+      player.on('bump', ({ impactSpeed }) => this.bump(impactSpeed))
+    );
+  }
+
+  /** @param {import('./run.js').RunManager} run */
+  attachRun(run) {
+    this._off.push(
+      run.on('checkpoint', ({ index }) => this.chime(index)),
+      run.on('finish', ({ isBest }) => this.fanfare(isBest))
+    );
+  }
+
+  /**
+   * Follow the player's speed (pad filter, sprint whoosh) and advance the pad's chords; call once per rendered frame.
+   */
+  update() {
+    if (!this.ready) return;
+    const ctx = this.context;
+    const p = this.player;
+    const speed = p ? Math.hypot(p.velocity.x, p.velocity.z) : 0;
+
+    const sprinting = !!p && p.input.sprint && p.grounded && speed > p.speed * 1.1;
+    if (sprinting && !this._sprinting) this.whoosh();
+    this._sprinting = sprinting;
+
+    const pad = this._pad;
+    if (!pad) return;
+    if (ctx.currentTime >= pad.nextChord - 0.05) this._advanceChord();
+    const [lo, hi] = this.cutoff;
+    const target = lo * Math.pow(hi / lo, clamp(speed / this.cutoffSpeed, 0, 1));
+    if (Math.abs(target - this._cutoffTarget) > this._cutoffTarget * 0.04) {
+      this._cutoffTarget = target;
+      pad.filter.frequency.setTargetAtTime(target, ctx.currentTime, 0.25);
+    }
+  }
+
+  // --- Sound effects (no-ops until unlocked) ---
+
+  /** @param {number} speed - Horizontal speed in units/s */
+  footstep(speed = 5) {
+    if (!this.ready) return;
+    const s = clamp(speed / 9, 0.2, 1);
+    const pitch = 1 + (Math.random() - 0.5) * 0.15;
+    this._noise({ time: 0.07, gain: 0.12 + 0.2 * s, filter: 'lowpass', from: 900 + 1400 * s * pitch, to: 300, q: 1 });
+    this._tone({ type: 'sine', from: 95 * pitch, to: 50, time: 0.09, gain: 0.25 * s });
+  }
+
+  /** @param {number} [pitch] - Multiplier; wall jumps chirp higher */
+  jump(pitch = 1) {
+    if (!this.ready) return;
+    this._tone({ type: 'triangle', from: 180 * pitch, to: 420 * pitch, time: 0.14, gain: 0.22 });
+    this._noise({ time: 0.1, gain: 0.06, filter: 'highpass', from: 2500, to: 4000, q: 0.7 });
+  }
+
+  /** @param {number} impactSpeed - Downward speed at touchdown */
+  land(impactSpeed = 5) {
+    if (!this.ready || impactSpeed < 1.5) return;
+    const s = clamp(impactSpeed / 18, 0.1, 1);
+    this._tone({ type: 'sine', from: 130, to: 38, time: 0.18 + 0.15 * s, gain: 0.25 + 0.45 * s });
+    this._noise({ time: 0.12 + 0.1 * s, gain: 0.1 + 0.25 * s, filter: 'lowpass', from: 1800, to: 200, q: 0.8 });
+  }
+
+  /** @param {number} impactSpeed - Speed into the wall */
+  bump(impactSpeed = 4) {
+    if (!this.ready) return;
+    const s = clamp(impactSpeed / 12, 0.1, 1);
+    this._tone({ type: 'square', from: 90, to: 45, time: 0.1, gain: 0.12 * s });
+    this._noise({ time: 0.08, gain: 0.2 * s, filter: 'bandpass', from: 700, to: 300, q: 2 });
+  }
+
+  whoosh() {
+    if (!this.ready) return;
+    this._noise({ time: 0.45, gain: 0.18, filter: 'bandpass', from: 350, to: 2600, q: 1.5, attack: 0.15 });
+  }
+
+  /** @param {number} [index] - Checkpoint index; later checkpoints chime a step higher */
+  chime(index = 0) {
+    if (!this.ready) return;
+    const base = 76 + (index % 4) * 2; // E5 upwards
+    this._tone({ type: 'sine', from: midiToHz(base), time: 0.5, gain: 0.2 });
+    this._tone({ type: 'sine', from: midiToHz(base + 7), time: 0.7, gain: 0.16, delay: 0.09 });
+    this._tone({ type: 'triangle', from: midiToHz(base + 12), time: 0.4, gain: 0.05, delay: 0.09 });
+  }
+
+  /** @param {boolean} [best] - A new personal best adds a high octave */
+  fanfare(best = false) {
+    if (!this.ready) return;
+    const notes = best ? [69, 72, 76, 81, 84] : [69, 72, 76, 81];
+    notes.forEach((n, i) => {
+      this._tone({ type: 'sawtooth', from: midiToHz(n), time: 0.35, gain: 0.08, delay: i * 0.1, lowpass: 2400 });
+      this._tone({ type: 'sine', from: midiToHz(n), time: 0.5, gain: 0.14, delay: i * 0.1 });
+    });
+  }
+
+  dispose() {
+    for (const off of this._off) off();
+    this._off.length = 0;
+    this._unbindGestures();
+    this.window?.document?.removeEventListener('visibilitychange', this._onVisibility);
+    this._stopPad(0);
+    if (this.context && this._ownsContext) this.context.close?.().catch(() => {});
+    this.context = null;
+  }
+
+  // --- Graph ---
+
+  _build(ctx) {
+    this.context = ctx;
+    this.limiter = ctx.createDynamicsCompressor();
+    this.limiter.threshold.value = -10;
+    this.limiter.ratio.value = 12;
+    this.master = ctx.createGain();
+    this.sfx = ctx.createGain();
+    this.music = ctx.createGain();
+    this.sfx.connect(this.master);
+    this.music.connect(this.master);
+    this.master.connect(this.limiter);
+    this.limiter.connect(ctx.destination);
+
+    // One second of white noise, looped from random offsets
+    this._noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = this._noiseBuffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+
+    this._applyVolume(true);
+    if (this.musicEnabled) this._startPad();
+  }
+
+  _applyVolume(immediate = false) {
+    if (!this.context) return;
+    const silent = this.muted || (this.muteWhenHidden && this.hidden);
+    const t = this.context.currentTime;
+    const set = (node, value) => {
+      if (immediate) node.gain.setValueAtTime(value, t);
+      else node.gain.setTargetAtTime(value, t, 0.05);
+    };
+    set(this.master, silent ? 0 : this.volume.master);
+    set(this.sfx, this.volume.sfx);
+    set(this.music, this.volume.music);
+  }
+
+  _startPad() {
+    const ctx = this.context;
+    const t = ctx.currentTime;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(this.cutoff[0], t);
+    filter.Q.value = 3;
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0, t);
+    gain.gain.linearRampToValueAtTime(0.22, t + 3); // fade in
+    filter.connect(gain);
+    gain.connect(this.music);
+
+    const voices = [];
+    for (let i = 0; i < CHORDS[0].notes.length; i++) {
+      for (const detune of PAD_DETUNE) {
+        const osc = ctx.createOscillator();
+        osc.type = 'sawtooth';
+        osc.detune.value = detune;
+        osc.connect(filter);
+        voices.push(osc);
+      }
+    }
+    const bass = ctx.createOscillator();
+    bass.type = 'sine';
+    const bassGain = ctx.createGain();
+    bassGain.gain.value = 0.6;
+    bass.connect(bassGain);
+    bassGain.connect(gain);
+
+    // Slow filter sweep on top of the speed control
+    const lfo = ctx.createOscillator();
+    lfo.frequency.value = 0.07;
+    const lfoDepth = ctx.createGain();
+    lfoDepth.gain.value = 120;
+    lfo.connect(lfoDepth);
+    lfoDepth.connect(filter.frequency);
+
+    const oscillators = [...voices, bass, lfo];
+    for (const osc of oscillators) osc.start(t);
+    this._pad = { filter, gain, voices, bass, oscillators, chord: -1, nextChord: t };
+    this._cutoffTarget = this.cutoff[0];
+    this._advanceChord(true);
+  }
+
+  /** @param {boolean} [immediate] - Jump to the chord instead of gliding (first chord) */
+  _advanceChord(immediate = false) {
+    const pad = this._pad;
+    const t = this.context.currentTime;
+    pad.chord = (pad.chord + 1) % CHORDS.length;
+    const { root, notes } = CHORDS[pad.chord];
+    const glide = (param, hz, timeConstant) => {
+      if (immediate) param.setValueAtTime(hz, t);
+      else param.setTargetAtTime(hz, t, timeConstant);
+    };
+    pad.voices.forEach((osc, i) => glide(osc.frequency, midiToHz(notes[Math.floor(i / PAD_DETUNE.length)]), 0.4));
+    glide(pad.bass.frequency, midiToHz(root - 12), 0.2);
+    pad.nextChord = Math.max(pad.nextChord, t) + this.chordTime;
+  }
+
+  _stopPad(fade = 1.5) {
+    const pad = this._pad;
+    if (!pad) return;
+    this._pad = null;
+    const t = this.context.currentTime;
+    pad.gain.gain.cancelScheduledValues(t);
+    pad.gain.gain.setTargetAtTime(0, t, fade / 4 || 0.001);
+    for (const osc of pad.oscillators) osc.stop(t + fade + 0.05);
+    pad.oscillators[0].onended = () => pad.gain.disconnect();
+  }
+
+  /**
+   * One enveloped oscillator on the sfx bus.
+   * @param {{ type?: OscillatorType, from: number, to?: number, time: number, gain: number, delay?: number, lowpass?: number }} o
+   */
+  _tone({ type = 'sine', from, to = from, time, gain, delay = 0, lowpass = 0 }) {
+    const ctx = this.context;
+    const t = ctx.currentTime + delay;
+    const osc = ctx.createOscillator();
+    osc.type = type;
+    osc.frequency.setValueAtTime(from, t);
+    if (to !== from) osc.frequency.exponentialRampToValueAtTime(to, t + time);
+    const env = this._envelope(t, gain, time, 0.005);
+    if (lowpass) {
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'lowpass';
+      filter.frequency.value = lowpass;
+      osc.connect(filter);
+      filter.connect(env);
+    } else {
+      osc.connect(env);
+    }
+    osc.start(t);
+    osc.stop(t + time + 0.02);
+    osc.onended = () => env.disconnect();
+  }
+
+  /**
+   * A burst of filtered noise on the sfx bus; the filter sweeps from `from` to `to` Hz.
+   * @param {{ time: number, gain: number, filter: BiquadFilterType, from: number, to: number, q?: number, attack?: number }} o
+   */
+  _noise({ time, gain, filter: type, from, to, q = 1, attack = 0.003 }) {
+    const ctx = this.context;
+    const t = ctx.currentTime;
+    const src = ctx.createBufferSource();
+    src.buffer = this._noiseBuffer;
+    src.loop = true;
+    const filter = ctx.createBiquadFilter();
+    filter.type = type;
+    filter.Q.value = q;
+    filter.frequency.setValueAtTime(from, t);
+    filter.frequency.exponentialRampToValueAtTime(to, t + time);
+    const env = this._envelope(t, gain, time, attack);
+    src.connect(filter);
+    filter.connect(env);
+    src.start(t, Math.random() * 0.9);
+    src.stop(t + time + 0.02);
+    src.onended = () => env.disconnect();
+  }
+
+  /** Gain node into the sfx bus with a quick attack and exponential decay. */
+  _envelope(t, peak, time, attack) {
+    const env = this.context.createGain();
+    env.gain.setValueAtTime(0.0001, t);
+    env.gain.linearRampToValueAtTime(peak, t + attack);
+    env.gain.exponentialRampToValueAtTime(0.0001, t + time);
+    env.connect(this.sfx);
+    return env;
+  }
+
+  _bindWindow() {
+    const win = this.window;
+    if (!win) return;
+    if (this._ownsContext) {
+      this._onGesture = () => { this.unlock(); };
+      for (const type of GESTURES) win.addEventListener(type, this._onGesture, { capture: true, passive: true });
+    }
+    const doc = win.document;
+    if (!doc) return;
+    this._onVisibility = () => {
+      this.hidden = doc.hidden;
+      this._applyVolume();
+    };
+    doc.addEventListener('visibilitychange', this._onVisibility);
+    this._onVisibility();
+  }
+
+  _unbindGestures() {
+    if (!this._onGesture) return;
+    for (const type of GESTURES) this.window?.removeEventListener(type, this._onGesture, { capture: true });
+    this._onGesture = null;
+  }
+}
+
+function midiToHz(note) {
+  return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+// Utility functions
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
@@ -0,0 +1,273 @@
+// save as src/avatar.js
+// RunnerAvatar: stylized low-poly runner built from primitives (no model files), used as Player.mesh.
+// - Hierarchy of pivot groups (hips, knees, shoulders, elbows, neck) under `root`, sized to the player's
+//   collision box: feet at the bottom, head at the top.
+// - update() poses it procedurally from the player: idle breathing, a run cycle whose stride follows the
+//   horizontal speed, jump and fall poses from the vertical velocity, slide / wallrun / ledge poses from the
+//   movement state, and a lean into turns. Switching poses crossfades from where the limbs were, while
+//   the run cycle itself is followed exactly (easing every frame would damp the stride at sprint speed).
+// - Dark flat-shaded body with emissive accents (visor, chest stripe, shoes) for the neon look.
+
+import * as THREE from 'three';
+
+const TAU = Math.PI * 2;
+
+export class RunnerAvatar {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.height] - Feet to head top, in units
+   * @param {number} [opts.width] - Shoulder width, in units
+   * @param {THREE.ColorRepresentation} [opts.bodyColor]
+   * @param {THREE.ColorRepresentation} [opts.accentColor] - Emissive visor, stripe and shoes
+   * @param {number} [opts.stride] - Units travelled per full run cycle (two steps)
+   * @param {number} [opts.responsiveness] - How quickly a new pose takes over (1/s)
+   * @param {THREE.Material} [opts.material] - One material for every part instead of the body/accent pair
+   *   (e.g. a ghost's); it stays with the caller on dispose()
+   */
+  constructor(opts = {}) {
+    this.height = opts.height ?? 1;
+    this.width = opts.width ?? 0.5;
+    this.stride = opts.stride ?? 3.2;
+    this.responsiveness = opts.responsiveness ?? 12;
+
+    this._sharedMaterial = opts.material ?? null;
+    this.materials = this._sharedMaterial ? { body: this._sharedMaterial, accent: this._sharedMaterial } : {
+      body: new THREE.MeshStandardMaterial({ color: opts.bodyColor ?? 0x1b2030, metalness: 0.3, roughness: 0.6, flatShading: true }),
+      accent: new THREE.MeshStandardMaterial({
+        color: 0x111111,
+        emissive: new THREE.Color(opts.accentColor ?? 0xff6600),
+        emissiveIntensity: 1.6,
+        flatShading: true
+      })
+    };
+    this._geometries = [];
+    this.root = new THREE.Group();
+    this.root.name = 'runner';
+    this.joints = {};
+    this._build();
+
+    this._phase = 0;   // run cycle, radians
+    this._time = 0;
+    this._lean = 0;
+    this._lastYaw = null;
+    this._pose = restPose();
+    this._offset = restPose(); // what is left of the previous pose, fading out
+    this._mode = 'idle';
+  }
+
+  /**
+   * Pose from the player's current motion; call once per rendered frame after Player.interpolate().
+   * @param {number} deltaTime - Seconds since the last rendered frame
+   * @param {{ velocity: THREE.Vector3, grounded: boolean, state?: string, speed?: number, sprintMultiplier?: number }} player
+   */
+  update(deltaTime, player) {
+    const dt = Math.min(deltaTime, 0.1);
+    if (dt <= 0) return;
+    this._time += dt;
+    const v = player.velocity;
+    const speed = Math.hypot(v.x, v.z);
+    const topSpeed = (player.speed ?? 5) * (player.sprintMultiplier ?? 1.6);
+    const state = player.state ?? (player.grounded ? 'ground' : 'air');
+
+    // Lean into turns: yaw rate times speed, like a bike
+    const yaw = this.root.rotation.y;
+    const turnRate = this._lastYaw === null ? 0 : wrapAngle(yaw - this._lastYaw) / dt;
+    this._lastYaw = yaw;
+    const leanTarget = THREE.MathUtils.clamp(-turnRate * speed * 0.05, -0.45, 0.45);
+    this._lean += (leanTarget - this._lean) * (1 - Math.exp(-8 * dt));
+
+    const target = restPose();
+    let mode;
+    if (state === 'slide') mode = this._slidePose(target);
+    else if (state === 'ledge' || state === 'mantle') mode = this._hangPose(target);
+    else if (!player.grounded && state !== 'wallrun') mode = this._airPose(target, v.y);
+    else if (speed > 0.3 || state === 'wallrun') mode = this._runPose(target, speed, topSpeed, dt);
+    else mode = this._idlePose(target);
+    target.roll += this._lean;
+
+    const pose = this._pose;
+    const offset = this._offset;
+    if (mode !== this._mode) {
+      this._mode = mode;
+      for (const key in pose) offset[key] = pose[key] - target[key];
+    }
+    const fade = Math.exp(-this.responsiveness * dt);
+    for (const key in pose) {
+      offset[key] *= fade;
+      pose[key] = target[key] + offset[key];
+    }
+    this._apply(pose);
+  }
+
+  dispose() {
+    this.root.removeFromParent();
+    for (const g of this._geometries) g.dispose();
+    if (!this._sharedMaterial) for (const m of Object.values(this.materials)) m.dispose();
+  }
+
+  // --- Poses: fill in angles (radians; limb swings positive forward, knees/elbows positive bent), return the mode ---
+
+  _idlePose(p) {
+    const breath = Math.sin(this._time * 2.2);
+    p.pitch = 0.03 + breath * 0.015;
+    p.bob = breath * 0.006;
+    p.shoulderL = p.shoulderR = 0.05;
+    p.armOutL = p.armOutR = 0.12;
+    p.elbowL = p.elbowR = 0.25;
+    p.kneeL = p.kneeR = 0.05;
+    return 'idle';
+  }
+
+  _runPose(p, speed, topSpeed, dt) {
+    this._phase = (this._phase + (speed * dt / this.stride) * TAU) % TAU;
+    const run = THREE.MathUtils.clamp(speed / topSpeed, 0, 1);
+    const amp = 0.35 + 0.6 * run;
+    const s = Math.sin(this._phase);
+    const c = Math.cos(this._phase);
+    p.hipL = s * amp;
+    p.hipR = -s * amp;
+    // Knees fold while the leg swings forward under the body
+    p.kneeL = 0.15 + amp * 1.3 * Math.max(0, c);
+    p.kneeR = 0.15 + amp * 1.3 * Math.max(0, -c);
+    p.shoulderL = -s * amp * 0.9;
+    p.shoulderR = s * amp * 0.9;
+    p.elbowL = p.elbowR = 0.5 + 0.8 * run;
+    p.armOutL = p.armOutR = 0.1;
+    p.pitch = 0.08 + 0.3 * run;
+    p.bob = Math.abs(s) * 0.035 * (0.4 + run);
+    return 'run';
+  }
+
+  _airPose(p, vy) {
+    if (vy > 0) { // rising: tuck the lead knee, arms drive up
+      p.hipL = 0.9; p.kneeL = 1.3;
+      p.hipR = -0.25; p.kneeR = 0.5;
+      p.shoulderL = 2.2; p.shoulderR = 1.6;
+      p.elbowL = p.elbowR = 0.4;
+      p.pitch = 0.05;
+      return 'rise';
+    } else { // falling: arms out for balance, legs reach down
+      const reach = THREE.MathUtils.clamp(-vy / 12, 0, 1);
+      p.hipL = 0.35 - 0.2 * reach; p.kneeL = 0.7 - 0.4 * reach;
+      p.hipR = 0.1; p.kneeR = 0.3;
+      p.shoulderL = p.shoulderR = 0.4;
+      p.armOutL = p.armOutR = 0.9 + 0.4 * reach;
+      p.elbowL = p.elbowR = 0.3;
+      p.pitch = -0.05;
+      return 'fall';
+    }
+  }
+
+  _slidePose(p) {
+    p.pitch = -0.55;
+    p.hipL = 1.3; p.kneeL = 0.1;
+    p.hipR = 0.6; p.kneeR = 1.6;
+    p.shoulderL = p.shoulderR = -0.6;
+    p.armOutL = p.armOutR = 0.5;
+    p.elbowL = p.elbowR = 0.2;
+    return 'slide';
+  }
+
+  _hangPose(p) {
+    p.shoulderL = p.shoulderR = 2.9;
+    p.elbowL = p.elbowR = 0.5;
+    p.hipL = 0.3; p.hipR = 0.1;
+    p.kneeL = 0.6; p.kneeR = 0.4;
+    p.pitch = 0.1;
+    return 'hang';
+  }
+
+  _apply(p) {
+    const j = this.joints;
+    j.body.position.y = this._hipY + p.bob;
+    j.body.rotation.set(p.pitch, 0, p.roll);
+    j.neck.rotation.x = -p.pitch * 0.6; // keep looking ahead
+    j.hipL.rotation.x = -p.hipL;
+    j.hipR.rotation.x = -p.hipR;
+    j.kneeL.rotation.x = p.kneeL;
+    j.kneeR.rotation.x = p.kneeR;
+    j.shoulderL.rotation.set(-p.shoulderL, 0, p.armOutL);
+    j.shoulderR.rotation.set(-p.shoulderR, 0, -p.armOutR);
+    j.elbowL.rotation.x = -p.elbowL;
+    j.elbowR.rotation.x = -p.elbowR;
+  }
+
+  // --- Construction ---
+
+  _build() {
+    const h = this.height;
+    const w = this.width;
+    const { body: bodyMat, accent } = this.materials;
+    const thigh = h * 0.23, shin = h * 0.22, torso = h * 0.33, upperArm = h * 0.17, foreArm = h * 0.17;
+    const limb = w * 0.2;
+
+    // Pivots: body at the hips (lean/bob), torso up from there, limbs hang from their joints
+    this._hipY = -h / 2 + thigh + shin + h * 0.03;
+    const body = this._pivot(this.root, 0, this._hipY, 0);
+    this._box(body, w * 0.55, h * 0.08, w * 0.35, bodyMat, 0, 0, 0);                                     // pelvis
+    this._box(body, w * 0.7, torso, w * 0.38, bodyMat, 0, torso / 2, 0);                                 // torso
+    this._box(body, w * 0.08, torso * 0.8, w * 0.02, accent, 0, torso * 0.5, w * 0.2);                   // chest stripe
+    const neck = this._pivot(body, 0, torso + h * 0.02, 0);
+    const headSize = h * 0.1;
+    this._mesh(neck, new THREE.IcosahedronGeometry(headSize, 0), bodyMat, 0, headSize, 0);                // head
+    this._box(neck, headSize * 1.5, headSize * 0.4, headSize * 0.5, accent, 0, headSize * 1.1, headSize * 0.7); // visor
+
+    const legX = w * 0.15;
+    const leg = (side) => {
+      const hip = this._pivot(body, side * legX, 0, 0);
+      this._box(hip, limb * 1.1, thigh, limb * 1.1, bodyMat, 0, -thigh / 2, 0);
+      const knee = this._pivot(hip, 0, -thigh, 0);
+      this._box(knee, limb, shin, limb, bodyMat, 0, -shin / 2, 0);
+      this._box(knee, limb * 1.1, h * 0.05, limb * 2, accent, 0, -shin, limb * 0.45);                  // shoe
+      return { hip, knee };
+    };
+    const armX = w * 0.42;
+    const arm = (side) => {
+      const shoulder = this._pivot(body, side * armX, torso * 0.92, 0);
+      this._box(shoulder, limb * 0.9, upperArm, limb * 0.9, bodyMat, 0, -upperArm / 2, 0);
+      const elbow = this._pivot(shoulder, 0, -upperArm, 0);
+      this._box(elbow, limb * 0.8, foreArm, limb * 0.8, bodyMat, 0, -foreArm / 2, 0);
+      return { shoulder, elbow };
+    };
+    // +X is the runner's left (it faces +Z)
+    const l = leg(1), r = leg(-1), la = arm(1), ra = arm(-1);
+    this.joints = {
+      body, neck,
+      hipL: l.hip, kneeL: l.knee, hipR: r.hip, kneeR: r.knee,
+      shoulderL: la.shoulder, elbowL: la.elbow, shoulderR: ra.shoulder, elbowR: ra.elbow
+    };
+    this._apply(restPose());
+  }
+
+  _pivot(parent, x, y, z) {
+    const g = new THREE.Group();
+    g.position.set(x, y, z);
+    parent.add(g);
+    return g;
+  }
+
+  _box(parent, sx, sy, sz, material, x, y, z) {
+    return this._mesh(parent, new THREE.BoxGeometry(sx, sy, sz), material, x, y, z);
+  }
+
+  _mesh(parent, geometry, material, x, y, z) {
+    this._geometries.push(geometry);
+    const m = new THREE.Mesh(geometry, material);
+    m.position.set(x, y, z);
+    parent.add(m);
+    return m;
+  }
+}
+
+/** Every joint at zero: standing straight, arms down. */
+function restPose() {
+  return {
+    pitch: 0, roll: 0, bob: 0,
+    hipL: 0, hipR: 0, kneeL: 0, kneeR: 0,
+    shoulderL: 0, shoulderR: 0, armOutL: 0, armOutR: 0, elbowL: 0, elbowR: 0
+  };
+}
+
+function wrapAngle(a) {
+  return Math.atan2(Math.sin(a), Math.cos(a));
+}
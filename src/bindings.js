@@ -0,0 +1,126 @@
+// save as src/bindings.js
+// Declarative action map for InputManager.
+// - Button actions (jump, sprint, ...) bind to lists of keyboard codes, gamepad button indices and touch controls.
+// - Vector actions (move, look) bind keyboard codes and gamepad buttons per direction, plus gamepad stick axes.
+// - Keyboard bindings use KeyboardEvent.code (physical key), so WASD stays in place on AZERTY/Dvorak.
+
+/** Actions that produce a { x, y } vector. */
+export const VECTOR_ACTIONS = ['move', 'look'];
+/** Actions that produce a boolean. */
+export const BUTTON_ACTIONS = ['jump', 'sprint', 'crouch', 'interact', 'pause', 'reset'];
+export const ACTIONS = [...VECTOR_ACTIONS, ...BUTTON_ACTIONS];
+
+/** Devices a binding can target. */
+export const DEVICES = ['keyboard', 'gamepadButtons', 'gamepadAxes', 'touch'];
+
+export const DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+export const DEFAULT_BINDINGS = {
+  move: {
+    keyboard: { up: ['KeyW', 'ArrowUp'], down: ['KeyS', 'ArrowDown'], left: ['KeyA', 'ArrowLeft'], right: ['KeyD', 'ArrowRight'] },
+    gamepadButtons: { up: [12], down: [13], left: [14], right: [15] }, // d-pad
+    gamepadAxes: [{ x: 0, y: 1 }],                                      // left stick
+    touch: ['joystick']
+  },
+  look: {
+    keyboard: { up: [], down: [], left: [], right: [] },
+    gamepadButtons: { up: [], down: [], left: [], right: [] },
+    gamepadAxes: [{ x: 2, y: 3 }],                                      // right stick
+    touch: []
+  },
+  jump: { keyboard: ['Space'], gamepadButtons: [0], touch: ['jump'] },
+  sprint: { keyboard: ['ShiftLeft', 'ShiftRight'], gamepadButtons: [4, 5, 10, 11], touch: ['sprint'] },
+  crouch: { keyboard: ['KeyC'], gamepadButtons: [1], touch: ['crouch'] },  // not Ctrl: Ctrl+W/D/R are browser shortcuts
+  interact: { keyboard: ['KeyE'], gamepadButtons: [2], touch: ['interact'] },
+  pause: { keyboard: ['Escape', 'KeyP'], gamepadButtons: [9], touch: ['pause'] },
+  reset: { keyboard: ['KeyR'], gamepadButtons: [3, 8], touch: ['reset'] }  // Y / Back: respawn at checkpoint, hold to restart
+};
+
+/**
+ * Deep copy of a binding map.
+ * @param {object} bindings
+ */
+export function cloneBindings(bindings) {
+  return JSON.parse(JSON.stringify(bindings));
+}
+
+/**
+ * Overlay `overrides` on `base`, keeping only known actions/devices/directions with well-formed values.
+ * Unknown or malformed entries are ignored so stale saved data can't break input.
+ * @param {object} base
+ * @param {object} [overrides]
+ */
+export function mergeBindings(base, overrides) {
+  const out = cloneBindings(base);
+  if (!overrides || typeof overrides !== 'object') return out;
+  for (const action of ACTIONS) {
+    const src = overrides[action];
+    if (!src || typeof src !== 'object') continue;
+    for (const device of DEVICES) {
+      if (!(device in src) || !(device in out[action])) continue;
+      const value = sanitize(action, device, src[device]);
+      if (value === undefined) continue;
+      if (isDirectional(action, device)) Object.assign(out[action][device], value);
+      else out[action][device] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * True when bindings for `device` on `action` are split per direction (keyboard/gamepad buttons on move/look).
+ */
+export function isDirectional(action, device) {
+  return VECTOR_ACTIONS.includes(action) && (device === 'keyboard' || device === 'gamepadButtons');
+}
+
+/**
+ * Validate one device entry; returns the cleaned value or undefined when unusable.
+ * @private
+ */
+function sanitize(action, device, value) {
+  const isKey = v => typeof v === 'string' && v.length > 0;
+  const isIndex = v => Number.isInteger(v) && v >= 0;
+  const check = device === 'keyboard' || device === 'touch' ? isKey : isIndex;
+
+  if (device === 'gamepadAxes') {
+    if (!VECTOR_ACTIONS.includes(action) || !Array.isArray(value)) return undefined;
+    return value.filter(a => a && isIndex(a.x) && isIndex(a.y)).map(a => ({ x: a.x, y: a.y, invertY: !!a.invertY }));
+  }
+  if (isDirectional(action, device)) {
+    if (!value || typeof value !== 'object') return undefined;
+    const dirs = {};
+    for (const d of DIRECTIONS) {
+      if (Array.isArray(value[d])) dirs[d] = value[d].filter(check);
+    }
+    return dirs;
+  }
+  if (!Array.isArray(value)) return undefined;
+  return value.filter(check);
+}
+
+// Standard gamepad mapping, Xbox labels
+const GAMEPAD_BUTTON_NAMES = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+  'D-pad Up', 'D-pad Down', 'D-pad Left', 'D-pad Right', 'Home'
+];
+const KEY_NAMES = {
+  Space: 'Space', Escape: 'Esc', Enter: 'Enter', Backspace: 'Backspace', Tab: 'Tab',
+  ShiftLeft: 'Left Shift', ShiftRight: 'Right Shift', ControlLeft: 'Left Ctrl', ControlRight: 'Right Ctrl',
+  AltLeft: 'Left Alt', AltRight: 'Right Alt', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→'
+};
+
+/**
+ * Short display name of one bound key code, gamepad button index or touch control id.
+ * @param {'keyboard'|'gamepadButtons'|'touch'} device
+ * @param {string|number} value
+ * @example describeBinding('keyboard', 'KeyW') // 'W'
+ * @example describeBinding('gamepadButtons', 0) // 'A'
+ */
+export function describeBinding(device, value) {
+  if (device === 'gamepadButtons') return GAMEPAD_BUTTON_NAMES[value] ?? `Button ${value}`;
+  if (device === 'keyboard') {
+    return KEY_NAMES[value] ?? String(value).replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'Num ');
+  }
+  return String(value);
+}
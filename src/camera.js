@@ -0,0 +1,176 @@
+// save as src/camera.js
+import * as THREE from 'three';
+
+const _pivot = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _desired = new THREE.Vector3();
+
+/**
+ * Third-person follow camera.
+ * - Orbits a pivot above the target from the `look` (stick rate) and `lookDelta` (pointer pixels)
+ *   fields of the InputManager state.
+ * - Follows with exponential damping; pulls in when level geometry blocks the view.
+ * - Widens the FOV while sprinting and shakes on hard landings.
+ */
+export class FollowCamera {
+  /**
+   * @param {THREE.PerspectiveCamera} camera
+   * @param {object} [opts]
+   * @param {import('./player.js').Player} [opts.target] - Player to follow
+   * @param {import('./collision.js').CollisionWorld} [opts.world] - Geometry that can block the view
+   */
+  constructor(camera, opts = {}) {
+    this.camera = camera;
+    this.world = opts.world ?? null;
+
+    // Orbit
+    this.yaw = opts.yaw ?? 0;                      // 0 = behind the target looking down -Z
+    this.pitch = opts.pitch ?? 0.35;               // rad, positive looks down on the target
+    this.minPitch = opts.minPitch ?? -0.4;
+    this.maxPitch = opts.maxPitch ?? 1.2;
+    this.distance = opts.distance ?? 5.0;
+    this.minDistance = opts.minDistance ?? 0.8;
+    this.pivotHeight = opts.pivotHeight ?? 1.0;     // above the target's position
+    this.stickSpeed = opts.stickSpeed ?? 3.0;       // rad/s at full right-stick deflection
+    this.pointerSensitivity = opts.pointerSensitivity ?? 0.0025; // rad per pixel
+    this.invertY = opts.invertY ?? false;
+
+    // Damping (1/s; higher is snappier)
+    this.followDamping = opts.followDamping ?? 12.0;
+    this.zoomOutDamping = opts.zoomOutDamping ?? 4.0; // easing back out after an occlusion pull-in
+    this.collisionRadius = opts.collisionRadius ?? 0.25;
+
+    // Sprint FOV kick
+    this.baseFov = opts.baseFov ?? camera.fov;
+    this.sprintFovKick = opts.sprintFovKick ?? 8.0;   // degrees added at full sprint speed
+    this.fovDamping = opts.fovDamping ?? 6.0;
+
+    // Landing shake
+    this.shakeOnLandSpeed = opts.shakeOnLandSpeed ?? 8.0; // impact speed that starts shaking
+    this.maxShake = opts.maxShake ?? 0.25;               // world units of offset at full trauma
+    this.shakeDecay = opts.shakeDecay ?? 2.5;            // trauma lost per second
+
+    this._pivot = new THREE.Vector3();
+    this._currentDistance = this.distance;
+    this._trauma = 0;
+    this._sprinting = false;
+    this._offTargetLand = null;
+    this._initialized = false;
+
+    if (opts.target) this.setTarget(opts.target);
+  }
+
+  /**
+   * Heading the camera looks along, in Player.cameraYaw convention (0 = looking down +Z).
+   * Depends only on look input, so it is safe to feed into a deterministic simulation.
+   * @returns {number}
+   */
+  get forwardYaw() {
+    return Math.atan2(-Math.sin(this.yaw), -Math.cos(this.yaw));
+  }
+
+  /**
+   * Follow a player; subscribes to its 'land' event for camera shake.
+   * @param {import('./player.js').Player | null} player
+   */
+  setTarget(player) {
+    this._offTargetLand?.();
+    this._offTargetLand = null;
+    this.target = player;
+    this._initialized = false;
+    if (player?.on) {
+      this._offTargetLand = player.on('land', ({ impactSpeed }) => {
+        if (impactSpeed > this.shakeOnLandSpeed) this.addShake((impactSpeed - this.shakeOnLandSpeed) / 12);
+      });
+    }
+  }
+
+  /**
+   * Apply look input. Call once per simulation step with the InputManager state.
+   * @param {{ look?: { x: number, y: number }, lookDelta?: { x: number, y: number }, sprint?: boolean }} controls
+   * @param {number} deltaTime
+   */
+  handleInput(controls, deltaTime) {
+    const look = controls.look ?? ZERO;
+    const delta = controls.lookDelta ?? ZERO;
+    const ySign = this.invertY ? -1 : 1;
+    this.yaw -= look.x * this.stickSpeed * deltaTime + delta.x * this.pointerSensitivity;
+    this.pitch -= ySign * (look.y * this.stickSpeed * deltaTime + delta.y * this.pointerSensitivity);
+    this.pitch = THREE.MathUtils.clamp(this.pitch, this.minPitch, this.maxPitch);
+    this._sprinting = !!controls.sprint;
+  }
+
+  /**
+   * Add camera shake trauma (0..1; stacks, clamped).
+   * @param {number} amount
+   */
+  addShake(amount) {
+    this._trauma = Math.min(1, this._trauma + amount);
+  }
+
+  /**
+   * Move the camera. Call once per rendered frame, after the target mesh is interpolated.
+   * @param {number} deltaTime - Frame time in seconds
+   */
+  update(deltaTime) {
+    if (this.target) {
+      _pivot.copy(this.target.mesh?.position ?? this.target.position);
+      _pivot.y += this.pivotHeight;
+    } else {
+      _pivot.copy(this._pivot);
+    }
+
+    const k = this._initialized ? 1 - Math.exp(-this.followDamping * deltaTime) : 1;
+    this._pivot.lerp(_pivot, k);
+
+    // Orbit offset from the pivot
+    const cp = Math.cos(this.pitch);
+    _dir.set(Math.sin(this.yaw) * cp, Math.sin(this.pitch), Math.cos(this.yaw) * cp);
+
+    // Pull in when geometry is between pivot and camera; ease back out
+    let allowed = this.distance;
+    if (this.world) {
+      const hit = this.world.raycast(this._pivot, _dir, this.distance + this.collisionRadius);
+      if (hit) allowed = Math.max(this.minDistance, hit.distance - this.collisionRadius);
+    }
+    if (allowed < this._currentDistance || !this._initialized) this._currentDistance = allowed;
+    else this._currentDistance += (allowed - this._currentDistance) * (1 - Math.exp(-this.zoomOutDamping * deltaTime));
+
+    _desired.copy(this._pivot).addScaledVector(_dir, this._currentDistance);
+
+    // Trauma-based shake: offset grows with trauma², decays linearly
+    if (this._trauma > 0) {
+      const s = this._trauma * this._trauma * this.maxShake;
+      _desired.x += (Math.random() * 2 - 1) * s;
+      _desired.y += (Math.random() * 2 - 1) * s;
+      _desired.z += (Math.random() * 2 - 1) * s;
+      this._trauma = Math.max(0, this._trauma - this.shakeDecay * deltaTime);
+    }
+
+    this.camera.position.copy(_desired);
+    this.camera.lookAt(this._pivot);
+
+    // FOV kick scales with how far above run speed the target is moving
+    let fovTarget = this.baseFov;
+    if (this._sprinting && this.target?.velocity) {
+      const speed = Math.hypot(this.target.velocity.x, this.target.velocity.z);
+      const run = this.target.speed ?? 5;
+      const over = THREE.MathUtils.clamp((speed - run) / Math.max(run * ((this.target.sprintMultiplier ?? 1.6) - 1), 1e-3), 0, 1);
+      fovTarget += this.sprintFovKick * over;
+    }
+    const fov = this.camera.fov + (fovTarget - this.camera.fov) * (1 - Math.exp(-this.fovDamping * deltaTime));
+    if (Math.abs(fov - this.camera.fov) > 1e-3) {
+      this.camera.fov = fov;
+      this.camera.updateProjectionMatrix();
+    }
+
+    this._initialized = true;
+  }
+
+  dispose() {
+    this._offTargetLand?.();
+    this._offTargetLand = null;
+  }
+}
+
+const ZERO = { x: 0, y: 0 };
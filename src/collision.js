@@ -0,0 +1,388 @@
+// save as src/collision.js
+// CollisionWorld: level geometry the Player collides with.
+// - Pure math on THREE.Vector3 (no renderer, DOM or WebGL), so layouts can be tested headless.
+// - Colliders: infinite planes, static boxes, ramps (boxes with a sloped top) and moving platforms.
+// - moveAABB() sweeps an axis-aligned box per axis, sliding along walls, stepping up small
+//   ledges and refusing slopes steeper than maxSlope.
+
+import * as THREE from 'three';
+
+export class CollisionWorld {
+  constructor(opts = {}) {
+    this.skin = opts.skin ?? 1e-4;
+    this.colliders = [];
+    this.time = 0;
+  }
+
+  /**
+   * Register an infinite horizontal floor.
+   * @param {{ y?: number }} [opts]
+   */
+  addPlane({ y = 0, ...rest } = {}) {
+    return this._add({ type: 'plane', y, ...rest });
+  }
+
+  /**
+   * Register a static box, given as center/size or min/max.
+   * @param {{ center?: THREE.Vector3, size?: THREE.Vector3, min?: THREE.Vector3, max?: THREE.Vector3 }} opts
+   */
+  addBox(opts) {
+    return this._add({ type: 'box', ...boundsOf(opts), userData: opts.userData ?? {} });
+  }
+
+  /**
+   * Register a ramp: a box whose top rises from min.y to max.y along `axis`.
+   * `direction` 1 rises towards +axis, -1 towards -axis.
+   * @param {{ center?: THREE.Vector3, size?: THREE.Vector3, min?: THREE.Vector3, max?: THREE.Vector3, axis?: 'x'|'z', direction?: 1|-1 }} opts
+   */
+  addRamp(opts) {
+    const axis = opts.axis ?? 'z';
+    if (axis !== 'x' && axis !== 'z') throw new Error(`CollisionWorld.addRamp: axis must be 'x' or 'z', got ${axis}`);
+    const ramp = { type: 'ramp', ...boundsOf(opts), axis, direction: Math.sign(opts.direction ?? 1) || 1, userData: opts.userData ?? {} };
+    const run = ramp.max[axis] - ramp.min[axis];
+    const rise = ramp.max.y - ramp.min.y;
+    ramp.slope = Math.atan2(rise, run);
+    const n = new THREE.Vector3();
+    n[axis] = -rise * ramp.direction;
+    n.y = run;
+    ramp.normal = n.normalize();
+    return this._add(ramp);
+  }
+
+  /**
+   * Register a moving box. Its center follows `path` (looping through the points at
+   * `speed` units/s, ping-ponging when `pingPong` is set) or an explicit `motion(time)`
+   * returning a center. Call update(dt) once per step before moving actors.
+   * @param {{ size: THREE.Vector3, path?: THREE.Vector3[], speed?: number, pingPong?: boolean, motion?: (t: number) => THREE.Vector3 }} opts
+   */
+  addMovingPlatform(opts) {
+    const motion = opts.motion ?? pathMotion(opts.path, opts.speed ?? 1, opts.pingPong ?? true);
+    const center = motion(0).clone();
+    const platform = {
+      type: 'box',
+      moving: true,
+      ...boundsOf({ center, size: opts.size }),
+      size: opts.size.clone(),
+      motion,
+      delta: new THREE.Vector3(),
+      userData: opts.userData ?? {}
+    };
+    return this._add(platform);
+  }
+
+  remove(collider) {
+    const i = this.colliders.indexOf(collider);
+    if (i >= 0) this.colliders.splice(i, 1);
+  }
+
+  clear() {
+    this.colliders.length = 0;
+  }
+
+  /**
+   * Advance moving platforms. Each platform's `delta` holds this step's displacement,
+   * which actors standing on it add to their own movement.
+   * @param {number} deltaTime
+   */
+  update(deltaTime) {
+    this.time += deltaTime;
+    for (const c of this.colliders) {
+      if (!c.moving) continue;
+      const next = c.motion(this.time);
+      const prevX = (c.min.x + c.max.x) * 0.5;
+      const prevY = (c.min.y + c.max.y) * 0.5;
+      const prevZ = (c.min.z + c.max.z) * 0.5;
+      c.delta.set(next.x - prevX, next.y - prevY, next.z - prevZ);
+      c.min.add(c.delta);
+      c.max.add(c.delta);
+    }
+  }
+
+  /**
+   * Move an axis-aligned box by `displacement`, resolving collisions. Mutates `position`.
+   * @param {THREE.Vector3} position - Box center
+   * @param {THREE.Vector3} halfExtents
+   * @param {THREE.Vector3} displacement
+   * @param {{ stepHeight?: number, maxSlope?: number, snapDistance?: number }} [opts]
+   *   stepHeight: ledges up to this height are climbed; maxSlope: steepest walkable ramp in radians;
+   *   snapDistance: keep contact with the ground when walking down slopes or off small steps.
+   * @returns {{ position: THREE.Vector3, grounded: boolean, ground: object|null, groundNormal: THREE.Vector3,
+   *   hitWall: boolean, wallNormal: THREE.Vector3, wall: object|null, hitCeiling: boolean, stepped: boolean, steep: boolean }}
+   */
+  moveAABB(position, halfExtents, displacement, opts = {}) {
+    const o = {
+      stepHeight: opts.stepHeight ?? 0,
+      maxSlope: opts.maxSlope ?? THREE.MathUtils.degToRad(50),
+      snapDistance: opts.snapDistance ?? 0
+    };
+    const res = {
+      position,
+      grounded: false,
+      ground: null,
+      groundNormal: new THREE.Vector3(0, 1, 0),
+      hitWall: false,
+      wallNormal: new THREE.Vector3(),
+      wall: null,
+      hitCeiling: false,
+      stepped: false,
+      steep: false
+    };
+
+    // Substep so no single move is larger than the box itself (no tunneling through thin walls)
+    const minHalf = Math.min(halfExtents.x, halfExtents.y, halfExtents.z);
+    const longest = Math.max(Math.abs(displacement.x), Math.abs(displacement.y), Math.abs(displacement.z));
+    const steps = Math.min(32, Math.max(1, Math.ceil(longest / (minHalf * 0.9))));
+    for (let i = 0; i < steps; i++) {
+      this._sweepY(position, halfExtents, displacement.y / steps, res, o);
+      this._sweepHorizontal(position, halfExtents, 'x', displacement.x / steps, res, o);
+      this._sweepHorizontal(position, halfExtents, 'z', displacement.z / steps, res, o);
+    }
+
+    if (!res.grounded && o.snapDistance > 0 && displacement.y <= 0) {
+      const y = position.y;
+      this._sweepY(position, halfExtents, -o.snapDistance, res, o);
+      if (!res.grounded) position.y = y;
+    }
+    return res;
+  }
+
+  /**
+   * True when a box at `position` overlaps no collider.
+   * @param {THREE.Vector3} position
+   * @param {THREE.Vector3} halfExtents
+   */
+  isFree(position, halfExtents) {
+    for (const c of this.colliders) {
+      if (this._penetrates(c, position, halfExtents)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Cast a ray against all colliders. Ramps are treated as their bounding box, which errs on
+   * the side of reporting a hit (fine for camera occlusion).
+   * @param {THREE.Vector3} origin
+   * @param {THREE.Vector3} direction - Normalized
+   * @param {number} [maxDistance]
+   * @returns {{ distance: number, point: THREE.Vector3, collider: object } | null}
+   */
+  raycast(origin, direction, maxDistance = Infinity) {
+    let best = null;
+    for (const c of this.colliders) {
+      let t;
+      if (c.type === 'plane') {
+        if (Math.abs(direction.y) < 1e-9) continue;
+        t = (c.y - origin.y) / direction.y;
+        if (t < 0) continue;
+      } else {
+        t = rayBox(origin, direction, c.min, c.max);
+        if (t === null) continue;
+      }
+      if (t <= maxDistance && (!best || t < best.distance)) best = { distance: t, collider: c };
+    }
+    if (best) best.point = origin.clone().addScaledVector(direction, best.distance);
+    return best;
+  }
+
+  /**
+   * Look for a wall next to the box: a box (or too-steep ramp) that a copy of the box moved
+   * `distance` along the horizontal `direction` would overlap above the feet.
+   * Walls are axis aligned, so the normal is the dominant axis of `direction`, flipped.
+   * @param {THREE.Vector3} position
+   * @param {THREE.Vector3} halfExtents
+   * @param {THREE.Vector3} direction - Horizontal direction, need not be normalized
+   * @param {number} distance
+   * @param {{ maxSlope?: number }} [opts]
+   * @returns {{ collider: object, normal: THREE.Vector3, top: number } | null}
+   */
+  probeWall(position, halfExtents, direction, distance, opts = {}) {
+    const maxSlope = opts.maxSlope ?? THREE.MathUtils.degToRad(50);
+    const axis = Math.abs(direction.x) >= Math.abs(direction.z) ? 'x' : 'z';
+    const sign = Math.sign(direction[axis]);
+    if (sign === 0) return null;
+    const probe = position.clone();
+    probe[axis] += sign * distance;
+    let best = null;
+    for (const c of this.colliders) {
+      if (c.type === 'plane' || (c.type === 'ramp' && c.slope <= maxSlope)) continue;
+      if (!this._penetrates(c, probe, halfExtents)) continue;
+      if (!best || c.max.y > best.top) {
+        const normal = new THREE.Vector3();
+        normal[axis] = -sign;
+        best = { collider: c, normal, top: c.max.y };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Height of the highest surface under the footprint of the box, searching at most
+   * `maxDrop` below its feet. Returns null when nothing is found.
+   */
+  groundHeight(position, halfExtents, maxDrop = Infinity) {
+    const feet = position.y - halfExtents.y;
+    let best = null;
+    for (const c of this.colliders) {
+      let top;
+      if (c.type === 'plane') top = c.y;
+      else if (!this._overlapsXZ(c, position, halfExtents)) continue;
+      else top = c.type === 'ramp' ? rampSurface(c, position, halfExtents) : c.max.y;
+      if (top <= feet + this.skin && feet - top <= maxDrop && (best === null || top > best)) best = top;
+    }
+    return best;
+  }
+
+  _add(collider) {
+    this.colliders.push(collider);
+    return collider;
+  }
+
+  _sweepY(pos, h, dy, res, o) {
+    if (dy === 0) return;
+    const prevFeet = pos.y - h.y;
+    const prevHead = pos.y + h.y;
+    pos.y += dy;
+    for (const c of this.colliders) {
+      if (c.type === 'plane') {
+        if (dy < 0 && pos.y - h.y < c.y && prevFeet >= c.y - this.skin) {
+          pos.y = c.y + h.y;
+          setGround(res, c, null);
+        }
+        continue;
+      }
+      if (!this._overlapsXZ(c, pos, h)) continue;
+      const top = c.type === 'ramp' ? rampSurface(c, pos, h) : c.max.y;
+      if (dy < 0 && pos.y - h.y < top && prevFeet >= top - this.skin - slopeTolerance(c, h)) {
+        pos.y = top + h.y;
+        if (c.type === 'ramp' && c.slope > o.maxSlope) {
+          res.steep = true;
+          res.groundNormal.copy(c.normal);
+        } else {
+          setGround(res, c, c.type === 'ramp' ? c.normal : null);
+        }
+      } else if (dy > 0 && pos.y + h.y > c.min.y && prevHead <= c.min.y + this.skin) {
+        pos.y = c.min.y - h.y;
+        res.hitCeiling = true;
+      }
+    }
+  }
+
+  _sweepHorizontal(pos, h, axis, d, res, o) {
+    if (d === 0) return;
+    pos[axis] += d;
+    for (const c of this.colliders) {
+      if (c.type === 'plane' || !this._penetrates(c, pos, h)) continue;
+      const feet = pos.y - h.y;
+      const top = c.type === 'ramp' ? rampSurface(c, pos, h) : c.max.y;
+
+      // Walk up walkable ramps and step onto low ledges
+      let climb = o.stepHeight;
+      if (c.type === 'ramp') {
+        if (c.slope > o.maxSlope) climb = 0;
+        else if (c.axis === axis) climb = Math.max(climb, Math.abs(d) * Math.tan(c.slope) + this.skin * 2);
+      }
+      const rise = top - feet;
+      if (rise <= climb) {
+        const y = pos.y;
+        pos.y = top + h.y + this.skin;
+        if (this.isFree(pos, h)) {
+          pos.y = top + h.y;
+          res.stepped = res.stepped || c.type !== 'ramp';
+          setGround(res, c, c.type === 'ramp' ? c.normal : null);
+          continue;
+        }
+        pos.y = y;
+      }
+
+      // Blocked: push out along the axis of motion and report the wall
+      pos[axis] = d > 0 ? c.min[axis] - h[axis] - this.skin : c.max[axis] + h[axis] + this.skin;
+      res.hitWall = true;
+      res.wall = c;
+      res.wallNormal.set(0, 0, 0);
+      res.wallNormal[axis] = d > 0 ? -1 : 1;
+    }
+  }
+
+  _overlapsXZ(c, pos, h) {
+    const s = this.skin;
+    return pos.x - h.x < c.max.x - s && pos.x + h.x > c.min.x + s &&
+      pos.z - h.z < c.max.z - s && pos.z + h.z > c.min.z + s;
+  }
+
+  _penetrates(c, pos, h) {
+    if (c.type === 'plane') return pos.y - h.y < c.y - this.skin;
+    if (!this._overlapsXZ(c, pos, h)) return false;
+    const top = c.type === 'ramp' ? rampSurface(c, pos, h) : c.max.y;
+    return pos.y - h.y < top - this.skin && pos.y + h.y > c.min.y + this.skin;
+  }
+}
+
+/**
+ * Height of a ramp's top under the footprint of a box: the highest point the box rests on.
+ */
+function rampSurface(c, pos, h) {
+  const axis = c.axis;
+  const edge = pos[axis] + h[axis] * c.direction;
+  let t = (edge - c.min[axis]) / (c.max[axis] - c.min[axis]);
+  t = THREE.MathUtils.clamp(t, 0, 1);
+  if (c.direction < 0) t = 1 - t;
+  return c.min.y + (c.max.y - c.min.y) * t;
+}
+
+// A box descending onto a slope while moving horizontally may start slightly below the
+// surface it is about to land on; allow for that.
+function slopeTolerance(c, h) {
+  return c.type === 'ramp' ? Math.tan(c.slope) * Math.min(h.x, h.z) : 0;
+}
+
+// Slab test; returns the entry distance (0 when starting inside) or null
+function rayBox(o, d, min, max) {
+  let tMin = 0;
+  let tMax = Infinity;
+  for (const a of ['x', 'y', 'z']) {
+    if (Math.abs(d[a]) < 1e-9) {
+      if (o[a] < min[a] || o[a] > max[a]) return null;
+      continue;
+    }
+    let t1 = (min[a] - o[a]) / d[a];
+    let t2 = (max[a] - o[a]) / d[a];
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    tMin = Math.max(tMin, t1);
+    tMax = Math.min(tMax, t2);
+    if (tMin > tMax) return null;
+  }
+  return tMin;
+}
+
+function setGround(res, c, normal) {
+  res.grounded = true;
+  res.ground = c;
+  if (normal) res.groundNormal.copy(normal);
+  else res.groundNormal.set(0, 1, 0);
+}
+
+function boundsOf(opts) {
+  if (opts.min && opts.max) return { min: opts.min.clone(), max: opts.max.clone() };
+  if (!opts.center || !opts.size) throw new Error('CollisionWorld: collider needs center/size or min/max');
+  const half = opts.size.clone().multiplyScalar(0.5);
+  return { min: opts.center.clone().sub(half), max: opts.center.clone().add(half) };
+}
+
+function pathMotion(path, speed, pingPong) {
+  if (!path || path.length === 0) throw new Error('CollisionWorld.addMovingPlatform: needs a path or a motion function');
+  const points = path.map(p => p.clone());
+  if (points.length === 1) return () => points[0];
+  if (pingPong) points.push(...points.slice(1, -1).reverse());
+  const segs = points.map((p, i) => p.distanceTo(points[(i + 1) % points.length]));
+  const total = segs.reduce((a, b) => a + b, 0);
+  const out = new THREE.Vector3();
+  return (time) => {
+    if (total === 0) return out.copy(points[0]);
+    let d = (time * speed) % total;
+    for (let i = 0; i < segs.length; i++) {
+      if (d <= segs[i]) return out.lerpVectors(points[i], points[(i + 1) % points.length], segs[i] ? d / segs[i] : 0);
+      d -= segs[i];
+    }
+    return out.copy(points[0]);
+  };
+}
@@ -0,0 +1,48 @@
+// save as src/emitter.js
+// Emitter: minimal event emitter shared by gameplay modules (Player, InputManager, ...).
+// - on() returns an unsubscribe function.
+// - Listeners run synchronously in registration order; errors are not caught.
+
+export class Emitter {
+  constructor() {
+    this._listeners = new Map();
+  }
+
+  /**
+   * @param {string} event
+   * @param {(payload: any) => void} fn
+   * @returns {() => void} unsubscribe
+   */
+  on(event, fn) {
+    let set = this._listeners.get(event);
+    if (!set) { set = new Set(); this._listeners.set(event, set); }
+    set.add(fn);
+    return () => this.off(event, fn);
+  }
+
+  once(event, fn) {
+    const off = this.on(event, (payload) => { off(); fn(payload); });
+    return off;
+  }
+
+  off(event, fn) {
+    const set = this._listeners.get(event);
+    if (!set) return;
+    set.delete(fn);
+    if (set.size === 0) this._listeners.delete(event);
+  }
+
+  emit(event, payload) {
+    const set = this._listeners.get(event);
+    if (!set) return;
+    for (const fn of [...set]) fn(payload);
+  }
+
+  hasListeners(event) {
+    return this._listeners.has(event);
+  }
+
+  removeAllListeners() {
+    this._listeners.clear();
+  }
+}
@@ -0,0 +1,583 @@
+// save as src/game.js
+// createGame: the whole NeonParker game mounted on a canvas, and torn down again by game.destroy().
+// - Wires the modules together: scene, level, input (live or replay), player, camera, time trial, ghost,
+//   audio, HUD, menus, performance overlay and adaptive quality, all driven by one GameLoop.
+// - Every page listener goes through listen() and every module's dispose()/destroy() runs on destroy(), so
+//   a host (level-select screen, SPA route) can mount and unmount it repeatedly on the same canvas.
+// - The returned handle is an Emitter with start/pause/resume/loadLevel for hosts embedding the game, and
+//   forwards the run as 'runStarted', 'checkpoint', 'runFinished', 'respawn', plus 'levelLoaded', 'pause', 'resume'
+//   and 'destroy'. With options.localRace the main menu offers a split-screen race and emits 'localRace' { level }
+//   (the level JSON being played) for the host to swap this game for createRace() (see race.js).
+// - Levels are every JSON file in src/levels plus options.levels; the demo hot-reloads into all mounted games in dev.
+
+import { initScene } from './scene.js';
+import { loadLevel, validateLevel } from './level.js';
+import { InputManager } from './input.js';
+import { Player } from './player.js';
+import { CollisionWorld } from './collision.js';
+import { GameLoop } from './loop.js';
+import { FollowCamera } from './camera.js';
+import { InputRecorder, Recording, ReplaySource } from './replay.js';
+import { PerfMonitor, PerfHUD, AdaptiveQuality, QUALITY_TIERS } from './perf.js';
+import { RunManager } from './run.js';
+import { GhostRacer } from './ghost.js';
+import { HUD } from './hud.js';
+import { MenuSystem, bindingItems } from './menu.js';
+import { TouchLayoutEditor } from './touch.js';
+import { AudioEngine } from './audio.js';
+import { NeonTrail } from './trail.js';
+import { Emitter } from './emitter.js';
+
+const REPLAY_KEY = 'neonparker:lastReplay';
+const SETTINGS_KEY = 'neonparker:settings';
+
+const LEVELS = Object.entries(import.meta.glob('./levels/*.json', { eager: true, import: 'default' }))
+  .map(([path, data]) => ({ path, data }));
+
+/** Mounted games, for level hot reload. */
+const games = new Set();
+
+if (import.meta.hot) {
+  import.meta.hot.accept('./levels/demo.json', mod => {
+    if (!mod) return;
+    const entry = LEVELS.find(l => l.path === './levels/demo.json');
+    entry.data = mod.default;
+    for (const game of games) game._reloadLevel(entry);
+  });
+}
+
+/**
+ * @typedef {Emitter & {
+ *   scene: import('three').Scene, camera: import('three').PerspectiveCamera, renderer: import('three').WebGLRenderer,
+ *   loop: GameLoop, player: Player, input: InputManager|ReplaySource, run: RunManager, audio: AudioEngine,
+ *   menu: MenuSystem, hud: HUD, readonly level: import('./level.js').Level, readonly levels: string[],
+ *   start: () => void, pause: () => void, resume: () => void,
+ *   loadLevel: (level: string|object) => import('./level.js').Level, destroy: () => void
+ * }} Game
+ */
+
+/**
+ * Mount the game on a canvas and start it.
+ * @param {HTMLCanvasElement} canvas
+ * @param {object} [options]
+ * @param {string} [options.level] - Name of the level to start on (default: the demo)
+ * @param {object[]} [options.levels] - Extra level JSON objects, listed after the built-in ones
+ * @param {boolean} [options.replay] - Play back the last saved session instead of reading live input
+ * @param {{ keyboard?: boolean, mouse?: boolean, gamepad?: boolean, touch?: boolean }} [options.input] - Devices
+ *   to read (all but touch default to on; touch defaults to auto-detection)
+ * @param {boolean|object} [options.postprocessing] - false disables PostFX; an object is passed to it
+ * @param {string} [options.quality] - Pin a PostFX preset ('low', 'medium', 'high') and turn adaptive quality off
+ * @param {boolean} [options.perf] - Show the performance overlay regardless of the saved setting
+ * @param {HTMLElement} [options.container] - Size the canvas to this element instead of the window
+ * @param {HTMLElement} [options.parent] - Where HUD, menus, touch controls and overlays go (default document.body);
+ *   ghost files dropped here are raced
+ * @param {boolean} [options.menu] - Open the main menu at start (default true; never for replays)
+ * @param {boolean} [options.autoStart] - false waits for game.start()
+ * @param {boolean} [options.localRace] - Add "Local race" to the main menu; choosing it emits 'localRace'
+ * @returns {Game}
+ */
+export function createGame(canvas, options = {}) {
+  const game = new Emitter();
+  const parent = options.parent ?? document.body;
+  const devices = options.input ?? {};
+  const disposers = [];
+  /** addEventListener that destroy() undoes. */
+  const listen = (target, type, handler, opts) => {
+    target.addEventListener(type, handler, opts);
+    disposers.push(() => target.removeEventListener(type, handler, opts));
+  };
+
+  // Input: live devices, or the last saved session
+  const replay = options.replay ? loadReplay() : null;
+
+  const levels = [...LEVELS, ...(options.levels ?? []).map(data => ({ path: null, data }))];
+  const findLevel = name => levels.find(l => l.data.name === name);
+  if (options.level !== undefined && !findLevel(options.level)) throw new Error(`createGame: unknown level "${options.level}"`);
+  let levelEntry = findLevel(replay?.meta.level ?? options.level)
+    ?? levels.find(l => l.path === './levels/demo.json')
+    ?? levels[0];
+
+  // Throw a LevelError for malformed level JSON before there is a renderer and listeners to clean up
+  validateLevel(levelEntry.data);
+
+  const pinnedQuality = options.quality ?? null;
+  const view = initScene(canvas, {
+    lights: false,
+    container: options.container,
+    postprocessing: options.postprocessing === false
+      ? false
+      : { quality: pinnedQuality ?? 'auto', ...(typeof options.postprocessing === 'object' ? options.postprocessing : {}) }
+  });
+  const { scene, camera, renderer, postfx, render: renderFrame, setMaxPixelRatio } = view;
+
+  const world = new CollisionWorld();
+  let level = loadLevel(levelEntry.data, { scene, world });
+
+  function switchLevel(entry) {
+    const next = loadLevel(entry.data, { scene, world });
+    level.dispose();
+    level = next;
+    levelEntry = entry;
+    run.setLevel(level);
+    trail.setSurface(level.ground?.userData.neon ?? level.surfaces[0]);
+    trail.reset();
+    recorder?.reset({ level: level.name });
+    game.emit('levelLoaded', { level: level.name });
+  }
+
+  const input = replay
+    ? new ReplaySource(replay)
+    : new InputManager({
+      lookElement: canvas,
+      pointerLock: true,
+      persistBindings: true,
+      keyboard: devices.keyboard,
+      mouse: devices.mouse,
+      gamepad: devices.gamepad,
+      enableTouchUI: devices.touch,
+      touchParent: parent
+    });
+
+  function loadReplay() {
+    try {
+      const json = localStorage.getItem(REPLAY_KEY);
+      return json ? Recording.fromJSON(json) : null;
+    } catch (err) {
+      console.warn('Could not load replay:', err);
+      return null;
+    }
+  }
+
+  // Player
+  const player = new Player(scene, level.spawn.position, { world });
+
+  // Neon ripples where the player walks and lands
+  player.on('footstep', ({ position }) => level.addRipple(position));
+  player.on('land', ({ impactSpeed }) => {
+    const feet = player.position.clone();
+    feet.y -= player.halfExtents.y;
+    level.addRipple(feet, 1 + impactSpeed / 8);
+  });
+
+  // Haptics: vibration on touch devices, rumble on the active gamepad
+  player.on('jump', () => input.touch?.vibrate(12));
+  player.on('land', ({ impactSpeed }) => {
+    if (impactSpeed <= 4) return;
+    input.touch?.vibrate(Math.min(40, Math.round(impactSpeed * 2)));
+    input.gamepads?.rumble(Math.min(1, impactSpeed / 20), Math.min(1, impactSpeed / 12), 120);
+  });
+  player.on('bump', ({ impactSpeed }) => input.gamepads?.rumble(Math.min(1, impactSpeed / 12), 0.2, 90));
+
+  // Speed trail in the level's glow color
+  const trail = new NeonTrail(scene, { surface: level.ground?.userData.neon ?? level.surfaces[0] });
+
+  // Camera, starting behind the player
+  const followCamera = new FollowCamera(camera, { target: player, world, yaw: level.spawn.rotation - Math.PI });
+
+  // Time trial: start zone, ordered checkpoints, finish; bests are saved per level
+  const run = new RunManager(level, player);
+  const faceRun = ({ rotation }) => { followCamera.yaw = rotation - Math.PI; };
+  run.on('respawn', (spawn) => {
+    faceRun(spawn);
+    trail.reset();
+  });
+  run.on('restart', () => {
+    faceRun(level.spawn);
+    trail.reset();
+    for (const cp of level.checkpoints) cp.mesh.visible = true;
+  });
+  run.on('checkpoint', ({ index }) => { level.checkpoints[index].mesh.visible = false; });
+
+  // Run events for the host page, with the level they happened on
+  run.on('start', (e) => game.emit('runStarted', { ...e, level: level.name }));
+  run.on('checkpoint', (e) => game.emit('checkpoint', { ...e, level: level.name }));
+  run.on('finish', (e) => game.emit('runFinished', { ...e, level: level.name }));
+  run.on('respawn', (e) => game.emit('respawn', { ...e, level: level.name }));
+
+  // Procedural sound; starts on the first click/key/touch (browser autoplay rules)
+  const audio = new AudioEngine();
+  audio.attachPlayer(player);
+  audio.attachRun(run);
+
+  // Ghost of the best run; F4 downloads it, dropping a ghost file on the page races it instead
+  const ghosts = new GhostRacer(run, player, scene);
+  listen(window, 'keydown', e => {
+    if (e.code !== 'F4') return;
+    e.preventDefault();
+    const json = ghosts.exportGhost();
+    if (!json) return;
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    a.download = `${run.levelId}.ghost.json`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  });
+  const dropTarget = options.parent ?? window;
+  listen(dropTarget, 'dragover', e => e.preventDefault());
+  listen(dropTarget, 'drop', async e => {
+    e.preventDefault();
+    const file = e.dataTransfer?.files[0];
+    if (!file) return;
+    try {
+      ghosts.importGhost(await file.text());
+    } catch (err) {
+      console.warn('Could not load ghost:', err);
+    }
+  });
+
+  // Record every live session; the sim consumes the quantized states so a replay reproduces it exactly
+  const recorder = replay ? null : new InputRecorder({ now: () => loop.simTime * 1000, meta: { level: level.name } });
+  const saveReplay = () => {
+    try { localStorage.setItem(REPLAY_KEY, JSON.stringify(recorder.recording)); } catch { /* quota */ }
+  };
+  if (recorder) listen(window, 'pagehide', saveReplay);
+
+  // Fixed-step simulation, interpolated rendering
+  const loop = new GameLoop({
+    update(dt) {
+      const state = input.update();
+      const controls = recorder ? recorder.capture(state) : state;
+      if (navInput && controls.actions.pause?.pressed && !menu.isOpen) menu.open('pause');
+      world.update(dt);
+      level.update();
+      followCamera.handleInput(controls, dt);
+      player.handleInput(controls, followCamera.forwardYaw);
+      player.update(dt);
+      run.update(dt, controls);
+      ghosts.step();
+    },
+    render(alpha, frameTime) {
+      // The simulation (and its input polling) is paused while a menu is open
+      if (menu.isOpen && navInput && !touchEditor?.active) menu.update(navInput.update());
+      player.interpolate(alpha);
+      if (!loop.paused) {
+        player.animate(frameTime);
+        trail.update(frameTime, player);
+      }
+      ghosts.render(alpha, loop.step);
+      followCamera.update(frameTime);
+      renderFrame(frameTime);
+      quality.update(frameTime);
+      perfHud.update(frameTime);
+      hud.update(frameTime);
+      audio.update();
+    }
+  });
+
+  // Performance overlay (F3 or options.perf) and adaptive quality; a pinned quality wins over both
+  const perf = new PerfMonitor(renderer).attach(loop);
+  // Start at the tier the view was created with: the one named after the PostFX preset (a pinned 'high' keeps
+  // the full pixel ratio), or without PostFX the lowest tier whose cap keeps the renderer's pixel ratio
+  const startTier = postfx
+    ? QUALITY_TIERS.findIndex(t => t.name === (pinnedQuality && postfx.quality === 'high' ? 'ultra' : postfx.quality))
+    : QUALITY_TIERS.findIndex(t => t.pixelRatio >= renderer.getPixelRatio());
+  const quality = new AdaptiveQuality(perf, {
+    tier: startTier >= 0 ? startTier : QUALITY_TIERS.length - 1,
+    enabled: !pinnedQuality,
+    apply(tier) {
+      setMaxPixelRatio(tier.pixelRatio);
+      postfx?.setQuality(tier.quality);
+    }
+  });
+  const perfHud = new PerfHUD(perf, { quality, visible: !!options.perf, parent });
+  listen(window, 'keydown', e => {
+    if (e.code === 'F3') {
+      e.preventDefault();
+      settings.perf = perfHud.toggle();
+      saveSettings();
+    }
+  });
+
+  // Settings from the menu, saved across sessions
+  const settings = { quality: 'auto', sensitivity: 1, invertY: false, ghost: true, perf: false, rumble: true,
+    masterVolume: 0.8, sfxVolume: 0.9, musicVolume: 0.5, ...loadSettings() };
+  // An unknown preset (renamed, or edited by hand) would otherwise pin the lowest tier
+  if (settings.quality !== 'auto' && !QUALITY_TIERS.some(t => t.name === settings.quality)) settings.quality = 'auto';
+  const baseLook = { pointer: followCamera.pointerSensitivity, stick: followCamera.stickSpeed };
+
+  function loadSettings() {
+    try {
+      return JSON.parse(localStorage.getItem(SETTINGS_KEY) ?? '{}') ?? {};
+    } catch {
+      return {};
+    }
+  }
+
+  function saveSettings() {
+    try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings)); } catch { /* quota */ }
+  }
+
+  function applySettings() {
+    followCamera.pointerSensitivity = baseLook.pointer * settings.sensitivity;
+    followCamera.stickSpeed = baseLook.stick * settings.sensitivity;
+    followCamera.invertY = settings.invertY;
+    ghosts.enabled = settings.ghost;
+    if (input.gamepads) input.gamepads.rumbleEnabled = settings.rumble;
+    audio.setVolume('master', settings.masterVolume);
+    audio.setVolume('sfx', settings.sfxVolume);
+    audio.setVolume('music', settings.musicVolume);
+    if (settings.perf || options.perf) perfHud.show();
+    else perfHud.hide();
+  }
+
+  function applyQuality() {
+    quality.enabled = settings.quality === 'auto';
+    if (!quality.enabled) quality.setTier(QUALITY_TIERS.findIndex(t => t.name === settings.quality));
+  }
+
+  function setting(key, after = applySettings) {
+    return {
+      get: () => settings[key],
+      set(value) {
+        settings[key] = value;
+        after();
+        saveSettings();
+      }
+    };
+  }
+
+  const percent = v => `${Math.round(v * 100)}%`;
+
+  applySettings();
+  if (!pinnedQuality) applyQuality(); // a pinned quality wins over the saved setting
+
+  // HUD and menus; the simulation pauses while a menu is open
+  const hud = new HUD(run, player, { parent });
+  const menu = new MenuSystem({ parent });
+  const navInput = replay ? null : input; // a replay must not be advanced by menu navigation
+  let bindDevice = 'keyboard';
+
+  const sharedItems = [
+    { label: 'Levels', screen: 'levels' },
+    { label: 'Settings', screen: 'settings' },
+    { label: 'Controls', screen: 'controls', disabled: () => !navInput }
+  ];
+  menu.define('main', {
+    title: 'NeonParker',
+    back: false,
+    items: [
+      { label: 'Play', action: () => menu.close() },
+      // After the menu handled the press, so the host can destroy this game from the event
+      ...(options.localRace ? [{ label: 'Local race', action: () => queueMicrotask(() => game.emit('localRace', { level: levelEntry.data })) }] : []),
+      ...sharedItems
+    ]
+  });
+  menu.define('pause', {
+    title: 'Paused',
+    items: [
+      { label: 'Resume', action: () => menu.close() },
+      { label: 'Restart run', action: () => { run.restart(); menu.close(); } },
+      ...sharedItems
+    ]
+  });
+  menu.define('levels', {
+    title: 'Levels',
+    items: () => levels.map(entry => ({
+      label: entry.data.name ?? entry.path,
+      value: () => (entry === levelEntry ? 'Playing' : ''),
+      action() {
+        try {
+          if (entry !== levelEntry) switchLevel(entry);
+          menu.close();
+        } catch (err) {
+          console.error(err);
+        }
+      }
+    }))
+  });
+  menu.define('settings', {
+    title: 'Settings',
+    items: [
+      {
+        type: 'choice', label: 'Quality', ...setting('quality', applyQuality),
+        options: [{ label: 'Auto', value: 'auto' }, ...QUALITY_TIERS.map(t => ({ label: t.name[0].toUpperCase() + t.name.slice(1), value: t.name }))]
+      },
+      { type: 'range', label: 'Look sensitivity', min: 0.25, max: 3, step: 0.25, format: v => `${v.toFixed(2)}×`, ...setting('sensitivity') },
+      { type: 'toggle', label: 'Invert look Y', ...setting('invertY') },
+      { type: 'toggle', label: 'Ghost of best run', ...setting('ghost') },
+      { type: 'toggle', label: 'Performance overlay', ...setting('perf') },
+      { label: 'Audio', screen: 'audio' },
+      { label: 'Gamepad', screen: 'gamepad', disabled: () => !input.gamepads },
+      { label: 'Touch controls', screen: 'touch', disabled: () => !input.touch },
+      { label: 'Clear best time', action: () => run.clearBest(), disabled: () => !run.best }
+    ]
+  });
+  menu.define('controls', {
+    title: 'Controls',
+    items: () => [
+      {
+        type: 'choice', label: 'Device', get: () => bindDevice, set: v => { bindDevice = v; },
+        options: [{ label: 'Keyboard', value: 'keyboard' }, { label: 'Gamepad', value: 'gamepadButtons' }]
+      },
+      ...bindingItems(input, bindDevice),
+      { label: 'Reset to defaults', action: () => input.resetBindings() }
+    ]
+  });
+
+  // Touch layout: positions/sizes in the editor, the rest here; saved with the bindings
+  const touchEditor = input.touch ? new TouchLayoutEditor(input.touch, { parent }) : null;
+  touchEditor?.on('close', () => menu.refresh());
+  const touchSetting = key => ({ get: () => input.touch.layout[key], set: value => input.touch.setLayout({ [key]: value }) });
+  menu.define('touch', {
+    title: 'Touch controls',
+    items: [
+      { label: 'Edit layout', action: () => touchEditor.open() },
+      { type: 'range', label: 'Opacity', min: 0.2, max: 1, step: 0.05, format: percent, ...touchSetting('opacity') },
+      { type: 'range', label: 'Size', min: 0.5, max: 2, step: 0.1, format: v => `${v.toFixed(1)}×`, ...touchSetting('scale') },
+      {
+        type: 'choice', label: 'Joystick',
+        options: [{ label: 'Floating', value: 'floating' }, { label: 'Fixed', value: 'fixed' }],
+        get: () => input.touch.layout.joystick.mode,
+        set: mode => input.touch.setLayout({ joystick: { mode } })
+      },
+      { type: 'toggle', label: 'Vibration', ...touchSetting('haptics') }
+    ]
+  });
+
+  menu.define('audio', {
+    title: 'Audio',
+    items: [
+      { type: 'range', label: 'Master volume', min: 0, max: 1, step: 0.1, format: percent, ...setting('masterVolume') },
+      { type: 'range', label: 'Effects', min: 0, max: 1, step: 0.1, format: percent, ...setting('sfxVolume') },
+      { type: 'range', label: 'Music', min: 0, max: 1, step: 0.1, format: percent, ...setting('musicVolume') }
+    ]
+  });
+
+  // Gamepad: settings of the active pad (saved per pad with the bindings) and calibration of non-standard pads
+  const gamepads = input.gamepads;
+  const noPad = () => !gamepads?.active;
+  const padSetting = key => ({ get: () => gamepads.padSettings()[key], set: value => gamepads.setPadSettings({ [key]: value }) });
+  menu.define('gamepad', {
+    title: 'Gamepad',
+    items: [
+      { label: 'Active pad', value: () => gamepads.active?.id.slice(0, 32) ?? 'None connected', disabled: () => true },
+      { type: 'range', label: 'Stick deadzone', min: 0, max: 0.5, step: 0.05, format: percent, ...padSetting('deadzone'), disabled: noPad },
+      {
+        type: 'choice', label: 'Deadzone shape', ...padSetting('deadzoneMode'), disabled: noPad,
+        options: [{ label: 'Radial', value: 'radial' }, { label: 'Axial', value: 'axial' }]
+      },
+      { type: 'toggle', label: 'Rumble', ...setting('rumble') },
+      {
+        label: 'Calibrate',
+        value: () => (gamepads.padSettings().calibration ? 'Calibrated' : gamepads.active?.mapping === 'standard' ? 'Standard' : ''),
+        pending: () => gamepads.calibration?.step?.prompt ?? '…',
+        async action() {
+          const calibration = gamepads.calibrate();
+          calibration.on('step', () => menu.refresh());
+          await calibration.result;
+        },
+        cancel: () => gamepads.calibration?.cancel(),
+        disabled: noPad
+      },
+      { label: 'Clear calibration', action: () => gamepads.setPadSettings({ calibration: null }), disabled: () => !gamepads.padSettings().calibration }
+    ]
+  });
+  if (gamepads) {
+    gamepads.on('connected', () => menu.refresh());
+    gamepads.on('disconnected', () => menu.refresh());
+    gamepads.on('calibrationneeded', () => hud.toast('Unknown gamepad: calibrate it in Settings › Gamepad'));
+  }
+
+  menu.on('open', () => loop.pause());
+  menu.on('close', () => loop.resume());
+  loop.on('pause', () => game.emit('pause', {}));
+  loop.on('resume', () => game.emit('resume', {}));
+  hud.on('pause', () => { if (!menu.isOpen) menu.open('pause'); });
+  // Escape releases pointer lock before the page sees the key; treat that as pause, but only
+  // when it was this canvas that lost the lock (other games or widgets may share the page)
+  let wasLocked = false;
+  listen(document, 'pointerlockchange', () => {
+    const locked = document.pointerLockElement === canvas;
+    if (wasLocked && !locked && !menu.isOpen) menu.open('pause');
+    wasLocked = locked;
+  });
+
+  if (!replay && (options.menu ?? true)) menu.open('main');
+  if (options.autoStart ?? true) loop.start();
+
+  let destroyed = false;
+  Object.defineProperties(game, {
+    level: { get: () => level, enumerable: true },
+    levels: { get: () => levels.map(l => l.data.name), enumerable: true }
+  });
+  Object.assign(game, {
+    scene, camera, renderer, loop, player, input, run, audio, menu, hud,
+
+    /** Start the frame loop (after `autoStart: false`). */
+    start() {
+      if (!destroyed) loop.start();
+    },
+
+    /** Freeze the simulation without opening the pause menu; rendering continues. */
+    pause() {
+      loop.pause();
+    },
+
+    /** Close any open menu and continue. */
+    resume() {
+      if (menu.isOpen) menu.close();
+      else loop.resume();
+    },
+
+    /**
+     * Switch level and restart the run.
+     * @param {string|object} name - Name of a listed level, or level JSON (added to the list)
+     * @returns {import('./level.js').Level}
+     * @throws {import('./level.js').LevelError} for malformed level JSON
+     */
+    loadLevel(name) {
+      let entry = typeof name === 'string' ? findLevel(name) : levels.find(l => l.data === name);
+      if (!entry && typeof name === 'string') throw new Error(`game.loadLevel: unknown level "${name}"`);
+      if (!entry) {
+        entry = { path: null, data: name };
+        switchLevel(entry);
+        levels.push(entry); // only once it loaded
+      } else if (entry !== levelEntry) {
+        switchLevel(entry);
+      }
+      return level;
+    },
+
+    /** Stop the game and release its listeners, DOM, audio and GPU resources. Safe to call twice. */
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      games.delete(game);
+      loop.stop();
+      perf.detach();
+      if (recorder) saveReplay();
+      for (const off of disposers) off();
+      disposers.length = 0;
+      if (document.pointerLockElement === canvas) document.exitPointerLock?.();
+
+      touchEditor?.close();
+      menu.destroy();
+      hud.destroy();
+      perfHud.destroy();
+      quality.removeAllListeners();
+      ghosts.dispose();
+      audio.dispose();
+      run.dispose();
+      followCamera.dispose();
+      trail.dispose();
+      player.dispose();
+      level.dispose();
+      input.destroy();
+      view.dispose();
+      game.emit('destroy', {});
+      game.removeAllListeners();
+    },
+
+    /** Hot reload: swap in new data for the level being played. */
+    _reloadLevel(entry) {
+      if (entry !== levelEntry) return;
+      try {
+        switchLevel(entry);
+      } catch (err) {
+        console.error(err); // keep playing the previous version
+      }
+    }
+  });
+  games.add(game);
+  return game;
+}
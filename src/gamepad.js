@@ -0,0 +1,466 @@
+// save as src/gamepad.js
+// GamepadManager: every connected gamepad, normalized to the standard mapping, for InputManager.
+// - Tracks pads through gamepadconnected / gamepaddisconnected and by polling (some browsers only expose a pad
+//   after its first button press), and follows the most recently used pad unless an index is pinned.
+// - Per-pad settings, keyed by Gamepad.id: stick deadzone size and mode ('radial' or 'axial'), and a calibration
+//   that remaps pads whose `mapping` isn't "standard". Saved to localStorage.
+// - GamepadCalibration walks the user through pressing each standard control once.
+// - rumble() plays dual-rumble effects through vibrationActuator (or hapticActuators on older browsers).
+// - navigator.getGamepads and the connection event target are injectable, so tests can use fake pads.
+//
+// Events: 'connected' { index, id, mapping }, 'disconnected' { index, id }, 'active' { index, id },
+//         'calibrationneeded' { index, id } for non-standard pads without a saved calibration.
+
+import { Emitter } from './emitter.js';
+
+export const STANDARD_BUTTON_COUNT = 17;
+export const STANDARD_AXIS_COUNT = 4;
+export const DEADZONE_MODES = ['radial', 'axial'];
+
+/** Calibration prompts, in order: standard button indices, then stick axes (positive direction). */
+export const CALIBRATION_STEPS = [
+  { kind: 'button', index: 0, prompt: 'Press A (bottom face button)' },
+  { kind: 'button', index: 1, prompt: 'Press B (right face button)' },
+  { kind: 'button', index: 2, prompt: 'Press X (left face button)' },
+  { kind: 'button', index: 3, prompt: 'Press Y (top face button)' },
+  { kind: 'button', index: 4, prompt: 'Press the left bumper' },
+  { kind: 'button', index: 5, prompt: 'Press the right bumper' },
+  { kind: 'button', index: 6, prompt: 'Pull the left trigger' },
+  { kind: 'button', index: 7, prompt: 'Pull the right trigger' },
+  { kind: 'button', index: 8, prompt: 'Press Back / Select' },
+  { kind: 'button', index: 9, prompt: 'Press Start' },
+  { kind: 'button', index: 10, prompt: 'Click the left stick' },
+  { kind: 'button', index: 11, prompt: 'Click the right stick' },
+  { kind: 'button', index: 12, prompt: 'Press d-pad up' },
+  { kind: 'button', index: 13, prompt: 'Press d-pad down' },
+  { kind: 'button', index: 14, prompt: 'Press d-pad left' },
+  { kind: 'button', index: 15, prompt: 'Press d-pad right' },
+  { kind: 'axis', index: 0, prompt: 'Push the left stick right' },
+  { kind: 'axis', index: 1, prompt: 'Push the left stick down' },
+  { kind: 'axis', index: 2, prompt: 'Push the right stick right' },
+  { kind: 'axis', index: 3, prompt: 'Push the right stick down' }
+];
+
+const AXIS_THRESHOLD = 0.6; // deflection from rest that counts as an axis input while calibrating
+
+export class GamepadManager extends Emitter {
+  /**
+   * @param {object} [opts]
+   * @param {() => (Gamepad|null)[]} [opts.getGamepads] - Defaults to navigator.getGamepads
+   * @param {EventTarget|null} [opts.eventTarget] - Source of gamepadconnected/disconnected (default window)
+   * @param {number|null} [opts.index] - Always use this pad index; null follows the last used pad
+   * @param {number} [opts.deadzone] - Default stick deadzone (0-1)
+   * @param {'radial'|'axial'} [opts.deadzoneMode] - Default deadzone mode
+   * @param {number} [opts.activityThreshold] - Stick deflection that makes a pad the active one
+   * @param {boolean} [opts.rumble] - false turns rumble() into a no-op
+   * @param {boolean} [opts.persist] - Load per-pad settings from / save them to storage
+   * @param {Storage} [opts.storage]
+   * @param {string} [opts.storageKey]
+   */
+  constructor(opts = {}) {
+    super();
+    this.getGamepads = opts.getGamepads ?? defaultGetGamepads;
+    this.eventTarget = opts.eventTarget ?? (typeof window !== 'undefined' ? window : null);
+    this.index = opts.index ?? null;
+    this.deadzone = opts.deadzone ?? 0.15;
+    this.deadzoneMode = opts.deadzoneMode ?? 'radial';
+    this.activityThreshold = opts.activityThreshold ?? 0.5;
+    this.rumbleEnabled = opts.rumble ?? true;
+    this.storage = opts.storage ?? (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.storageKey = opts.storageKey ?? 'neonparker:gamepads';
+    this.persist = opts.persist ?? false;
+
+    /** Per-pad settings by Gamepad.id: { deadzone?, deadzoneMode?, calibration? } */
+    this.settings = {};
+    if (this.persist) this.loadSettings();
+
+    /** Connected pads by index: { index, id, mapping, rest } (rest: axis values when first seen). */
+    this.pads = new Map();
+    this.activeIndex = null;
+    /** Active pad in the standard layout, refreshed by poll(). */
+    this.state = { buttons: [], values: [], axes: [] };
+    /** Running GamepadCalibration, if any; the pads report no input while it runs. */
+    this.calibration = null;
+
+    this._onConnected = (e) => { if (e.gamepad) this._connect(e.gamepad); };
+    this._onDisconnected = (e) => { if (e.gamepad) this._disconnect(e.gamepad.index); };
+    this.eventTarget?.addEventListener('gamepadconnected', this._onConnected);
+    this.eventTarget?.addEventListener('gamepaddisconnected', this._onDisconnected);
+  }
+
+  /** Info about the active pad ({ index, id, mapping }), or null. */
+  get active() {
+    return this.activeIndex === null ? null : this.pads.get(this.activeIndex) ?? null;
+  }
+
+  /**
+   * Read all pads; call once per input update.
+   * @returns {{ buttons: boolean[], values: number[], axes: number[] }} The active pad in the standard layout
+   */
+  poll() {
+    const list = Array.from(this.getGamepads() ?? []).filter(gp => gp && gp.connected !== false);
+
+    // Hot-plug by polling as well as by events
+    for (const gp of list) if (!this.pads.has(gp.index)) this._connect(gp);
+    for (const index of [...this.pads.keys()]) {
+      if (!list.some(gp => gp.index === index)) this._disconnect(index);
+    }
+
+    if (this.index !== null) {
+      if (this.activeIndex !== this.index && this.pads.has(this.index)) this._setActive(this.index);
+    } else {
+      const used = list.find(gp => gp.index !== this.activeIndex && this._inUse(gp));
+      if (used) this._setActive(used.index);
+      else if (!this.pads.has(this.activeIndex) && list.length) this._setActive(list[0].index);
+    }
+
+    const gp = list.find(g => g.index === this.activeIndex);
+    if (this.calibration) {
+      this.calibration._sample(list.find(g => g.index === this.calibration.pad.index));
+      this._clearState();
+    } else if (gp) {
+      this.state = this._map(gp);
+    } else {
+      this._clearState();
+    }
+    return this.state;
+  }
+
+  /**
+   * A stick of the active pad with its deadzone applied; magnitude is at most 1.
+   * @param {number} xAxis - Standard axis index of the horizontal axis
+   * @param {number} yAxis - Standard axis index of the vertical axis (down +)
+   * @returns {{ x: number, y: number }}
+   */
+  stick(xAxis, yAxis) {
+    const { deadzone, deadzoneMode } = this.padSettings();
+    return applyStickDeadzone(this.state.axes[xAxis] ?? 0, this.state.axes[yAxis] ?? 0, deadzone, deadzoneMode);
+  }
+
+  /**
+   * Effective settings of a pad (its own over the defaults).
+   * @param {string} [id] - Gamepad.id; defaults to the active pad
+   * @returns {{ deadzone: number, deadzoneMode: 'radial'|'axial', calibration: object|null }}
+   */
+  padSettings(id = this.active?.id) {
+    const own = (id !== undefined && this.settings[id]) || {};
+    return {
+      deadzone: own.deadzone ?? this.deadzone,
+      deadzoneMode: own.deadzoneMode ?? this.deadzoneMode,
+      calibration: own.calibration ?? null
+    };
+  }
+
+  /**
+   * Change one pad's settings.
+   * @param {{ deadzone?: number, deadzoneMode?: 'radial'|'axial', calibration?: object|null }} patch
+   * @param {string} [id] - Gamepad.id; defaults to the active pad
+   */
+  setPadSettings(patch, id = this.active?.id) {
+    if (id === undefined) throw new Error('GamepadManager.setPadSettings: no gamepad connected');
+    if (patch.deadzoneMode !== undefined && !DEADZONE_MODES.includes(patch.deadzoneMode)) {
+      throw new Error(`GamepadManager.setPadSettings: unknown deadzone mode "${patch.deadzoneMode}"`);
+    }
+    const own = { ...this.settings[id], ...patch };
+    if (own.deadzone !== undefined) own.deadzone = clamp(own.deadzone, 0, 0.95);
+    if (own.calibration === null) delete own.calibration;
+    this.settings[id] = own;
+    if (this.persist) this.saveSettings();
+  }
+
+  /**
+   * Start calibrating a pad; its inputs are ignored until the calibration ends.
+   * @param {number} [index] - Pad index; defaults to the active pad
+   * @returns {GamepadCalibration}
+   */
+  calibrate(index = this.activeIndex) {
+    const pad = this.pads.get(index);
+    if (!pad) throw new Error('GamepadManager.calibrate: no gamepad connected');
+    this.calibration?.cancel();
+    this.calibration = new GamepadCalibration(this, pad);
+    return this.calibration;
+  }
+
+  /**
+   * Rumble a pad. Returns false when rumble is off or the pad has no actuator.
+   * @param {number} [strong] - Low-frequency motor, 0-1
+   * @param {number} [weak] - High-frequency motor, 0-1
+   * @param {number} [duration] - Milliseconds
+   * @param {number} [index] - Pad index; defaults to the active pad
+   * @returns {boolean}
+   */
+  rumble(strong = 0.5, weak = strong, duration = 150, index = this.activeIndex) {
+    if (!this.rumbleEnabled || index === null) return false;
+    const gp = Array.from(this.getGamepads() ?? []).find(g => g && g.index === index);
+    const effect = { startDelay: 0, duration, strongMagnitude: clamp(strong, 0, 1), weakMagnitude: clamp(weak, 0, 1) };
+    try {
+      if (gp?.vibrationActuator?.playEffect) {
+        gp.vibrationActuator.playEffect('dual-rumble', effect)?.catch?.(() => {});
+        return true;
+      }
+      const haptic = gp?.hapticActuators?.[0];
+      if (haptic?.pulse) {
+        haptic.pulse(Math.max(effect.strongMagnitude, effect.weakMagnitude), duration)?.catch?.(() => {});
+        return true;
+      }
+    } catch { /* actuator busy or blocked */ }
+    return false;
+  }
+
+  /** @returns {boolean} false when storage is unavailable or full */
+  saveSettings() {
+    if (!this.storage) return false;
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.settings));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /** @returns {boolean} true when saved settings were found */
+  loadSettings() {
+    if (!this.storage) return false;
+    let saved = null;
+    try {
+      saved = JSON.parse(this.storage.getItem(this.storageKey) ?? 'null');
+    } catch {
+      saved = null;
+    }
+    if (!saved || typeof saved !== 'object') return false;
+    this.settings = {};
+    for (const [id, s] of Object.entries(saved)) {
+      if (!s || typeof s !== 'object') continue;
+      const clean = {};
+      if (Number.isFinite(s.deadzone)) clean.deadzone = clamp(s.deadzone, 0, 0.95);
+      if (DEADZONE_MODES.includes(s.deadzoneMode)) clean.deadzoneMode = s.deadzoneMode;
+      if (isCalibration(s.calibration)) clean.calibration = s.calibration;
+      this.settings[id] = clean;
+    }
+    return true;
+  }
+
+  destroy() {
+    this.calibration?.cancel();
+    this.eventTarget?.removeEventListener('gamepadconnected', this._onConnected);
+    this.eventTarget?.removeEventListener('gamepaddisconnected', this._onDisconnected);
+    this.removeAllListeners();
+  }
+
+  _connect(gp) {
+    if (this.pads.has(gp.index)) return;
+    const pad = { index: gp.index, id: gp.id, mapping: gp.mapping ?? '', rest: Array.from(gp.axes ?? []) };
+    this.pads.set(gp.index, pad);
+    this.emit('connected', { index: pad.index, id: pad.id, mapping: pad.mapping });
+    if (pad.mapping !== 'standard' && !this.padSettings(pad.id).calibration) {
+      this.emit('calibrationneeded', { index: pad.index, id: pad.id });
+    }
+    if (this.activeIndex === null && (this.index === null || this.index === gp.index)) this._setActive(gp.index);
+  }
+
+  _disconnect(index) {
+    const pad = this.pads.get(index);
+    if (!pad) return;
+    this.pads.delete(index);
+    if (this.calibration?.pad === pad) this.calibration.cancel();
+    this.emit('disconnected', { index, id: pad.id });
+    if (this.activeIndex === index) {
+      this.activeIndex = null;
+      const next = this.index === null ? this.pads.keys().next().value : undefined;
+      if (next !== undefined) this._setActive(next);
+      else this._clearState();
+    }
+  }
+
+  _setActive(index) {
+    if (this.activeIndex === index) return;
+    this.activeIndex = index;
+    this.emit('active', { index, id: this.pads.get(index)?.id ?? null });
+  }
+
+  /** Any button down, or a stick pushed past activityThreshold from where it rested. */
+  _inUse(gp) {
+    const pad = this.pads.get(gp.index);
+    if (Array.from(gp.buttons ?? []).some(b => b?.pressed)) return true;
+    return Array.from(gp.axes ?? []).some((v, i) => Math.abs(v - (pad?.rest[i] ?? 0)) > this.activityThreshold);
+  }
+
+  /** Raw pad -> standard layout, through the pad's calibration when it has one. */
+  _map(gp) {
+    const buttons = Array.from(gp.buttons ?? []);
+    const axes = Array.from(gp.axes ?? []);
+    const cal = this.padSettings(gp.id).calibration;
+    if (!cal) {
+      return {
+        buttons: buttons.map(b => !!b?.pressed),
+        values: buttons.map(b => b?.value ?? (b?.pressed ? 1 : 0)),
+        axes
+      };
+    }
+    const state = { buttons: [], values: [], axes: [] };
+    for (let i = 0; i < STANDARD_BUTTON_COUNT; i++) {
+      const m = cal.buttons[i];
+      let value = 0;
+      if (m?.type === 'button') value = buttons[m.index]?.value ?? (buttons[m.index]?.pressed ? 1 : 0);
+      else if (m?.type === 'axis') value = axisAsButton(axes[m.index] ?? 0, m.sign, m.rest ?? 0);
+      state.values[i] = value;
+      state.buttons[i] = m?.type === 'button' ? !!buttons[m.index]?.pressed : value > 0.5;
+    }
+    for (let i = 0; i < STANDARD_AXIS_COUNT; i++) {
+      const m = cal.axes[i];
+      state.axes[i] = m ? (axes[m.index] ?? 0) * (m.invert ? -1 : 1) : 0;
+    }
+    return state;
+  }
+
+  _clearState() {
+    this.state = { buttons: [], values: [], axes: [] };
+  }
+}
+
+/**
+ * Records which raw button or axis the user operates for each CALIBRATION_STEPS prompt.
+ * Operating a control that is already assigned skips the current step.
+ * Events: 'step' { step, index } when a new prompt is up, 'done' { calibration }, 'cancel'.
+ */
+export class GamepadCalibration extends Emitter {
+  /**
+   * @param {GamepadManager} manager
+   * @param {{ index: number, id: string }} pad
+   */
+  constructor(manager, pad) {
+    super();
+    this.manager = manager;
+    this.pad = pad;
+    this.steps = CALIBRATION_STEPS;
+    this.stepIndex = 0;
+    this.mapping = {
+      buttons: new Array(STANDARD_BUTTON_COUNT).fill(null),
+      axes: new Array(STANDARD_AXIS_COUNT).fill(null)
+    };
+    this._rest = null;
+    this._waitRelease = true; // the press that started calibration may still be down
+    /** Resolves with the mapping when finished, or null when cancelled. */
+    this.result = new Promise((resolve) => { this._resolve = resolve; });
+  }
+
+  /** Current prompt, or null when finished. */
+  get step() {
+    return this.steps[this.stepIndex] ?? null;
+  }
+
+  /** Leave the current control unassigned. */
+  skip() {
+    this._advance();
+  }
+
+  cancel() {
+    if (this.manager.calibration !== this) return;
+    this.manager.calibration = null;
+    this._resolve(null);
+    this.emit('cancel', {});
+  }
+
+  /** Called by GamepadManager.poll() with the raw pad (undefined while disconnected). */
+  _sample(gp) {
+    if (!gp) return;
+    const axes = Array.from(gp.axes ?? []);
+    if (!this._rest) this._rest = axes.slice();
+    const pressed = Array.from(gp.buttons ?? [], b => !!b?.pressed);
+    const deflection = axes.map((v, i) => v - (this._rest[i] ?? 0));
+
+    const button = pressed.findIndex(Boolean);
+    let axis = -1;
+    deflection.forEach((d, i) => {
+      if (Math.abs(d) > AXIS_THRESHOLD && (axis < 0 || Math.abs(d) > Math.abs(deflection[axis]))) axis = i;
+    });
+    if (this._waitRelease) {
+      if (button < 0 && axis < 0) this._waitRelease = false;
+      return;
+    }
+
+    let input = null;
+    if (button >= 0) input = { type: 'button', index: button };
+    else if (axis >= 0) input = { type: 'axis', index: axis, sign: Math.sign(deflection[axis]), rest: this._rest[axis] ?? 0 };
+    if (!input) return;
+    this._waitRelease = true;
+
+    if (this._assigned(input)) {
+      this._advance();
+      return;
+    }
+    const step = this.step;
+    if (step.kind === 'axis') {
+      if (input.type !== 'axis') return; // sticks only; keep waiting
+      this.mapping.axes[step.index] = { index: input.index, invert: input.sign < 0 };
+    } else {
+      this.mapping.buttons[step.index] = input;
+    }
+    this._advance();
+  }
+
+  _assigned(input) {
+    if (this.mapping.buttons.some(m => m && m.type === input.type && m.index === input.index)) return true;
+    return input.type === 'axis' && this.mapping.axes.some(m => m && m.index === input.index);
+  }
+
+  _advance() {
+    this.stepIndex++;
+    if (this.step) {
+      this.emit('step', { step: this.step, index: this.stepIndex });
+      return;
+    }
+    this.manager.calibration = null;
+    this.manager.setPadSettings({ calibration: this.mapping }, this.pad.id);
+    this._resolve(this.mapping);
+    this.emit('done', { calibration: this.mapping });
+  }
+}
+
+/**
+ * Deadzone for a 2D stick.
+ * - 'radial' zeroes a circle around the center and rescales the rest, keeping the direction (smooth diagonals).
+ * - 'axial' zeroes each axis on its own (snaps to the axes near the center).
+ * @param {number} x
+ * @param {number} y
+ * @param {number} deadzone - 0-1
+ * @param {'radial'|'axial'} [mode]
+ * @returns {{ x: number, y: number }} Magnitude at most 1
+ */
+export function applyStickDeadzone(x, y, deadzone, mode = 'radial') {
+  if (mode === 'axial') return normalize2(applyDeadzone(x, deadzone), applyDeadzone(y, deadzone));
+  const len = Math.hypot(x, y);
+  if (len <= deadzone || len < 1e-6) return { x: 0, y: 0 };
+  const scaled = (Math.min(len, 1) - deadzone) / (1 - deadzone);
+  return { x: x / len * scaled, y: y / len * scaled };
+}
+
+/** Axis travel from `rest` towards `sign`, as a 0-1 button value (triggers reported as axes). */
+function axisAsButton(v, sign, rest) {
+  const range = 1 - rest * sign; // distance from rest to the end of travel
+  return range > 1e-6 ? clamp(((v - rest) * sign) / range, 0, 1) : 0;
+}
+
+function isCalibration(c) {
+  return !!c && Array.isArray(c.buttons) && Array.isArray(c.axes) &&
+    c.buttons.every(m => m === null || (Number.isInteger(m?.index) && (m.type === 'button' || m.type === 'axis'))) &&
+    c.axes.every(m => m === null || Number.isInteger(m?.index));
+}
+
+function defaultGetGamepads() {
+  return typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+}
+
+// Utility functions
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+function normalize2(x, y) {
+  const len = Math.hypot(x, y);
+  if (len < 1e-6) return { x: 0, y: 0 };
+  const m = 1 / Math.max(1, len);
+  return { x: x * m, y: y * m };
+}
+function applyDeadzone(v, dz) {
+  const s = Math.sign(v), a = Math.abs(v);
+  if (a <= dz) return 0;
+  return s * (a - dz) / (1 - dz);
+}
@@ -0,0 +1,328 @@
+// save as src/ghost.js
+// Ghost racer: the best run on a level replayed as a translucent runner.
+// - GhostRecorder samples Player position/rotation/movement state/crouch scale against the run timer.
+// - GhostData stores the keyframes; it serializes to a small JSON file (delta-encoded integers) to share runs.
+// - Ghost interpolates the keyframes at any run time and animates its own RunnerAvatar (see avatar.js) in a neon
+//   material from the recorded movement state and the velocity between neighbouring keyframes.
+// - GhostRacer wires the three to a RunManager: records every run, keeps the best per level in localStorage.
+
+import * as THREE from 'three';
+import { MOVEMENT_STATES } from './parkour.js';
+import { Emitter } from './emitter.js';
+import { RunnerAvatar } from './avatar.js';
+
+export const GHOST_FORMAT = 'neonparker-ghost';
+export const GHOST_VERSION = 1;
+
+// Per-keyframe channels, stored as integers: ms, mm, mm, mm, mrad, state index, permille
+const STRIDE = 7;
+const SCALES = [1000, 1000, 1000, 1000, 1000, 1, 1000];
+
+/**
+ * Keyframes of one run: `frames` is a flat array of STRIDE numbers per keyframe
+ * (time s, x, y, z, rotation, state index, height scale), in time order.
+ */
+export class GhostData {
+  constructor({ level = '', time = 0, frames = [] } = {}) {
+    this.level = level;
+    this.time = time;     // final run time in seconds
+    this.frames = frames;
+  }
+
+  get length() {
+    return this.frames.length / STRIDE;
+  }
+
+  /** Serialize to a compact JSON-ready object (quantized, delta-encoded). */
+  toJSON() {
+    const data = new Array(this.frames.length);
+    const last = new Array(STRIDE).fill(0);
+    for (let i = 0; i < this.frames.length; i++) {
+      const c = i % STRIDE;
+      const q = Math.round(this.frames[i] * SCALES[c]);
+      data[i] = q - last[c];
+      last[c] = q;
+    }
+    return { format: GHOST_FORMAT, version: GHOST_VERSION, level: this.level, time: this.time, states: MOVEMENT_STATES, data };
+  }
+
+  /**
+   * @param {string|object} json - Output of toJSON() or its JSON string
+   * @returns {GhostData}
+   */
+  static fromJSON(json) {
+    const obj = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!obj || obj.format !== GHOST_FORMAT) throw new Error('GhostData.fromJSON: not a NeonParker ghost');
+    if (obj.version !== GHOST_VERSION) throw new Error(`GhostData.fromJSON: unsupported version ${obj.version}`);
+    if (!Array.isArray(obj.data) || obj.data.length % STRIDE !== 0 || !obj.data.every(Number.isFinite)) {
+      throw new Error('GhostData.fromJSON: malformed keyframe data');
+    }
+    // Map state indices through names so files survive reordering of MOVEMENT_STATES
+    const names = Array.isArray(obj.states) ? obj.states : MOVEMENT_STATES;
+    const frames = new Array(obj.data.length);
+    const sum = new Array(STRIDE).fill(0);
+    for (let i = 0; i < obj.data.length; i++) {
+      const c = i % STRIDE;
+      sum[c] += obj.data[i];
+      frames[i] = sum[c] / SCALES[c];
+      if (c === 5) frames[i] = Math.max(0, MOVEMENT_STATES.indexOf(names[sum[c]]));
+    }
+    return new GhostData({ level: String(obj.level ?? ''), time: Number(obj.time) || 0, frames });
+  }
+}
+
+/**
+ * Samples a player at a fixed interval of run time.
+ */
+export class GhostRecorder {
+  /**
+   * @param {import('./player.js').Player} player
+   * @param {{ interval?: number, maxFrames?: number }} [opts]
+   */
+  constructor(player, opts = {}) {
+    this.player = player;
+    this.interval = opts.interval ?? 0.05;        // s between keyframes
+    this.maxFrames = opts.maxFrames ?? 20 * 60 * 10; // 10 minutes at the default interval
+    this.data = new GhostData();
+    this._next = 0;
+  }
+
+  /** Start a new recording. */
+  reset(level = '') {
+    this.data = new GhostData({ level });
+    this._next = 0;
+  }
+
+  /**
+   * Record a keyframe when `time` reached the next sample point (or always with `force`,
+   * e.g. right after a respawn so playback jumps instead of gliding).
+   * @param {number} time - Run time in seconds
+   * @param {boolean} [force]
+   */
+  update(time, force = false) {
+    if (!force && time < this._next) return;
+    if (this.data.length >= this.maxFrames) return;
+    const p = this.player;
+    const state = Math.max(0, MOVEMENT_STATES.indexOf(p.state));
+    // y is the mesh height Player.interpolate() uses, so playback needs no body dimensions
+    const y = p.position.y + p.halfExtents.y - p.halfHeight;
+    this.data.frames.push(time, p.position.x, y, p.position.z, p.rotation, state, p.halfExtents.y / p.halfHeight);
+    this.data.time = time;
+    this._next = time + this.interval;
+  }
+}
+
+/**
+ * A translucent runner posed and animated from GhostData.
+ */
+export class Ghost {
+  /**
+   * @param {object} [opts]
+   * @param {THREE.ColorRepresentation} [opts.color]
+   * @param {number} [opts.opacity]
+   * @param {object} [opts.avatar] - RunnerAvatar options; pass the player's height, width and stride to match it
+   * @param {number} [opts.speed] - The player's run speed, for the stride length at a given velocity
+   * @param {number} [opts.sprintMultiplier]
+   */
+  constructor(opts = {}) {
+    this.material = new THREE.MeshBasicMaterial({
+      color: opts.color ?? 0x00e5ff,
+      transparent: true,
+      opacity: opts.opacity ?? 0.35,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+    this.avatar = new RunnerAvatar({ ...opts.avatar, material: this.material });
+    this.mesh = this.avatar.root;
+    this.mesh.visible = false;
+    this.mesh.name = 'ghost';
+    this.data = null;
+    /** Movement state at the last update(). */
+    this.state = null;
+    /** Velocity between the keyframes around the last update() (units/s). */
+    this.velocity = new THREE.Vector3();
+    // What the avatar reads from a player
+    this._motion = { velocity: this.velocity, grounded: true, state: null, speed: opts.speed, sprintMultiplier: opts.sprintMultiplier };
+    this._time = null;
+  }
+
+  /** @param {GhostData|null} data */
+  setData(data) {
+    this.data = data && data.length ? data : null;
+    this.mesh.visible = false;
+    this._time = null;
+  }
+
+  /**
+   * Pose the ghost at run time `time`; hidden without data. Holds the last keyframe after the end.
+   * @param {number} time - Seconds
+   */
+  update(time) {
+    const data = this.data;
+    if (!data) return;
+    const f = data.frames;
+    const n = data.length;
+    // Last keyframe at or before `time` (binary search)
+    let lo = 0, hi = n - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (f[mid * STRIDE] <= time) lo = mid;
+      else hi = mid - 1;
+    }
+    const a = lo * STRIDE;
+    const b = Math.min(lo + 1, n - 1) * STRIDE;
+    const span = f[b] - f[a];
+    const t = span > 0 ? THREE.MathUtils.clamp((time - f[a]) / span, 0, 1) : 0;
+
+    const m = this.mesh;
+    m.position.set(
+      f[a + 1] + (f[b + 1] - f[a + 1]) * t,
+      f[a + 2] + (f[b + 2] - f[a + 2]) * t,
+      f[a + 3] + (f[b + 3] - f[a + 3]) * t
+    );
+    m.rotation.y = f[a + 4] + wrapAngle(f[b + 4] - f[a + 4]) * t;
+    m.scale.y = f[a + 6] + (f[b + 6] - f[a + 6]) * t;
+    this.state = MOVEMENT_STATES[t < 0.5 ? f[a + 5] : f[b + 5]] ?? null;
+    m.visible = true;
+
+    // Animate like the player it recorded: velocity from the keyframes around `time`, grounded from the state
+    if (span > 0) this.velocity.set(f[b + 1] - f[a + 1], f[b + 2] - f[a + 2], f[b + 3] - f[a + 3]).divideScalar(span);
+    else this.velocity.set(0, 0, 0);
+    const motion = this._motion;
+    motion.state = this.state;
+    motion.grounded = this.state === 'ground' || this.state === 'slide';
+    // Run time can jump back (restart); the avatar skips non-positive steps
+    const dt = this._time === null ? 0 : time - this._time;
+    this._time = time;
+    this.avatar.update(dt, motion);
+  }
+
+  dispose() {
+    this.avatar.dispose();
+    this.material.dispose();
+  }
+}
+
+/**
+ * Records runs from a RunManager and races the best one as a Ghost.
+ * Events: 'newbest' { data } after a personal best was recorded, 'load' { data } when a ghost is set.
+ */
+export class GhostRacer extends Emitter {
+  /**
+   * @param {import('./run.js').RunManager} run
+   * @param {import('./player.js').Player} player
+   * @param {THREE.Scene} scene
+   * @param {{ storage?: Storage, storagePrefix?: string, interval?: number, color?: THREE.ColorRepresentation, enabled?: boolean }} [opts]
+   */
+  constructor(run, player, scene, opts = {}) {
+    super();
+    this.run = run;
+    this.player = player;
+    this.enabled = opts.enabled ?? true; // false hides the ghost; runs are still recorded
+    this.storage = opts.storage ?? (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.storagePrefix = opts.storagePrefix ?? 'neonparker:ghost:';
+    this.recorder = new GhostRecorder(player, { interval: opts.interval });
+    this.ghost = new Ghost({
+      color: opts.color,
+      avatar: { height: player.avatar.height, width: player.avatar.width, stride: player.avatar.stride },
+      speed: player.speed,
+      sprintMultiplier: player.sprintMultiplier
+    });
+    scene.add(this.ghost.mesh);
+
+    this._off = [
+      run.on('start', () => {
+        this.recorder.reset(run.levelId);
+        this.recorder.update(0, true);
+      }),
+      run.on('respawn', () => this.recorder.update(run.time, true)),
+      run.on('finish', ({ isBest }) => {
+        this.recorder.update(run.time, true);
+        if (isBest) {
+          const data = this.recorder.data;
+          this._save(data);
+          this.setGhost(data);
+          this.emit('newbest', { data });
+        }
+      }),
+      run.on('restart', () => this._loadForLevel())
+    ];
+    this._loadForLevel();
+  }
+
+  /** Call once per simulation step, after run.update(). */
+  step() {
+    if (this.run.state === 'running') this.recorder.update(this.run.time);
+  }
+
+  /**
+   * Pose the ghost in sync with the interpolated player. Call from the render callback.
+   * @param {number} alpha - GameLoop interpolation factor
+   * @param {number} step - GameLoop fixed step in seconds
+   */
+  render(alpha, step) {
+    if (!this.enabled) {
+      this.ghost.mesh.visible = false;
+      return;
+    }
+    const run = this.run;
+    const time = run.state === 'running' ? Math.max(0, run.time - step * (1 - alpha)) : run.time;
+    this.ghost.update(time);
+  }
+
+  /**
+   * Race against `data` (e.g. an imported file) until the next personal best.
+   * @param {GhostData|null} data
+   */
+  setGhost(data) {
+    this.ghost.setData(data);
+    if (data) this.emit('load', { data });
+  }
+
+  /** JSON string of the ghost being raced, or null. */
+  exportGhost() {
+    return this.ghost.data ? JSON.stringify(this.ghost.data) : null;
+  }
+
+  /**
+   * Race a shared ghost file.
+   * @param {string|object} json
+   * @returns {GhostData}
+   * @throws {Error} for malformed data or a ghost recorded on another level
+   */
+  importGhost(json) {
+    const data = GhostData.fromJSON(json);
+    if (data.level && data.level !== this.run.levelId) {
+      throw new Error(`GhostRacer.importGhost: ghost is for level "${data.level}", not "${this.run.levelId}"`);
+    }
+    this.setGhost(data);
+    return data;
+  }
+
+  dispose() {
+    for (const off of this._off) off();
+    this._off.length = 0;
+    this.ghost.dispose();
+    this.removeAllListeners();
+  }
+
+  _loadForLevel() {
+    if (this.ghost.data && this.ghost.data.level === this.run.levelId) return;
+    try {
+      const raw = this.storage?.getItem(this.storagePrefix + this.run.levelId);
+      this.setGhost(raw ? GhostData.fromJSON(raw) : null);
+    } catch {
+      this.setGhost(null);
+    }
+  }
+
+  _save(data) {
+    try {
+      this.storage?.setItem(this.storagePrefix + data.level, JSON.stringify(data));
+    } catch { /* quota or privacy mode */ }
+  }
+}
+
+function wrapAngle(a) {
+  return Math.atan2(Math.sin(a), Math.cos(a));
+}
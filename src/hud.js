@@ -0,0 +1,204 @@
+// save as src/hud.js
+// HUD: in-game overlay for the time trial.
+// - Run timer with the personal best below it, checkpoint counter and horizontal speed.
+// - Toasts for checkpoint splits and the finish, colored by the delta against the personal best.
+// - A pause button for touch screens, which have no pause key (emits 'pause').
+// - Injects its neon styles once, like the touch UI in input.js.
+
+import { Emitter } from './emitter.js';
+
+export class HUD extends Emitter {
+  /**
+   * @param {import('./run.js').RunManager} run
+   * @param {import('./player.js').Player} player
+   * @param {{ parent?: HTMLElement, toastTime?: number, visible?: boolean, id?: string|null }} [opts] - `id`: element id
+   *   (default 'hud'); pass null when several HUDs share a page, as in split-screen
+   */
+  constructor(run, player, opts = {}) {
+    super();
+    this.run = run;
+    this.player = player;
+    this.parent = opts.parent ?? document.body;
+    this.toastTime = opts.toastTime ?? 2.5; // s a toast stays up
+    this.id = opts.id === undefined ? 'hud' : opts.id;
+    this.visible = false;
+    this._toasts = []; // { el, time }
+    this._text = {};   // last text per field, to skip unchanged DOM writes
+
+    this._injectStyles();
+    this._build();
+    this._off = [
+      run.on('checkpoint', ({ index, time, delta }) => {
+        this.toast(`Checkpoint ${index + 1}  ${formatTime(time)}`, delta);
+      }),
+      run.on('finish', ({ time, delta, isBest }) => {
+        this.toast(`Finish  ${formatTime(time)}${isBest ? '  New best!' : ''}`, delta, 'hud-toast--finish');
+      }),
+      run.on('restart', () => this.clearToasts())
+    ];
+    if (opts.visible ?? true) this.show();
+  }
+
+  show() {
+    this.el.style.display = 'block';
+    this.visible = true;
+  }
+
+  hide() {
+    this.el.style.display = 'none';
+    this.visible = false;
+  }
+
+  /**
+   * Show a message under the timer.
+   * @param {string} text
+   * @param {number|null} [delta] - Seconds against the personal best; appended and colored when given
+   * @param {string} [className]
+   */
+  toast(text, delta = null, className = '') {
+    const el = document.createElement('div');
+    el.className = `hud-toast ${className}`.trim();
+    el.textContent = text;
+    if (delta !== null) {
+      const d = document.createElement('span');
+      d.className = delta <= 0 ? 'hud-ahead' : 'hud-behind';
+      d.textContent = `  ${formatDelta(delta)}`;
+      el.appendChild(d);
+    }
+    this._toastsEl.appendChild(el);
+    this._toasts.push({ el, time: this.toastTime });
+  }
+
+  clearToasts() {
+    for (const t of this._toasts) t.el.remove();
+    this._toasts.length = 0;
+  }
+
+  /**
+   * Refresh the readouts and age toasts; call once per rendered frame.
+   * @param {number} deltaTime - Seconds
+   */
+  update(deltaTime) {
+    for (let i = this._toasts.length - 1; i >= 0; i--) {
+      const t = this._toasts[i];
+      t.time -= deltaTime;
+      if (t.time <= 0) {
+        t.el.remove();
+        this._toasts.splice(i, 1);
+      } else if (t.time < 0.4) {
+        t.el.style.opacity = String(t.time / 0.4);
+      }
+    }
+    if (!this.visible) return;
+
+    const run = this.run;
+    const { velocity } = this.player;
+    this._set('timer', formatTime(run.time));
+    this._set('best', run.best ? `Best ${formatTime(run.best.time)}` : '');
+    const count = run.level.checkpoints.length;
+    this._set('checkpoints', count ? `${Math.min(run.nextCheckpoint, count)}/${count}` : '');
+    this._set('speed', `${Math.hypot(velocity.x, velocity.z).toFixed(1)} m/s`);
+    this.el.classList.toggle('hud--ready', run.state === 'ready');
+  }
+
+  destroy() {
+    for (const off of this._off) off();
+    this._off.length = 0;
+    this.el.remove();
+    this.removeAllListeners();
+  }
+
+  _set(field, text) {
+    if (this._text[field] === text) return;
+    this._text[field] = text;
+    this._fields[field].textContent = text;
+  }
+
+  _build() {
+    const el = document.createElement('div');
+    el.className = 'hud';
+    if (this.id) el.id = this.id;
+    const field = (className, parent = el) => {
+      const f = document.createElement('div');
+      f.className = className;
+      parent.appendChild(f);
+      return f;
+    };
+    const top = field('hud-top');
+    this._fields = {
+      timer: field('hud-timer', top),
+      best: field('hud-best', top),
+      checkpoints: field('hud-checkpoints'),
+      speed: field('hud-speed')
+    };
+    this._toastsEl = field('hud-toasts');
+
+    const pause = document.createElement('button');
+    pause.className = 'hud-pause';
+    pause.type = 'button';
+    pause.setAttribute('aria-label', 'Pause');
+    pause.textContent = 'II';
+    pause.addEventListener('click', () => this.emit('pause', {}));
+    el.appendChild(pause);
+
+    this.parent.appendChild(el);
+    this.el = el;
+  }
+
+  _injectStyles() {
+    if (document.getElementById('hud-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'hud-styles';
+    style.textContent = `
+.hud { position: fixed; inset: 0; pointer-events: none; user-select: none; z-index: 1001; color: #fff; font: 600 14px/1.2 system-ui,sans-serif; }
+.hud .hud-top { position: absolute; top: 14px; left: 50%; transform: translateX(-50%); text-align: center; }
+.hud .hud-timer {
+  font: 700 32px/1 ui-monospace, Menlo, Consolas, monospace; color: #0ff; letter-spacing: 0.04em;
+  text-shadow: 0 0 8px rgba(0,255,255,0.8), 0 0 20px rgba(0,128,255,0.6);
+}
+.hud.hud--ready .hud-timer { color: rgba(255,255,255,0.55); text-shadow: none; }
+.hud .hud-best { margin-top: 4px; color: rgba(191,255,255,0.7); font: 500 13px/1 ui-monospace, Menlo, Consolas, monospace; }
+.hud .hud-checkpoints, .hud .hud-speed {
+  position: absolute; top: 18px; padding: 6px 10px; border-radius: 10px;
+  background: rgba(0,0,0,0.35); border: 1px solid rgba(255,255,255,0.12); backdrop-filter: blur(3px);
+}
+.hud .hud-speed { right: 74px; font-family: ui-monospace, Menlo, Consolas, monospace; }
+.hud .hud-checkpoints { right: 74px; top: 58px; }
+.hud .hud-checkpoints:empty { display: none; }
+.hud .hud-toasts { position: absolute; top: 80px; left: 50%; transform: translateX(-50%); display: flex; flex-direction: column; align-items: center; gap: 6px; }
+.hud .hud-toast {
+  padding: 8px 14px; border-radius: 10px; white-space: pre; background: rgba(0,0,0,0.45);
+  border: 1px solid rgba(0,255,255,0.35); box-shadow: 0 0 12px rgba(0,255,255,0.25);
+}
+.hud .hud-toast--finish { font-size: 18px; border-color: rgba(255,0,170,0.6); box-shadow: 0 0 16px rgba(255,0,170,0.4); }
+.hud .hud-ahead { color: #3cff9e; }
+.hud .hud-behind { color: #ff3c6e; }
+.hud .hud-pause {
+  position: absolute; top: 12px; right: 14px; width: 44px; height: 44px; border-radius: 12px; pointer-events: auto;
+  border: 1px solid rgba(255,255,255,0.2); color: #fff; background: rgba(0,0,0,0.35); backdrop-filter: blur(3px);
+  font: 700 16px/1 system-ui,sans-serif; touch-action: manipulation; cursor: pointer;
+}
+@media (pointer: fine) { .hud .hud-pause { display: none; } .hud .hud-speed, .hud .hud-checkpoints { right: 18px; } }
+    `.trim();
+    document.head.appendChild(style);
+  }
+}
+
+/**
+ * Run time as m:ss.cc.
+ * @param {number} seconds
+ */
+export function formatTime(seconds) {
+  const cs = Math.floor(Math.max(0, seconds) * 100);
+  const m = Math.floor(cs / 6000);
+  const s = Math.floor(cs / 100) % 60;
+  return `${m}:${String(s).padStart(2, '0')}.${String(cs % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Signed split delta, e.g. '-0.52' when ahead of the personal best.
+ * @param {number} seconds
+ */
+export function formatDelta(seconds) {
+  return `${seconds <= 0 ? '-' : '+'}${Math.abs(seconds).toFixed(2)}`;
+}
@@ -0,0 +1,60 @@
+// save as src/index.js
+// Library entry: embed NeonParker in any page (built by `npm run build:lib` into dist/lib).
+// - mount(container, options) creates a canvas in the element, keeps it sized to the element and puts the HUD,
+//   menus and touch controls inside it instead of over the whole page; game.destroy() removes it all again and
+//   releases the canvas's WebGL context.
+// - createGame() is the same game on a canvas you manage yourself; see game.js for options and events.
+// - createRace() is the local split-screen race on a canvas you manage yourself; see race.js.
+
+import { createGame } from './game.js';
+
+export { createGame };
+export { createRace } from './race.js';
+export { LevelError, validateLevel } from './level.js';
+
+/**
+ * Mount the game inside `container` and start it.
+ * @param {HTMLElement} container - Gets a full-size child; give it a size (the game fills it)
+ * @param {Parameters<typeof createGame>[1]} [options] - createGame options; `container` and `parent` are set here
+ * @returns {import('./game.js').Game}
+ */
+export function mount(container, options = {}) {
+  if (!container?.appendChild) throw new Error('mount: container must be an element');
+  const doc = container.ownerDocument;
+  injectStyles(doc);
+  const root = doc.createElement('div');
+  root.className = 'neonparker';
+  const canvas = doc.createElement('canvas');
+  root.appendChild(canvas);
+  container.appendChild(root);
+
+  let game;
+  try {
+    game = createGame(canvas, { ...options, container: root, parent: root });
+  } catch (err) {
+    root.remove();
+    throw err;
+  }
+  // The canvas is ours and goes away: release its WebGL context now instead of waiting for garbage
+  // collection, or mounting repeatedly runs into the browser's limit on live contexts
+  game.on('destroy', () => {
+    game.renderer.forceContextLoss();
+    root.remove();
+  });
+  return game;
+}
+
+// The overlays pin themselves to the viewport (position: fixed); inside the mount root they pin to it instead
+function injectStyles(doc) {
+  if (doc.getElementById('neonparker-styles')) return;
+  const style = doc.createElement('style');
+  style.id = 'neonparker-styles';
+  style.textContent = `
+.neonparker { position: relative; width: 100%; height: 100%; overflow: hidden; }
+.neonparker > canvas { display: block; }
+.neonparker > .hud, .neonparker > .menu, .neonparker > #touch-ui,
+.neonparker > .touch-editor, .neonparker > .touch-editor-backdrop { position: absolute; }
+.neonparker > .touch-editor { max-width: 94%; }
+`;
+  doc.head.appendChild(style);
+}
@@ -1,265 +1,513 @@
 // save as src/input.js
-// InputManager: normalizes keyboard, touch (virtual joystick + jump/sprint buttons), and gamepad
-// into a unified state: { axis: { x, y }, jump: boolean, sprint: boolean }.
+// InputManager: normalizes keyboard, touch (floating joystick, look zone and buttons; see touch.js), and gamepad
+// into a unified state: { axis: { x, y }, look: { x, y }, lookDelta: { x, y }, jump, sprint, crouch, interact, pause, reset }.
 // - Axis is camera-relative friendly (x: right+, y: forward+).
+// - look is a rate from the right stick (x: right+, y: up+); lookDelta is pointer movement in pixels
+//   since the last update() from mouse drag / pointer lock and the touch look zone.
+// - Devices are mapped to actions through a rebindable action map (see bindings.js), persisted to localStorage.
+// - Each update() also computes per-action edges (pressed/released/heldTime) into state.actions, emits
+//   '<action>:pressed' / '<action>:released' events and keeps a short press history for buffering.
 // - Includes deadzone and clamping, simple smoothing via lerp.
-// - Injects a minimal touch UI with id="touch-ui" and CSS classes.
+// - Creates the touch UI (TouchControls, id="touch-ui") on coarse-pointer devices; its layout is customizable.
+// - Gamepads go through GamepadManager (see gamepad.js): hot-plug, active pad selection, per-pad deadzones,
+//   calibration of non-standard pads and rumble. Pass opts.getGamepads to drive it with fake pads.
+// - Device access goes through opts.window (default: the global window), so tests can run it against jsdom
+//   or a bare EventTarget; without any window it only reads gamepads.
 
-export class InputManager {
+import {
+  DEFAULT_BINDINGS, ACTIONS, BUTTON_ACTIONS, DEVICES,
+  cloneBindings, mergeBindings, isDirectional
+} from './bindings.js';
+import { Emitter } from './emitter.js';
+import { GamepadManager } from './gamepad.js';
+import { TouchControls } from './touch.js';
+
+// Keys whose default browser action (scrolling) is suppressed when bound
+const SCROLL_CODES = new Set(['Space', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'PageUp', 'PageDown']);
+
+// Move stick directions exposed as edge-triggered pseudo-actions (menu navigation)
+const MOVE_DIRECTIONS = [
+  { action: 'moveUp', axis: 'y', sign: 1 },
+  { action: 'moveDown', axis: 'y', sign: -1 },
+  { action: 'moveLeft', axis: 'x', sign: -1 },
+  { action: 'moveRight', axis: 'x', sign: 1 }
+];
+export const EDGE_ACTIONS = [...BUTTON_ACTIONS, ...MOVE_DIRECTIONS.map(d => d.action)];
+
+export class InputManager extends Emitter {
   constructor(opts = {}) {
+    super();
+    /** Source of keyboard/pointer events, the viewport and navigator; null in plain Node. */
+    this.window = opts.window ?? (typeof window !== 'undefined' ? window : null);
     this.deadzone = opts.deadzone ?? 0.15;
     this.smooth = opts.smooth ?? 0.2;
-    this.joystickRadius = opts.joystickRadius ?? 60;
-    this.gamepadIndex = opts.gamepadIndex ?? 0;
+    this.lookElement = opts.lookElement ?? null;
+    this.pointerLock = opts.pointerLock ?? false;
+    this.now = opts.now ?? (() => performance.now());
+    this.bufferTime = opts.bufferTime ?? 500;         // ms of press history kept for wasPressedWithin()
+    this.directionThreshold = opts.directionThreshold ?? 0.5; // stick deflection that counts as moveUp/Down/...
 
-    this.state = { axis: { x: 0, y: 0 }, jump: false, sprint: false };
+    // Action map; persisted bindings (if any) override the defaults
+    this.storageKey = opts.storageKey ?? 'neonparker:bindings';
+    this.storage = opts.storage ?? (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.persistBindings = opts.persistBindings ?? false;
+    this.bindings = mergeBindings(DEFAULT_BINDINGS, opts.bindings);
+    if (this.persistBindings) this.loadBindings();
 
-    this._kb = { x: 0, y: 0, jump: false, sprint: false, keys: new Set() };
-    this._gp = { x: 0, y: 0, jump: false, sprint: false };
-    this._touch = {
-      x: 0, y: 0, jump: false, sprint: false,
-      active: false, originX: 0, originY: 0, pointerId: null
+    this.state = {
+      axis: { x: 0, y: 0 }, look: { x: 0, y: 0 }, lookDelta: { x: 0, y: 0 },
+      jump: false, sprint: false, crouch: false, interact: false, pause: false, reset: false,
+      actions: {}
     };
+    this._edges = new ActionEdges(this, { bufferTime: this.bufferTime, directionThreshold: this.directionThreshold });
+    this.state.actions = this._edges.actions;
+
+    this._kb = { codes: new Set() };
+    this._gp = { buttons: [], axes: [] };
+    this._lookDelta = { x: 0, y: 0 };
+    this._mouse = { dragging: false };
     this._smoothed = { x: 0, y: 0 };
+    this._capture = null;
+
+    // Devices can be switched off (keyboard: false, mouse: false, gamepad: false), e.g. when embedded in a page
+    const gamepad = opts.gamepad ?? true;
+    /** All connected pads; gamepadIndex pins one, otherwise the last used pad is read. */
+    this.gamepads = new GamepadManager({
+      getGamepads: gamepad ? opts.getGamepads ?? (() => this.window?.navigator?.getGamepads?.() ?? []) : () => [],
+      eventTarget: gamepad ? opts.gamepadEventTarget ?? this.window : null,
+      index: opts.gamepadIndex ?? null,
+      deadzone: this.deadzone,
+      deadzoneMode: opts.deadzoneMode,
+      persist: opts.persistGamepads ?? this.persistBindings,
+      storage: this.storage
+    });
 
-    this._bindKeyboard();
-    this._setupTouchUI(opts.enableTouchUI);
+    if (opts.keyboard ?? true) this._bindKeyboard();
+    if (opts.mouse ?? true) this._bindMouse();
+    this._setupTouchUI(opts);
   }
 
   update() {
     this._pollGamepad();
+    const kbMove = this._keyboardVector('move');
+    const gpMove = this._gamepadVector('move');
     const candidates = [
-      { x: this._touch.x, y: this._touch.y },
-      { x: this._gp.x, y: this._gp.y },
-      { x: this._kb.x, y: this._kb.y },
+      this._touchVector('move'),
+      gpMove,
+      kbMove,
     ];
     let axis = { x: 0, y: 0 };
     const preferred = candidates.find(v => Math.abs(v.x) > 0.001 || Math.abs(v.y) > 0.001);
     if (preferred) axis = preferred;
     else {
-      axis.x = clamp(this._touch.x + this._gp.x + this._kb.x, -1, 1);
-      axis.y = clamp(this._touch.y + this._gp.y + this._kb.y, -1, 1);
+      axis.x = clamp(candidates[0].x + gpMove.x + kbMove.x, -1, 1);
+      axis.y = clamp(candidates[0].y + gpMove.y + kbMove.y, -1, 1);
     }
 
     this._smoothed.x = lerp(this._smoothed.x, axis.x, 1 - Math.pow(1 - this.smooth, 60 / 60));
     this._smoothed.y = lerp(this._smoothed.y, axis.y, 1 - Math.pow(1 - this.smooth, 60 / 60));
 
-    const jump = this._touch.jump || this._kb.jump || this._gp.jump;
-    const sprint = this._touch.sprint || this._kb.sprint || this._gp.sprint;
-
     this.state.axis.x = this._smoothed.x;
     this.state.axis.y = this._smoothed.y;
-    this.state.jump = !!jump;
-    this.state.sprint = !!sprint;
+    for (const action of BUTTON_ACTIONS) this.state[action] = this._buttonDown(action);
+
+    const gpLook = this._gamepadVector('look');
+    const kbLook = this._keyboardVector('look');
+    this.state.look.x = clamp(gpLook.x + kbLook.x, -1, 1);
+    this.state.look.y = clamp(gpLook.y + kbLook.y, -1, 1);
+    if (this.touch) {
+      const d = this.touch.takeLookDelta();
+      this._lookDelta.x += d.x;
+      this._lookDelta.y += d.y;
+    }
+    this.state.lookDelta.x = this._lookDelta.x;
+    this.state.lookDelta.y = this._lookDelta.y;
+    this._lookDelta.x = this._lookDelta.y = 0;
+
+    this._edges.update(this.state, axis, this.now());
 
     return this.getState();
   }
 
+  /**
+   * True if `action` was pressed within the last `ms` milliseconds (and not consumed).
+   * @param {string} action - A button action or moveUp/moveDown/moveLeft/moveRight
+   * @param {number} ms
+   */
+  wasPressedWithin(action, ms) {
+    return this._edges.wasPressedWithin(action, ms, this.now());
+  }
+
+  /**
+   * Like wasPressedWithin(), but removes the press so it triggers only once (e.g. a buffered jump).
+   * @returns {boolean}
+   */
+  consumePress(action, ms) {
+    return this._edges.consumePress(action, ms, this.now());
+  }
+
   getState() {
     return {
       axis: { x: this.state.axis.x, y: this.state.axis.y },
+      look: { x: this.state.look.x, y: this.state.look.y },
+      lookDelta: { x: this.state.lookDelta.x, y: this.state.lookDelta.y },
       jump: this.state.jump,
       sprint: this.state.sprint,
+      crouch: this.state.crouch,
+      interact: this.state.interact,
+      pause: this.state.pause,
+      reset: this.state.reset,
+      actions: copyActions(this.state.actions),
     };
   }
 
+  /**
+   * Current bindings (a copy; change them through rebind()).
+   * @returns {object}
+   */
+  getBindings() {
+    return cloneBindings(this.bindings);
+  }
+
+  /**
+   * Replace the bindings of one action on one device.
+   * For move/look keyboard and gamepadButtons, pass a per-direction object; only the given directions change.
+   * @param {string} action - e.g. 'jump', 'move'
+   * @param {'keyboard'|'gamepadButtons'|'gamepadAxes'|'touch'} device
+   * @param {string[]|number[]|object} value - KeyboardEvent.code strings, button indices, { x, y } axis pairs or touch control ids
+   * @example input.rebind('jump', 'keyboard', ['Space', 'KeyJ'])
+   * @example input.rebind('move', 'keyboard', { up: ['KeyZ'] })
+   */
+  rebind(action, device, value) {
+    if (!(action in this.bindings)) throw new Error(`InputManager.rebind: unknown action "${action}"`);
+    if (!DEVICES.includes(device) || !(device in this.bindings[action])) {
+      throw new Error(`InputManager.rebind: action "${action}" has no "${device}" bindings`);
+    }
+    this.bindings = mergeBindings(this.bindings, { [action]: { [device]: value } });
+    if (this.persistBindings) this.saveBindings();
+  }
+
+  /**
+   * Restore default bindings for one action, or for all actions when omitted.
+   * @param {string} [action]
+   */
+  resetBindings(action) {
+    if (action) this.bindings[action] = cloneBindings(DEFAULT_BINDINGS)[action];
+    else this.bindings = cloneBindings(DEFAULT_BINDINGS);
+    if (this.persistBindings) this.saveBindings();
+  }
+
+  /**
+   * Write the current bindings to storage (localStorage by default).
+   * @returns {boolean} false when storage is unavailable or full
+   */
+  saveBindings() {
+    if (!this.storage) return false;
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.bindings));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Load bindings from storage over the defaults. Malformed data is ignored.
+   * @returns {boolean} true when saved bindings were found
+   */
+  loadBindings() {
+    if (!this.storage) return false;
+    let saved = null;
+    try {
+      saved = JSON.parse(this.storage.getItem(this.storageKey) ?? 'null');
+    } catch {
+      saved = null;
+    }
+    if (!saved) return false;
+    this.bindings = mergeBindings(DEFAULT_BINDINGS, saved);
+    return true;
+  }
+
+  /**
+   * Wait for the next key (KeyboardEvent.code) or gamepad button (index) for a rebinding UI.
+   * The captured press is not delivered as gameplay input. Gamepad capture needs update() to keep running.
+   * @param {'keyboard'|'gamepadButtons'} device
+   * @returns {Promise<string|number|null>} null when cancelled
+   */
+  captureNextBinding(device = 'keyboard') {
+    this.cancelCapture();
+    return new Promise((resolve) => {
+      this._capture = { device, resolve, held: new Set(this._gp.buttons.flatMap((p, i) => (p ? [i] : []))) };
+    });
+  }
+
+  cancelCapture() {
+    if (!this._capture) return;
+    const { resolve } = this._capture;
+    this._capture = null;
+    resolve(null);
+  }
+
   destroy() {
-    window.removeEventListener('keydown', this._onKeyDown, { capture: false });
-    window.removeEventListener('keyup', this._onKeyUp, { capture: false });
+    this.cancelCapture();
+    const win = this.window;
+    win?.removeEventListener('keydown', this._onKeyDown, { capture: false });
+    win?.removeEventListener('keyup', this._onKeyUp, { capture: false });
+    win?.removeEventListener('blur', this._onBlur);
+    win?.removeEventListener('pointermove', this._onMouseMove);
+    win?.removeEventListener('pointerup', this._onMouseUp);
+    (this.lookElement ?? win)?.removeEventListener('pointerdown', this._onMouseDown);
     this._detachTouchUI();
+    this.gamepads.destroy();
   }
 
   _bindKeyboard() {
     this._onKeyDown = (e) => {
-      const k = e.key.toLowerCase();
-      if ([' ', 'arrowup', 'arrowdown', 'arrowleft', 'arrowright'].includes(k)) e.preventDefault();
-      this._kb.keys.add(k);
-      this._recalcKeyboardAxes();
-      if (k === ' ') this._kb.jump = true;
-      if (k === 'shift') this._kb.sprint = true;
+      if (this._capture?.device === 'keyboard') {
+        e.preventDefault();
+        const { resolve } = this._capture;
+        this._capture = null;
+        resolve(e.code);
+        return;
+      }
+      if (SCROLL_CODES.has(e.code) && this._isBoundKey(e.code)) e.preventDefault();
+      this._kb.codes.add(e.code);
     };
     this._onKeyUp = (e) => {
-      const k = e.key.toLowerCase();
-      this._kb.keys.delete(k);
-      this._recalcKeyboardAxes();
-      if (k === ' ') this._kb.jump = false;
-      if (k === 'shift') this._kb.sprint = false;
+      this._kb.codes.delete(e.code);
+    };
+    // Keys released while the window is unfocused never send keyup
+    this._onBlur = () => this._kb.codes.clear();
+    const win = this.window;
+    win?.addEventListener('keydown', this._onKeyDown, { passive: false });
+    win?.addEventListener('keyup', this._onKeyUp, { passive: true });
+    win?.addEventListener('blur', this._onBlur);
+  }
+
+  _bindMouse() {
+    // Drag with the mouse to look; with pointerLock, a click on lookElement captures the pointer
+    const win = this.window;
+    const target = this.lookElement ?? win;
+    const locked = () => !!this.lookElement && win?.document?.pointerLockElement === this.lookElement;
+    this._onMouseDown = (e) => {
+      if (e.pointerType && e.pointerType !== 'mouse') return;
+      if (this.pointerLock && this.lookElement && !locked()) {
+        this.lookElement.requestPointerLock?.();
+        return;
+      }
+      this._mouse.dragging = true;
+    };
+    this._onMouseMove = (e) => {
+      if (e.pointerType && e.pointerType !== 'mouse') return;
+      if (!this._mouse.dragging && !locked()) return;
+      this._lookDelta.x += e.movementX ?? 0;
+      this._lookDelta.y -= e.movementY ?? 0;
     };
-    window.addEventListener('keydown', this._onKeyDown, { passive: false });
-    window.addEventListener('keyup', this._onKeyUp, { passive: true });
+    this._onMouseUp = (e) => {
+      if (e.pointerType && e.pointerType !== 'mouse') return;
+      this._mouse.dragging = false;
+    };
+    target?.addEventListener('pointerdown', this._onMouseDown);
+    win?.addEventListener('pointermove', this._onMouseMove, { passive: true });
+    win?.addEventListener('pointerup', this._onMouseUp, { passive: true });
+  }
+
+  _isBoundKey(code) {
+    for (const action of ACTIONS) {
+      const kb = this.bindings[action].keyboard;
+      const lists = isDirectional(action, 'keyboard') ? Object.values(kb) : [kb];
+      if (lists.some(list => list.includes(code))) return true;
+    }
+    return false;
   }
 
-  _recalcKeyboardAxes() {
-    const ks = this._kb.keys;
-    const x = (ks.has('d') || ks.has('arrowright') ? 1 : 0) + (ks.has('a') || ks.has('arrowleft') ? -1 : 0);
-    const y = (ks.has('w') || ks.has('arrowup') ? 1 : 0) + (ks.has('s') || ks.has('arrowdown') ? -1 : 0);
-    const n = normalize2(x, y);
-    this._kb.x = n.x; this._kb.y = n.y;
+  _buttonDown(action) {
+    const b = this.bindings[action];
+    return b.keyboard.some(code => this._kb.codes.has(code)) ||
+      b.gamepadButtons.some(i => this._gp.buttons[i]) ||
+      b.touch.some(id => this.touch?.buttons[id]);
+  }
+
+  _keyboardVector(action) {
+    const kb = this.bindings[action].keyboard;
+    const held = dir => (kb[dir] ?? []).some(code => this._kb.codes.has(code));
+    return this._directionVector(held);
+  }
+
+  _gamepadVector(action) {
+    const b = this.bindings[action];
+    const held = dir => (b.gamepadButtons[dir] ?? []).some(i => this._gp.buttons[i]);
+    const dpad = this._directionVector(held);
+    if (Math.abs(dpad.x) > 0.001 || Math.abs(dpad.y) > 0.001) return dpad;
+    for (const pair of b.gamepadAxes) {
+      const s = this.gamepads.stick(pair.x, pair.y);
+      const v = { x: s.x, y: pair.invertY ? s.y : -s.y };
+      if (Math.abs(v.x) > 0.001 || Math.abs(v.y) > 0.001) return v;
+    }
+    return { x: 0, y: 0 };
+  }
+
+  _touchVector(action) {
+    const touch = this.touch;
+    return touch && this.bindings[action].touch.includes('joystick') ? { x: touch.vector.x, y: touch.vector.y } : { x: 0, y: 0 };
+  }
+
+  _directionVector(held) {
+    const x = (held('right') ? 1 : 0) + (held('left') ? -1 : 0);
+    const y = (held('up') ? 1 : 0) + (held('down') ? -1 : 0);
+    return normalize2(x, y);
   }
 
   _pollGamepad() {
-    const gps = navigator.getGamepads?.();
-    if (!gps) { this._gp.x = this._gp.y = 0; this._gp.jump = this._gp.sprint = false; return; }
-    const gp = gps[this.gamepadIndex];
-    if (!gp) { this._gp.x = this._gp.y = 0; this._gp.jump = this._gp.sprint = false; return; }
-    const rawX = gp.axes[0] ?? 0;
-    const rawY = gp.axes[1] ?? 0;
-    const dzX = applyDeadzone(rawX, this.deadzone);
-    const dzY = applyDeadzone(rawY, this.deadzone);
-    const v = normalize2(dzX, -dzY);
-    this._gp.x = v.x; this._gp.y = v.y;
-    const btn = i => !!gp.buttons?.[i]?.pressed;
-    this._gp.jump = btn(0) || btn(1);
-    this._gp.sprint = btn(10) || btn(11) || btn(4) || btn(5);
+    const pad = this.gamepads.poll();
+    this._gp.axes = pad.axes;
+    this._gp.buttons = pad.buttons.slice();
+
+    if (this._capture?.device === 'gamepadButtons') {
+      const { held } = this._capture;
+      const i = this._gp.buttons.findIndex((pressed, idx) => pressed && !held.has(idx));
+      // Buttons held when capture started must be released before they count
+      for (const idx of [...held]) if (!this._gp.buttons[idx]) held.delete(idx);
+      if (i >= 0) {
+        const { resolve } = this._capture;
+        this._capture = null;
+        this._gp.buttons[i] = false;
+        resolve(i);
+      }
+    }
   }
 
-  _setupTouchUI(enableTouchUI) {
+  _setupTouchUI(opts) {
     // Determine environment support for touch/joystick UI
+    const win = this.window;
     const autoTouch =
-      (typeof window !== 'undefined') &&
+      !!win?.document &&
       (
-        (window.matchMedia && window.matchMedia('(pointer: coarse)').matches) ||
-        ('ontouchstart' in window)
+        (win.matchMedia && win.matchMedia('(pointer: coarse)').matches) ||
+        ('ontouchstart' in win)
       );
 
     // Respect explicit enableTouchUI when provided; otherwise use environment detection
-    const preferTouch = (enableTouchUI ?? autoTouch);
-    if (!preferTouch) {
-      this._ui = null;
-      return;
+    const preferTouch = (opts.enableTouchUI ?? autoTouch);
+    /** On-screen controls (null without touch UI); see touch.js for layout and haptics. */
+    this.touch = preferTouch
+      ? new TouchControls({
+        deadzone: this.deadzone,
+        joystickRadius: opts.joystickRadius,
+        layout: opts.touchLayout,
+        persistLayout: opts.persistTouchLayout ?? this.persistBindings,
+        storage: this.storage,
+        window: win,
+        parent: opts.touchParent
+      })
+      : null;
+  }
+
+  _detachTouchUI() {
+    this.touch?.destroy();
+    this.touch = null;
+  }
+}
+
+/**
+ * An InputManager reading only one local-multiplayer player's device: the keyboard (and mouse) without pads,
+ * or one pinned gamepad without keyboard and mouse. Never shows the touch UI.
+ * @param {{ device: 'keyboard'|'gamepad', index?: number }} player - e.g. a JoinScreen player (see join.js)
+ * @param {object} [opts] - Further InputManager options
+ * @returns {InputManager}
+ */
+export function playerInput(player, opts = {}) {
+  if (player.device === 'gamepad') {
+    if (!Number.isInteger(player.index)) throw new Error('playerInput: a gamepad player needs a pad index');
+    return new InputManager({ ...opts, keyboard: false, mouse: false, gamepad: true, gamepadIndex: player.index, enableTouchUI: false });
+  }
+  if (player.device !== 'keyboard') throw new Error(`playerInput: unknown device "${player.device}"`);
+  return new InputManager({ ...opts, gamepad: false, enableTouchUI: false });
+}
+
+/**
+ * Edge detection shared by input sources (InputManager, ReplaySource): turns per-update levels
+ * into { down, pressed, released, heldTime } per action, emits '<action>:pressed' / '<action>:released'
+ * on `emitter` and keeps a short press history.
+ */
+export class ActionEdges {
+  /**
+   * @param {Emitter} emitter
+   * @param {{ bufferTime?: number, directionThreshold?: number }} [opts]
+   */
+  constructor(emitter, opts = {}) {
+    this.emitter = emitter;
+    this.bufferTime = opts.bufferTime ?? 500;
+    this.directionThreshold = opts.directionThreshold ?? 0.5;
+    this.actions = {};
+    for (const action of EDGE_ACTIONS) {
+      this.actions[action] = { down: false, pressed: false, released: false, heldTime: 0 };
     }
-    this._ui = document.getElementById('touch-ui');
-    if (!this._ui) {
-      this._ui = document.createElement('div');
-      this._ui.id = 'touch-ui';
-      document.body.appendChild(this._ui);
+    this._pressLog = []; // { action, time } in ms, oldest first
+    this._lastUpdate = null;
+  }
+
+  /**
+   * @param {object} state - Input state with the button action booleans
+   * @param {{ x: number, y: number }} axis - Unsmoothed move vector for moveUp/Down/Left/Right
+   * @param {number} now - Timestamp in ms
+   */
+  update(state, axis, now) {
+    const dt = this._lastUpdate === null ? 0 : Math.max(0, now - this._lastUpdate) / 1000;
+    this._lastUpdate = now;
+
+    const levels = {};
+    for (const action of BUTTON_ACTIONS) levels[action] = !!state[action];
+    for (const d of MOVE_DIRECTIONS) levels[d.action] = axis[d.axis] * d.sign >= this.directionThreshold;
+
+    for (const action of EDGE_ACTIONS) {
+      const a = this.actions[action];
+      const down = levels[action];
+      a.pressed = down && !a.down;
+      a.released = !down && a.down;
+      const heldTime = a.down ? a.heldTime + dt : 0;
+      a.down = down;
+      a.heldTime = down ? heldTime : 0;
+      if (a.pressed) {
+        this._pressLog.push({ action, time: now });
+        this.emitter.emit(`${action}:pressed`, { action, time: now });
+      } else if (a.released) {
+        this.emitter.emit(`${action}:released`, { action, time: now, heldTime });
+      }
     }
-    this._injectStyles();
-
-    this._joystick = document.createElement('div');
-    this._joystick.className = 'touch-joystick';
-    this._stick = document.createElement('div');
-    this._stick.className = 'touch-stick';
-    this._joystick.appendChild(this._stick);
-
-    this._buttonsWrap = document.createElement('div');
-    this._buttonsWrap.className = 'touch-buttons';
-    this._btnJump = document.createElement('button');
-    this._btnJump.className = 'touch-button touch-button--jump';
-    this._btnJump.textContent = 'Jump';
-    this._btnSprint = document.createElement('button');
-    this._btnSprint.className = 'touch-button touch-button--sprint';
-    this._btnSprint.textContent = 'Sprint';
-
-    this._buttonsWrap.appendChild(this._btnJump);
-    this._buttonsWrap.appendChild(this._btnSprint);
-    this._ui.appendChild(this._joystick);
-    this._ui.appendChild(this._buttonsWrap);
-
-    const onJoyDown = (e) => {
-      e.preventDefault();
-      if (this._touch.active) return;
-      const p = getPoint(e);
-      this._touch.active = true;
-      this._touch.pointerId = getPointerId(e);
-      this._touch.originX = p.x;
-      this._touch.originY = p.y;
-      this._updateStickVisual(0, 0);
-      setPointerCaptureSafe(this._joystick, e);
-    };
-    const onJoyMove = (e) => {
-      if (!this._touch.active || getPointerId(e) !== this._touch.pointerId) return;
-      const p = getPoint(e);
-      const dx = p.x - this._touch.originX;
-      const dy = p.y - this._touch.originY;
-      const angle = Math.atan2(dy, dx);
-      const dist = Math.min(Math.hypot(dx, dy), this.joystickRadius);
-      const nx = Math.cos(angle) * (dist / this.joystickRadius);
-      const ny = Math.sin(angle) * (dist / this.joystickRadius);
-      let ax = applyDeadzone(nx, this.deadzone);
-      let ay = applyDeadzone(-ny, this.deadzone);
-      const norm = normalize2(ax, ay);
-      this._touch.x = norm.x;
-      this._touch.y = norm.y;
-      this._updateStickVisual(nx * this.joystickRadius, ny * this.joystickRadius);
-    };
-    const onJoyUp = (e) => {
-      if (!this._touch.active || getPointerId(e) !== this._touch.pointerId) return;
-      this._touch.active = false;
-      this._touch.pointerId = null;
-      this._touch.x = this._touch.y = 0;
-      this._updateStickVisual(0, 0);
-      releasePointerCaptureSafe(this._joystick, e);
-    };
 
-    this._joystick.addEventListener('pointerdown', onJoyDown, { passive: false });
-    window.addEventListener('pointermove', onJoyMove, { passive: false });
-    window.addEventListener('pointerup', onJoyUp, { passive: true });
-    window.addEventListener('pointercancel', onJoyUp, { passive: true });
-    window.addEventListener('pointerleave', onJoyUp, { passive: true });
-
-    const onJumpDown = (e) => { e.preventDefault(); this._touch.jump = true; };
-    const onJumpUp = () => { this._touch.jump = false; };
-    this._btnJump.addEventListener('pointerdown', onJumpDown, { passive: false });
-    this._btnJump.addEventListener('pointerup', onJumpUp, { passive: true });
-    this._btnJump.addEventListener('pointercancel', onJumpUp, { passive: true });
-    this._btnJump.addEventListener('pointerleave', onJumpUp, { passive: true });
-
-    const onSprintDown = (e) => { e.preventDefault(); this._touch.sprint = true; };
-    const onSprintUp = () => { this._touch.sprint = false; };
-    this._btnSprint.addEventListener('pointerdown', onSprintDown, { passive: false });
-    this._btnSprint.addEventListener('pointerup', onSprintUp, { passive: true });
-    this._btnSprint.addEventListener('pointercancel', onSprintUp, { passive: true });
-    this._btnSprint.addEventListener('pointerleave', onSprintUp, { passive: true });
+    const cutoff = now - this.bufferTime;
+    while (this._pressLog.length && this._pressLog[0].time < cutoff) this._pressLog.shift();
   }
 
-  _detachTouchUI() {
-    if (!this._ui) return;
-    this._ui.remove();
-    this._ui = null;
+  wasPressedWithin(action, ms, now) {
+    return this._findPress(action, now - ms) >= 0;
   }
 
-  _updateStickVisual(dx, dy) {
-    if (this._stick) this._stick.style.transform = `translate(${dx}px, ${dy}px)`;
+  consumePress(action, ms, now) {
+    const i = this._findPress(action, now - ms);
+    if (i < 0) return false;
+    this._pressLog.splice(i, 1);
+    return true;
   }
 
-  _injectStyles() {
-    if (document.getElementById('touch-ui-styles')) return;
-    const style = document.createElement('style');
-    style.id = 'touch-ui-styles';
-    style.textContent = `
-#touch-ui { position: fixed; inset: 0; pointer-events: none; user-select: none; z-index: 1000; }
-#touch-ui .touch-joystick {
-  position: absolute; left: 18px; bottom: 18px;
-  width: ${this.joystickRadius * 2}px; height: ${this.joystickRadius * 2}px;
-  border-radius: 999px; background: rgba(255,255,255,0.06); border: 1px solid rgba(255,255,255,0.12);
-  pointer-events: auto; touch-action: none; backdrop-filter: blur(2px);
-}
-#touch-ui .touch-stick {
-  position: absolute; left: 50%; top: 50%;
-  width: ${this.joystickRadius * 0.9}px; height: ${this.joystickRadius * 0.9}px;
-  margin-left: -${this.joystickRadius * 0.45}px; margin-top: -${this.joystickRadius * 0.45}px;
-  border-radius: 999px;
-  background: radial-gradient(circle at 30% 30%, rgba(0,255,255,0.6), rgba(0,128,255,0.35));
-  border: 1px solid rgba(0,200,255,0.4); transition: transform 60ms linear;
-}
-#touch-ui .touch-buttons {
-  position: absolute; right: 18px; bottom: 18px; display: flex; flex-direction: column; gap: 12px; pointer-events: auto;
-}
-#touch-ui .touch-button {
-  min-width: 84px; height: 56px; padding: 0 14px; border-radius: 12px;
-  border: 1px solid rgba(255,255,255,0.2); color: #fff; background: rgba(0,0,0,0.35);
-  font: 600 14px/1 system-ui,sans-serif; box-shadow: 0 6px 18px rgba(0,0,0,0.3), inset 0 0 8px rgba(255,255,255,0.08);
-  backdrop-filter: blur(3px); touch-action: none;
-}
-#touch-ui .touch-button--jump { background: linear-gradient(180deg, rgba(0,170,255,0.45), rgba(0,110,200,0.45)); }
-#touch-ui .touch-button--sprint { background: linear-gradient(180deg, rgba(0,255,170,0.45), rgba(0,200,110,0.45)); }
-@media (pointer: fine) { #touch-ui { display: none; } }
-    `.trim();
-    document.head.appendChild(style);
+  _findPress(action, cutoff) {
+    for (let i = this._pressLog.length - 1; i >= 0; i--) {
+      const entry = this._pressLog[i];
+      if (entry.time < cutoff) break;
+      if (entry.action === action) return i;
+    }
+    return -1;
   }
 }
 
+/** Copy of a state.actions map, so callers can't mutate the live one. */
+export function copyActions(actions) {
+  const out = {};
+  for (const k in actions) out[k] = { ...actions[k] };
+  return out;
+}
+
 // Utility functions
 function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
 function lerp(a, b, t) { return a + (b - a) * clamp(t, 0, 1); }
@@ -269,16 +517,3 @@ function normalize2(x, y) {
   const m = 1 / Math.max(1, len);
   return { x: x * m, y: y * m };
 }
-function applyDeadzone(v, dz) {
-  const s = Math.sign(v), a = Math.abs(v);
-  if (a <= dz) return 0;
-  return s * (a - dz) / (1 - dz);
-}
-function getPointerId(e) { return e.pointerId ?? 0; }
-function getPoint(e) {
-  if ('clientX' in e) return { x: e.clientX, y: e.clientY };
-  if (e.touches && e.touches[0]) return { x: e.touches[0].clientX, y: e.touches[0].clientY };
-  return { x: 0, y: 0 };
-}
-function setPointerCaptureSafe(el, e) { try { el.setPointerCapture?.(e.pointerId); } catch {} }
-function releasePointerCaptureSafe(el, e) { try { el.releasePointerCapture?.(e.pointerId); } catch {} }
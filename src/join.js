@@ -0,0 +1,253 @@
+// save as src/join.js
+// JoinScreen: local multiplayer lobby where players claim split-screen slots with the device they will play on.
+// - Keyboard: Space or Enter joins (one keyboard player), Escape leaves; Enter starts once enough players joined.
+// - Gamepads: A joins with that pad, B leaves, Start joins or starts. Each pad can hold one slot.
+// - Pads are read raw in the standard layout (A = 0, B = 1, Start = 9) from getGamepads, one update() per frame;
+//   a pad that disconnects gives up its slot.
+// - Emits 'join' / 'leave' { player }, 'start' { players } and 'cancel' (back out with nobody joined).
+//   A player is { slot, device: 'keyboard' } or { slot, device: 'gamepad', index, id }, see playerInput() in input.js.
+// - Injects its neon styles once, like the menus in menu.js.
+
+import { Emitter } from './emitter.js';
+
+/** Slot colors, P1 to P4: avatar accents, trails and labels. */
+export const PLAYER_COLORS = ['#ff6600', '#00e5ff', '#ff2bd6', '#7dff3a'];
+
+const PAD = { join: 0, leave: 1, start: 9 };
+
+export class JoinScreen extends Emitter {
+  /**
+   * @param {object} [opts]
+   * @param {HTMLElement} [opts.parent] - Default document.body
+   * @param {Window} [opts.window] - Source of keyboard events and navigator.getGamepads (default: the global window)
+   * @param {() => (Gamepad|null)[]} [opts.getGamepads] - Defaults to the window's navigator.getGamepads
+   * @param {number} [opts.maxPlayers] - Slots (1-4, default 4)
+   * @param {number} [opts.minPlayers] - Players needed to start (default 2)
+   * @param {{ device: string, index?: number }[]} [opts.players] - Already joined, e.g. when changing players after a race
+   */
+  constructor(opts = {}) {
+    super();
+    this.parent = opts.parent ?? document.body;
+    this.window = opts.window ?? (typeof window !== 'undefined' ? window : null);
+    this.getGamepads = opts.getGamepads ?? (() => this.window?.navigator?.getGamepads?.() ?? []);
+    this.maxPlayers = Math.min(4, opts.maxPlayers ?? 4);
+    this.minPlayers = Math.min(this.maxPlayers, opts.minPlayers ?? 2);
+    /** @type {({ slot: number, device: string, index?: number, id?: string }|null)[]} */
+    this.slots = new Array(this.maxPlayers).fill(null);
+    this.isOpen = false;
+    this._prevButtons = new Map(); // pad index -> buttons down last update()
+
+    this._onKeyDown = (e) => this._key(e);
+    this._injectStyles();
+    this._build();
+    for (const p of opts.players ?? []) this.join(p.device, p);
+  }
+
+  /** Joined players in slot order. */
+  get players() {
+    return this.slots.filter(Boolean);
+  }
+
+  get canStart() {
+    return this.players.length >= this.minPlayers;
+  }
+
+  open() {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    // Buttons already down (the press that opened the lobby) must be released first
+    this._prevButtons.clear();
+    for (const gp of this._pads()) this._prevButtons.set(gp.index, buttonsDown(gp));
+    this.window?.addEventListener('keydown', this._onKeyDown);
+    this.el.classList.add('join--open');
+    this._render();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.window?.removeEventListener('keydown', this._onKeyDown);
+    this.el.classList.remove('join--open');
+  }
+
+  /**
+   * Claim the first free slot for a device.
+   * @param {'keyboard'|'gamepad'} device
+   * @param {{ index?: number, id?: string }} [pad] - The gamepad
+   * @returns {object|null} The player, or null when the device already has a slot or all are taken
+   */
+  join(device, pad = {}) {
+    if (this._find(device, pad.index)) return null;
+    const slot = this.slots.indexOf(null);
+    if (slot < 0) return null;
+    const player = device === 'gamepad'
+      ? { slot, device, index: pad.index, id: pad.id ?? '' }
+      : { slot, device: 'keyboard' };
+    this.slots[slot] = player;
+    this._render();
+    this.emit('join', { player });
+    return player;
+  }
+
+  /**
+   * Give up the slot held by a device.
+   * @param {'keyboard'|'gamepad'} device
+   * @param {number} [index] - Gamepad index
+   */
+  leave(device, index) {
+    const player = this._find(device, index);
+    if (!player) return;
+    this.slots[player.slot] = null;
+    this._render();
+    this.emit('leave', { player });
+  }
+
+  /** Start when enough players joined. */
+  start() {
+    if (!this.canStart) return false;
+    this.emit('start', { players: this.players });
+    return true;
+  }
+
+  /** Poll the pads for join/leave/start presses; call once per frame while open. */
+  update() {
+    if (!this.isOpen) return;
+    const pads = this._pads();
+    for (const gp of pads) {
+      const down = buttonsDown(gp);
+      const prev = this._prevButtons.get(gp.index) ?? [];
+      this._prevButtons.set(gp.index, down);
+      const press = (b) => down[b] && !prev[b];
+      const joined = this._find('gamepad', gp.index);
+      if (press(PAD.join) || (press(PAD.start) && !joined)) {
+        this.join('gamepad', gp);
+      } else if (press(PAD.start)) {
+        this.start();
+      } else if (press(PAD.leave)) {
+        if (joined) this.leave('gamepad', gp.index);
+        else if (!this.players.length) this.emit('cancel', {});
+      }
+      if (!this.isOpen) return; // a listener closed the lobby
+    }
+    for (const p of this.players) {
+      if (p.device === 'gamepad' && !pads.some(gp => gp.index === p.index)) this.leave('gamepad', p.index);
+    }
+  }
+
+  destroy() {
+    this.close();
+    this.el?.remove();
+    this.el = null;
+    this.removeAllListeners();
+  }
+
+  _key(e) {
+    if (e.repeat) return;
+    const joined = this._find('keyboard');
+    if (e.code === 'Space' || (e.code === 'Enter' && !joined)) {
+      e.preventDefault();
+      this.join('keyboard');
+    } else if (e.code === 'Enter') {
+      e.preventDefault();
+      this.start();
+    } else if (e.code === 'Escape') {
+      if (joined) this.leave('keyboard');
+      else if (!this.players.length) this.emit('cancel', {});
+    }
+  }
+
+  _find(device, index) {
+    return this.slots.find(p => p && p.device === device && (device !== 'gamepad' || p.index === index)) ?? null;
+  }
+
+  _pads() {
+    return Array.from(this.getGamepads() ?? []).filter(gp => gp && gp.connected !== false);
+  }
+
+  _render() {
+    if (!this.el) return;
+    this.slots.forEach((player, i) => {
+      const card = this._cards[i];
+      card.classList.toggle('join-slot--taken', !!player);
+      card.querySelector('.join-device').textContent = player
+        ? (player.device === 'keyboard' ? 'Keyboard' : `Gamepad ${player.index + 1}`)
+        : 'Press A / Space';
+    });
+    const missing = this.minPlayers - this.players.length;
+    this._status.textContent = missing > 0
+      ? `${missing} more player${missing > 1 ? 's' : ''} to start`
+      : 'Start / Enter to race';
+  }
+
+  _build() {
+    const el = document.createElement('div');
+    el.id = 'join';
+    const panel = document.createElement('div');
+    panel.className = 'join-panel';
+    const title = document.createElement('h1');
+    title.className = 'join-title';
+    title.textContent = 'Local race';
+    const slots = document.createElement('div');
+    slots.className = 'join-slots';
+    this._cards = this.slots.map((_, i) => {
+      const card = document.createElement('div');
+      card.className = 'join-slot';
+      card.style.setProperty('--slot-color', PLAYER_COLORS[i]);
+      const label = document.createElement('div');
+      label.className = 'join-label';
+      label.textContent = `P${i + 1}`;
+      const device = document.createElement('div');
+      device.className = 'join-device';
+      card.append(label, device);
+      slots.appendChild(card);
+      return card;
+    });
+    this._status = document.createElement('div');
+    this._status.className = 'join-status';
+    const hint = document.createElement('div');
+    hint.className = 'join-hint';
+    hint.textContent = 'A / Space join · B / Esc leave · Start / Enter race';
+    panel.append(title, slots, this._status, hint);
+    el.appendChild(panel);
+    this.parent.appendChild(el);
+    this.el = el;
+  }
+
+  _injectStyles() {
+    if (document.getElementById('join-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'join-styles';
+    style.textContent = `
+#join {
+  position: fixed; inset: 0; z-index: 1100; display: none; align-items: center; justify-content: center;
+  background: radial-gradient(ellipse at center, rgba(10,12,30,0.6), rgba(0,0,0,0.85)); backdrop-filter: blur(4px);
+  color: #fff; font: 600 16px/1.2 system-ui,sans-serif; user-select: none;
+}
+#join.join--open { display: flex; }
+#join .join-panel { width: min(720px, 94vw); display: flex; flex-direction: column; gap: 18px; }
+#join .join-title {
+  margin: 0; text-align: center; font-size: 30px; letter-spacing: 0.14em; text-transform: uppercase; color: #0ff;
+  text-shadow: 0 0 8px rgba(0,255,255,0.8), 0 0 24px rgba(0,128,255,0.6);
+}
+#join .join-slots { display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 12px; }
+#join .join-slot {
+  display: flex; flex-direction: column; align-items: center; justify-content: center; gap: 10px; min-height: 120px;
+  border-radius: 14px; border: 1px dashed rgba(255,255,255,0.25); background: rgba(0,0,0,0.35); color: rgba(255,255,255,0.45);
+}
+#join .join-slot--taken {
+  border: 1px solid var(--slot-color); color: #fff;
+  box-shadow: 0 0 16px color-mix(in srgb, var(--slot-color) 55%, transparent), inset 0 0 10px rgba(255,255,255,0.08);
+}
+#join .join-label { font-size: 28px; letter-spacing: 0.08em; }
+#join .join-slot--taken .join-label { color: var(--slot-color); text-shadow: 0 0 10px var(--slot-color); }
+#join .join-device { font-weight: 500; font-size: 14px; }
+#join .join-status { text-align: center; color: rgba(191,255,255,0.85); }
+#join .join-hint { text-align: center; color: rgba(255,255,255,0.5); font: 500 12px/1.4 system-ui,sans-serif; }
+    `.trim();
+    document.head.appendChild(style);
+  }
+}
+
+function buttonsDown(gp) {
+  return Array.from(gp.buttons ?? [], b => !!b?.pressed);
+}
@@ -0,0 +1,469 @@
+// save as src/level.js
+// Level data: a versioned JSON format and a loader that turns it into meshes plus CollisionWorld colliders.
+// - validateLevel() checks a parsed level and fills defaults; problems throw a LevelError naming the field
+//   (e.g. `platforms[2].size`).
+// - loadLevel() builds everything under one THREE.Group and returns a Level whose dispose() removes it again,
+//   so a level can be swapped at runtime (Vite HMR in main.js). The scene's background and fog go back to
+//   what they were before the first of a chain of swapped levels.
+// - The start zone, checkpoints and the finish zone are trigger volumes only; they don't collide.
+
+import * as THREE from 'three';
+import { createNeonGround } from './ground.js';
+import { NeonSurface } from './neon.js';
+
+export const LEVEL_FORMAT = 'neonparker-level';
+export const LEVEL_VERSION = 1;
+
+export const DEFAULT_PALETTE = {
+  background: '#202025',
+  ground: '#0b0f1a',
+  glow: '#00ffff',
+  rim: '#66ccff',
+  grid: '#00e5ff',
+  platform: '#1a2238',
+  platformEmissive: '#0a3a5a',
+  wall: '#221a38',
+  wallEmissive: '#3a0a5a',
+  start: '#ffd400',
+  checkpoint: '#ff00ff',
+  finish: '#39ff14'
+};
+
+const LIGHT_TYPES = ['hemisphere', 'directional', 'point', 'ambient'];
+
+// Scene -> the level whose background and fog it shows. A level loaded while another is still up
+// (load the next, then dispose the old one) takes over the old one's saved backdrop.
+const sceneOwners = new WeakMap();
+
+/** Thrown for malformed level data; `path` names the offending field. */
+export class LevelError extends Error {
+  /**
+   * @param {string} path - Field path such as `platforms[2].size`
+   * @param {string} message
+   * @param {string} [levelName]
+   */
+  constructor(path, message, levelName) {
+    super(`${levelName ? `Level "${levelName}": ` : 'Level: '}${path ? `${path} ` : ''}${message}`);
+    this.name = 'LevelError';
+    this.path = path;
+  }
+}
+
+/**
+ * Validate parsed level JSON and return a normalized copy with defaults filled in.
+ * @param {object} data
+ * @returns {object}
+ * @throws {LevelError}
+ */
+export function validateLevel(data) {
+  const name = typeof data?.name === 'string' ? data.name : undefined;
+  const fail = (path, message) => { throw new LevelError(path, message, name); };
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) fail('', 'must be an object');
+  if (data.format !== LEVEL_FORMAT) fail('format', `must be "${LEVEL_FORMAT}"`);
+  if (!Number.isInteger(data.version)) fail('version', 'must be an integer');
+  if (data.version > LEVEL_VERSION) fail('version', `${data.version} is newer than supported (${LEVEL_VERSION})`);
+  checkKeys(data, ['format', 'version', 'name', 'spawn', 'killY', 'palette', 'ground', 'fog', 'platforms', 'walls', 'start', 'checkpoints', 'finish', 'lights'], '', fail);
+  if (data.name !== undefined && typeof data.name !== 'string') fail('name', 'must be a string');
+
+  const level = {
+    format: LEVEL_FORMAT,
+    version: data.version,
+    name: name ?? 'Untitled',
+    spawn: null,
+    killY: -20,
+    palette: { ...DEFAULT_PALETTE },
+    ground: null,
+    fog: null,
+    platforms: [],
+    walls: [],
+    start: null,
+    checkpoints: [],
+    finish: null,
+    lights: []
+  };
+
+  // Spawn
+  if (!isObject(data.spawn)) fail('spawn', 'must be an object with a position');
+  checkKeys(data.spawn, ['position', 'yawDeg'], 'spawn', fail);
+  level.spawn = {
+    position: vec3(data.spawn.position, 'spawn.position', fail),
+    yawDeg: optionalNumber(data.spawn.yawDeg, 180, 'spawn.yawDeg', fail)
+  };
+
+  // Falling below killY counts as a fall (respawn)
+  level.killY = optionalNumber(data.killY, level.killY, 'killY', fail);
+
+  // Palette
+  if (data.palette !== undefined) {
+    if (!isObject(data.palette)) fail('palette', 'must be an object');
+    checkKeys(data.palette, Object.keys(DEFAULT_PALETTE), 'palette', fail);
+    for (const [key, value] of Object.entries(data.palette)) level.palette[key] = color(value, `palette.${key}`, fail);
+  }
+
+  // Ground (infinite plane); omit or set to null for none
+  if (data.ground !== undefined && data.ground !== null) {
+    if (!isObject(data.ground)) fail('ground', 'must be an object or null');
+    checkKeys(data.ground, ['y', 'size', 'follow'], 'ground', fail);
+    level.ground = {
+      y: optionalNumber(data.ground.y, 0, 'ground.y', fail),
+      size: optionalNumber(data.ground.size, 120, 'ground.size', fail),
+      follow: data.ground.follow ?? false
+    };
+    if (level.ground.size <= 0) fail('ground.size', 'must be positive');
+    if (typeof level.ground.follow !== 'boolean') fail('ground.follow', 'must be a boolean');
+  }
+
+  // Distance fog, in the background color unless given
+  if (data.fog !== undefined && data.fog !== null) {
+    if (!isObject(data.fog)) fail('fog', 'must be an object or null');
+    checkKeys(data.fog, ['near', 'far', 'color'], 'fog', fail);
+    level.fog = {
+      near: optionalNumber(data.fog.near, 30, 'fog.near', fail),
+      far: optionalNumber(data.fog.far, 100, 'fog.far', fail),
+      color: data.fog.color === undefined ? level.palette.background : color(data.fog.color, 'fog.color', fail)
+    };
+    if (level.fog.far <= level.fog.near) fail('fog.far', 'must be greater than fog.near');
+  }
+
+  level.platforms = list(data.platforms, 'platforms', fail).map((p, i) => platform(p, `platforms[${i}]`, fail));
+  level.walls = list(data.walls, 'walls', fail).map((w, i) => {
+    const path = `walls[${i}]`;
+    if (!isObject(w)) fail(path, 'must be an object');
+    checkKeys(w, ['center', 'size'], path, fail);
+    return { center: vec3(w.center, `${path}.center`, fail), size: size3(w.size, `${path}.size`, fail) };
+  });
+
+  if (data.start !== undefined && data.start !== null) level.start = triggerZone(data.start, 'start', fail);
+
+  const ids = new Set();
+  level.checkpoints = list(data.checkpoints, 'checkpoints', fail).map((c, i) => {
+    const path = `checkpoints[${i}]`;
+    const zone = triggerZone(c, path, fail, ['id']);
+    zone.id = c.id === undefined ? `cp${i + 1}` : c.id;
+    if (typeof zone.id !== 'string' || !zone.id) fail(`${path}.id`, 'must be a non-empty string');
+    if (ids.has(zone.id)) fail(`${path}.id`, `duplicates "${zone.id}"`);
+    ids.add(zone.id);
+    return zone;
+  });
+  if (data.finish !== undefined && data.finish !== null) level.finish = triggerZone(data.finish, 'finish', fail);
+
+  level.lights = list(data.lights, 'lights', fail).map((l, i) => light(l, `lights[${i}]`, fail));
+  return level;
+}
+
+/**
+ * A built level. Holds the scene graph, the colliders it registered and the trigger volumes.
+ */
+export class Level {
+  constructor(data, group, world) {
+    this.data = data;
+    this.name = data.name;
+    this.group = group;
+    this.world = world;
+    this.colliders = [];
+    this.spawn = {
+      position: new THREE.Vector3().fromArray(data.spawn.position),
+      rotation: THREE.MathUtils.degToRad(data.spawn.yawDeg) // Player.rotation convention (0 faces +Z)
+    };
+    this.killY = data.killY;
+    /** @type {{ box: THREE.Box3, mesh: THREE.Mesh } | null} */
+    this.start = null;
+    /** @type {{ id: string, index: number, box: THREE.Box3, mesh: THREE.Mesh }[]} */
+    this.checkpoints = [];
+    /** @type {{ box: THREE.Box3, mesh: THREE.Mesh } | null} */
+    this.finish = null;
+    this.ground = null;
+    /** @type {NeonSurface[]} ground, platform and wall shading */
+    this.surfaces = [];
+    this._moving = []; // { collider, mesh }
+    this._disposables = new Set();
+    this._scene = null;
+    this._backdrop = null; // { background, fog } to restore on dispose
+  }
+
+  /**
+   * Copy moving platform positions onto their meshes. Call after world.update().
+   */
+  update() {
+    for (const { collider, mesh } of this._moving) {
+      mesh.position.addVectors(collider.min, collider.max).multiplyScalar(0.5);
+    }
+  }
+
+  /**
+   * Start a ripple on every neon surface of the level (footsteps, landings).
+   * @param {THREE.Vector3} position
+   * @param {number} [strength]
+   */
+  addRipple(position, strength = 1) {
+    for (const s of this.surfaces) s.addRipple(position, strength);
+  }
+
+  /**
+   * Remove meshes and colliders and free GPU resources.
+   */
+  dispose() {
+    this.group.removeFromParent();
+    if (this.world) for (const c of this.colliders) this.world.remove(c);
+    for (const d of this._disposables) d.dispose();
+    this._disposables.clear();
+    this.surfaces.length = 0;
+    this.colliders.length = 0;
+    this._moving.length = 0;
+    if (this._scene && sceneOwners.get(this._scene) === this) {
+      this._scene.background = this._backdrop.background;
+      this._scene.fog = this._backdrop.fog;
+      sceneOwners.delete(this._scene);
+    }
+    this._scene = this._backdrop = null;
+  }
+}
+
+/**
+ * Build a level into `scene` and `world`.
+ * @param {object} data - Parsed level JSON (validated here)
+ * @param {{ scene: THREE.Scene, world?: import('./collision.js').CollisionWorld }} target
+ * @returns {Level}
+ * @throws {LevelError}
+ */
+export function loadLevel(data, { scene, world } = {}) {
+  const def = validateLevel(data);
+  const pal = def.palette;
+  const group = new THREE.Group();
+  group.name = `level:${def.name}`;
+  const level = new Level(def, group, world);
+  const track = obj => { level._disposables.add(obj); return obj; };
+  const surface = opts => { const s = track(new NeonSurface(opts)); level.surfaces.push(s); return s; };
+  const addCollider = c => { level.colliders.push(c); return c; };
+
+  if (scene) {
+    const owner = sceneOwners.get(scene);
+    level._scene = scene;
+    level._backdrop = owner ? owner._backdrop : { background: scene.background, fog: scene.fog };
+    sceneOwners.set(scene, level);
+    scene.background = new THREE.Color(pal.background);
+    scene.fog = def.fog ? new THREE.Fog(def.fog.color, def.fog.near, def.fog.far) : null;
+  }
+
+  if (def.ground) {
+    const ground = createNeonGround({
+      size: def.ground.size,
+      follow: def.ground.follow,
+      surface: surface({ palette: { base: pal.ground, glow: pal.glow, rim: pal.rim, grid: pal.grid } })
+    });
+    ground.position.y = def.ground.y;
+    track(ground.geometry);
+    track(ground.material);
+    group.add(ground);
+    level.ground = ground;
+    if (world) addCollider(world.addPlane({ y: def.ground.y }));
+  }
+
+  const boxGeometry = track(new THREE.BoxGeometry(1, 1, 1));
+  // Blocks share the ground's neon look, toned down, over their own base color and constant emissive
+  const blockSurface = (base, emissive) => {
+    const s = surface({
+      palette: { base, glow: pal.glow, rim: pal.rim, grid: pal.grid },
+      noise: { intensity: 0.25 },
+      rim: { intensity: 0.5 },
+      grid: { spacing: 1, intensity: 0.35 }
+    });
+    const material = track(s.apply(new THREE.MeshStandardMaterial({ emissive })));
+    return { surface: s, material };
+  };
+  const platformLook = blockSurface(pal.platform, pal.platformEmissive);
+  const wallLook = blockSurface(pal.wall, pal.wallEmissive);
+
+  for (const p of def.platforms) {
+    const center = new THREE.Vector3().fromArray(p.center ?? p.path[0]);
+    const size = new THREE.Vector3().fromArray(p.size);
+    let mesh;
+    if (p.ramp) {
+      mesh = new THREE.Mesh(track(rampGeometry(size, p.ramp.axis, p.ramp.direction)), platformLook.material);
+      if (world) addCollider(world.addRamp({ center, size, axis: p.ramp.axis, direction: p.ramp.direction, userData: { kind: 'platform' } }));
+    } else {
+      mesh = new THREE.Mesh(boxGeometry, platformLook.material);
+      mesh.scale.copy(size);
+      if (world && p.path) {
+        const collider = addCollider(world.addMovingPlatform({
+          size,
+          path: p.path.map(v => new THREE.Vector3().fromArray(v)),
+          speed: p.speed,
+          pingPong: p.pingPong,
+          userData: { kind: 'platform' }
+        }));
+        level._moving.push({ collider, mesh });
+      } else if (world) {
+        addCollider(world.addBox({ center, size, userData: { kind: 'platform' } }));
+      }
+    }
+    mesh.position.copy(center);
+    group.add(platformLook.surface.drive(mesh));
+  }
+
+  for (const w of def.walls) {
+    const mesh = new THREE.Mesh(boxGeometry, wallLook.material);
+    mesh.position.fromArray(w.center);
+    mesh.scale.fromArray(w.size);
+    group.add(wallLook.surface.drive(mesh));
+    if (world) addCollider(world.addBox({ center: mesh.position.clone(), size: mesh.scale.clone(), userData: { kind: 'wall' } }));
+  }
+
+  const triggerMaterial = hex => track(new THREE.MeshBasicMaterial({ color: hex, transparent: true, opacity: 0.25, depthWrite: false }));
+  const checkpointMaterial = triggerMaterial(pal.checkpoint);
+  const trigger = (zone, material) => {
+    const mesh = new THREE.Mesh(boxGeometry, material);
+    mesh.position.fromArray(zone.center);
+    mesh.scale.fromArray(zone.size);
+    group.add(mesh);
+    const box = new THREE.Box3().setFromCenterAndSize(mesh.position, mesh.scale);
+    return { box, mesh };
+  };
+  if (def.start) level.start = trigger(def.start, triggerMaterial(pal.start));
+  def.checkpoints.forEach((c, index) => level.checkpoints.push({ id: c.id, index, ...trigger(c, checkpointMaterial) }));
+  if (def.finish) level.finish = trigger(def.finish, triggerMaterial(pal.finish));
+
+  for (const l of def.lights) group.add(createLight(l));
+
+  if (scene) scene.add(group);
+  return level;
+}
+
+/**
+ * Fetch a level JSON file and build it.
+ * @param {string} url
+ * @param {{ scene: THREE.Scene, world?: import('./collision.js').CollisionWorld }} target
+ * @returns {Promise<Level>}
+ */
+export async function fetchLevel(url, target) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`fetchLevel: ${url} responded ${res.status}`);
+  return loadLevel(await res.json(), target);
+}
+
+// --- Builders ---
+
+function createLight(l) {
+  let light;
+  switch (l.type) {
+    case 'hemisphere': light = new THREE.HemisphereLight(l.color, l.groundColor, l.intensity); break;
+    case 'directional': light = new THREE.DirectionalLight(l.color, l.intensity); break;
+    case 'point': light = new THREE.PointLight(l.color, l.intensity, l.distance, l.decay); break;
+    case 'ambient': light = new THREE.AmbientLight(l.color, l.intensity); break;
+  }
+  if (l.position) light.position.fromArray(l.position);
+  return light;
+}
+
+/** Wedge matching CollisionWorld ramps: top rises from the bottom to the top of the box along `axis`. */
+function rampGeometry(size, axis, direction) {
+  const geom = new THREE.BoxGeometry(size.x, size.y, size.z);
+  const pos = geom.attributes.position;
+  const half = size[axis] * 0.5;
+  for (let i = 0; i < pos.count; i++) {
+    if (pos.getY(i) <= 0) continue;
+    const along = (axis === 'x' ? pos.getX(i) : pos.getZ(i)) * direction;
+    if (along < half - 1e-6) pos.setY(i, -size.y * 0.5 + size.y * (along + half) / (2 * half));
+  }
+  geom.computeVertexNormals();
+  return geom;
+}
+
+// --- Validation helpers ---
+
+function platform(p, path, fail) {
+  if (!isObject(p)) fail(path, 'must be an object');
+  checkKeys(p, ['center', 'size', 'ramp', 'path', 'speed', 'pingPong'], path, fail);
+  const out = { size: size3(p.size, `${path}.size`, fail) };
+  if (p.path !== undefined) {
+    if (p.center !== undefined) fail(`${path}.center`, 'cannot be combined with path (the platform starts at path[0])');
+    if (p.ramp !== undefined) fail(`${path}.ramp`, 'moving ramps are not supported');
+    if (!Array.isArray(p.path) || p.path.length < 2) fail(`${path}.path`, 'must be an array of at least 2 points');
+    out.path = p.path.map((v, i) => vec3(v, `${path}.path[${i}]`, fail));
+    out.speed = optionalNumber(p.speed, 1, `${path}.speed`, fail);
+    if (out.speed <= 0) fail(`${path}.speed`, 'must be positive');
+    if (p.pingPong !== undefined && typeof p.pingPong !== 'boolean') fail(`${path}.pingPong`, 'must be a boolean');
+    out.pingPong = p.pingPong ?? true;
+    return out;
+  }
+  if (p.speed !== undefined || p.pingPong !== undefined) fail(`${path}.${p.speed !== undefined ? 'speed' : 'pingPong'}`, 'only applies to moving platforms (with path)');
+  out.center = vec3(p.center, `${path}.center`, fail);
+  if (p.ramp !== undefined) {
+    if (!isObject(p.ramp)) fail(`${path}.ramp`, 'must be an object');
+    checkKeys(p.ramp, ['axis', 'direction'], `${path}.ramp`, fail);
+    const axis = p.ramp.axis ?? 'z';
+    if (axis !== 'x' && axis !== 'z') fail(`${path}.ramp.axis`, `must be "x" or "z", got ${JSON.stringify(axis)}`);
+    const direction = p.ramp.direction ?? 1;
+    if (direction !== 1 && direction !== -1) fail(`${path}.ramp.direction`, 'must be 1 or -1');
+    out.ramp = { axis, direction };
+  }
+  return out;
+}
+
+function triggerZone(z, path, fail, extraKeys = []) {
+  if (!isObject(z)) fail(path, 'must be an object');
+  checkKeys(z, ['center', 'size', ...extraKeys], path, fail);
+  return { center: vec3(z.center, `${path}.center`, fail), size: size3(z.size, `${path}.size`, fail) };
+}
+
+function light(l, path, fail) {
+  if (!isObject(l)) fail(path, 'must be an object');
+  if (!LIGHT_TYPES.includes(l.type)) fail(`${path}.type`, `must be one of ${LIGHT_TYPES.join(', ')}`);
+  const keys = ['type', 'color', 'intensity'];
+  if (l.type === 'hemisphere') keys.push('groundColor');
+  if (l.type === 'directional' || l.type === 'point') keys.push('position');
+  if (l.type === 'point') keys.push('distance', 'decay');
+  checkKeys(l, keys, path, fail);
+  const out = {
+    type: l.type,
+    color: l.color === undefined ? '#ffffff' : color(l.color, `${path}.color`, fail),
+    intensity: optionalNumber(l.intensity, 1, `${path}.intensity`, fail)
+  };
+  if (l.type === 'hemisphere') out.groundColor = l.groundColor === undefined ? '#222222' : color(l.groundColor, `${path}.groundColor`, fail);
+  if (l.type === 'directional' || l.type === 'point') out.position = vec3(l.position, `${path}.position`, fail);
+  if (l.type === 'point') {
+    out.distance = optionalNumber(l.distance, 0, `${path}.distance`, fail);
+    out.decay = optionalNumber(l.decay, 2, `${path}.decay`, fail);
+  }
+  return out;
+}
+
+function checkKeys(obj, allowed, path, fail) {
+  for (const key of Object.keys(obj)) {
+    if (!allowed.includes(key)) fail(path ? `${path}.${key}` : key, 'is not a known field');
+  }
+}
+
+function list(value, path, fail) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) fail(path, 'must be an array');
+  return value;
+}
+
+function vec3(v, path, fail) {
+  if (!Array.isArray(v) || v.length !== 3 || !v.every(Number.isFinite)) fail(path, 'must be an array of 3 numbers');
+  return v.slice();
+}
+
+function size3(v, path, fail) {
+  const out = vec3(v, path, fail);
+  if (!out.every(n => n > 0)) fail(path, 'must be positive on every axis');
+  return out;
+}
+
+function optionalNumber(v, fallback, path, fail) {
+  if (v === undefined) return fallback;
+  if (!Number.isFinite(v)) fail(path, 'must be a number');
+  return v;
+}
+
+function color(v, path, fail) {
+  if (typeof v === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(v)) return v;
+  if (Number.isInteger(v) && v >= 0 && v <= 0xffffff) return v;
+  fail(path, `must be a "#rrggbb" color, got ${JSON.stringify(v)}`);
+}
+
+function isObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
@@ -0,0 +1,150 @@
+// save as src/loop.js
+// GameLoop: fixed-timestep simulation with render interpolation.
+// - update(dt) always receives the same dt (default 1/60 s); render(alpha) gets the fraction
+//   of a step left in the accumulator so visuals can interpolate between the last two states.
+// - Frame time is clamped (maxFrameTime, maxSteps) to avoid the spiral of death on slow frames.
+// - Pauses itself while the tab is hidden; timeScale slows or speeds up simulation time.
+// - stepSimulation()/advance() drive the simulation manually (tests, replays) without requestAnimationFrame.
+// - Emits 'framestart' / 'frameend' around each frame (simulation steps + render) for profiling.
+
+import { Emitter } from './emitter.js';
+
+export class GameLoop extends Emitter {
+  /**
+   * @param {object} opts
+   * @param {(dt: number) => void} opts.update - Fixed-step simulation callback
+   * @param {(alpha: number, frameTime: number) => void} [opts.render] - Called once per frame with the
+   *   interpolation factor in [0, 1) and the (clamped, unscaled) real frame time in seconds
+   * @param {number} [opts.step] - Fixed step in seconds
+   * @param {number} [opts.maxFrameTime] - Longest real frame (s) fed to the accumulator
+   * @param {number} [opts.maxSteps] - Most simulation steps run in one frame
+   * @param {number} [opts.timeScale] - Simulation speed multiplier (0.25 = slow motion)
+   * @param {boolean} [opts.pauseWhenHidden] - Pause on document.visibilitychange
+   */
+  constructor(opts) {
+    super();
+    this.updateFn = opts.update;
+    this.renderFn = opts.render ?? null;
+    this.step = opts.step ?? 1 / 60;
+    this.maxFrameTime = opts.maxFrameTime ?? 0.25;
+    this.maxSteps = opts.maxSteps ?? 8;
+    this.timeScale = opts.timeScale ?? 1;
+    this.pauseWhenHidden = opts.pauseWhenHidden ?? true;
+
+    this.accumulator = 0;
+    this.simTime = 0;
+    this.frame = 0;
+    this.running = false;
+    this.paused = false;
+    this._hiddenPause = false;
+    this._last = null;
+    this._rafId = null;
+
+    this._onFrame = (t) => {
+      if (!this.running) return;
+      this._rafId = requestAnimationFrame(this._onFrame);
+      this.tick(t);
+    };
+    this._onVisibility = () => {
+      if (document.hidden) {
+        if (!this.paused) { this._hiddenPause = true; this.pause(); }
+      } else if (this._hiddenPause) {
+        this._hiddenPause = false;
+        this.resume();
+      }
+    };
+  }
+
+  /** Start calling update/render from requestAnimationFrame. */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this._last = null;
+    if (this.pauseWhenHidden && typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', this._onVisibility);
+    }
+    this._rafId = requestAnimationFrame(this._onFrame);
+    this.emit('start');
+  }
+
+  /** Stop the animation frame loop. */
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    if (this._rafId !== null) cancelAnimationFrame(this._rafId);
+    this._rafId = null;
+    if (typeof document !== 'undefined') {
+      document.removeEventListener('visibilitychange', this._onVisibility);
+    }
+    this.emit('stop');
+  }
+
+  /** Freeze simulation; render keeps running so menus/overlays still draw. */
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    this.emit('pause');
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    this._hiddenPause = false;
+    this._last = null; // don't count the paused time as one huge frame
+    this.accumulator = 0;
+    this.emit('resume');
+  }
+
+  /** @param {number} scale - 1 = real time, 0.25 = slow motion, 0 = frozen */
+  setTimeScale(scale) {
+    this.timeScale = Math.max(0, scale);
+  }
+
+  /**
+   * Process one animation frame.
+   * @param {number} now - Timestamp in milliseconds (requestAnimationFrame time)
+   */
+  tick(now) {
+    const frameTime = this._last === null ? 0 : (now - this._last) / 1000;
+    this._last = now;
+    this.advance(frameTime);
+  }
+
+  /**
+   * Feed `seconds` of real time: runs as many fixed steps as fit, then renders.
+   * @param {number} seconds
+   * @returns {number} Number of simulation steps run
+   */
+  advance(seconds) {
+    let steps = 0;
+    const frameTime = Math.min(Math.max(seconds, 0), this.maxFrameTime);
+    this.emit('framestart', { frame: this.frame });
+    if (!this.paused) {
+      this.accumulator += frameTime * this.timeScale;
+      while (this.accumulator >= this.step && steps < this.maxSteps && !this.paused) {
+        this._runStep();
+        this.accumulator -= this.step;
+        steps++;
+      }
+      // Still behind after maxSteps, or paused by a step: drop the backlog so alpha stays below 1
+      if (this.accumulator >= this.step) this.accumulator = this.accumulator % this.step;
+    }
+    this.frame++;
+    this.renderFn?.(this.accumulator / this.step, frameTime);
+    this.emit('frameend', { frame: this.frame, steps, frameTime });
+    return steps;
+  }
+
+  /**
+   * Run `count` fixed steps immediately, ignoring pause and time scale, without rendering.
+   * @param {number} [count]
+   */
+  stepSimulation(count = 1) {
+    for (let i = 0; i < count; i++) this._runStep();
+  }
+
+  _runStep() {
+    this.updateFn(this.step);
+    this.simTime += this.step;
+  }
+}
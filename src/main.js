@@ -1,7 +1,5 @@
-import { initScene } from './scene.js';
-import { createNeonGround } from './ground.js';
-import { InputManager } from './input.js';
-import * as THREE from 'three';
+import { createGame } from './game.js';
+import { createRace } from './race.js';
 
 // Ensure body is ready for full-canvas rendering
 document.body.style.margin = '0';
@@ -10,34 +8,36 @@ document.body.style.overflow = 'hidden';
 const canvas = document.createElement('canvas');
 document.body.appendChild(canvas);
 
-const { scene, camera, renderer } = initScene(canvas);
-
-// Ground
-const ground = createNeonGround();
-scene.add(ground);
-
-// Demo cube
-const cube = new THREE.Mesh(
-  new THREE.BoxGeometry(),
-  new THREE.MeshStandardMaterial({ color: 0x00aaff })
-);
-cube.position.y = 0.5;
-scene.add(cube);
-
-// Input
-const input = new InputManager();
-
-function animate() {
-  const controls = input.update();
-  const speedFactor = controls.sprint ? 2.0 : 1.0;
-
-  cube.rotation.x += 0.01 * speedFactor;
-  cube.rotation.y += 0.015 * speedFactor;
-
-  // Future: integrate Player
-  // player.handleInput(controls);
+// URL switches: ?replay plays the last session back, ?fx=off disables post-processing,
+// ?quality=low|medium|high pins the quality preset, ?perf shows the performance overlay,
+// ?race opens the local split-screen race lobby
+const params = new URLSearchParams(location.search);
+
+// The single-player game and the split-screen race take turns on the canvas
+let current = null;
+
+function play(level) {
+  current = createGame(canvas, {
+    replay: params.has('replay'),
+    postprocessing: params.get('fx') !== 'off',
+    quality: params.get('quality') ?? undefined,
+    perf: params.has('perf'),
+    level,
+    localRace: true
+  });
+  current.on('localRace', ({ level }) => {
+    current.destroy();
+    race(level);
+  });
+}
 
-  renderer.render(scene, camera);
-  requestAnimationFrame(animate);
+function race(level) {
+  current = createRace(canvas, { level });
+  current.on('exit', () => {
+    current.destroy();
+    play(level?.name);
+  });
 }
-animate();
+
+if (params.has('race')) race();
+else play();
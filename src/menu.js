@@ -0,0 +1,431 @@
+// save as src/menu.js
+// MenuSystem: stacked full-screen menus (main, pause, settings, ...) drawn over the canvas.
+// - Screens are declared as item lists: buttons (run an action or open another screen), toggles, choices and ranges.
+// - Navigation: keyboard (arrows/WASD, Enter, Escape), gamepad (d-pad/stick, A to select, B/Start to go back)
+//   through the InputManager action state passed to update(), and pointer/touch. Focus is real DOM focus.
+// - Emits 'open' when the first screen opens and 'close' when the last one closes, so the owner can pause the game.
+// - bindingItems() builds the rows of a controls screen that rebind actions with InputManager.captureNextBinding().
+// - Injects its neon styles once, like the touch UI in input.js.
+
+import { BUTTON_ACTIONS, DIRECTIONS, describeBinding } from './bindings.js';
+import { Emitter } from './emitter.js';
+
+/**
+ * @typedef {object} MenuItem
+ * @property {string} label
+ * @property {'button'|'toggle'|'choice'|'range'} [type] - Defaults to 'button'
+ * @property {string} [screen] - Button: screen to open
+ * @property {(menu: MenuSystem) => (void|Promise<void>)} [action] - Button: runs on select; input is ignored until a returned promise settles
+ * @property {() => string} [value] - Button: text shown on the right
+ * @property {string | (() => string)} [pending] - Button: value text while its action's promise is pending
+ * @property {() => void} [cancel] - Button: aborts the pending action (pause, a pointer press outside the rows or back)
+ * @property {() => any} [get] - Toggle/choice/range: current value
+ * @property {(value: any) => void} [set] - Toggle/choice/range: apply a new value
+ * @property {{ label: string, value: any }[]} [options] - Choice
+ * @property {number} [min] - Range
+ * @property {number} [max] - Range
+ * @property {number} [step] - Range
+ * @property {(value: number) => string} [format] - Range: value text
+ * @property {() => boolean} [disabled]
+ */
+
+/**
+ * @typedef {object} MenuScreen
+ * @property {string} title
+ * @property {MenuItem[] | (() => MenuItem[])} items - A function is re-evaluated on every refresh
+ * @property {boolean} [back] - false for root screens (e.g. the main menu) that back/Escape must not close
+ */
+
+export class MenuSystem extends Emitter {
+  /**
+   * @param {{ parent?: HTMLElement, repeatDelay?: number, repeatInterval?: number, hint?: string, id?: string|null }} [opts]
+   *   `id`: element id (default 'menu'); pass null when several menus share a page
+   */
+  constructor(opts = {}) {
+    super();
+    this.parent = opts.parent ?? document.body;
+    this.id = opts.id === undefined ? 'menu' : opts.id;
+    this.repeatDelay = opts.repeatDelay ?? 0.4;       // s a direction is held before it repeats
+    this.repeatInterval = opts.repeatInterval ?? 0.12; // s between repeats
+    this.hint = opts.hint ?? '↑↓ select · ←→ change · Enter / A confirm · Esc / B back';
+    this.screens = {};
+    this.stack = []; // { id, focus }
+
+    this._items = [];   // { spec, el, valueEl } of the current screen
+    this._focus = 0;
+    this._repeats = {};
+    this._waitRelease = false;
+    this._pending = null;
+
+    this._injectStyles();
+    this._build();
+  }
+
+  /**
+   * Register a screen.
+   * @param {string} id
+   * @param {MenuScreen} screen
+   * @returns {this}
+   */
+  define(id, screen) {
+    this.screens[id] = screen;
+    return this;
+  }
+
+  get isOpen() {
+    return this.stack.length > 0;
+  }
+
+  /** Id of the screen on top, or null when closed. */
+  get current() {
+    return this.stack.length ? this.stack[this.stack.length - 1].id : null;
+  }
+
+  /**
+   * Show a screen on top of the current one (opening the menu if it was closed).
+   * @param {string} id
+   */
+  open(id) {
+    if (!this.screens[id]) throw new Error(`MenuSystem.open: unknown screen "${id}"`);
+    const wasOpen = this.isOpen;
+    if (wasOpen) this.stack[this.stack.length - 1].focus = this._focus;
+    this.stack.push({ id, focus: 0 });
+    // The press that opened this screen must not also act on it
+    this._waitRelease = true;
+    if (!wasOpen) this._show();
+    this._render(0);
+    if (!wasOpen) this.emit('open', { screen: id });
+  }
+
+  /** Return to the previous screen; closes the menu from the first one unless it is a root screen. */
+  back() {
+    if (this._pending) {
+      this._pending.cancel?.();
+      return;
+    }
+    const top = this.current;
+    if (top === null || this.screens[top].back === false) return;
+    this.stack.pop();
+    if (!this.stack.length) {
+      this._hide();
+      return;
+    }
+    this._render(this.stack[this.stack.length - 1].focus);
+  }
+
+  /** Close every screen. */
+  close() {
+    if (!this.isOpen) return;
+    this._pending?.cancel?.();
+    this.stack.length = 0;
+    this._hide();
+  }
+
+  /** Re-read item values (and item lists given as functions), keeping focus. */
+  refresh() {
+    if (this.isOpen) this._render(this._focus);
+  }
+
+  /**
+   * Navigate from an input state (InputManager.update()); call once per frame while open.
+   * @param {{ actions?: object }} state
+   */
+  update(state) {
+    const a = state?.actions;
+    if (!this.isOpen || !a) return;
+    if (this._pending) {
+      if (a.pause?.pressed) this._pending.cancel?.();
+      return;
+    }
+    if (this._waitRelease) {
+      if (a.jump?.down || a.crouch?.down || a.pause?.down) return;
+      this._waitRelease = false;
+    }
+    if (this._repeat('moveUp', a.moveUp)) this.moveFocus(-1);
+    else if (this._repeat('moveDown', a.moveDown)) this.moveFocus(1);
+    else if (this._repeat('moveLeft', a.moveLeft)) this._adjust(-1, false);
+    else if (this._repeat('moveRight', a.moveRight)) this._adjust(1, false);
+
+    if (a.jump?.pressed) this._activate(this._focus);
+    else if (a.crouch?.pressed || a.pause?.pressed) this.back();
+  }
+
+  /**
+   * Move focus to the next enabled item in `dir` (wrapping).
+   * @param {number} dir - 1 = down, -1 = up
+   */
+  moveFocus(dir) {
+    const n = this._items.length;
+    for (let k = 1; k <= n; k++) {
+      const i = (this._focus + dir * k + n * k) % n;
+      if (!this._items[i].el.disabled) {
+        this._focusItem(i);
+        return;
+      }
+    }
+  }
+
+  destroy() {
+    this.close();
+    this.el?.remove();
+    this.el = null;
+    this.removeAllListeners();
+  }
+
+  _show() {
+    this.el.classList.add('menu--open');
+    // Free the mouse for pointing at items
+    if (typeof document !== 'undefined' && document.pointerLockElement) document.exitPointerLock?.();
+  }
+
+  _hide() {
+    this.el.classList.remove('menu--open');
+    this._items = [];
+    this._screenEl.replaceChildren();
+    this.emit('close', {});
+  }
+
+  _render(focus) {
+    const screen = this.screens[this.current];
+    const specs = typeof screen.items === 'function' ? screen.items() : screen.items;
+    this._title.textContent = screen.title;
+    this._items = specs.map((spec, i) => this._createItem(spec, i));
+    this._screenEl.replaceChildren(...this._items.map(item => item.el));
+    if (!this._items.length) return;
+    this._focus = Math.min(focus, this._items.length - 1);
+    if (this._items[this._focus].el.disabled) this.moveFocus(1);
+    else this._focusItem(this._focus);
+  }
+
+  _createItem(spec, index) {
+    const type = spec.type ?? 'button';
+    const el = document.createElement('button');
+    el.type = 'button';
+    el.className = `menu-item menu-item--${type}`;
+    el.disabled = !!spec.disabled?.();
+    const label = document.createElement('span');
+    label.className = 'menu-label';
+    label.textContent = spec.label;
+    const valueEl = document.createElement('span');
+    valueEl.className = 'menu-value';
+    el.append(label, valueEl);
+
+    const item = { spec, type, el, valueEl };
+    this._updateValue(item);
+
+    el.addEventListener('focus', () => this._setFocusClass(index));
+    el.addEventListener('pointerenter', (e) => {
+      if (e.pointerType === 'mouse' && !el.disabled && !this._pending) el.focus();
+    });
+    el.addEventListener('click', (e) => {
+      if (this._pending) return;
+      const arrow = e.target.closest?.('[data-dir]');
+      this._focus = index;
+      if (arrow) this._adjust(Number(arrow.dataset.dir), false);
+      else this._activate(index);
+    });
+    return item;
+  }
+
+  _updateValue(item) {
+    const { spec, type, valueEl } = item;
+    let text = '';
+    if (type === 'button') text = this._pending === spec ? (resolveText(spec.pending) ?? '…') : (spec.value?.() ?? '');
+    else if (type === 'toggle') text = spec.get() ? 'On' : 'Off';
+    else if (type === 'choice') text = spec.options.find(o => o.value === spec.get())?.label ?? String(spec.get());
+    else if (type === 'range') text = spec.format ? spec.format(spec.get()) : String(spec.get());
+
+    if (type === 'choice' || type === 'range') {
+      const left = document.createElement('span');
+      left.className = 'menu-arrow';
+      left.dataset.dir = '-1';
+      left.textContent = '◀';
+      const right = left.cloneNode();
+      right.dataset.dir = '1';
+      right.textContent = '▶';
+      valueEl.replaceChildren(left, text, right);
+    } else {
+      valueEl.textContent = text;
+    }
+  }
+
+  _focusItem(i) {
+    this._focus = i;
+    this._items[i]?.el.focus();
+    this._setFocusClass(i);
+  }
+
+  _setFocusClass(i) {
+    this._focus = i;
+    this._items.forEach((item, k) => item.el.classList.toggle('menu-item--focused', k === i));
+  }
+
+  _activate(i) {
+    const item = this._items[i];
+    if (!item || item.el.disabled) return;
+    const { spec, type } = item;
+    if (type !== 'button') {
+      this._adjust(1, true);
+      return;
+    }
+    if (spec.screen) {
+      this.open(spec.screen);
+      return;
+    }
+    const result = spec.action?.(this);
+    if (result && typeof result.then === 'function') {
+      this._pending = spec;
+      this._updateValue(item);
+      const done = () => {
+        this._pending = null;
+        this._waitRelease = true; // a captured gamepad button is still down
+        this.refresh();
+      };
+      result.then(done, (err) => {
+        console.error(err);
+        done();
+      });
+    } else if (this.isOpen) {
+      this.refresh();
+    }
+  }
+
+  /** Change the focused toggle/choice/range by one step; `wrap` cycles past the ends (select/click). */
+  _adjust(dir, wrap) {
+    const item = this._items[this._focus];
+    if (!item || item.el.disabled) return;
+    const { spec, type } = item;
+    if (type === 'toggle') {
+      spec.set(!spec.get());
+    } else if (type === 'choice') {
+      const n = spec.options.length;
+      let i = spec.options.findIndex(o => o.value === spec.get()) + dir;
+      if (wrap) i = (i + n) % n;
+      else i = Math.max(0, Math.min(n - 1, i));
+      spec.set(spec.options[i].value);
+    } else if (type === 'range') {
+      const step = spec.step ?? 1;
+      let v = spec.get() + dir * step;
+      if (wrap && v > spec.max + step * 1e-3) v = spec.min;
+      v = Math.max(spec.min, Math.min(spec.max, Math.round(v / step) * step));
+      spec.set(Number(v.toFixed(6)));
+    } else {
+      return;
+    }
+    this.refresh();
+  }
+
+  /** Press edge, then auto-repeat while held. */
+  _repeat(name, edge) {
+    if (!edge) return false;
+    if (edge.pressed) {
+      this._repeats[name] = 0;
+      return true;
+    }
+    if (!edge.down || edge.heldTime < this.repeatDelay) return false;
+    const n = Math.floor((edge.heldTime - this.repeatDelay) / this.repeatInterval) + 1;
+    if (n <= (this._repeats[name] ?? 0)) return false;
+    this._repeats[name] = n;
+    return true;
+  }
+
+  _build() {
+    const el = document.createElement('div');
+    el.className = 'menu';
+    if (this.id) el.id = this.id;
+    const panel = document.createElement('div');
+    panel.className = 'menu-panel';
+    this._title = document.createElement('h1');
+    this._title.className = 'menu-title';
+    this._screenEl = document.createElement('div');
+    this._screenEl.className = 'menu-items';
+    const hint = document.createElement('div');
+    hint.className = 'menu-hint';
+    hint.textContent = this.hint;
+    panel.append(this._title, this._screenEl, hint);
+    el.appendChild(panel);
+
+    // A press outside the items cancels a pending rebind
+    el.addEventListener('pointerdown', (e) => {
+      if (this._pending && !e.target.closest?.('.menu-item')) this._pending.cancel?.();
+    });
+    // Space is a gameplay button (select through update()); don't let it click the focused item a second time
+    const blockSpace = (e) => { if (e.code === 'Space') e.preventDefault(); };
+    el.addEventListener('keydown', blockSpace);
+    el.addEventListener('keyup', blockSpace);
+
+    this.parent.appendChild(el);
+    this.el = el;
+  }
+
+  _injectStyles() {
+    if (document.getElementById('menu-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'menu-styles';
+    style.textContent = `
+.menu {
+  position: fixed; inset: 0; z-index: 1100; display: none; align-items: center; justify-content: center;
+  background: radial-gradient(ellipse at center, rgba(10,12,30,0.7), rgba(0,0,0,0.88)); backdrop-filter: blur(4px);
+  color: #fff; font: 600 16px/1.2 system-ui,sans-serif; user-select: none;
+}
+.menu.menu--open { display: flex; }
+.menu .menu-panel { width: min(440px, 92vw); max-height: 92vh; display: flex; flex-direction: column; gap: 16px; }
+.menu .menu-title {
+  margin: 0; text-align: center; font-size: 30px; letter-spacing: 0.14em; text-transform: uppercase; color: #0ff;
+  text-shadow: 0 0 8px rgba(0,255,255,0.8), 0 0 24px rgba(0,128,255,0.6);
+}
+.menu .menu-items { display: flex; flex-direction: column; gap: 8px; padding: 4px; overflow-y: auto; }
+.menu .menu-item {
+  display: flex; align-items: center; justify-content: space-between; gap: 12px; min-height: 48px; padding: 0 16px;
+  border-radius: 12px; border: 1px solid rgba(255,255,255,0.15); background: rgba(0,0,0,0.35); color: inherit;
+  font: inherit; text-align: left; cursor: pointer; outline: none; touch-action: manipulation;
+  box-shadow: inset 0 0 8px rgba(255,255,255,0.05); transition: background 80ms linear, box-shadow 80ms linear;
+}
+.menu .menu-item--focused {
+  border-color: rgba(0,255,255,0.8);
+  background: linear-gradient(180deg, rgba(0,170,255,0.4), rgba(0,110,200,0.4));
+  box-shadow: 0 0 14px rgba(0,255,255,0.45), inset 0 0 8px rgba(255,255,255,0.1);
+}
+.menu .menu-item:disabled { opacity: 0.4; cursor: default; }
+.menu .menu-value { color: rgba(191,255,255,0.85); font-weight: 500; white-space: nowrap; }
+.menu .menu-arrow { padding: 0 8px; color: #0ff; }
+.menu .menu-hint { text-align: center; color: rgba(255,255,255,0.5); font: 500 12px/1.4 system-ui,sans-serif; }
+@media (pointer: coarse) { .menu .menu-hint { display: none; } }
+    `.trim();
+    document.head.appendChild(style);
+  }
+}
+
+/**
+ * Rows for a controls screen: one per move direction and button action, showing the current
+ * bindings on `device`. Selecting a row waits for a key/button and makes it the only binding;
+ * Escape (or a press outside the rows) cancels.
+ * @param {import('./input.js').InputManager} input
+ * @param {'keyboard'|'gamepadButtons'} [device]
+ * @returns {MenuItem[]}
+ */
+export function bindingItems(input, device = 'keyboard') {
+  const rows = [
+    ...DIRECTIONS.map(dir => ({ action: 'move', dir, label: `Move ${dir}` })),
+    ...BUTTON_ACTIONS.map(action => ({ action, label: action[0].toUpperCase() + action.slice(1) }))
+  ];
+  return rows.map(({ action, dir, label }) => ({
+    label,
+    pending: device === 'keyboard' ? 'Press a key…' : 'Press a button…',
+    value() {
+      const bound = input.bindings[action][device];
+      const list = dir ? bound[dir] : bound;
+      return list.length ? list.map(v => describeBinding(device, v)).join(' / ') : '—';
+    },
+    async action() {
+      const code = await input.captureNextBinding(device);
+      if (code === null || code === 'Escape') return;
+      input.rebind(action, device, dir ? { [dir]: [code] } : [code]);
+    },
+    cancel: () => input.cancelCapture()
+  }));
+}
+
+function resolveText(text) {
+  return typeof text === 'function' ? text() : text;
+}
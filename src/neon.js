@@ -0,0 +1,289 @@
+// save as src/neon.js
+// Neon surface shading for MeshStandardMaterial, injected in onBeforeCompile (no textures).
+// - Layers: fbm emissive noise, view-angle rim glow, an animated Tron-style grid and footstep ripples.
+// - A NeonSurface owns one set of uniforms; apply() it to any number of materials (ground, platforms, walls)
+//   and they all follow its palette, grid settings and ripples.
+// - The grid is projected on the plane facing the surface normal, so it works on walls as well as floors.
+
+import * as THREE from 'three';
+
+/** Palette presets: base (albedo), glow (noise + ripples), rim and grid colors. */
+export const NEON_PALETTES = {
+  cyan: { base: '#0b0f1a', glow: '#00ffff', rim: '#66ccff', grid: '#00e5ff' },
+  synthwave: { base: '#12061f', glow: '#ff2bd6', rim: '#ff9a3c', grid: '#ff2bd6' },
+  toxic: { base: '#07140a', glow: '#39ff14', rim: '#b6ff00', grid: '#39ff14' },
+  ember: { base: '#1a0b07', glow: '#ff5a1f', rim: '#ffc23c', grid: '#ff3c1f' },
+  ice: { base: '#0a1220', glow: '#9fe8ff', rim: '#ffffff', grid: '#6fc3ff' }
+};
+
+const PALETTE_KEYS = ['base', 'glow', 'rim', 'grid'];
+
+export class NeonSurface {
+  /**
+   * @param {object} [opts]
+   * @param {string|object} [opts.palette] - Preset name from NEON_PALETTES or { base, glow, rim, grid }
+   * @param {{ scale?: number, speed?: number, intensity?: number, octaves?: number }} [opts.noise]
+   * @param {{ power?: number, intensity?: number }} [opts.rim]
+   * @param {{ spacing?: number, lineWidth?: number, intensity?: number, pulseSpeed?: number }} [opts.grid]
+   * @param {{ count?: number, speed?: number, width?: number, lifetime?: number, intensity?: number }} [opts.ripples]
+   * @param {() => number} [opts.now] - Clock in ms for drive(); defaults to performance.now
+   */
+  constructor(opts = {}) {
+    const noise = opts.noise ?? {};
+    const rim = opts.rim ?? {};
+    const grid = opts.grid ?? {};
+    const ripples = opts.ripples ?? {};
+    this.now = opts.now ?? (() => performance.now() || Date.now());
+
+    this.octaves = Math.max(1, Math.round(noise.octaves ?? 2));
+    this.rippleCount = Math.max(1, Math.round(ripples.count ?? 8)); // uniform array size, fixed after creation
+    this.rippleLifetime = ripples.lifetime ?? 1.6;                     // seconds
+
+    this.uniforms = {
+      uTime: { value: 0 },
+      uNoiseScale: { value: new THREE.Vector2(noise.scale ?? 0.5, noise.scale ?? 0.5) },
+      uNoiseSpeed: { value: noise.speed ?? 0.15 },
+      uGlowColor: { value: new THREE.Color() },
+      uGlowIntensity: { value: noise.intensity ?? 0.7 },
+      uRimColor: { value: new THREE.Color() },
+      uRimIntensity: { value: rim.intensity ?? 0.9 },
+      uRimPower: { value: rim.power ?? 2.0 },
+      uGridColor: { value: new THREE.Color() },
+      uGridSpacing: { value: grid.spacing ?? 2.0 },        // world units between lines
+      uGridLineWidth: { value: grid.lineWidth ?? 0.04 },   // world units
+      uGridIntensity: { value: grid.intensity ?? 0.8 },    // 0 hides the grid
+      uGridPulseSpeed: { value: grid.pulseSpeed ?? 1.5 },  // rad/s of the brightness wave running out from the origin
+      uRipples: { value: Array.from({ length: this.rippleCount }, () => new THREE.Vector4(0, 0, 0, -1e3)) }, // xyz, start time
+      uRippleStrength: { value: new Array(this.rippleCount).fill(0) },
+      uRippleSpeed: { value: ripples.speed ?? 3.0 },       // ring expansion, units/s
+      uRippleWidth: { value: ripples.width ?? 0.35 },
+      uRippleLifetime: { value: this.rippleLifetime },
+      uRippleIntensity: { value: ripples.intensity ?? 1.2 }
+    };
+
+    this.palette = {};
+    this._materials = new Set();
+    this._fade = null; // { from, to, start, duration }
+    this._nextRipple = 0;
+    this._lastTime = null;
+    this.setPalette(opts.palette ?? 'cyan');
+  }
+
+  /**
+   * Inject the neon layers into a MeshStandardMaterial. Several materials can share one surface.
+   * @param {THREE.MeshStandardMaterial} material
+   * @returns {THREE.MeshStandardMaterial}
+   */
+  apply(material) {
+    const uniforms = this.uniforms;
+    const previous = material.onBeforeCompile;
+    material.defines = { ...material.defines, NEON_OCTAVES: this.octaves, NEON_RIPPLES: this.rippleCount };
+    material.color.copy(this.palette.base);
+    material.userData.uniforms = uniforms;
+    material.userData.neon = this;
+    material.onBeforeCompile = (shader, renderer) => {
+      previous?.call(material, shader, renderer);
+      Object.assign(shader.uniforms, uniforms);
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>\n${VERTEX_DECLARATIONS}`)
+        .replace('#include <worldpos_vertex>', `#include <worldpos_vertex>\n${VERTEX_WORLD}`);
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>\n${FRAGMENT_DECLARATIONS}`)
+        .replace('#include <emissivemap_fragment>', `#include <emissivemap_fragment>\n${FRAGMENT_EMISSIVE}`);
+    };
+    material.customProgramCacheKey = () => `neon:${this.octaves}:${this.rippleCount}`;
+    material.needsUpdate = true;
+    this._materials.add(material);
+    return material;
+  }
+
+  /**
+   * Switch palette, optionally fading over `duration` seconds (driven by update()).
+   * @param {string|object} palette - Preset name or { base, glow, rim, grid } (missing keys keep their value)
+   * @param {number} [duration]
+   */
+  setPalette(palette, duration = 0) {
+    const target = resolvePalette(palette, this.palette);
+    if (duration > 0 && this._lastTime !== null) {
+      this._fade = { from: clonePalette(this.palette), to: target, start: this._lastTime, duration };
+    } else {
+      this._fade = null;
+      this._setColors(target);
+    }
+  }
+
+  /**
+   * Change grid settings at runtime.
+   * @param {{ spacing?: number, lineWidth?: number, intensity?: number, pulseSpeed?: number }} grid
+   */
+  setGrid(grid) {
+    const u = this.uniforms;
+    if (grid.spacing !== undefined) u.uGridSpacing.value = grid.spacing;
+    if (grid.lineWidth !== undefined) u.uGridLineWidth.value = grid.lineWidth;
+    if (grid.intensity !== undefined) u.uGridIntensity.value = grid.intensity;
+    if (grid.pulseSpeed !== undefined) u.uGridPulseSpeed.value = grid.pulseSpeed;
+  }
+
+  /**
+   * Start a ripple at a world position. The oldest ripple is replaced once all slots are in use.
+   * @param {THREE.Vector3} position
+   * @param {number} [strength] - 1 for a footstep; landings use more
+   */
+  addRipple(position, strength = 1) {
+    const i = this._nextRipple;
+    this._nextRipple = (i + 1) % this.rippleCount;
+    this.uniforms.uRipples.value[i].set(position.x, position.y, position.z, this.uniforms.uTime.value);
+    this.uniforms.uRippleStrength.value[i] = strength;
+  }
+
+  /**
+   * Advance time and palette fades. Safe to call several times per frame with the same time
+   * (meshes sharing a surface each call it from onBeforeRender).
+   * @param {number} time - Seconds
+   */
+  update(time) {
+    if (time === this._lastTime) return;
+    this._lastTime = time;
+    this.uniforms.uTime.value = time;
+    if (this._fade) {
+      const f = this._fade;
+      const t = Math.min(1, (time - f.start) / f.duration);
+      for (const key of PALETTE_KEYS) this._setColor(key, _color.lerpColors(f.from[key], f.to[key], t));
+      if (t >= 1) this._fade = null;
+    }
+  }
+
+  /**
+   * Keep this surface animated while `mesh` is rendered.
+   * @param {THREE.Object3D} mesh
+   */
+  drive(mesh) {
+    mesh.onBeforeRender = () => this.update(this.now() * 0.001);
+    return mesh;
+  }
+
+  /** Forget the materials this surface was applied to (they keep their last colors). */
+  dispose() {
+    this._materials.clear();
+  }
+
+  _setColors(palette) {
+    for (const key of PALETTE_KEYS) this._setColor(key, palette[key]);
+  }
+
+  _setColor(key, color) {
+    (this.palette[key] ??= new THREE.Color()).copy(color);
+    if (key === 'glow') this.uniforms.uGlowColor.value.copy(color);
+    else if (key === 'rim') this.uniforms.uRimColor.value.copy(color);
+    else if (key === 'grid') this.uniforms.uGridColor.value.copy(color);
+    else for (const m of this._materials) m.color.copy(color);
+  }
+}
+
+const _color = new THREE.Color();
+
+function resolvePalette(palette, current) {
+  const src = typeof palette === 'string' ? NEON_PALETTES[palette] : palette;
+  if (!src) throw new Error(`NeonSurface: unknown palette "${palette}"`);
+  const out = {};
+  for (const key of PALETTE_KEYS) {
+    out[key] = src[key] !== undefined ? new THREE.Color(src[key]) : (current[key]?.clone() ?? new THREE.Color(NEON_PALETTES.cyan[key]));
+  }
+  return out;
+}
+
+function clonePalette(p) {
+  return Object.fromEntries(PALETTE_KEYS.map(k => [k, p[k].clone()]));
+}
+
+// --- GLSL ---
+
+const VERTEX_DECLARATIONS = /* glsl */`
+varying vec3 vNeonWorldPos;
+varying vec3 vNeonWorldNormal;`;
+
+const VERTEX_WORLD = /* glsl */`
+vNeonWorldPos = (modelMatrix * vec4(transformed, 1.0)).xyz;
+vNeonWorldNormal = normalize(mat3(modelMatrix) * objectNormal);`;
+
+const FRAGMENT_DECLARATIONS = /* glsl */`
+uniform float uTime;
+uniform vec2 uNoiseScale;
+uniform float uNoiseSpeed;
+uniform vec3 uGlowColor;
+uniform float uGlowIntensity;
+uniform vec3 uRimColor;
+uniform float uRimIntensity;
+uniform float uRimPower;
+uniform vec3 uGridColor;
+uniform float uGridSpacing;
+uniform float uGridLineWidth;
+uniform float uGridIntensity;
+uniform float uGridPulseSpeed;
+uniform vec4 uRipples[NEON_RIPPLES];
+uniform float uRippleStrength[NEON_RIPPLES];
+uniform float uRippleSpeed;
+uniform float uRippleWidth;
+uniform float uRippleLifetime;
+uniform float uRippleIntensity;
+varying vec3 vNeonWorldPos;
+varying vec3 vNeonWorldNormal;
+
+// Hash and value noise (cheap)
+float hash21(vec2 p){ p = fract(p*vec2(123.34, 345.45)); p += dot(p, p+34.345); return fract(p.x*p.y); }
+float vnoise(vec2 p){
+  vec2 i = floor(p);
+  vec2 f = fract(p);
+  float a = hash21(i + vec2(0.0,0.0));
+  float b = hash21(i + vec2(1.0,0.0));
+  float c = hash21(i + vec2(0.0,1.0));
+  float d = hash21(i + vec2(1.0,1.0));
+  vec2 u = f*f*(3.0-2.0*f);
+  return mix(mix(a,b,u.x), mix(c,d,u.x), u.y);
+}
+float fbm(vec2 p){
+  float s = 0.0; float a = 0.5;
+  for(int i=0;i<NEON_OCTAVES;i++){ s += a * vnoise(p); p *= 2.0; a *= 0.5; }
+  return s;
+}
+// World position projected onto the plane the surface mostly faces
+vec2 neonPlanar(vec3 p, vec3 n){
+  vec3 an = abs(n);
+  if (an.y >= an.x && an.y >= an.z) return p.xz;
+  return an.x >= an.z ? p.zy : p.xy;
+}`;
+
+const FRAGMENT_EMISSIVE = /* glsl */`
+vec3 nN = normalize(vNeonWorldNormal);
+vec2 nPlane = neonPlanar(vNeonWorldPos, nN);
+
+// Animated emissive noise
+float nNoise = fbm(nPlane * uNoiseScale + vec2(uTime * uNoiseSpeed));
+vec3 neon = uGlowColor * (nNoise * uGlowIntensity);
+
+// Rim glow based on view angle
+vec3 nV = normalize(cameraPosition - vNeonWorldPos);
+neon += uRimColor * (pow(1.0 - max(dot(nN, nV), 0.0), uRimPower) * uRimIntensity);
+
+// Grid lines, anti-aliased with screen-space derivatives; a brightness wave runs outward
+if (uGridIntensity > 0.0) {
+  vec2 gDist = abs(fract(nPlane / uGridSpacing - 0.5) - 0.5) * uGridSpacing;
+  vec2 gAA = fwidth(nPlane);
+  vec2 gLine = 1.0 - smoothstep(vec2(uGridLineWidth * 0.5), vec2(uGridLineWidth * 0.5) + gAA, gDist);
+  float gPulse = 0.65 + 0.35 * sin(uTime * uGridPulseSpeed - length(nPlane) * 0.25);
+  neon += uGridColor * (max(gLine.x, gLine.y) * gPulse * uGridIntensity);
+}
+
+// Footstep ripples: an expanding ring plus a fading glow at the point of contact
+for (int i = 0; i < NEON_RIPPLES; i++) {
+  float rAge = uTime - uRipples[i].w;
+  if (rAge < 0.0 || rAge > uRippleLifetime) continue;
+  float rDist = distance(vNeonWorldPos, uRipples[i].xyz);
+  float rFade = 1.0 - rAge / uRippleLifetime;
+  float rOffset = (rDist - rAge * uRippleSpeed) / uRippleWidth;
+  float rRing = exp(-rOffset * rOffset);
+  float rCore = exp(-rDist * rDist * 6.0);
+  neon += uGlowColor * ((rRing + rCore * 0.6) * rFade * rFade * uRippleStrength[i] * uRippleIntensity);
+}
+
+totalEmissiveRadiance += neon;`;
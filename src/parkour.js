@@ -0,0 +1,442 @@
+// save as src/parkour.js
+// Movement state machine layered on Player: ground, air, wallrun, ledge, mantle, vault, slide.
+// - Each state lists its exit conditions first, then moves the player for the step.
+// - Entry conditions live in the can*/find* methods so they read (and can be tuned) in one place.
+// - Transitions emit 'statechange' on the Player so animation/audio can react.
+
+import * as THREE from 'three';
+
+const _dir = new THREE.Vector3();
+const _tmp = new THREE.Vector3();
+
+/** Default tunables per state; override any subset via `new Player(scene, pos, { parkour: { ... } })`. */
+export const PARKOUR_DEFAULTS = {
+  wallRun: {
+    minSpeed: 4.0,        // horizontal speed needed to start
+    minHeight: 0.4,       // feet must be at least this far above the ground
+    maxAngleDeg: 40,      // max angle between velocity and the wall plane
+    duration: 1.0,        // s before gravity wins
+    gravityScale: 0.15,   // gravity multiplier while running
+    upBoost: 2.0,         // vertical speed on entry
+    probe: 0.12,          // wall detection distance
+    cooldown: 0.35        // s before the same wall can be run again
+  },
+  wallJump: {
+    outSpeed: 6.0,        // push away from the wall
+    upSpeed: 8.5,         // vertical speed of the jump
+    probe: 0.15           // how close a wall must be to kick off it from the air
+  },
+  ledge: {
+    reach: 0.4,           // how far above the head the hands reach
+    probe: 0.15,          // ledge detection distance
+    mantleTime: 0.35,     // s to climb onto the ledge
+    regrabDelay: 0.3      // s before grabbing again after dropping
+  },
+  vault: {
+    minSpeed: 3.0,        // horizontal speed needed to vault
+    maxHeight: 1.2,       // tallest obstacle (above the feet) that can be vaulted
+    maxDepth: 1.5,        // deepest obstacle that can be vaulted
+    probe: 0.45,          // look-ahead distance
+    clearance: 0.15,      // how far above the obstacle the feet pass
+    time: 0.4             // s for the vault arc
+  },
+  slide: {
+    minSpeed: 5.0,        // horizontal speed needed to start
+    boost: 2.0,           // speed added on entry
+    friction: 3.0,        // units/s² deceleration while sliding
+    steer: 2.0,           // units/s² of sideways control
+    maxTime: 1.2,         // s before the slide ends on its own
+    exitSpeed: 2.0,       // slide ends below this speed
+    halfHeight: 0.3       // collision half height while sliding
+  }
+};
+
+export class MovementStateMachine {
+  /**
+   * @param {import('./player.js').Player} player
+   * @param {object} [tunables] - Partial overrides of PARKOUR_DEFAULTS
+   */
+  constructor(player, tunables = {}) {
+    this.player = player;
+    this.tunables = {};
+    for (const key of Object.keys(PARKOUR_DEFAULTS)) {
+      this.tunables[key] = { ...PARKOUR_DEFAULTS[key], ...tunables[key] };
+    }
+    this.state = player.grounded ? 'ground' : 'air';
+    this.stateTime = 0;
+    this.data = {};
+    this._wallCooldowns = new Map();
+    this._regrabTimer = 0;
+  }
+
+  /**
+   * Run the current state for one step.
+   * @param {number} deltaTime
+   */
+  update(deltaTime) {
+    this.stateTime += deltaTime;
+    this._regrabTimer = Math.max(0, this._regrabTimer - deltaTime);
+    for (const [wall, t] of this._wallCooldowns) {
+      if (t <= deltaTime) this._wallCooldowns.delete(wall);
+      else this._wallCooldowns.set(wall, t - deltaTime);
+    }
+    STATES[this.state].update(this, deltaTime);
+  }
+
+  /**
+   * Switch state, running exit/enter hooks and emitting 'statechange' on the player.
+   * @param {string} to
+   * @param {object} [info] - Passed to the new state's enter hook
+   */
+  transition(to, info = {}) {
+    if (to === this.state) return;
+    const from = this.state;
+    STATES[from].exit?.(this, to);
+    this.state = to;
+    this.stateTime = 0;
+    this.data = {};
+    STATES[to].enter?.(this, info);
+    this.player.emit('statechange', { from, to, player: this.player });
+  }
+
+  /**
+   * Force a state without conditions (respawn, teleport). The caller has already placed the player, so exit
+   * hooks restore their shape without moving it; 'statechange' lets the avatar and audio drop the old pose.
+   * @param {string} [state]
+   */
+  reset(state = 'ground') {
+    const from = this.state;
+    STATES[from].exit?.(this, state, true);
+    this.state = state;
+    this.stateTime = 0;
+    this.data = {};
+    this._wallCooldowns.clear();
+    if (from !== state) this.player.emit('statechange', { from, to: state, player: this.player });
+  }
+
+  // --- Entry conditions ---
+
+  /** Sprinting into a crouch at speed while grounded. */
+  canSlide() {
+    const p = this.player;
+    return p.grounded && p.input.crouchPressed && p.input.sprint &&
+      horizontalSpeed(p.velocity) >= this.tunables.slide.minSpeed;
+  }
+
+  /** Running (sprint held or jump pressed) into an obstacle low and shallow enough to clear. */
+  findVault() {
+    const p = this.player;
+    const t = this.tunables.vault;
+    if (!p.world || !p.grounded || horizontalSpeed(p.velocity) < t.minSpeed) return null;
+    if (!p.input.sprint && p._jumpBufferTimer <= 0) return null;
+    _dir.set(p.velocity.x, 0, p.velocity.z);
+    const wall = p.world.probeWall(p.position, p.halfExtents, _dir, t.probe, { maxSlope: p.maxSlope });
+    if (!wall || wall.collider.type !== 'box') return null;
+    const feet = p.position.y - p.halfExtents.y;
+    const height = wall.top - feet;
+    if (height <= p.stepHeight || height > t.maxHeight) return null;
+    const axis = wall.normal.x !== 0 ? 'x' : 'z';
+    const c = wall.collider;
+    if (c.max[axis] - c.min[axis] > t.maxDepth) return null;
+
+    // Land just past the far face, at the obstacle's height; the air state takes over from there
+    const end = p.position.clone();
+    end[axis] = wall.normal[axis] < 0
+      ? c.max[axis] + p.halfExtents[axis] + t.clearance
+      : c.min[axis] - p.halfExtents[axis] - t.clearance;
+    end.y = wall.top + p.halfExtents.y + t.clearance;
+    if (!p.world.isFree(end, p.halfExtents)) return null;
+    return { end, top: wall.top };
+  }
+
+  /** Falling next to a wall whose top is within reach of the hands, with room to stand on it. */
+  findLedge() {
+    const p = this.player;
+    const t = this.tunables.ledge;
+    if (!p.world || p.grounded || p.velocity.y > 0 || this._regrabTimer > 0) return null;
+    if (!moveDirection(p, _dir) && !horizontalDirection(p.velocity, _dir)) return null;
+    const wall = p.world.probeWall(p.position, p.halfExtents, _dir, t.probe, { maxSlope: p.maxSlope });
+    if (!wall) return null;
+    const head = p.position.y + p.halfExtents.y;
+    if (wall.top < p.position.y || wall.top > head + t.reach) return null;
+
+    const axis = wall.normal.x !== 0 ? 'x' : 'z';
+    const c = wall.collider;
+    const end = p.position.clone();
+    end[axis] = wall.normal[axis] < 0 ? c.min[axis] + p.halfExtents[axis] + 0.05 : c.max[axis] - p.halfExtents[axis] - 0.05;
+    end.y = wall.top + p.halfExtents.y + p.world.skin * 2;
+    if (!p.world.isFree(end, p.halfExtents)) return null;
+    return { wall, end };
+  }
+
+  /** Airborne, fast, high enough, beside a wall roughly parallel to the velocity. */
+  findWallRun() {
+    const p = this.player;
+    const t = this.tunables.wallRun;
+    if (!p.world || p.grounded || horizontalSpeed(p.velocity) < t.minSpeed) return null;
+    if (p.world.groundHeight(p.position, p.halfExtents, t.minHeight) !== null) return null;
+    horizontalDirection(p.velocity, _dir);
+    const maxDot = Math.sin(THREE.MathUtils.degToRad(t.maxAngleDeg));
+    for (const side of SIDES) {
+      const wall = p.world.probeWall(p.position, p.halfExtents, side, t.probe, { maxSlope: p.maxSlope });
+      if (!wall || this._wallCooldowns.has(wall.collider)) continue;
+      if (wall.top < p.position.y + p.halfExtents.y) continue;
+      if (Math.abs(_dir.dot(wall.normal)) > maxDot) continue;
+      return wall;
+    }
+    return null;
+  }
+
+  /** Any wall within kicking distance while airborne. */
+  findWallJump() {
+    const p = this.player;
+    if (!p.world || p.grounded) return null;
+    for (const side of SIDES) {
+      const wall = p.world.probeWall(p.position, p.halfExtents, side, this.tunables.wallJump.probe, { maxSlope: p.maxSlope });
+      if (wall && wall.top > p.position.y) return wall;
+    }
+    return null;
+  }
+
+  /** A sliding player can stand up only with headroom above. */
+  canStand() {
+    const p = this.player;
+    if (!p.world || this.state !== 'slide') return true;
+    const standing = this.data.standingHalfHeight ?? p.halfHeight;
+    _tmp.copy(p.position);
+    _tmp.y += standing - p.halfExtents.y;
+    return p.world.isFree(_tmp, new THREE.Vector3(p.halfExtents.x, standing, p.halfExtents.z));
+  }
+
+  // --- Shared actions ---
+
+  wallJump(wall) {
+    const p = this.player;
+    const t = this.tunables.wallJump;
+    p.velocity.addScaledVector(wall.normal, t.outSpeed - Math.min(0, p.velocity.dot(wall.normal)));
+    p.velocity.y = t.upSpeed;
+    this._wallCooldowns.set(wall.collider, this.tunables.wallRun.cooldown);
+    this.transition('air');
+    p._jumping = true;
+    p.emit('walljump', { normal: wall.normal.clone(), player: p });
+  }
+}
+
+const SIDES = [
+  new THREE.Vector3(1, 0, 0),
+  new THREE.Vector3(-1, 0, 0),
+  new THREE.Vector3(0, 0, 1),
+  new THREE.Vector3(0, 0, -1)
+];
+
+const STATES = {
+  ground: {
+    update(m, dt) {
+      const p = m.player;
+      if (m.canSlide()) { m.transition('slide'); STATES.slide.update(m, dt); return; }
+      const vault = m.findVault();
+      if (vault) { m.transition('vault', vault); STATES.vault.update(m, dt); return; }
+
+      p._locomote(dt);
+      if (!p.grounded) m.transition('air');
+    }
+  },
+
+  air: {
+    update(m, dt) {
+      const p = m.player;
+      if (p._jumpBufferTimer > 0 && p._coyoteTimer <= 0) {
+        const wall = m.findWallJump();
+        if (wall) { p._jumpBufferTimer = 0; m.wallJump(wall); }
+      }
+
+      p._locomote(dt);
+
+      if (p.grounded) { m.transition('ground'); return; }
+      const ledge = m.findLedge();
+      if (ledge) { m.transition('ledge', ledge); return; }
+      const wall = m.findWallRun();
+      if (wall) m.transition('wallrun', { wall });
+    }
+  },
+
+  wallrun: {
+    enter(m, { wall }) {
+      const p = m.player;
+      // Run along the wall plane in the direction we were already moving
+      const along = new THREE.Vector3(p.velocity.x, 0, p.velocity.z);
+      along.addScaledVector(wall.normal, -along.dot(wall.normal)).normalize();
+      m.data.wall = wall;
+      m.data.along = along;
+      m.data.speed = Math.max(horizontalSpeed(p.velocity), m.tunables.wallRun.minSpeed);
+      p.velocity.y = m.tunables.wallRun.upBoost;
+      p._jumping = false;
+    },
+    update(m, dt) {
+      const p = m.player;
+      const t = m.tunables.wallRun;
+      const { wall, along } = m.data;
+
+      // Exit conditions
+      if (p._jumpBufferTimer > 0) { p._jumpBufferTimer = 0; m.wallJump(wall); return; }
+      if (m.stateTime > t.duration) { m.transition('air'); return; }
+      if (moveDirection(p, _dir) && _dir.dot(wall.normal) > 0.5) { m.transition('air'); return; }
+      const still = p.world.probeWall(p.position, p.halfExtents, _tmp.copy(wall.normal).negate(), t.probe, { maxSlope: p.maxSlope });
+      if (!still) { m.transition('air'); return; }
+
+      // Run along the wall, hugging it slightly so the probe keeps contact
+      p.velocity.x = along.x * m.data.speed - wall.normal.x;
+      p.velocity.z = along.z * m.data.speed - wall.normal.z;
+      p._updateVertical(dt, t.gravityScale);
+      p._move(dt);
+      p.rotation = Math.atan2(along.x, along.z);
+
+      if (p.grounded) m.transition('ground');
+    },
+    exit(m) {
+      if (m.data.wall) m._wallCooldowns.set(m.data.wall.collider, m.tunables.wallRun.cooldown);
+    }
+  },
+
+  ledge: {
+    enter(m, { wall, end }) {
+      const p = m.player;
+      m.data.wall = wall;
+      m.data.end = end;
+      // Hang with the hands at the ledge top
+      p.position.y = wall.top - p.halfExtents.y * 0.6;
+      p.velocity.set(0, 0, 0);
+      p.rotation = Math.atan2(-wall.normal.x, -wall.normal.z);
+      p._jumping = false;
+    },
+    update(m) {
+      const p = m.player;
+      const { wall } = m.data;
+      const pushing = moveDirection(p, _dir) ? _dir.dot(wall.normal) : 0;
+      if (p._jumpBufferTimer > 0 || pushing < -0.5) {
+        p._jumpBufferTimer = 0;
+        m.transition('mantle', { end: m.data.end });
+        return;
+      }
+      if (p.input.crouchPressed || pushing > 0.5) {
+        m._regrabTimer = m.tunables.ledge.regrabDelay;
+        m.transition('air');
+      }
+    }
+  },
+
+  mantle: {
+    enter(m, { end }) {
+      m.data.start = m.player.position.clone();
+      m.data.end = end;
+    },
+    update(m) {
+      const p = m.player;
+      const k = Math.min(1, m.stateTime / m.tunables.ledge.mantleTime);
+      // Up first, then over the edge
+      const up = Math.min(1, k * 1.6);
+      const over = Math.max(0, (k - 0.4) / 0.6);
+      p.position.y = THREE.MathUtils.lerp(m.data.start.y, m.data.end.y, up);
+      p.position.x = THREE.MathUtils.lerp(m.data.start.x, m.data.end.x, over);
+      p.position.z = THREE.MathUtils.lerp(m.data.start.z, m.data.end.z, over);
+      if (k >= 1) {
+        p.grounded = true;
+        p.ground = null;
+        m.transition('ground');
+      }
+    }
+  },
+
+  vault: {
+    enter(m, { end, top }) {
+      const p = m.player;
+      m.data.start = p.position.clone();
+      m.data.end = end;
+      m.data.peak = top + p.halfExtents.y + m.tunables.vault.clearance;
+      m.data.velocity = new THREE.Vector3(p.velocity.x, 0, p.velocity.z);
+      p.grounded = false;
+      // The jump press (if any) is spent on the vault; the arc skips _updateVertical, so nothing else clears it
+      p._jumpBufferTimer = 0;
+      p._coyoteTimer = 0;
+    },
+    update(m) {
+      const p = m.player;
+      const k = Math.min(1, m.stateTime / m.tunables.vault.time);
+      const { start, end, peak } = m.data;
+      p.position.x = THREE.MathUtils.lerp(start.x, end.x, k);
+      p.position.z = THREE.MathUtils.lerp(start.z, end.z, k);
+      // Rise to the peak in the first half, stay level over the top
+      p.position.y = THREE.MathUtils.lerp(start.y, peak, Math.min(1, k * 2));
+      if (k >= 1) {
+        p.velocity.copy(m.data.velocity);
+        m.transition('air');
+      }
+    }
+  },
+
+  slide: {
+    enter(m) {
+      const p = m.player;
+      const t = m.tunables.slide;
+      m.data.standingHalfHeight = p.halfExtents.y;
+      p.position.y -= p.halfExtents.y - t.halfHeight;
+      p.halfExtents.y = t.halfHeight;
+      horizontalDirection(p.velocity, _dir);
+      p.velocity.addScaledVector(_dir, t.boost);
+    },
+    update(m, dt) {
+      const p = m.player;
+      const t = m.tunables.slide;
+      const speed = horizontalSpeed(p.velocity);
+
+      // Exit conditions; standing back up needs headroom
+      const wantsOut = p._jumpBufferTimer > 0 || speed < t.exitSpeed || m.stateTime > t.maxTime || !p.grounded;
+      if (wantsOut && m.canStand()) {
+        const jumping = p._jumpBufferTimer > 0 && p.grounded;
+        m.transition(p.grounded ? 'ground' : 'air');
+        if (jumping) p._locomote(dt);
+        return;
+      }
+
+      // Decelerate along the slide direction with a little steering
+      horizontalDirection(p.velocity, _dir);
+      const newSpeed = Math.max(0, speed - t.friction * dt);
+      p.velocity.x = _dir.x * newSpeed;
+      p.velocity.z = _dir.z * newSpeed;
+      if (moveDirection(p, _tmp)) {
+        _tmp.addScaledVector(_dir, -_tmp.dot(_dir));
+        p.velocity.addScaledVector(_tmp, t.steer * dt);
+      }
+      p._jumpBufferTimer = 0;
+      p._updateVertical(dt);
+      p._move(dt);
+    },
+    exit(m, to, teleport = false) {
+      const p = m.player;
+      const standing = m.data.standingHalfHeight ?? p.halfHeight;
+      // Stand up in place; a teleport has already put the center at standing height
+      if (!teleport) p.position.y += standing - p.halfExtents.y;
+      p.halfExtents.y = standing;
+    }
+  }
+};
+
+/** Names of all movement states. */
+export const MOVEMENT_STATES = Object.keys(STATES);
+
+function horizontalSpeed(v) {
+  return Math.hypot(v.x, v.z);
+}
+
+function horizontalDirection(v, out) {
+  out.set(v.x, 0, v.z);
+  const len = out.length();
+  if (len < 1e-6) return false;
+  out.multiplyScalar(1 / len);
+  return true;
+}
+
+/** World-space direction of the stick input; false when there is none. */
+function moveDirection(p, out) {
+  return p._inputDirection(out) > 1e-3;
+}
@@ -0,0 +1,315 @@
+// save as src/perf.js
+// Performance tooling.
+// - PerfMonitor samples frame interval and CPU work time per frame, plus renderer.info counters and JS heap.
+// - PerfHUD is a toggleable DOM overlay with a frame-time graph and those counters.
+// - AdaptiveQuality steps through quality tiers (pixel ratio, MSAA, post effects) when frame time stays
+//   over budget, and back up when there is sustained headroom.
+
+import { Emitter } from './emitter.js';
+
+const HISTORY = 120; // frames kept for averages and the graph
+
+export class PerfMonitor {
+  /**
+   * @param {THREE.WebGLRenderer} [renderer] - Source of draw call/triangle/memory counters
+   * @param {{ now?: () => number }} [opts]
+   */
+  constructor(renderer = null, opts = {}) {
+    this.renderer = renderer;
+    this.now = opts.now ?? (() => performance.now());
+    this.frameTimes = new Float32Array(HISTORY); // ms between frame starts
+    this.workTimes = new Float32Array(HISTORY);  // ms spent in the frame (simulation + render submit)
+    this.index = 0;
+    this.count = 0;
+    this.stats = { fps: 0, frameMs: 0, maxFrameMs: 0, workMs: 0, calls: 0, triangles: 0, geometries: 0, textures: 0, heapMB: null };
+    this._frameStart = null;
+    this._lastStart = null;
+    this._lastWork = 0;
+    this._offLoop = [];
+
+    // Post-processing renders several times per frame; count them all
+    if (renderer) renderer.info.autoReset = false;
+  }
+
+  /**
+   * Measure every frame of a GameLoop through its 'framestart' / 'frameend' events.
+   * @param {import('./loop.js').GameLoop} loop
+   */
+  attach(loop) {
+    this.detach();
+    this._offLoop.push(loop.on('framestart', () => this.beginFrame()), loop.on('frameend', () => this.endFrame()));
+    return this;
+  }
+
+  detach() {
+    for (const off of this._offLoop) off();
+    this._offLoop.length = 0;
+  }
+
+  beginFrame() {
+    const now = this.now();
+    // A frame is recorded once the next one starts: its interval is start-to-start, its work start-to-end
+    if (this._lastStart !== null) {
+      this.frameTimes[this.index] = now - this._lastStart;
+      this.workTimes[this.index] = this._lastWork;
+      this.index = (this.index + 1) % HISTORY;
+      this.count = Math.min(this.count + 1, HISTORY);
+    }
+    this._lastStart = now;
+    this._frameStart = now;
+    this._lastWork = 0;
+    this.renderer?.info.reset();
+  }
+
+  endFrame() {
+    if (this._frameStart === null) return;
+    this._lastWork = this.now() - this._frameStart;
+    this._frameStart = null;
+
+    const info = this.renderer?.info;
+    if (info) {
+      this.stats.calls = info.render.calls;
+      this.stats.triangles = info.render.triangles;
+      this.stats.geometries = info.memory.geometries;
+      this.stats.textures = info.memory.textures;
+    }
+    this.stats.heapMB = typeof performance !== 'undefined' && performance.memory
+      ? performance.memory.usedJSHeapSize / 1048576
+      : null; // Chromium only
+  }
+
+  /**
+   * Averages over the last `frames` frames (default: whole history).
+   * @param {number} [frames]
+   * @returns {{ frameMs: number, workMs: number, maxFrameMs: number, fps: number, samples: number }}
+   */
+  average(frames = HISTORY) {
+    const n = Math.min(frames, this.count);
+    let frame = 0, work = 0, max = 0;
+    for (let k = 1; k <= n; k++) {
+      const i = (this.index - k + HISTORY) % HISTORY;
+      frame += this.frameTimes[i];
+      work += this.workTimes[i];
+      max = Math.max(max, this.frameTimes[i]);
+    }
+    const frameMs = n ? frame / n : 0;
+    return { frameMs, workMs: n ? work / n : 0, maxFrameMs: max, fps: frameMs ? 1000 / frameMs : 0, samples: n };
+  }
+
+  /** Current averages plus the latest renderer counters. */
+  getStats() {
+    Object.assign(this.stats, this.average());
+    return this.stats;
+  }
+
+  /** Forget collected samples (e.g. after a quality change or a pause). */
+  reset() {
+    this.index = 0;
+    this.count = 0;
+    this._lastStart = null;
+  }
+}
+
+/** Default tiers, lowest first. `quality` is a PostFX preset; `pixelRatio` caps the device pixel ratio. */
+export const QUALITY_TIERS = [
+  { name: 'minimum', quality: 'low', pixelRatio: 0.5 },
+  { name: 'low', quality: 'low', pixelRatio: 0.75 },
+  { name: 'medium', quality: 'medium', pixelRatio: 1 },
+  { name: 'high', quality: 'high', pixelRatio: 1.5 },
+  { name: 'ultra', quality: 'high', pixelRatio: 2 }
+];
+
+/**
+ * Moves between quality tiers based on PerfMonitor averages.
+ * Frame interval over budget means frames are being dropped; raising needs both on-budget frames and
+ * CPU work well under budget, since vsync hides headroom in the interval alone.
+ */
+export class AdaptiveQuality extends Emitter {
+  /**
+   * @param {PerfMonitor} monitor
+   * @param {object} opts
+   * @param {(tier: object, index: number) => void} opts.apply - Applies a tier (pixel ratio, PostFX quality)
+   * @param {object[]} [opts.tiers] - Lowest first; defaults to QUALITY_TIERS
+   * @param {number} [opts.tier] - Starting tier index
+   * @param {number} [opts.targetFps] - Frame budget is 1000 / targetFps ms
+   * @param {number} [opts.downAfter] - Seconds over budget before stepping down
+   * @param {number} [opts.upAfter] - Seconds of headroom before stepping up
+   * @param {number} [opts.cooldown] - Seconds after any change during which nothing is evaluated
+   * @param {boolean} [opts.enabled] - false keeps the starting tier until setTier() or enabling
+   */
+  constructor(monitor, opts) {
+    super();
+    this.monitor = monitor;
+    this.applyFn = opts.apply;
+    this.tiers = opts.tiers ?? QUALITY_TIERS;
+    this.tier = clampIndex(opts.tier ?? this.tiers.length - 2, this.tiers.length);
+    this.budgetMs = 1000 / (opts.targetFps ?? 60);
+    this.downAfter = opts.downAfter ?? 2;
+    this.upAfter = opts.upAfter ?? 6;
+    this.cooldown = opts.cooldown ?? 3;
+    this.enabled = opts.enabled ?? true;
+
+    this._over = 0;
+    this._under = 0;
+    this._cooldown = 0;
+    this.applyFn(this.tiers[this.tier], this.tier);
+  }
+
+  /** Current tier object. */
+  get current() {
+    return this.tiers[this.tier];
+  }
+
+  /**
+   * Evaluate once per frame.
+   * @param {number} deltaTime - Real frame time in seconds
+   */
+  update(deltaTime) {
+    if (!this.enabled) return;
+    if (this._cooldown > 0) {
+      this._cooldown -= deltaTime;
+      return;
+    }
+    const { frameMs, workMs, samples } = this.monitor.average(30);
+    if (samples < 30) return;
+
+    const over = frameMs > this.budgetMs * 1.2;
+    const headroom = frameMs < this.budgetMs * 1.05 && workMs < this.budgetMs * 0.5;
+    this._over = over ? this._over + deltaTime : 0;
+    this._under = headroom ? this._under + deltaTime : 0;
+
+    if (this._over >= this.downAfter && this.tier > 0) this.setTier(this.tier - 1, 'slow');
+    else if (this._under >= this.upAfter && this.tier < this.tiers.length - 1) this.setTier(this.tier + 1, 'headroom');
+  }
+
+  /**
+   * Jump to a tier directly (e.g. from a settings menu).
+   * @param {number} index
+   * @param {string} [reason]
+   */
+  setTier(index, reason = 'manual') {
+    index = clampIndex(index, this.tiers.length);
+    this._over = 0;
+    this._under = 0;
+    this._cooldown = this.cooldown;
+    if (index === this.tier) return;
+    const from = this.tier;
+    this.tier = index;
+    this.applyFn(this.tiers[index], index);
+    this.monitor.reset();
+    this.emit('change', { from, to: index, tier: this.tiers[index], reason });
+  }
+}
+
+/**
+ * Toggleable overlay showing PerfMonitor stats and a frame-time graph.
+ */
+export class PerfHUD {
+  /**
+   * @param {PerfMonitor} monitor
+   * @param {{ parent?: HTMLElement, visible?: boolean, quality?: AdaptiveQuality, budgetMs?: number }} [opts]
+   */
+  constructor(monitor, opts = {}) {
+    this.monitor = monitor;
+    this.quality = opts.quality ?? null;
+    this.parent = opts.parent ?? document.body;
+    this.budgetMs = opts.budgetMs ?? this.quality?.budgetMs ?? 1000 / 60;
+    this.visible = false;
+    this.el = null;
+    this._textTimer = 0;
+    if (opts.visible) this.show();
+  }
+
+  show() {
+    if (!this.el) this._build();
+    this.el.style.display = 'block';
+    this.visible = true;
+  }
+
+  hide() {
+    if (this.el) this.el.style.display = 'none';
+    this.visible = false;
+  }
+
+  toggle() {
+    if (this.visible) this.hide();
+    else this.show();
+    return this.visible;
+  }
+
+  /**
+   * Redraw; call once per frame. Text refreshes four times a second, the graph every frame.
+   * @param {number} deltaTime - Seconds
+   */
+  update(deltaTime) {
+    if (!this.visible) return;
+    this._drawGraph();
+    this._textTimer -= deltaTime;
+    if (this._textTimer > 0) return;
+    this._textTimer = 0.25;
+    const s = this.monitor.getStats();
+    const lines = [
+      `${s.fps.toFixed(0)} fps  ${s.frameMs.toFixed(1)} ms (max ${s.maxFrameMs.toFixed(1)})`,
+      `work ${s.workMs.toFixed(1)} ms`,
+      `calls ${s.calls}  tris ${formatCount(s.triangles)}`,
+      `geom ${s.geometries}  tex ${s.textures}`
+    ];
+    if (s.heapMB !== null) lines.push(`heap ${s.heapMB.toFixed(1)} MB`);
+    if (this.quality) lines.push(`quality ${this.quality.current.name}${this.quality.enabled ? ' (auto)' : ''}`);
+    this._text.textContent = lines.join('\n');
+  }
+
+  destroy() {
+    this.el?.remove();
+    this.el = null;
+    this.visible = false;
+  }
+
+  _build() {
+    const el = document.createElement('div');
+    Object.assign(el.style, {
+      // Pinned to the viewport, or to the corner of a positioned container the game is embedded in
+      position: this.parent === document.body ? 'fixed' : 'absolute', top: '8px', left: '8px', zIndex: '1000', padding: '6px 8px',
+      background: 'rgba(8, 10, 20, 0.75)', border: '1px solid rgba(0, 255, 255, 0.35)', borderRadius: '4px',
+      color: '#bff', font: '11px/1.35 ui-monospace, Menlo, Consolas, monospace', pointerEvents: 'none', whiteSpace: 'pre'
+    });
+    const canvas = document.createElement('canvas');
+    canvas.width = HISTORY;
+    canvas.height = 40;
+    canvas.style.display = 'block';
+    canvas.style.marginBottom = '4px';
+    const text = document.createElement('div');
+    el.append(canvas, text);
+    this.parent.appendChild(el);
+    this.el = el;
+    this._canvas = canvas;
+    this._ctx = canvas.getContext('2d');
+    this._text = text;
+  }
+
+  _drawGraph() {
+    const ctx = this._ctx;
+    if (!ctx) return;
+    const { width, height } = this._canvas;
+    const m = this.monitor;
+    const scale = height / (this.budgetMs * 3); // graph tops out at 3x budget
+    ctx.clearRect(0, 0, width, height);
+    for (let k = 0; k < m.count; k++) {
+      const i = (m.index - m.count + k + HISTORY) % HISTORY;
+      const ms = m.frameTimes[i];
+      ctx.fillStyle = ms > this.budgetMs * 1.2 ? '#ff3c6e' : '#00e5ff';
+      const h = Math.min(height, ms * scale);
+      ctx.fillRect(width - m.count + k, height - h, 1, h);
+    }
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.fillRect(0, Math.round(height - this.budgetMs * scale), width, 1);
+  }
+}
+
+function clampIndex(i, length) {
+  return Math.max(0, Math.min(length - 1, Math.round(i)));
+}
+
+function formatCount(n) {
+  return n >= 1e6 ? `${(n / 1e6).toFixed(2)}M` : n >= 1e3 ? `${(n / 1e3).toFixed(1)}k` : String(n);
+}
@@ -1,162 +1,353 @@
 // save as src/player.js
 import * as THREE from 'three';
+import { Emitter } from './emitter.js';
+import { MovementStateMachine } from './parkour.js';
+import { RunnerAvatar } from './avatar.js';
+
+// Scratch vectors reused every update to avoid per-frame allocations
+const _move = new THREE.Vector3();
+const _target = new THREE.Vector3();
+const _camDir = new THREE.Vector3();
+const _disp = new THREE.Vector3();
 
 /**
  * Player controller class for future gameplay integration.
- * Handles player movement, rotation, and input management.
+ * Handles player movement and rotation. Input comes from an `InputManager`
+ * state passed to `handleInput()` each frame; the player has no listeners of its own.
+ * Parkour moves run through a `MovementStateMachine` (see parkour.js).
+ *
+ * Events: 'statechange' { from, to }, 'jump', 'walljump' { normal }, 'land' { impactSpeed },
+ * 'footstep' { position, speed }, 'bump' { normal, impactSpeed } when running into a wall.
  */
-export class Player {
+export class Player extends Emitter {
   /**
    * @param {THREE.Scene} scene - The Three.js scene to add the player to
    * @param {THREE.Vector3} position - Initial position of the player
+   * @param {object} [opts] - Optional tuning overrides for any of the movement/jump/collision parameters below
+   * @param {import('./collision.js').CollisionWorld} [opts.world] - Level geometry; without it the player stands on y = 0
+   * @param {object} [opts.parkour] - Per-state overrides of PARKOUR_DEFAULTS
+   * @param {object} [opts.avatar] - RunnerAvatar options (colors, responsiveness)
    */
-  constructor(scene, position = new THREE.Vector3(0, 0.5, 0)) {
+  constructor(scene, position = new THREE.Vector3(0, 0.5, 0), opts = {}) {
+    super();
     this.scene = scene;
     this.position = position.clone();
     this.velocity = new THREE.Vector3();
     this.rotation = 0;
 
+    // State at the start of the last update, for render interpolation
+    this.previousPosition = this.position.clone();
+    this.previousRotation = 0;
+
     // Movement parameters
-    this.speed = 5.0;
-    this.turnSpeed = 2.0;
-    this.acceleration = 0.1;
-    this.friction = 0.9;
-
-    // Input state
-    this.input = {
-      forward: false,
-      backward: false,
-      left: false,
-      right: false
-    };
-
-    // Create player mesh (placeholder cube for now)
-    this.mesh = this._createMesh();
+    this.speed = opts.speed ?? 5.0;                       // units/s at full stick deflection
+    this.sprintMultiplier = opts.sprintMultiplier ?? 1.6; // applied to speed while sprinting
+    this.turnSpeed = opts.turnSpeed ?? 10.0;              // rad/s towards the movement direction
+    this.acceleration = opts.acceleration ?? 30.0;        // units/s² while there is input
+    this.friction = opts.friction ?? 20.0;                // units/s² deceleration without input
+    this.airControl = opts.airControl ?? 0.35;            // fraction of acceleration/friction while airborne
+    this.footstepStride = opts.footstepStride ?? 1.6;     // units walked on the ground between 'footstep' events
+    this.bumpSpeed = opts.bumpSpeed ?? 3.0;               // units/s into a wall that emits 'bump'
+
+    // Jump parameters
+    this.gravity = opts.gravity ?? 30.0;                  // units/s² downwards
+    this.jumpSpeed = opts.jumpSpeed ?? 9.0;               // initial upward velocity of a full jump
+    this.jumpCutMultiplier = opts.jumpCutMultiplier ?? 0.45; // vertical velocity kept when jump is released early
+    this.maxFallSpeed = opts.maxFallSpeed ?? 40.0;        // terminal velocity
+    this.coyoteTime = opts.coyoteTime ?? 0.1;             // s after leaving ground a jump is still allowed
+    this.jumpBufferTime = opts.jumpBufferTime ?? 0.12;    // s a jump press is remembered before landing
+    this.halfHeight = opts.halfHeight ?? 0.5;             // position is the body center; feet are halfHeight below
+
+    // Collision parameters
+    this.world = opts.world ?? null;
+    this.halfExtents = new THREE.Vector3(opts.halfWidth ?? 0.25, this.halfHeight, opts.halfWidth ?? 0.25);
+    this.stepHeight = opts.stepHeight ?? 0.35;            // ledges up to this height are walked onto
+    this.maxSlope = THREE.MathUtils.degToRad(opts.maxSlopeDeg ?? 50); // steeper ramps act as walls / slides
+    this.groundSnap = opts.groundSnap ?? 0.2;             // stick to the ground walking down slopes and steps
+    this.lastHit = null;                                  // last CollisionWorld.moveAABB() result
+
+    // Vertical state
+    this.grounded = true;
+    this.ground = null; // collider currently stood on, when using a CollisionWorld
+    this._coyoteTimer = 0;
+    this._jumpBufferTimer = 0;
+    this._jumping = false; // rising from a jump and still eligible for the jump cut
+    this._strideDistance = 0;
+
+    // Input state, filled by handleInput()
+    this.input = { x: 0, y: 0, jump: false, sprint: false, crouch: false, crouchPressed: false };
+    // Heading of the camera the axis is relative to (0 = looking down +Z, PI = down -Z)
+    this.cameraYaw = Math.PI;
+
+    // Procedural runner; its run cycle is two footsteps long so the feet land on 'footstep'
+    this.avatar = new RunnerAvatar({
+      height: this.halfHeight * 2,
+      width: this.halfExtents.x * 2,
+      stride: this.footstepStride * 2,
+      ...opts.avatar
+    });
+    this.mesh = this.avatar.root;
     this.mesh.position.copy(this.position);
     this.scene.add(this.mesh);
 
-    // Bind input handlers
-    this._setupInputHandlers();
+    // Parkour state machine: ground, air, wallrun, ledge, mantle, vault, slide
+    this.movement = new MovementStateMachine(this, opts.parkour);
   }
 
   /**
-   * Create the visual representation of the player
-   * @private
+   * Current movement state name
+   * @returns {string}
    */
-  _createMesh() {
-    const geometry = new THREE.BoxGeometry(0.5, 1, 0.5);
-    const material = new THREE.MeshStandardMaterial({
-      color: 0xff6600,
-      metalness: 0.3,
-      roughness: 0.7
-    });
-    return new THREE.Mesh(geometry, material);
+  get state() {
+    return this.movement.state;
   }
 
   /**
-   * Setup keyboard input handlers
-   * @private
+   * Feed the latest input state (as returned by `InputManager.update()`).
+   * The axis is interpreted relative to the camera: y pushes away from it, x strafes right.
+   * @param {{ axis: { x: number, y: number }, jump?: boolean, sprint?: boolean, crouch?: boolean }} controls
+   * @param {THREE.Camera|number} [camera] - Camera the axis is relative to, or its heading yaw in radians
+   *   (0 = looking down +Z). Keeps the last yaw when omitted. Pass a yaw (e.g. FollowCamera.forwardYaw)
+   *   when the simulation must be deterministic, since the camera object moves per rendered frame.
    */
-  _setupInputHandlers() {
-    window.addEventListener('keydown', (e) => this._onKeyDown(e));
-    window.addEventListener('keyup', (e) => this._onKeyUp(e));
+  handleInput(controls, camera) {
+    const axis = controls.axis ?? { x: 0, y: 0 };
+    this.input.x = axis.x;
+    this.input.y = axis.y;
+    const jump = !!controls.jump;
+    if (jump && !this.input.jump) this._jumpBufferTimer = this.jumpBufferTime;
+    this.input.jump = jump;
+    this.input.sprint = !!controls.sprint;
+    const crouch = !!controls.crouch;
+    if (crouch && !this.input.crouch) this.input.crouchPressed = true;
+    this.input.crouch = crouch;
+
+    if (typeof camera === 'number') {
+      this.cameraYaw = camera;
+    } else if (camera) {
+      camera.getWorldDirection(_camDir);
+      if (Math.abs(_camDir.x) > 1e-6 || Math.abs(_camDir.z) > 1e-6) {
+        this.cameraYaw = Math.atan2(_camDir.x, _camDir.z);
+      }
+    }
   }
 
   /**
-   * Handle keydown events
+   * Update player state based on input and physics
+   * @param {number} deltaTime - Time elapsed since last frame in seconds
+   */
+  update(deltaTime) {
+    this.previousPosition.copy(this.position);
+    this.previousRotation = this.rotation;
+
+    this.movement.update(deltaTime);
+    this.input.crouchPressed = false;
+    this._updateFootsteps();
+
+    this.interpolate(1);
+  }
+
+  /**
+   * Place the mesh between the previous and current simulation state.
+   * Call from the render callback of a fixed-step loop.
+   * @param {number} alpha - 0 = previous step, 1 = current step
+   */
+  interpolate(alpha) {
+    this.mesh.position.lerpVectors(this.previousPosition, this.position, alpha);
+    this.mesh.position.y += this.halfExtents.y - this.halfHeight;
+    this.mesh.scale.y = this.halfExtents.y / this.halfHeight;
+    this.mesh.rotation.y = this.previousRotation + wrapAngle(this.rotation - this.previousRotation) * alpha;
+  }
+
+  /**
+   * Pose the avatar (run cycle, jump/fall, lean into turns). Call once per rendered frame, after interpolate().
+   * @param {number} frameTime - Seconds since the last rendered frame
+   */
+  animate(frameTime) {
+    this.avatar.update(frameTime, this);
+  }
+
+  /**
+   * World-space direction of the camera-relative stick input.
+   * @param {THREE.Vector3} out - Receives the normalized direction (zero without input)
+   * @returns {number} Input magnitude in [0, 1]
    * @private
    */
-  _onKeyDown(event) {
-    switch (event.key.toLowerCase()) {
-      case 'w':
-      case 'arrowup':
-        this.input.forward = true;
-        break;
-      case 's':
-      case 'arrowdown':
-        this.input.backward = true;
-        break;
-      case 'a':
-      case 'arrowleft':
-        this.input.left = true;
-        break;
-      case 'd':
-      case 'arrowright':
-        this.input.right = true;
-        break;
-    }
+  _inputDirection(out) {
+    const fx = Math.sin(this.cameraYaw);
+    const fz = Math.cos(this.cameraYaw);
+    out.set(
+      fx * this.input.y - fz * this.input.x,
+      0,
+      fz * this.input.y + fx * this.input.x
+    );
+    const magnitude = Math.min(out.length(), 1);
+    if (magnitude > 1e-3) out.normalize();
+    else out.set(0, 0, 0);
+    return magnitude;
   }
 
   /**
-   * Handle keyup events
+   * Default run/jump/fall movement, used by the ground and air states.
    * @private
    */
-  _onKeyUp(event) {
-    switch (event.key.toLowerCase()) {
-      case 'w':
-      case 'arrowup':
-        this.input.forward = false;
-        break;
-      case 's':
-      case 'arrowdown':
-        this.input.backward = false;
-        break;
-      case 'a':
-      case 'arrowleft':
-        this.input.left = false;
-        break;
-      case 'd':
-      case 'arrowright':
-        this.input.right = false;
-        break;
+  _locomote(deltaTime) {
+    // Camera-relative desired direction; analog magnitude scales the target speed
+    const magnitude = this._inputDirection(_move);
+
+    const maxSpeed = this.speed * (this.input.sprint ? this.sprintMultiplier : 1);
+    const control = this.grounded ? 1 : this.airControl;
+    if (magnitude > 1e-3) {
+      _target.copy(_move).multiplyScalar(maxSpeed * magnitude);
+      this._approachHorizontal(_target, this.acceleration * control * deltaTime);
+
+      // Turn towards the movement direction
+      const desired = Math.atan2(_move.x, _move.z);
+      const diff = wrapAngle(desired - this.rotation);
+      const maxTurn = this.turnSpeed * deltaTime;
+      this.rotation = wrapAngle(this.rotation + THREE.MathUtils.clamp(diff, -maxTurn, maxTurn));
+    } else {
+      _target.set(0, 0, 0);
+      this._approachHorizontal(_target, this.friction * control * deltaTime);
     }
+
+    this._updateVertical(deltaTime);
+    this._move(deltaTime);
   }
 
   /**
-   * Update player state based on input and physics
-   * @param {number} deltaTime - Time elapsed since last frame in seconds
+   * Integrate velocity into position, against the collision world when there is one.
+   * @private
    */
-  update(deltaTime) {
-    // Handle rotation
-    if (this.input.left) {
-      this.rotation += this.turnSpeed * deltaTime;
+  _move(deltaTime) {
+    if (this.world) {
+      this._moveInWorld(deltaTime);
+      return;
     }
-    if (this.input.right) {
-      this.rotation -= this.turnSpeed * deltaTime;
+    const falling = -this.velocity.y;
+    this.position.addScaledVector(this.velocity, deltaTime);
+
+    // Land on the ground plane
+    if (this.position.y <= this.halfExtents.y) {
+      this.position.y = this.halfExtents.y;
+      if (this.velocity.y <= 0) this._land(null, falling);
+    } else {
+      this.grounded = false;
     }
+  }
 
-    // Calculate movement direction based on rotation
-    const forwardDir = new THREE.Vector3(
-      Math.sin(this.rotation),
-      0,
-      Math.cos(this.rotation)
-    );
+  /**
+   * Jump, coyote time, jump buffering, variable jump height and gravity.
+   * @param {number} deltaTime
+   * @param {number} [gravityScale] - Lower gravity for states like wall-running
+   * @private
+   */
+  _updateVertical(deltaTime, gravityScale = 1) {
+    this._coyoteTimer = this.grounded ? this.coyoteTime : Math.max(0, this._coyoteTimer - deltaTime);
+    this._jumpBufferTimer = Math.max(0, this._jumpBufferTimer - deltaTime);
 
-    // Handle forward/backward movement
-    if (this.input.forward) {
-      this.velocity.addScaledVector(forwardDir, this.acceleration);
+    if (this._jumpBufferTimer > 0 && this._coyoteTimer > 0) {
+      this.velocity.y = this.jumpSpeed;
+      this.grounded = false;
+      this._jumping = true;
+      this._coyoteTimer = 0;
+      this._jumpBufferTimer = 0;
+      this.emit('jump', { player: this });
     }
-    if (this.input.backward) {
-      this.velocity.addScaledVector(forwardDir, -this.acceleration);
+
+    // Releasing jump while rising cuts the jump short
+    if (this._jumping && !this.input.jump && this.velocity.y > 0) {
+      this.velocity.y *= this.jumpCutMultiplier;
+      this._jumping = false;
     }
+    if (this.velocity.y <= 0) this._jumping = false;
 
-    // Clamp velocity to max speed
-    if (this.velocity.length() > this.speed) {
-      this.velocity.normalize().multiplyScalar(this.speed);
+    if (!this.grounded) {
+      this.velocity.y = Math.max(this.velocity.y - this.gravity * gravityScale * deltaTime, -this.maxFallSpeed);
     }
+  }
 
-    // Apply friction
-    this.velocity.multiplyScalar(this.friction);
+  /**
+   * Sweep the player box through the collision world and react to the contacts.
+   * @private
+   */
+  _moveInWorld(deltaTime) {
+    // Ride moving platforms
+    if (this.grounded && this.ground?.moving) this.position.add(this.ground.delta);
 
-    // Update position
-    this.position.add(this.velocity.clone().multiplyScalar(deltaTime));
+    const wasGrounded = this.grounded && this.velocity.y <= 0;
+    const falling = -this.velocity.y;
+    _disp.copy(this.velocity).multiplyScalar(deltaTime);
+    const hit = this.world.moveAABB(this.position, this.halfExtents, _disp, {
+      stepHeight: wasGrounded ? this.stepHeight : 0,
+      maxSlope: this.maxSlope,
+      snapDistance: wasGrounded ? this.groundSnap : 0
+    });
+    this.lastHit = hit;
 
-    // Keep player above ground
-    this.position.y = Math.max(this.position.y, 0.5);
+    if (hit.grounded && this.velocity.y <= 0) {
+      this._land(hit.ground, falling);
+    } else {
+      this.grounded = false;
+      this.ground = null;
+    }
+    if (hit.hitCeiling && this.velocity.y > 0) this.velocity.y = 0;
 
-    // Update mesh transform
-    this.mesh.position.copy(this.position);
-    this.mesh.rotation.y = this.rotation;
+    // Slide along walls and down steep slopes: drop the velocity going into the surface
+    if (hit.hitWall) {
+      const impactSpeed = -this.velocity.dot(hit.wallNormal);
+      if (impactSpeed > this.bumpSpeed) this.emit('bump', { normal: hit.wallNormal.clone(), impactSpeed, player: this });
+      removeInto(this.velocity, hit.wallNormal);
+    }
+    if (hit.steep) removeInto(this.velocity, hit.groundNormal);
+  }
+
+  /**
+   * Called when the player touches the ground
+   * @private
+   */
+  _land(ground = null, impactSpeed = 0) {
+    if (!this.grounded) this.emit('land', { impactSpeed: Math.max(0, impactSpeed), player: this });
+    this.velocity.y = 0;
+    this.grounded = true;
+    this.ground = ground;
+    this._jumping = false;
+  }
+
+  /**
+   * Emit 'footstep' every `footstepStride` units walked or run on the ground.
+   * @private
+   */
+  _updateFootsteps() {
+    if (!this.grounded || this.state !== 'ground') {
+      this._strideDistance = 0;
+      return;
+    }
+    const speed = Math.hypot(this.velocity.x, this.velocity.z);
+    this._strideDistance += Math.hypot(this.position.x - this.previousPosition.x, this.position.z - this.previousPosition.z);
+    if (speed < 0.5) this._strideDistance = Math.min(this._strideDistance, this.footstepStride * 0.5);
+    if (this._strideDistance < this.footstepStride) return;
+    this._strideDistance -= this.footstepStride;
+    const position = new THREE.Vector3(this.position.x, this.position.y - this.halfExtents.y, this.position.z);
+    this.emit('footstep', { position, speed, player: this });
+  }
+
+  /**
+   * Move the horizontal velocity towards `target` by at most `maxDelta`.
+   * @private
+   */
+  _approachHorizontal(target, maxDelta) {
+    const dx = target.x - this.velocity.x;
+    const dz = target.z - this.velocity.z;
+    const dist = Math.hypot(dx, dz);
+    if (dist <= maxDelta || dist < 1e-6) {
+      this.velocity.x = target.x;
+      this.velocity.z = target.z;
+      return;
+    }
+    const s = maxDelta / dist;
+    this.velocity.x += dx * s;
+    this.velocity.z += dz * s;
   }
 
   /**
@@ -173,6 +364,9 @@ export class Player {
    */
   setPosition(position) {
     this.position.copy(position);
+    this.previousPosition.copy(position);
+    this.velocity.set(0, 0, 0);
+    this.movement.reset(this.grounded ? 'ground' : 'air');
     this.mesh.position.copy(position);
   }
 
@@ -180,8 +374,17 @@ export class Player {
    * Remove the player from the scene and cleanup
    */
   dispose() {
+    this.removeAllListeners();
     this.scene.remove(this.mesh);
-    this.mesh.geometry.dispose();
-    this.mesh.material.dispose();
+    this.avatar.dispose();
   }
 }
+
+function removeInto(v, n) {
+  const d = v.dot(n);
+  if (d < 0) v.addScaledVector(n, -d);
+}
+
+function wrapAngle(a) {
+  return Math.atan2(Math.sin(a), Math.cos(a));
+}
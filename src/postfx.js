@@ -0,0 +1,212 @@
+// save as src/postfx.js
+// Post-processing for the neon look: bloom, ACES tone mapping, chromatic aberration and vignette.
+// - Pass order: scene -> UnrealBloom -> OutputPass (tone mapping + sRGB) -> finish (aberration + vignette).
+// - Bloom is selective by brightness: `threshold` keeps lit surfaces out and lets the emissive neon glow.
+// - Quality presets switch off expensive passes and cap the pixel ratio; 'auto' picks one from device hints.
+
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+
+const _size = new THREE.Vector2();
+
+export const QUALITY_LEVELS = ['low', 'medium', 'high'];
+
+/** Per-quality limits. Effects switched off here stay off regardless of their own `enabled`. */
+export const QUALITY_PRESETS = {
+  low: { maxPixelRatio: 0.75, samples: 0, bloom: false, chromaticAberration: false },
+  medium: { maxPixelRatio: 1.25, samples: 0, bloom: true, chromaticAberration: false },
+  high: { maxPixelRatio: 2, samples: 4, bloom: true, chromaticAberration: true }
+};
+
+export const POSTFX_DEFAULTS = {
+  quality: 'auto',
+  bloom: { enabled: true, strength: 0.9, radius: 0.4, threshold: 0.6 },
+  toneMapping: { enabled: true, exposure: 1.0 },                  // ACES filmic
+  chromaticAberration: { enabled: true, amount: 0.0025 },         // UV offset at the screen corners
+  vignette: { enabled: true, intensity: 0.35, softness: 0.55 }
+};
+
+const FinishShader = {
+  name: 'NeonFinishShader',
+  uniforms: {
+    tDiffuse: { value: null },
+    uAberration: { value: 0 },
+    uVignette: { value: 0 },
+    uVignetteSoftness: { value: 0.5 }
+  },
+  vertexShader: /* glsl */`
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }`,
+  fragmentShader: /* glsl */`
+    uniform sampler2D tDiffuse;
+    uniform float uAberration;
+    uniform float uVignette;
+    uniform float uVignetteSoftness;
+    varying vec2 vUv;
+    void main() {
+      vec2 fromCenter = vUv - 0.5;
+      // Radial channel split, growing towards the edges
+      vec2 offset = fromCenter * length(fromCenter) * 2.0 * uAberration;
+      vec4 base = texture2D(tDiffuse, vUv);
+      vec3 color = vec3(texture2D(tDiffuse, vUv + offset).r, base.g, texture2D(tDiffuse, vUv - offset).b);
+      float edge = 1.0 - smoothstep(0.75 - uVignetteSoftness, 0.75, length(fromCenter) * 1.4142);
+      color *= mix(1.0, edge, uVignette);
+      gl_FragColor = vec4(color, base.a);
+    }`
+};
+
+/**
+ * Post-processing pipeline around an EffectComposer.
+ */
+export class PostFX {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {THREE.Scene} scene
+   * @param {THREE.Camera} camera
+   * @param {object} [opts] - Overrides of POSTFX_DEFAULTS; `quality` is 'low' | 'medium' | 'high' | 'auto'
+   */
+  constructor(renderer, scene, camera, opts = {}) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.settings = {
+      bloom: { ...POSTFX_DEFAULTS.bloom, ...opts.bloom },
+      toneMapping: { ...POSTFX_DEFAULTS.toneMapping, ...opts.toneMapping },
+      chromaticAberration: { ...POSTFX_DEFAULTS.chromaticAberration, ...opts.chromaticAberration },
+      vignette: { ...POSTFX_DEFAULTS.vignette, ...opts.vignette }
+    };
+
+    const size = renderer.getSize(new THREE.Vector2());
+    this.composer = new EffectComposer(renderer);
+    this.renderPass = new RenderPass(scene, camera);
+    this.bloomPass = new UnrealBloomPass(size.clone(), this.settings.bloom.strength, this.settings.bloom.radius, this.settings.bloom.threshold);
+    this.outputPass = new OutputPass();
+    this.finishPass = new ShaderPass(FinishShader);
+    this.composer.addPass(this.renderPass);
+    this.composer.addPass(this.bloomPass);
+    this.composer.addPass(this.outputPass);
+    this.composer.addPass(this.finishPass);
+
+    this.quality = null;
+    this.maxPixelRatio = opts.maxPixelRatio ?? Infinity; // further cap on top of the quality preset
+    this.setQuality(opts.quality ?? POSTFX_DEFAULTS.quality);
+  }
+
+  /**
+   * Switch quality preset; 'auto' picks one from detectQuality().
+   * @param {'low'|'medium'|'high'|'auto'} quality
+   */
+  setQuality(quality) {
+    const level = quality === 'auto' ? detectQuality() : quality;
+    if (!QUALITY_PRESETS[level]) throw new Error(`PostFX.setQuality: unknown quality "${quality}"`);
+    this.quality = level;
+    const preset = QUALITY_PRESETS[level];
+    for (const target of [this.composer.renderTarget1, this.composer.renderTarget2]) {
+      if (target.samples !== preset.samples) {
+        target.samples = preset.samples;
+        target.dispose(); // reallocated with the new sample count on next use
+      }
+    }
+    this.resize();
+    this._apply();
+  }
+
+  /**
+   * Update effect settings; each group is merged into the current one.
+   * @param {{ bloom?: object, toneMapping?: object, chromaticAberration?: object, vignette?: object }} settings
+   * @example postfx.set({ bloom: { strength: 1.4 }, vignette: { enabled: false } })
+   */
+  set(settings) {
+    for (const key of Object.keys(this.settings)) {
+      if (settings[key]) Object.assign(this.settings[key], settings[key]);
+    }
+    this._apply();
+  }
+
+  /** Pixel ratio used for rendering under the current quality. */
+  get pixelRatio() {
+    return Math.min(window.devicePixelRatio || 1, QUALITY_PRESETS[this.quality].maxPixelRatio, this.maxPixelRatio);
+  }
+
+  /**
+   * Cap the pixel ratio below the quality preset's (adaptive quality).
+   * @param {number} cap
+   */
+  setMaxPixelRatio(cap) {
+    this.maxPixelRatio = cap;
+    this.resize();
+  }
+
+  /**
+   * Match the canvas size; mirrors initScene's resize().
+   * @param {number} [width] - CSS pixels; defaults to the renderer's current size
+   * @param {number} [height]
+   */
+  resize(width, height) {
+    const size = this.renderer.getSize(_size);
+    width ??= size.x;
+    height ??= size.y;
+    const pixelRatio = this.pixelRatio;
+    this.renderer.setPixelRatio(pixelRatio);
+    this.renderer.setSize(width, height);
+    this.composer.setPixelRatio(pixelRatio);
+    this.composer.setSize(width, height);
+  }
+
+  /**
+   * Render one frame through the pipeline.
+   * @param {number} [deltaTime]
+   */
+  render(deltaTime) {
+    this.composer.render(deltaTime);
+  }
+
+  dispose() {
+    this.composer.passes.forEach(pass => pass.dispose?.());
+    this.composer.dispose();
+    this.renderer.toneMapping = THREE.NoToneMapping;
+  }
+
+  _apply() {
+    const s = this.settings;
+    const preset = QUALITY_PRESETS[this.quality];
+
+    this.bloomPass.enabled = s.bloom.enabled && preset.bloom;
+    this.bloomPass.strength = s.bloom.strength;
+    this.bloomPass.radius = s.bloom.radius;
+    this.bloomPass.threshold = s.bloom.threshold;
+
+    this.renderer.toneMapping = s.toneMapping.enabled ? THREE.ACESFilmicToneMapping : THREE.NoToneMapping;
+    this.renderer.toneMappingExposure = s.toneMapping.exposure;
+
+    const aberration = s.chromaticAberration.enabled && preset.chromaticAberration ? s.chromaticAberration.amount : 0;
+    const vignette = s.vignette.enabled ? s.vignette.intensity : 0;
+    const u = this.finishPass.uniforms;
+    u.uAberration.value = aberration;
+    u.uVignette.value = vignette;
+    u.uVignetteSoftness.value = s.vignette.softness;
+    this.finishPass.enabled = aberration > 0 || vignette > 0;
+  }
+}
+
+/**
+ * Guess a quality level from device hints: very low memory or small touch devices get 'low',
+ * other touch devices, 4 cores or fewer, or 4 GB or less get 'medium', everything else 'high'.
+ * @returns {'low'|'medium'|'high'}
+ */
+export function detectQuality() {
+  const nav = typeof navigator !== 'undefined' ? navigator : {};
+  const cores = nav.hardwareConcurrency ?? 4;
+  const memory = nav.deviceMemory ?? 8; // GB, Chromium only
+  const coarse = typeof matchMedia === 'function' && matchMedia('(pointer: coarse)').matches;
+  if (memory <= 2 || (coarse && cores <= 4)) return 'low';
+  if (coarse || cores <= 4 || memory <= 4) return 'medium';
+  return 'high';
+}
@@ -0,0 +1,372 @@
+// save as src/race.js
+// createRace: 2-4 player local split-screen race on one canvas, torn down again by race.destroy().
+// - Opens on a JoinScreen (see join.js) where each player claims a slot with the keyboard or a gamepad, unless
+//   options.players already says who plays.
+// - Every racer gets its own input source (playerInput() in input.js), a Player in its slot color, FollowCamera,
+//   RunManager, speed trail and HUD; SplitScreen (split.js) draws one view per racer from the single renderer.
+// - A countdown holds everyone at the start. Places go by the race clock from "Go", so a start zone doesn't
+//   favour whoever leaves it last; the results screen opens when everybody finished.
+// - Any racer's pause opens the pause menu, which every racer's device can navigate. Quitting (or backing out
+//   of the lobby) emits 'exit' for the host to mount something else, as main.js does with the single-player game.
+// - Events: 'start' { players }, 'go', 'finish' { slot, place, time, runTime }, 'raceFinished' { results },
+//   'exit' and 'destroy'.
+
+import * as THREE from 'three';
+import { initScene } from './scene.js';
+import { loadLevel } from './level.js';
+import { CollisionWorld } from './collision.js';
+import { playerInput } from './input.js';
+import { Player } from './player.js';
+import { FollowCamera } from './camera.js';
+import { RunManager } from './run.js';
+import { NeonTrail } from './trail.js';
+import { HUD, formatTime } from './hud.js';
+import { MenuSystem } from './menu.js';
+import { AudioEngine } from './audio.js';
+import { GameLoop } from './loop.js';
+import { JoinScreen, PLAYER_COLORS } from './join.js';
+import { SplitScreen } from './split.js';
+import { Emitter } from './emitter.js';
+import demo from './levels/demo.json';
+
+/** Input fed to players held at the start line. */
+const STANDING = { axis: { x: 0, y: 0 } };
+/** Units between neighbouring racers on the start line. */
+const START_SPACING = 1.2;
+const ORDINALS = ['1st', '2nd', '3rd', '4th'];
+
+const _size = new THREE.Vector2();
+
+/**
+ * @typedef {{ slot: number, device: 'keyboard'|'gamepad', index?: number, id?: string }} RacePlayer
+ */
+
+/**
+ * @typedef {Emitter & {
+ *   scene: import('three').Scene, renderer: import('three').WebGLRenderer, loop: GameLoop, menu: MenuSystem,
+ *   join: JoinScreen, level: import('./level.js').Level, readonly phase: string, readonly racers: object[],
+ *   start: () => void, restart: () => void, destroy: () => void
+ * }} Race
+ */
+
+/**
+ * Mount a local split-screen race on a canvas and start it.
+ * @param {HTMLCanvasElement} canvas
+ * @param {object} [options]
+ * @param {object} [options.level] - Level JSON to race on (default: the demo)
+ * @param {RacePlayer[]} [options.players] - Skip the lobby and race with these players
+ * @param {number} [options.minPlayers] - Players needed to start from the lobby (default 2)
+ * @param {number} [options.countdown] - Seconds held at the start (default 3)
+ * @param {() => (Gamepad|null)[]} [options.getGamepads] - Pads for the lobby and the racers (default navigator.getGamepads)
+ * @param {HTMLElement} [options.container] - Size the canvas to this element instead of the window
+ * @param {HTMLElement} [options.parent] - Where the lobby, menus and per-player HUDs go (default document.body)
+ * @param {boolean} [options.autoStart] - false waits for race.start()
+ * @returns {Race}
+ */
+export function createRace(canvas, options = {}) {
+  const race = new Emitter();
+  const parent = options.parent ?? document.body;
+  const countdownTime = options.countdown ?? 3;
+
+  // PostFX draws full-frame passes with one camera, so split views render straight to the canvas
+  const view = initScene(canvas, { lights: false, container: options.container, postprocessing: false });
+  const { scene, camera, renderer } = view;
+  const world = new CollisionWorld();
+  const level = loadLevel(options.level ?? demo, { scene, world });
+  const split = new SplitScreen(renderer, scene);
+
+  // One soundscape for everyone: checkpoint chimes and finish fanfares (four sets of footsteps would be mush)
+  const audio = new AudioEngine();
+
+  injectStyles();
+  const overlay = document.createElement('div');
+  overlay.className = 'race';
+  const countdownEl = document.createElement('div');
+  countdownEl.className = 'race-countdown';
+  overlay.appendChild(countdownEl);
+  parent.appendChild(overlay);
+
+  /** 'lobby', 'countdown', 'racing' or 'finished'. */
+  let phase = 'lobby';
+  let racers = [];
+  let results = [];
+  let countdown = 0;
+  let clock = 0;
+  let lobbyTime = 0;
+  let layoutKey = '';
+
+  const join = new JoinScreen({ parent, getGamepads: options.getGamepads, minPlayers: options.minPlayers });
+  join.on('start', ({ players }) => begin(players));
+  join.on('cancel', () => exit());
+
+  function begin(players) {
+    join.close();
+    removeRacers();
+    racers = players.map((p, i) => addRacer(p, (i - (players.length - 1) / 2) * START_SPACING));
+    layoutKey = '';
+    restart();
+    race.emit('start', { players: players.map(p => ({ ...p })) });
+  }
+
+  function addRacer(spec, spawnOffset) {
+    const { slot } = spec;
+    const color = PLAYER_COLORS[slot];
+    const input = playerInput(spec, { lookElement: canvas, persistBindings: true, getGamepads: options.getGamepads });
+    const player = new Player(scene, level.spawn.position, { world, avatar: { accentColor: color } });
+    player.on('footstep', ({ position }) => level.addRipple(position));
+    player.on('land', ({ impactSpeed }) => {
+      const feet = player.position.clone();
+      feet.y -= player.halfExtents.y;
+      level.addRipple(feet, 1 + impactSpeed / 8);
+      if (impactSpeed > 4) input.gamepads?.rumble(Math.min(1, impactSpeed / 20), Math.min(1, impactSpeed / 12), 120);
+    });
+
+    const cam = new THREE.PerspectiveCamera(camera.fov, 1, camera.near, camera.far);
+    const followCamera = new FollowCamera(cam, { target: player, world, yaw: level.spawn.rotation - Math.PI });
+    // No saved bests: races must not overwrite the solo best, nor share one between racers
+    const run = new RunManager(level, player, { spawnOffset, storage: null });
+    const trail = new NeonTrail(scene, { color });
+    audio.attachRun(run);
+
+    const frame = document.createElement('div');
+    frame.className = 'race-view';
+    frame.style.setProperty('--slot-color', color);
+    const label = document.createElement('div');
+    label.className = 'race-label';
+    frame.appendChild(label);
+    overlay.appendChild(frame);
+    const hud = new HUD(run, player, { parent: frame, id: null });
+
+    const racer = { slot, spec, input, player, camera: cam, followCamera, run, trail, hud, frame, label, place: null };
+    const face = ({ rotation }) => { followCamera.yaw = rotation - Math.PI; };
+    run.on('respawn', (e) => { face(e); trail.reset(); });
+    run.on('restart', () => { face(level.spawn); trail.reset(); });
+    run.on('finish', ({ time }) => {
+      racer.place = results.length + 1;
+      const result = { slot, place: racer.place, time: clock, runTime: time };
+      results.push(result);
+      setLabel(racer);
+      race.emit('finish', { ...result });
+      if (results.length === racers.length) finishRace();
+    });
+    hud.on('pause', () => openMenu('pause'));
+    setLabel(racer);
+    return racer;
+  }
+
+  function removeRacers() {
+    for (const r of racers) {
+      r.hud.destroy();
+      r.frame.remove();
+      r.trail.dispose();
+      r.followCamera.dispose();
+      r.run.dispose();
+      r.player.dispose();
+      r.input.destroy();
+    }
+    racers = [];
+  }
+
+  function setLabel(r) {
+    r.label.textContent = r.place ? `P${r.slot + 1} · ${ORDINALS[r.place - 1]}` : `P${r.slot + 1}`;
+  }
+
+  /** Everyone back to the start line for a new countdown. */
+  function restart() {
+    phase = 'countdown';
+    countdown = countdownTime;
+    clock = 0;
+    results = [];
+    for (const r of racers) {
+      r.place = null;
+      r.run.restart();
+      setLabel(r);
+    }
+  }
+
+  function finishRace() {
+    phase = 'finished';
+    race.emit('raceFinished', { results: results.map(r => ({ ...r })) });
+    openMenu('results');
+  }
+
+  function openMenu(screen) {
+    if (!menu.isOpen) menu.open(screen);
+  }
+
+  function openLobby() {
+    menu.close();
+    removeRacers();
+    phase = 'lobby';
+    countdownEl.textContent = '';
+    join.open();
+  }
+
+  function exit() {
+    // Let the frame or key handler that asked for it finish before the host tears the race down
+    queueMicrotask(() => race.emit('exit', {}));
+  }
+
+  const menu = new MenuSystem({ parent });
+  menu.define('pause', {
+    title: 'Paused',
+    items: [
+      { label: 'Resume', action: () => menu.close() },
+      { label: 'Restart race', action: () => { restart(); menu.close(); } },
+      { label: 'Change players', action: openLobby },
+      { label: 'Quit', action: exit }
+    ]
+  });
+  menu.define('results', {
+    title: 'Results',
+    back: false,
+    items: () => [
+      ...results.map(r => ({
+        label: `${ORDINALS[r.place - 1]}  P${r.slot + 1}`,
+        value: () => formatTime(r.time),
+        disabled: () => true
+      })),
+      { label: 'Rematch', action: () => { restart(); menu.close(); } },
+      { label: 'Change players', action: openLobby },
+      { label: 'Quit', action: exit }
+    ]
+  });
+
+  const loop = new GameLoop({
+    update(dt) {
+      world.update(dt);
+      level.update();
+      for (const r of racers) {
+        const controls = r.input.update();
+        if (controls.actions.pause?.pressed) openMenu('pause');
+        r.followCamera.handleInput(controls, dt);
+        r.player.handleInput(phase === 'countdown' ? STANDING : controls, r.followCamera.forwardYaw);
+        r.player.update(dt);
+        // Finished racers keep falling back onto the course, but can't reset or restart their run
+        if (phase !== 'countdown') r.run.update(dt, r.place ? STANDING : controls);
+      }
+      if (phase === 'countdown') {
+        countdown -= dt;
+        if (countdown <= 0) {
+          phase = 'racing';
+          race.emit('go', {});
+        }
+      } else if (phase === 'racing') {
+        clock += dt;
+      }
+    },
+    render(alpha, frameTime) {
+      // The simulation (and its input polling) is paused while a menu is open
+      for (const r of racers) {
+        if (!menu.isOpen) break; // an item may have closed it, or left for the lobby
+        menu.update(r.input.update());
+      }
+      join.update();
+      if (!racers.length) {
+        // Lobby: circle the start
+        lobbyTime += frameTime;
+        const spawn = level.spawn.position;
+        camera.position.set(spawn.x + Math.sin(lobbyTime * 0.15) * 14, spawn.y + 7, spawn.z + Math.cos(lobbyTime * 0.15) * 14);
+        camera.lookAt(spawn);
+        renderer.render(scene, camera);
+      } else {
+        for (const r of racers) {
+          r.player.interpolate(alpha);
+          if (!loop.paused) {
+            r.player.animate(frameTime);
+            r.trail.update(frameTime, r.player);
+          }
+          r.followCamera.update(frameTime);
+          r.hud.update(frameTime);
+        }
+        split.render(racers.map(r => r.camera));
+        layoutViews();
+      }
+      countdownEl.textContent = phase === 'countdown' ? String(Math.ceil(countdown)) : phase === 'racing' && clock < 0.8 ? 'Go!' : '';
+      audio.update();
+    }
+  });
+
+  // Per-player overlays follow the split, in percent so they survive resizes between renders
+  function layoutViews() {
+    const size = renderer.getSize(_size);
+    const key = `${size.x}x${size.y}:${racers.length}`;
+    if (key === layoutKey) return;
+    layoutKey = key;
+    racers.forEach((r, i) => {
+      const rect = split.rects[i];
+      Object.assign(r.frame.style, {
+        left: `${(rect.x / size.x) * 100}%`,
+        top: `${(rect.y / size.y) * 100}%`,
+        width: `${(rect.width / size.x) * 100}%`,
+        height: `${(rect.height / size.y) * 100}%`
+      });
+    });
+  }
+
+  menu.on('open', () => loop.pause());
+  menu.on('close', () => loop.resume());
+
+  if (options.players?.length) begin(options.players.map((p, slot) => ({ slot, ...p })));
+  else join.open();
+  if (options.autoStart ?? true) loop.start();
+
+  let destroyed = false;
+  Object.defineProperties(race, {
+    phase: { get: () => phase, enumerable: true },
+    racers: { get: () => racers.slice(), enumerable: true }
+  });
+  Object.assign(race, {
+    scene, renderer, loop, menu, join, level,
+
+    /** Start the frame loop (after `autoStart: false`). */
+    start() {
+      if (!destroyed) loop.start();
+    },
+
+    /** Back to the start line with the same players. */
+    restart() {
+      if (!racers.length) return;
+      menu.close();
+      restart();
+    },
+
+    /** Stop the race and release its listeners, DOM, audio and GPU resources. Safe to call twice. */
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      loop.stop();
+      menu.destroy();
+      join.destroy();
+      removeRacers();
+      overlay.remove();
+      audio.dispose();
+      level.dispose();
+      view.dispose();
+      race.emit('destroy', {});
+      race.removeAllListeners();
+    }
+  });
+  return race;
+}
+
+function injectStyles() {
+  if (document.getElementById('race-styles')) return;
+  const style = document.createElement('style');
+  style.id = 'race-styles';
+  style.textContent = `
+.race { position: fixed; inset: 0; pointer-events: none; user-select: none; z-index: 1001; }
+.race .race-view { position: absolute; overflow: hidden; }
+.race .race-view > .hud { position: absolute; }
+.race .race-label {
+  position: absolute; left: 14px; top: 14px; padding: 6px 10px; border-radius: 10px; background: rgba(0,0,0,0.45);
+  border: 1px solid var(--slot-color); color: var(--slot-color); font: 700 16px/1 system-ui,sans-serif;
+  text-shadow: 0 0 8px var(--slot-color);
+}
+.race .race-countdown {
+  position: absolute; left: 50%; top: 50%; transform: translate(-50%, -50%); color: #fff;
+  font: 800 96px/1 system-ui,sans-serif; text-shadow: 0 0 16px rgba(0,255,255,0.9), 0 0 40px rgba(255,0,170,0.6);
+}
+  `.trim();
+  document.head.appendChild(style);
+}
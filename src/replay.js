@@ -0,0 +1,273 @@
+// save as src/replay.js
+// Input recording and deterministic replay.
+// - InputRecorder.capture(state) stores one InputManager.update() result per simulation step and returns the
+//   quantized copy the simulation should use, so a replay feeds back bit-identical values.
+// - Recordings serialize to compact JSON (integer arrays) or a binary ArrayBuffer (15 bytes per frame).
+// - ReplaySource plays a recording back with the same interface as InputManager
+//   (update/getState/on/wasPressedWithin/consumePress/destroy), so main.js can swap one for the other.
+
+import { BUTTON_ACTIONS } from './bindings.js';
+import { ActionEdges, copyActions } from './input.js';
+import { Emitter } from './emitter.js';
+
+export const REPLAY_FORMAT = 'neonparker-replay';
+export const REPLAY_VERSION = 1;
+
+const MAGIC = 0x4e505250; // 'NPRP'
+const HEADER_BYTES = 4 + 1 + 8 + 4 + 4; // magic, version, step, frame count, meta length
+const FRAME_BYTES = 2 + 1 + 6 * 2;      // dt ms, buttons, six int16 channels
+
+const AXIS_SCALE = 32767;   // axis/look in [-1, 1]
+const DELTA_SCALE = 8;      // lookDelta in 1/8 px, clamped to int16
+
+/**
+ * A recorded input stream. Channels are stored as parallel integer arrays:
+ * `t` frame time deltas in ms, `b` button bitmasks (BUTTON_ACTIONS order), `a` six int16 values per frame
+ * (axis x/y, look x/y, lookDelta x/y).
+ */
+export class Recording {
+  constructor({ step = 1 / 60, meta = {}, t = [], b = [], a = [] } = {}) {
+    this.step = step;
+    this.meta = meta;
+    this.t = t;
+    this.b = b;
+    this.a = a;
+  }
+
+  get length() {
+    return this.b.length;
+  }
+
+  /** Duration in seconds according to the recorded timestamps. */
+  get duration() {
+    return this.t.reduce((sum, dt) => sum + dt, 0) / 1000;
+  }
+
+  /**
+   * Decode frame `i` into an input state (without edges).
+   * @param {number} i
+   */
+  frame(i) {
+    const bits = this.b[i];
+    const o = i * 6;
+    const state = {
+      axis: { x: this.a[o] / AXIS_SCALE, y: this.a[o + 1] / AXIS_SCALE },
+      look: { x: this.a[o + 2] / AXIS_SCALE, y: this.a[o + 3] / AXIS_SCALE },
+      lookDelta: { x: this.a[o + 4] / DELTA_SCALE, y: this.a[o + 5] / DELTA_SCALE },
+    };
+    BUTTON_ACTIONS.forEach((action, bit) => { state[action] = !!(bits & (1 << bit)); });
+    return state;
+  }
+
+  toJSON() {
+    return { format: REPLAY_FORMAT, version: REPLAY_VERSION, step: this.step, meta: this.meta, t: this.t, b: this.b, a: this.a };
+  }
+
+  /**
+   * @param {string|object} json - Output of toJSON() or its JSON string
+   * @returns {Recording}
+   */
+  static fromJSON(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || data.format !== REPLAY_FORMAT) throw new Error('Recording.fromJSON: not a NeonParker replay');
+    if (data.version !== REPLAY_VERSION) throw new Error(`Recording.fromJSON: unsupported version ${data.version}`);
+    const n = data.b?.length ?? 0;
+    if (!Array.isArray(data.t) || data.t.length !== n || !Array.isArray(data.a) || data.a.length !== n * 6) {
+      throw new Error('Recording.fromJSON: channel lengths do not match');
+    }
+    return new Recording(data);
+  }
+
+  /** @returns {ArrayBuffer} */
+  toBinary() {
+    const meta = new TextEncoder().encode(JSON.stringify(this.meta ?? {}));
+    const buf = new ArrayBuffer(HEADER_BYTES + meta.length + this.length * FRAME_BYTES);
+    const view = new DataView(buf);
+    let o = 0;
+    view.setUint32(o, MAGIC); o += 4;
+    view.setUint8(o, REPLAY_VERSION); o += 1;
+    view.setFloat64(o, this.step, true); o += 8;
+    view.setUint32(o, this.length, true); o += 4;
+    view.setUint32(o, meta.length, true); o += 4;
+    new Uint8Array(buf, o, meta.length).set(meta); o += meta.length;
+    for (let i = 0; i < this.length; i++) {
+      view.setUint16(o, Math.min(this.t[i], 0xffff), true); o += 2;
+      view.setUint8(o, this.b[i]); o += 1;
+      for (let k = 0; k < 6; k++) { view.setInt16(o, this.a[i * 6 + k], true); o += 2; }
+    }
+    return buf;
+  }
+
+  /**
+   * @param {ArrayBuffer} buf
+   * @returns {Recording}
+   */
+  static fromBinary(buf) {
+    const view = new DataView(buf);
+    if (buf.byteLength < HEADER_BYTES || view.getUint32(0) !== MAGIC) throw new Error('Recording.fromBinary: not a NeonParker replay');
+    let o = 4;
+    const version = view.getUint8(o); o += 1;
+    if (version !== REPLAY_VERSION) throw new Error(`Recording.fromBinary: unsupported version ${version}`);
+    const step = view.getFloat64(o, true); o += 8;
+    const n = view.getUint32(o, true); o += 4;
+    const metaLen = view.getUint32(o, true); o += 4;
+    if (buf.byteLength !== HEADER_BYTES + metaLen + n * FRAME_BYTES) throw new Error('Recording.fromBinary: truncated data');
+    const meta = JSON.parse(new TextDecoder().decode(new Uint8Array(buf, o, metaLen))); o += metaLen;
+    const t = new Array(n), b = new Array(n), a = new Array(n * 6);
+    for (let i = 0; i < n; i++) {
+      t[i] = view.getUint16(o, true); o += 2;
+      b[i] = view.getUint8(o); o += 1;
+      for (let k = 0; k < 6; k++) { a[i * 6 + k] = view.getInt16(o, true); o += 2; }
+    }
+    return new Recording({ step, meta, t, b, a });
+  }
+}
+
+/**
+ * Captures per-step input states into a Recording.
+ */
+export class InputRecorder {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.step] - Simulation step the frames belong to
+   * @param {object} [opts.meta] - Free-form data saved with the recording (level id, spawn, build...)
+   * @param {number} [opts.maxFrames] - Stop recording after this many frames
+   * @param {() => number} [opts.now] - Clock in ms
+   */
+  constructor(opts = {}) {
+    this.now = opts.now ?? (() => performance.now());
+    this.maxFrames = opts.maxFrames ?? 60 * 60 * 30; // 30 minutes at 60 Hz
+    this.recording = new Recording({ step: opts.step ?? 1 / 60, meta: opts.meta ?? {} });
+    this.active = true;
+    this._last = null;
+  }
+
+  /**
+   * Record one input state and return its quantized copy; feed that copy to the simulation so a replay
+   * reproduces it exactly. Edge data (`actions`) is recomputed on playback and not stored.
+   * @param {object} state - InputManager.update() result
+   * @returns {object}
+   */
+  capture(state) {
+    const q = quantize(state);
+    if (!this.active || this.recording.length >= this.maxFrames) return q.state;
+    const now = this.now();
+    const r = this.recording;
+    r.t.push(this._last === null ? 0 : Math.max(0, Math.round(now - this._last)));
+    this._last = now;
+    r.b.push(q.bits);
+    r.a.push(...q.ints);
+    return q.state;
+  }
+
+  /** Stop recording; capture() keeps quantizing but stores nothing. */
+  stop() {
+    this.active = false;
+    return this.recording;
+  }
+
+  /** Start over with an empty recording (keeps step and meta). */
+  reset(meta = this.recording.meta) {
+    this.recording = new Recording({ step: this.recording.step, meta });
+    this.active = true;
+    this._last = null;
+  }
+}
+
+/**
+ * Plays a Recording back in place of InputManager. Each update() returns the next frame;
+ * after the last frame it returns a neutral state (or loops when `loop` is set).
+ */
+export class ReplaySource extends Emitter {
+  /**
+   * @param {Recording} recording
+   * @param {{ loop?: boolean, bufferTime?: number }} [opts]
+   */
+  constructor(recording, opts = {}) {
+    super();
+    this.recording = recording;
+    this.loop = opts.loop ?? false;
+    this.index = 0;
+    this.time = 0; // ms, from the recorded deltas
+    this._edges = new ActionEdges(this, { bufferTime: opts.bufferTime });
+    this.state = { ...neutralState(), actions: this._edges.actions };
+  }
+
+  /** True once every frame has been played (never when looping). */
+  get done() {
+    return !this.loop && this.index >= this.recording.length;
+  }
+
+  update() {
+    const r = this.recording;
+    if (this.loop && this.index >= r.length && r.length > 0) this.rewind();
+    let frame;
+    if (this.index < r.length) {
+      this.time += r.t[this.index];
+      frame = r.frame(this.index);
+      this.index++;
+      if (this.index === r.length && !this.loop) this.emit('end', { frames: r.length });
+    } else {
+      frame = neutralState();
+    }
+    Object.assign(this.state, frame);
+    this._edges.update(this.state, frame.axis, this.time);
+    return this.getState();
+  }
+
+  getState() {
+    return {
+      axis: { ...this.state.axis },
+      look: { ...this.state.look },
+      lookDelta: { ...this.state.lookDelta },
+      ...Object.fromEntries(BUTTON_ACTIONS.map(a => [a, this.state[a]])),
+      actions: copyActions(this.state.actions),
+    };
+  }
+
+  wasPressedWithin(action, ms) {
+    return this._edges.wasPressedWithin(action, ms, this.time);
+  }
+
+  consumePress(action, ms) {
+    return this._edges.consumePress(action, ms, this.time);
+  }
+
+  rewind() {
+    this.index = 0;
+    this.time = 0;
+    this._edges = new ActionEdges(this, { bufferTime: this._edges.bufferTime });
+    this.state.actions = this._edges.actions;
+  }
+
+  destroy() {
+    this.removeAllListeners();
+  }
+}
+
+function quantize(state) {
+  const ints = [
+    toInt(state.axis?.x, AXIS_SCALE), toInt(state.axis?.y, AXIS_SCALE),
+    toInt(state.look?.x, AXIS_SCALE), toInt(state.look?.y, AXIS_SCALE),
+    toInt(state.lookDelta?.x, DELTA_SCALE), toInt(state.lookDelta?.y, DELTA_SCALE),
+  ];
+  let bits = 0;
+  BUTTON_ACTIONS.forEach((action, bit) => { if (state[action]) bits |= 1 << bit; });
+  const q = {
+    ...state,
+    axis: { x: ints[0] / AXIS_SCALE, y: ints[1] / AXIS_SCALE },
+    look: { x: ints[2] / AXIS_SCALE, y: ints[3] / AXIS_SCALE },
+    lookDelta: { x: ints[4] / DELTA_SCALE, y: ints[5] / DELTA_SCALE },
+  };
+  return { state: q, ints, bits };
+}
+
+function toInt(v, scale) {
+  return Math.max(-32768, Math.min(32767, Math.round((v ?? 0) * scale)));
+}
+
+function neutralState() {
+  const s = { axis: { x: 0, y: 0 }, look: { x: 0, y: 0 }, lookDelta: { x: 0, y: 0 } };
+  for (const a of BUTTON_ACTIONS) s[a] = false;
+  return s;
+}
@@ -0,0 +1,257 @@
+// save as src/run.js
+// RunManager: time trials over a Level's start zone, ordered checkpoints and finish zone.
+// - The timer starts when the player leaves the start zone (or first moves, when the level has none)
+//   and advances with simulation steps, so replays reproduce the same times.
+// - Checkpoints must be touched in order; each one records a split compared against the personal best.
+// - Falling below level.killY (in any state, also after the finish) or tapping `reset` respawns at the last
+//   checkpoint; holding `reset` (or tapping it after the finish) restarts.
+// - Personal bests (time + splits) are saved to localStorage per level.
+//
+// Events:
+//   'start'      { time }
+//   'checkpoint' { index, id, time, best, delta }        best/delta are null without a personal best
+//   'finish'     { time, splits, best, delta, isBest }    best is the previous personal best
+//   'respawn'    { reason: 'fall'|'reset', checkpoint, position, rotation }
+//   'restart'    {}
+
+import * as THREE from 'three';
+import { Emitter } from './emitter.js';
+
+const _playerBox = new THREE.Box3();
+
+export class RunManager extends Emitter {
+  /**
+   * @param {import('./level.js').Level} level
+   * @param {import('./player.js').Player} player
+   * @param {object} [opts]
+   * @param {string} [opts.levelId] - Key for saved bests (defaults to level.name)
+   * @param {Storage|null} [opts.storage] - Defaults to window.localStorage when available; null keeps no bests
+   * @param {string} [opts.storagePrefix]
+   * @param {number} [opts.restartHoldTime] - Seconds `reset` must be held to restart the run
+   * @param {number} [opts.spawnOffset] - Units to the right of the spawn point (facing its rotation) this player
+   *   starts and respawns at, so racers sharing a level don't stand inside each other
+   */
+  constructor(level, player, opts = {}) {
+    super();
+    this.player = player;
+    this.storage = opts.storage !== undefined ? opts.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.storagePrefix = opts.storagePrefix ?? 'neonparker:best:';
+    this.restartHoldTime = opts.restartHoldTime ?? 1.0;
+    this.spawnOffset = opts.spawnOffset ?? 0;
+    this._levelId = opts.levelId ?? null;
+    this.setLevel(level);
+  }
+
+  /**
+   * Switch to another level (e.g. after a hot reload); restarts the run.
+   * @param {import('./level.js').Level} level
+   */
+  setLevel(level) {
+    this.level = level;
+    this.levelId = this._levelId ?? level.name;
+    this.best = this._loadBest();
+    this.restart();
+  }
+
+  /** 'ready' (waiting to start), 'running' or 'finished'. */
+  get state() {
+    return this._state;
+  }
+
+  /**
+   * Move the player back to spawn and clear the timer and splits.
+   */
+  restart() {
+    this._state = 'ready';
+    this.time = 0;
+    this.splits = [];
+    this.nextCheckpoint = 0;
+    this._resetHeld = false;
+    this._place(this._spawnPoint(), this.level.spawn.rotation);
+    this._spawnPosition = this.player.position.clone();
+    this.emit('restart', {});
+  }
+
+  /**
+   * Advance the run. Call once per simulation step, after player.update().
+   * @param {number} deltaTime
+   * @param {{ reset?: boolean, actions?: object }} [controls] - Input state for the reset action
+   */
+  update(deltaTime, controls = {}) {
+    if (this._handleReset(controls)) return;
+
+    const player = this.player;
+    const box = _playerBox.setFromCenterAndSize(player.position, _size.copy(player.halfExtents).multiplyScalar(2));
+
+    if (this._state === 'ready') {
+      const start = this.level.start;
+      const left = start
+        ? !start.box.intersectsBox(box)
+        : player.position.distanceToSquared(this._spawnPosition) > 1e-4;
+      if (!left) return;
+      this._state = 'running';
+      this.emit('start', { time: 0 });
+    }
+    if (this._state === 'running') this.time += deltaTime;
+
+    // Falling off respawns in every state, also after the finish
+    if (player.position.y < this.level.killY) {
+      this.respawn('fall');
+      return;
+    }
+    if (this._state !== 'running') return;
+
+    const cp = this.level.checkpoints[this.nextCheckpoint];
+    if (cp && cp.box.intersectsBox(box)) {
+      const best = this.best?.splits[this.nextCheckpoint] ?? null;
+      this.splits.push(this.time);
+      this.emit('checkpoint', {
+        index: this.nextCheckpoint,
+        id: cp.id,
+        time: this.time,
+        best,
+        delta: best === null ? null : this.time - best
+      });
+      this.nextCheckpoint++;
+    }
+
+    const finish = this.level.finish;
+    if (finish && this.nextCheckpoint >= this.level.checkpoints.length && finish.box.intersectsBox(box)) {
+      this._finish();
+    }
+  }
+
+  /**
+   * Put the player at the last checkpoint reached (or spawn), facing the next objective. The timer keeps running.
+   * @param {'fall'|'reset'} [reason]
+   */
+  respawn(reason = 'reset') {
+    const index = this.nextCheckpoint - 1;
+    const cp = index >= 0 ? this.level.checkpoints[index] : null;
+    let position, rotation;
+    if (cp) {
+      position = cp.box.getCenter(new THREE.Vector3());
+      position.y = cp.box.min.y + this.player.halfHeight;
+      const target = this.level.checkpoints[this.nextCheckpoint]?.box ?? this.level.finish?.box;
+      if (target) {
+        const to = target.getCenter(new THREE.Vector3()).sub(position);
+        rotation = Math.atan2(to.x, to.z);
+      } else {
+        rotation = this.player.rotation;
+      }
+    } else {
+      position = this._spawnPoint();
+      rotation = this.level.spawn.rotation;
+    }
+    this._place(position, rotation);
+    this.emit('respawn', { reason, checkpoint: cp?.id ?? null, position: position.clone(), rotation });
+  }
+
+  /**
+   * Snapshot for HUDs.
+   * @returns {{ state: string, time: number, splits: number[], nextCheckpoint: number, checkpoints: number, best: { time: number, splits: number[] } | null }}
+   */
+  getState() {
+    return {
+      state: this._state,
+      time: this.time,
+      splits: this.splits.slice(),
+      nextCheckpoint: this.nextCheckpoint,
+      checkpoints: this.level.checkpoints.length,
+      best: this.best ? { time: this.best.time, splits: this.best.splits.slice() } : null
+    };
+  }
+
+  /** Forget the saved personal best for this level. */
+  clearBest() {
+    this.best = null;
+    try { this.storage?.removeItem(this._storageKey()); } catch { /* storage unavailable */ }
+  }
+
+  /** Drop all listeners (HUD, ghost, audio); the level and player belong to the caller. */
+  dispose() {
+    this.removeAllListeners();
+  }
+
+  _finish() {
+    this._state = 'finished';
+    const previous = this.best;
+    const isBest = !previous || this.time < previous.time;
+    if (isBest) {
+      this.best = { time: this.time, splits: this.splits.slice(), date: Date.now() };
+      this._saveBest();
+    }
+    this.emit('finish', {
+      time: this.time,
+      splits: this.splits.slice(),
+      best: previous ? previous.time : null,
+      delta: previous ? this.time - previous.time : null,
+      isBest
+    });
+  }
+
+  /** Tap reset: respawn. Hold: restart. Returns true when the run was restarted this step. */
+  _handleReset(controls) {
+    const edge = controls.actions?.reset;
+    if (edge) {
+      if (edge.down && edge.heldTime >= this.restartHoldTime && !this._resetHeld) {
+        this.restart();
+        this._resetHeld = true; // stay latched until release
+        return true;
+      }
+      if (edge.released) {
+        if (!this._resetHeld) this._tapReset();
+        this._resetHeld = false;
+      }
+      return false;
+    }
+    // Without edge data (plain boolean state), respawn on the rising edge
+    const down = !!controls.reset;
+    if (down && !this._resetDown) this._tapReset();
+    this._resetDown = down;
+    return false;
+  }
+
+  _tapReset() {
+    if (this._state === 'running') this.respawn('reset');
+    else if (this._state === 'finished') this.restart();
+  }
+
+  _place(position, rotation) {
+    const player = this.player;
+    player.setPosition(position);
+    player.rotation = player.previousRotation = rotation;
+  }
+
+  _spawnPoint() {
+    const { position, rotation } = this.level.spawn;
+    // The player faces +Z at rotation 0, so its right is -X
+    return position.clone().add(_size.set(-Math.cos(rotation), 0, Math.sin(rotation)).multiplyScalar(this.spawnOffset));
+  }
+
+  _storageKey() {
+    return `${this.storagePrefix}${this.levelId}`;
+  }
+
+  _loadBest() {
+    try {
+      const raw = this.storage?.getItem(this._storageKey());
+      if (!raw) return null;
+      const best = JSON.parse(raw);
+      if (!Number.isFinite(best?.time) || !Array.isArray(best.splits)) return null;
+      // Splits from an older layout of the level can't be compared; keep just the time
+      if (best.splits.length !== this.level.checkpoints.length) best.splits = [];
+      return best;
+    } catch {
+      return null;
+    }
+  }
+
+  _saveBest() {
+    try {
+      this.storage?.setItem(this._storageKey(), JSON.stringify(this.best));
+    } catch { /* quota or privacy mode */ }
+  }
+}
+
+const _size = new THREE.Vector3();
@@ -1,13 +1,25 @@
 // save as src/scene.js
 import * as THREE from 'three';
+import { PostFX } from './postfx.js';
 
 /**
  * Initialize a Three.js scene using a provided canvas.
  * @param {HTMLCanvasElement} canvas
- * @returns {{ scene: THREE.Scene, camera: THREE.PerspectiveCamera, renderer: THREE.WebGLRenderer, resize: () => void }}
+ * @param {{ lights?: boolean, far?: number, postprocessing?: boolean|object, container?: HTMLElement }} [opts] - `lights: false`
+ *   skips the default hemisphere/directional pair (levels bring their own); `far` is the camera far plane;
+ *   `postprocessing` enables the PostFX pipeline (true, or PostFX options); `container` sizes the canvas to
+ *   that element instead of the window
+ * @returns {{ scene: THREE.Scene, camera: THREE.PerspectiveCamera, renderer: THREE.WebGLRenderer, postfx: PostFX|null,
+ *   render: (deltaTime?: number) => void, resize: () => void, setMaxPixelRatio: (cap: number) => void, dispose: () => void }}
  */
-export function initScene(canvas) {
-  const pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
+export function initScene(canvas, opts = {}) {
+  let maxPixelRatio = 2;
+  const container = opts.container ?? null;
+  const viewSize = () => (container
+    ? [Math.max(1, container.clientWidth), Math.max(1, container.clientHeight)]
+    : [window.innerWidth, window.innerHeight]);
+  const [width, height] = viewSize();
+  const pixelRatio = Math.min(window.devicePixelRatio || 1, maxPixelRatio);
 
   const renderer = new THREE.WebGLRenderer({
     canvas,
@@ -26,36 +38,70 @@ export function initScene(canvas) {
   renderer.shadowMap.enabled = false;
 
   renderer.setPixelRatio(pixelRatio);
-  renderer.setSize(window.innerWidth, window.innerHeight);
+  renderer.setSize(width, height);
 
   const scene = new THREE.Scene();
   scene.background = new THREE.Color(0x202025);
 
   const camera = new THREE.PerspectiveCamera(
     60,
-    window.innerWidth / window.innerHeight,
+    width / height,
     0.1,
-    100
+    opts.far ?? 300
   );
   camera.position.set(2, 2, 3);
 
-  const hemi = new THREE.HemisphereLight(0xffffff, 0x222222, 1.1);
-  scene.add(hemi);
+  if (opts.lights ?? true) {
+    const hemi = new THREE.HemisphereLight(0xffffff, 0x222222, 1.1);
+    scene.add(hemi);
 
-  const dir = new THREE.DirectionalLight(0xffffff, 0.6);
-  dir.position.set(3, 5, 2);
-  scene.add(dir);
+    const dir = new THREE.DirectionalLight(0xffffff, 0.6);
+    dir.position.set(3, 5, 2);
+    scene.add(dir);
+  }
+
+  const postfx = opts.postprocessing
+    ? new PostFX(renderer, scene, camera, opts.postprocessing === true ? {} : opts.postprocessing)
+    : null;
 
   function resize() {
-    const w = window.innerWidth;
-    const h = window.innerHeight;
+    const [w, h] = viewSize();
     camera.aspect = w / h;
     camera.updateProjectionMatrix();
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
-    renderer.setSize(w, h);
+    if (postfx) {
+      postfx.resize(w, h);
+    } else {
+      renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, maxPixelRatio));
+      renderer.setSize(w, h);
+    }
+  }
+
+  // Lower the resolution on slow devices (see AdaptiveQuality in perf.js)
+  function setMaxPixelRatio(cap) {
+    maxPixelRatio = cap;
+    if (postfx) postfx.setMaxPixelRatio(cap);
+    else resize();
+  }
+
+  function render(deltaTime) {
+    if (postfx) postfx.render(deltaTime);
+    else renderer.render(scene, camera);
+  }
+
+  // Stop resizing and free the renderer; objects still in the scene belong to whoever added them.
+  // The WebGL context stays alive, so a new initScene() can take over the same canvas.
+  function dispose() {
+    window.removeEventListener('resize', resize);
+    observer?.disconnect();
+    postfx?.dispose();
+    renderer.dispose();
+    scene.clear();
   }
 
+  // A container can change size without the window resizing (layout, sidebars)
+  const observer = container && typeof ResizeObserver !== 'undefined' ? new ResizeObserver(resize) : null;
+  observer?.observe(container);
   window.addEventListener('resize', resize);
 
-  return { scene, camera, renderer, resize };
+  return { scene, camera, renderer, postfx, render, resize, setMaxPixelRatio, dispose };
 }
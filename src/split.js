@@ -0,0 +1,95 @@
+// save as src/split.js
+// Split-screen rendering: one WebGLRenderer and scene, one camera per local player.
+// - splitLayout() divides the view: two players side by side on landscape views (stacked on portrait ones),
+//   three or four in a 2×2 grid (the fourth quarter stays dark with three players).
+// - SplitScreen.render() draws each camera into its rect with scissored viewports, fitting the camera's aspect
+//   to the rect, then restores the full viewport. PostFX renders full-frame passes with one camera, so split
+//   views are drawn without it.
+
+import * as THREE from 'three';
+
+const _size = new THREE.Vector2();
+
+/**
+ * Rects for `count` views in a width × height area, in CSS pixels from the top left.
+ * @param {number} count - 1 to 4
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [gap] - Pixels left dark between views
+ * @returns {{ x: number, y: number, width: number, height: number }[]}
+ */
+export function splitLayout(count, width, height, gap = 0) {
+  if (!(count >= 1 && count <= 4)) throw new Error(`splitLayout: ${count} views (1-4 supported)`);
+  let cols = 1, rows = 1;
+  if (count === 2) {
+    if (width >= height) cols = 2;
+    else rows = 2;
+  } else if (count > 2) {
+    cols = rows = 2;
+  }
+  // Integer edges so neighbouring views neither overlap nor leave a seam beyond `gap`
+  const xs = edges(width, cols, gap);
+  const ys = edges(height, rows, gap);
+  const rects = [];
+  for (let i = 0; i < count; i++) {
+    const [x0, x1] = xs[i % cols];
+    const [y0, y1] = ys[Math.floor(i / cols)];
+    rects.push({ x: x0, y: y0, width: x1 - x0, height: y1 - y0 });
+  }
+  return rects;
+}
+
+function edges(length, parts, gap) {
+  const out = [];
+  for (let i = 0; i < parts; i++) {
+    const start = Math.round((length * i) / parts + (i > 0 ? gap / 2 : 0));
+    const end = Math.round((length * (i + 1)) / parts - (i < parts - 1 ? gap / 2 : 0));
+    out.push([start, Math.max(start + 1, end)]);
+  }
+  return out;
+}
+
+export class SplitScreen {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {THREE.Scene} scene
+   * @param {{ gap?: number }} [opts] - `gap`: CSS pixels of the renderer's clear color between views
+   */
+  constructor(renderer, scene, opts = {}) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.gap = opts.gap ?? 2;
+    /** Rects of the last render(), for placing per-player overlays. */
+    this.rects = [];
+  }
+
+  /**
+   * Draw the scene once per camera, each into its own part of the canvas.
+   * @param {THREE.PerspectiveCamera[]} cameras - One per player, in slot order
+   */
+  render(cameras) {
+    const renderer = this.renderer;
+    const { x: width, y: height } = renderer.getSize(_size);
+    this.rects = splitLayout(cameras.length, width, height, cameras.length > 1 ? this.gap : 0);
+
+    renderer.setScissorTest(true);
+    // Gaps and an empty fourth quarter show the clear color instead of the last frame
+    renderer.setViewport(0, 0, width, height);
+    renderer.setScissor(0, 0, width, height);
+    renderer.clear();
+    cameras.forEach((camera, i) => {
+      const r = this.rects[i];
+      const y = height - r.y - r.height; // WebGL counts from the bottom
+      renderer.setViewport(r.x, y, r.width, r.height);
+      renderer.setScissor(r.x, y, r.width, r.height);
+      const aspect = r.width / r.height;
+      if (camera.aspect !== aspect) {
+        camera.aspect = aspect;
+        camera.updateProjectionMatrix();
+      }
+      renderer.render(this.scene, camera);
+    });
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, width, height);
+  }
+}
@@ -0,0 +1,617 @@
+// save as src/touch.js
+// TouchControls: on-screen controls for coarse-pointer devices, owned by InputManager.
+// - Floating joystick: spawns where the thumb lands on the left half (or stays at its layout position in 'fixed' mode).
+// - Look zone: dragging on the right half turns the camera, in pixels like mouse movement.
+// - Buttons (jump, sprint, crouch, interact, pause, reset) are placed, sized and shown per layout; actions bind
+//   to them by id through the `touch` device in bindings.js.
+// - The layout (positions, sizes, opacity, scale, joystick mode, haptics) persists to localStorage;
+//   TouchLayoutEditor moves and resizes the controls in place.
+// - vibrate() gives haptic feedback through navigator.vibrate where supported.
+
+import { Emitter } from './emitter.js';
+
+/** On-screen buttons; bind actions to them by id in the `touch` device. */
+export const TOUCH_BUTTONS = [
+  { id: 'jump', label: 'Jump' },
+  { id: 'sprint', label: 'Sprint' },
+  { id: 'crouch', label: 'Slide' },
+  { id: 'interact', label: 'Use' },
+  { id: 'pause', label: 'Pause' },
+  { id: 'reset', label: 'Reset' }
+];
+
+/**
+ * Positions are control centers as fractions of the viewport; sizes are diameters in CSS pixels before `scale`.
+ */
+export const DEFAULT_TOUCH_LAYOUT = {
+  opacity: 0.85,
+  scale: 1,
+  haptics: true,
+  joystick: { mode: 'floating', x: 0.16, y: 0.76, size: 120 },
+  buttons: {
+    jump: { x: 0.88, y: 0.8, size: 84, visible: true },
+    sprint: { x: 0.74, y: 0.86, size: 64, visible: true },
+    crouch: { x: 0.9, y: 0.58, size: 64, visible: true },
+    interact: { x: 0.74, y: 0.66, size: 56, visible: false },
+    pause: { x: 0.95, y: 0.08, size: 44, visible: false },
+    reset: { x: 0.6, y: 0.88, size: 52, visible: false }
+  }
+};
+
+export const JOYSTICK_MODES = ['floating', 'fixed'];
+
+const SIZE_RANGE = [32, 200];
+const OPACITY_RANGE = [0.2, 1];
+const SCALE_RANGE = [0.5, 2];
+
+export class TouchControls {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.deadzone] - Joystick deadzone per axis, as in InputManager
+   * @param {number} [opts.joystickRadius] - Overrides the default joystick size (radius in px)
+   * @param {object} [opts.layout] - Overrides of DEFAULT_TOUCH_LAYOUT
+   * @param {boolean} [opts.persistLayout] - Load the layout from / save it to storage
+   * @param {Storage} [opts.storage]
+   * @param {string} [opts.storageKey]
+   * @param {HTMLElement} [opts.parent]
+   * @param {Window} [opts.window] - Window to build the UI in and read the viewport and vibration from
+   */
+  constructor(opts = {}) {
+    this.window = opts.window ?? window;
+    this.document = this.window.document;
+    this.deadzone = opts.deadzone ?? 0.15;
+    this.storage = opts.storage ?? (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.storageKey = opts.storageKey ?? 'neonparker:touchLayout';
+    this.persistLayout = opts.persistLayout ?? false;
+    this.defaults = mergeTouchLayout(DEFAULT_TOUCH_LAYOUT, opts.joystickRadius ? { joystick: { size: opts.joystickRadius * 2 } } : null);
+    this.layout = mergeTouchLayout(this.defaults, opts.layout);
+    if (this.persistLayout) this.loadLayout();
+
+    /** Joystick vector (x: right+, y: forward+) and held buttons by id; read by InputManager. */
+    this.vector = { x: 0, y: 0 };
+    this.buttons = {};
+    /** True while TouchLayoutEditor owns the controls; gameplay input is ignored. */
+    this.editing = false;
+
+    this._look = { x: 0, y: 0 };
+    this._joy = { pointerId: null, originX: 0, originY: 0 };
+    this._lookPointer = { id: null, x: 0, y: 0 };
+
+    this._injectStyles();
+    this._build(opts.parent ?? this.document.body);
+    this._onResize = () => this.applyLayout();
+    this.window.addEventListener('resize', this._onResize);
+    this.applyLayout();
+  }
+
+  /**
+   * Look movement in pixels since the last call (x: right+, y: up+).
+   * @returns {{ x: number, y: number }}
+   */
+  takeLookDelta() {
+    const d = { x: this._look.x, y: this._look.y };
+    this._look.x = this._look.y = 0;
+    return d;
+  }
+
+  /**
+   * Merge `patch` into the layout, apply it and save it (with persistLayout).
+   * @param {object} patch - e.g. { opacity: 0.6 } or { buttons: { interact: { visible: true } } }
+   */
+  setLayout(patch) {
+    this.layout = mergeTouchLayout(this.layout, patch);
+    this.applyLayout();
+    if (this.persistLayout) this.saveLayout();
+  }
+
+  /**
+   * Change one control: 'joystick' or a button id.
+   * @param {string} id
+   * @param {{ x?: number, y?: number, size?: number, visible?: boolean, mode?: string }} patch
+   */
+  setControl(id, patch) {
+    this.setLayout(id === 'joystick' ? { joystick: patch } : { buttons: { [id]: patch } });
+  }
+
+  resetLayout() {
+    this.layout = mergeTouchLayout(this.defaults);
+    this.applyLayout();
+    if (this.persistLayout) this.saveLayout();
+  }
+
+  /** @returns {boolean} false when storage is unavailable or full */
+  saveLayout() {
+    if (!this.storage) return false;
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.layout));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /** @returns {boolean} true when a saved layout was found */
+  loadLayout() {
+    if (!this.storage) return false;
+    let saved = null;
+    try {
+      saved = JSON.parse(this.storage.getItem(this.storageKey) ?? 'null');
+    } catch {
+      saved = null;
+    }
+    if (!saved) return false;
+    this.layout = mergeTouchLayout(this.defaults, saved);
+    return true;
+  }
+
+  /** Position, size and show every control from the layout. */
+  applyLayout() {
+    const { layout } = this;
+    this.el.style.opacity = String(layout.opacity);
+    this.el.classList.toggle('touch-ui--fixed', layout.joystick.mode === 'fixed');
+    const size = layout.joystick.size * layout.scale;
+    Object.assign(this._joystick.style, { width: `${size}px`, height: `${size}px` });
+    this._stick.style.width = this._stick.style.height = `${size * 0.45}px`;
+    if (this._joy.pointerId === null) this._restJoystick();
+
+    for (const { id } of TOUCH_BUTTONS) {
+      const b = layout.buttons[id];
+      const el = this.elements[id];
+      const s = b.size * layout.scale;
+      Object.assign(el.style, {
+        left: `${b.x * 100}%`, top: `${b.y * 100}%`, width: `${s}px`, height: `${s}px`,
+        fontSize: `${Math.max(10, Math.round(s * 0.2))}px`
+      });
+      el.classList.toggle('touch-button--hidden', !b.visible);
+      if (!b.visible) this._release(id);
+    }
+  }
+
+  /**
+   * Haptic pulse when the layout allows it and the device supports it.
+   * @param {number|number[]} pattern - Milliseconds, or a navigator.vibrate pattern
+   */
+  vibrate(pattern) {
+    if (!this.layout.haptics || this.editing) return;
+    try { this.window.navigator.vibrate?.(pattern); } catch { /* blocked until the first user gesture */ }
+  }
+
+  /** Let go of everything (e.g. when the layout editor takes over). */
+  releaseAll() {
+    this._endJoystick();
+    this._lookPointer.id = null;
+    for (const { id } of TOUCH_BUTTONS) this._release(id);
+  }
+
+  destroy() {
+    this.window.removeEventListener('resize', this._onResize);
+    this.releaseAll();
+    this.el.remove();
+  }
+
+  _radius() {
+    return this.layout.joystick.size * this.layout.scale / 2;
+  }
+
+  _restJoystick() {
+    const { x, y } = this.layout.joystick;
+    Object.assign(this._joystick.style, { left: `${x * 100}%`, top: `${y * 100}%` });
+    this._stick.style.transform = 'translate(0px, 0px)';
+    this._joystick.classList.remove('touch-joystick--active');
+  }
+
+  _endJoystick() {
+    this._joy.pointerId = null;
+    this.vector.x = this.vector.y = 0;
+    this._restJoystick();
+  }
+
+  _release(id) {
+    this.buttons[id] = false;
+    this.elements[id]?.classList.remove('touch-button--pressed');
+  }
+
+  _build(parent) {
+    this.el = this.document.getElementById('touch-ui');
+    if (!this.el) {
+      this.el = this.document.createElement('div');
+      this.el.id = 'touch-ui';
+      parent.appendChild(this.el);
+    }
+
+    // Left half: joystick; right half: look. Buttons sit on top of both.
+    this._moveZone = this.document.createElement('div');
+    this._moveZone.className = 'touch-zone touch-move';
+    this._lookZone = this.document.createElement('div');
+    this._lookZone.className = 'touch-zone touch-look';
+    this._joystick = this.document.createElement('div');
+    this._joystick.className = 'touch-control touch-joystick';
+    this._stick = this.document.createElement('div');
+    this._stick.className = 'touch-stick';
+    this._joystick.appendChild(this._stick);
+    this.el.append(this._moveZone, this._lookZone, this._joystick);
+
+    /** Control elements by id ('joystick' and the button ids), for the layout editor. */
+    this.elements = { joystick: this._joystick };
+    for (const { id, label } of TOUCH_BUTTONS) {
+      const btn = this.document.createElement('button');
+      btn.type = 'button';
+      btn.className = `touch-control touch-button touch-button--${id}`;
+      btn.textContent = label;
+      this.el.appendChild(btn);
+      this.elements[id] = btn;
+      this.buttons[id] = false;
+
+      const onDown = (e) => {
+        e.preventDefault();
+        if (this.editing) return;
+        this.buttons[id] = true;
+        btn.classList.add('touch-button--pressed');
+      };
+      const onUp = () => this._release(id);
+      btn.addEventListener('pointerdown', onDown, { passive: false });
+      btn.addEventListener('pointerup', onUp, { passive: true });
+      btn.addEventListener('pointercancel', onUp, { passive: true });
+      btn.addEventListener('pointerleave', onUp, { passive: true });
+    }
+
+    // Joystick: floating spawns under the thumb; fixed only starts on (or near) the base
+    const onJoyDown = (e) => {
+      e.preventDefault();
+      if (this.editing || this._joy.pointerId !== null) return;
+      const r = this._radius();
+      let x = e.clientX, y = e.clientY;
+      if (this.layout.joystick.mode === 'fixed') {
+        const rect = this._joystick.getBoundingClientRect();
+        const cx = rect.left + rect.width / 2, cy = rect.top + rect.height / 2;
+        if (Math.hypot(x - cx, y - cy) > r * 1.5) return;
+        x = cx;
+        y = cy;
+      } else {
+        // The origin stays in client coordinates; the base is placed inside the touch UI
+        const box = uiBounds(this.el, this.window);
+        x = clamp(x, box.left + r, box.left + box.width - r);
+        y = clamp(y, box.top + r, box.top + box.height - r);
+        Object.assign(this._joystick.style, { left: `${x - box.left}px`, top: `${y - box.top}px` });
+      }
+      this._joy.pointerId = e.pointerId;
+      this._joy.originX = x;
+      this._joy.originY = y;
+      this._joystick.classList.add('touch-joystick--active');
+      setPointerCaptureSafe(e.currentTarget, e);
+      onJoyMove(e);
+    };
+    const onJoyMove = (e) => {
+      if (e.pointerId !== this._joy.pointerId) return;
+      const r = this._radius();
+      const dx = e.clientX - this._joy.originX;
+      const dy = e.clientY - this._joy.originY;
+      const angle = Math.atan2(dy, dx);
+      const dist = Math.min(Math.hypot(dx, dy), r);
+      const nx = Math.cos(angle) * (dist / r);
+      const ny = Math.sin(angle) * (dist / r);
+      const v = normalize2(applyDeadzone(nx, this.deadzone), applyDeadzone(-ny, this.deadzone));
+      this.vector.x = v.x;
+      this.vector.y = v.y;
+      this._stick.style.transform = `translate(${nx * r}px, ${ny * r}px)`;
+    };
+    const onJoyUp = (e) => {
+      if (e.pointerId !== this._joy.pointerId) return;
+      releasePointerCaptureSafe(e.currentTarget, e);
+      this._endJoystick();
+    };
+    for (const el of [this._moveZone, this._joystick]) {
+      el.addEventListener('pointerdown', onJoyDown, { passive: false });
+      el.addEventListener('pointermove', onJoyMove, { passive: true });
+      el.addEventListener('pointerup', onJoyUp, { passive: true });
+      el.addEventListener('pointercancel', onJoyUp, { passive: true });
+    }
+
+    // Look: accumulate drag movement until InputManager takes it
+    const look = this._lookPointer;
+    this._lookZone.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      if (this.editing || look.id !== null) return;
+      look.id = e.pointerId;
+      look.x = e.clientX;
+      look.y = e.clientY;
+      setPointerCaptureSafe(this._lookZone, e);
+    }, { passive: false });
+    this._lookZone.addEventListener('pointermove', (e) => {
+      if (e.pointerId !== look.id) return;
+      this._look.x += e.clientX - look.x;
+      this._look.y -= e.clientY - look.y;
+      look.x = e.clientX;
+      look.y = e.clientY;
+    }, { passive: true });
+    const onLookUp = (e) => {
+      if (e.pointerId !== look.id) return;
+      look.id = null;
+      releasePointerCaptureSafe(this._lookZone, e);
+    };
+    this._lookZone.addEventListener('pointerup', onLookUp, { passive: true });
+    this._lookZone.addEventListener('pointercancel', onLookUp, { passive: true });
+  }
+
+  _injectStyles() {
+    if (this.document.getElementById('touch-ui-styles')) return;
+    const style = this.document.createElement('style');
+    style.id = 'touch-ui-styles';
+    style.textContent = `
+#touch-ui { position: fixed; inset: 0; pointer-events: none; user-select: none; -webkit-user-select: none; z-index: 1000; }
+#touch-ui .touch-zone { position: absolute; top: 0; bottom: 0; width: 50%; pointer-events: auto; touch-action: none; }
+#touch-ui .touch-move { left: 0; }
+#touch-ui .touch-look { right: 0; }
+#touch-ui .touch-control { position: absolute; transform: translate(-50%, -50%); box-sizing: border-box; }
+#touch-ui .touch-joystick {
+  border-radius: 999px; background: rgba(255,255,255,0.06); border: 1px solid rgba(255,255,255,0.12);
+  backdrop-filter: blur(2px); opacity: 0.45; transition: opacity 120ms linear; pointer-events: none;
+}
+#touch-ui.touch-ui--fixed .touch-joystick { opacity: 1; pointer-events: auto; touch-action: none; }
+#touch-ui .touch-joystick--active { opacity: 1; box-shadow: 0 0 16px rgba(0,255,255,0.25); }
+#touch-ui .touch-stick {
+  position: absolute; left: 50%; top: 50%; translate: -50% -50%; border-radius: 999px;
+  background: radial-gradient(circle at 30% 30%, rgba(0,255,255,0.6), rgba(0,128,255,0.35));
+  border: 1px solid rgba(0,200,255,0.4); transition: transform 60ms linear;
+}
+#touch-ui .touch-button {
+  padding: 0; border-radius: 999px; pointer-events: auto; touch-action: none;
+  border: 1px solid rgba(255,255,255,0.2); color: #fff; background: rgba(0,0,0,0.35);
+  font: 600 14px/1 system-ui,sans-serif; box-shadow: 0 6px 18px rgba(0,0,0,0.3), inset 0 0 8px rgba(255,255,255,0.08);
+  backdrop-filter: blur(3px);
+}
+#touch-ui .touch-button--pressed { filter: brightness(1.5); box-shadow: 0 0 18px rgba(0,255,255,0.5), inset 0 0 10px rgba(255,255,255,0.2); }
+#touch-ui .touch-button--hidden { display: none; }
+#touch-ui .touch-button--jump { background: linear-gradient(180deg, rgba(0,170,255,0.45), rgba(0,110,200,0.45)); }
+#touch-ui .touch-button--sprint { background: linear-gradient(180deg, rgba(0,255,170,0.45), rgba(0,200,110,0.45)); }
+#touch-ui .touch-button--crouch { background: linear-gradient(180deg, rgba(255,0,170,0.45), rgba(200,0,120,0.45)); }
+#touch-ui .touch-button--interact { background: linear-gradient(180deg, rgba(255,200,0,0.45), rgba(200,140,0,0.45)); }
+#touch-ui .touch-button--reset { background: linear-gradient(180deg, rgba(255,80,80,0.45), rgba(200,40,40,0.45)); }
+#touch-ui.touch-ui--editing { z-index: 1150; opacity: 1 !important; }
+#touch-ui.touch-ui--editing .touch-zone { pointer-events: none; }
+#touch-ui.touch-ui--editing .touch-control { pointer-events: auto; touch-action: none; opacity: 1; outline: 1px dashed rgba(255,255,255,0.35); outline-offset: 4px; }
+#touch-ui.touch-ui--editing .touch-button--hidden { display: block; opacity: 0.35; }
+#touch-ui.touch-ui--editing .touch-control--selected { outline: 2px solid #0ff; box-shadow: 0 0 18px rgba(0,255,255,0.6); }
+@media (pointer: fine) { #touch-ui { display: none; } }
+    `.trim();
+    this.document.head.appendChild(style);
+  }
+}
+
+/**
+ * Drag-to-move editor for TouchControls, with a toolbar to resize, show/hide and reset controls.
+ * Changes save as they are made (with persistLayout). Events: 'open', 'close'.
+ */
+export class TouchLayoutEditor extends Emitter {
+  /**
+   * @param {TouchControls} touch
+   * @param {{ parent?: HTMLElement, sizeStep?: number }} [opts]
+   */
+  constructor(touch, opts = {}) {
+    super();
+    this.touch = touch;
+    this.window = touch.window;
+    this.document = touch.document;
+    this.parent = opts.parent ?? this.document.body;
+    this.sizeStep = opts.sizeStep ?? 8; // px per Smaller/Larger press
+    this.active = false;
+    this.selected = 'jump';
+    this._drag = null;
+    this._off = [];
+  }
+
+  open() {
+    if (this.active) return;
+    this.active = true;
+    const touch = this.touch;
+    touch.releaseAll();
+    touch.editing = true;
+    touch.el.classList.add('touch-ui--editing');
+    this._buildToolbar();
+
+    for (const [id, el] of Object.entries(touch.elements)) {
+      const down = (e) => this._onDown(id, el, e);
+      const move = (e) => this._onMove(e);
+      const up = (e) => this._onUp(el, e);
+      el.addEventListener('pointerdown', down);
+      el.addEventListener('pointermove', move);
+      el.addEventListener('pointerup', up);
+      el.addEventListener('pointercancel', up);
+      this._off.push(() => {
+        el.removeEventListener('pointerdown', down);
+        el.removeEventListener('pointermove', move);
+        el.removeEventListener('pointerup', up);
+        el.removeEventListener('pointercancel', up);
+      });
+    }
+    this._select(this.selected);
+    this.emit('open', {});
+  }
+
+  close() {
+    if (!this.active) return;
+    this.active = false;
+    for (const off of this._off) off();
+    this._off.length = 0;
+    this._drag = null;
+    const touch = this.touch;
+    touch.editing = false;
+    touch.el.classList.remove('touch-ui--editing');
+    for (const el of Object.values(touch.elements)) el.classList.remove('touch-control--selected');
+    this._toolbar?.remove();
+    this._backdrop?.remove();
+    this._toolbar = this._backdrop = null;
+    this.emit('close', {});
+  }
+
+  _onDown(id, el, e) {
+    e.preventDefault();
+    this._select(id);
+    const rect = el.getBoundingClientRect();
+    // Keep the grab offset so the control doesn't jump under the finger
+    this._drag = {
+      pointerId: e.pointerId,
+      id,
+      offsetX: e.clientX - (rect.left + rect.width / 2),
+      offsetY: e.clientY - (rect.top + rect.height / 2)
+    };
+    setPointerCaptureSafe(el, e);
+  }
+
+  _onMove(e) {
+    const drag = this._drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    const box = uiBounds(this.touch.el, this.window);
+    this.touch.setControl(drag.id, {
+      x: (e.clientX - drag.offsetX - box.left) / box.width,
+      y: (e.clientY - drag.offsetY - box.top) / box.height
+    });
+  }
+
+  _onUp(el, e) {
+    if (!this._drag || e.pointerId !== this._drag.pointerId) return;
+    releasePointerCaptureSafe(el, e);
+    this._drag = null;
+  }
+
+  _select(id) {
+    this.selected = id;
+    for (const [key, el] of Object.entries(this.touch.elements)) {
+      el.classList.toggle('touch-control--selected', key === id);
+    }
+    this._updateToolbar();
+  }
+
+  _control() {
+    const { layout } = this.touch;
+    return this.selected === 'joystick' ? layout.joystick : layout.buttons[this.selected];
+  }
+
+  _buildToolbar() {
+    const bar = this.document.createElement('div');
+    bar.className = 'touch-editor';
+    const button = (label, onClick) => {
+      const b = this.document.createElement('button');
+      b.type = 'button';
+      b.textContent = label;
+      b.addEventListener('click', onClick);
+      bar.appendChild(b);
+      return b;
+    };
+    this._label = this.document.createElement('span');
+    this._label.className = 'touch-editor-label';
+    bar.appendChild(this._label);
+    button('−', () => this._resize(-this.sizeStep));
+    button('+', () => this._resize(this.sizeStep));
+    this._visibleButton = button('Hide', () => {
+      const c = this._control();
+      this.touch.setControl(this.selected, { visible: !c.visible });
+      this._updateToolbar();
+    });
+    this._modeButton = button('', () => {
+      const { mode } = this.touch.layout.joystick;
+      this.touch.setControl('joystick', { mode: mode === 'floating' ? 'fixed' : 'floating' });
+      this._updateToolbar();
+    });
+    button('Reset', () => {
+      this.touch.resetLayout();
+      this._updateToolbar();
+    });
+    button('Done', () => this.close()).className = 'touch-editor-done';
+
+    // Keep presses between the controls away from whatever is underneath (e.g. the menu)
+    this._backdrop = this.document.createElement('div');
+    this._backdrop.className = 'touch-editor-backdrop';
+
+    this._injectStyles();
+    this.parent.append(this._backdrop, bar);
+    this._toolbar = bar;
+  }
+
+  _resize(delta) {
+    this.touch.setControl(this.selected, { size: this._control().size + delta });
+    this._updateToolbar();
+  }
+
+  _updateToolbar() {
+    if (!this._toolbar) return;
+    const c = this._control();
+    const name = this.selected === 'joystick' ? 'Joystick' : TOUCH_BUTTONS.find(b => b.id === this.selected).label;
+    this._label.textContent = `${name} · ${Math.round(c.size)}px`;
+    this._visibleButton.hidden = this.selected === 'joystick';
+    this._visibleButton.textContent = c.visible === false ? 'Show' : 'Hide';
+    this._modeButton.textContent = `Stick: ${this.touch.layout.joystick.mode === 'fixed' ? 'Fixed' : 'Floating'}`;
+  }
+
+  _injectStyles() {
+    if (this.document.getElementById('touch-editor-styles')) return;
+    const style = this.document.createElement('style');
+    style.id = 'touch-editor-styles';
+    style.textContent = `
+.touch-editor {
+  position: fixed; left: 50%; top: 12px; transform: translateX(-50%); z-index: 1200; display: flex; flex-wrap: wrap;
+  align-items: center; justify-content: center; gap: 6px; max-width: 94vw; padding: 8px; border-radius: 12px;
+  background: rgba(8,10,20,0.85); border: 1px solid rgba(0,255,255,0.35); box-shadow: 0 0 16px rgba(0,255,255,0.25);
+  color: #fff; font: 600 13px/1 system-ui,sans-serif; user-select: none;
+}
+.touch-editor-backdrop { position: fixed; inset: 0; z-index: 1140; background: rgba(0,0,0,0.55); touch-action: none; }
+.touch-editor-label { padding: 0 8px; color: #0ff; white-space: nowrap; }
+.touch-editor button {
+  min-width: 40px; height: 36px; padding: 0 12px; border-radius: 10px; border: 1px solid rgba(255,255,255,0.2);
+  background: rgba(0,0,0,0.35); color: inherit; font: inherit; touch-action: manipulation;
+}
+.touch-editor .touch-editor-done { background: linear-gradient(180deg, rgba(0,170,255,0.45), rgba(0,110,200,0.45)); }
+    `.trim();
+    this.document.head.appendChild(style);
+  }
+}
+
+/**
+ * Overlay `overrides` on `base`, keeping only known fields with valid values (clamped to sane ranges).
+ * Unknown or malformed entries are ignored so stale saved data can't break the controls.
+ * @param {object} base
+ * @param {object} [overrides]
+ */
+export function mergeTouchLayout(base, overrides) {
+  const out = JSON.parse(JSON.stringify(base));
+  if (!overrides || typeof overrides !== 'object') return out;
+  const num = (v, [lo, hi], fallback) => (Number.isFinite(v) ? clamp(v, lo, hi) : fallback);
+  const place = (target, src) => {
+    if (!src || typeof src !== 'object') return;
+    target.x = num(src.x, [0, 1], target.x);
+    target.y = num(src.y, [0, 1], target.y);
+    target.size = num(src.size, SIZE_RANGE, target.size);
+    if (typeof src.visible === 'boolean' && 'visible' in target) target.visible = src.visible;
+  };
+
+  out.opacity = num(overrides.opacity, OPACITY_RANGE, out.opacity);
+  out.scale = num(overrides.scale, SCALE_RANGE, out.scale);
+  if (typeof overrides.haptics === 'boolean') out.haptics = overrides.haptics;
+  place(out.joystick, overrides.joystick);
+  if (JOYSTICK_MODES.includes(overrides.joystick?.mode)) out.joystick.mode = overrides.joystick.mode;
+  for (const { id } of TOUCH_BUTTONS) place(out.buttons[id], overrides.buttons?.[id]);
+  return out;
+}
+
+// Utility functions
+// Client rect of the touch UI: the whole viewport on a page of its own, only the
+// mount root when embedded. Before layout (or in jsdom) it falls back to the window.
+function uiBounds(el, win) {
+  const rect = el.getBoundingClientRect();
+  if (rect.width > 0 && rect.height > 0) return rect;
+  return { left: 0, top: 0, width: win.innerWidth, height: win.innerHeight };
+}
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+function normalize2(x, y) {
+  const len = Math.hypot(x, y);
+  if (len < 1e-6) return { x: 0, y: 0 };
+  const m = 1 / Math.max(1, len);
+  return { x: x * m, y: y * m };
+}
+function applyDeadzone(v, dz) {
+  const s = Math.sign(v), a = Math.abs(v);
+  if (a <= dz) return 0;
+  return s * (a - dz) / (1 - dz);
+}
+function setPointerCaptureSafe(el, e) { try { el.setPointerCapture?.(e.pointerId); } catch {} }
+function releasePointerCaptureSafe(el, e) { try { el.releasePointerCapture?.(e.pointerId); } catch {} }
@@ -0,0 +1,157 @@
+// save as src/trail.js
+// NeonTrail: fading emissive ribbon left behind the player at speed.
+// - Samples the rendered player position every `spacing` units into a short history (newest last) and
+//   rebuilds a flat triangle-strip ribbon from it each frame; the ribbon tapers and fades towards the tail.
+// - Brightness follows the speed at which each sample was left, so jogging leaves nothing and sprinting a streak.
+// - Color and intensity are read from a NeonSurface's uGlowColor / uGlowIntensity every frame, so the trail
+//   matches the level palette and follows its fades. Additive blending: black vertices are invisible.
+
+import * as THREE from 'three';
+
+const _side = new THREE.Vector3();
+const _color = new THREE.Color();
+
+export class NeonTrail {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {object} [opts]
+   * @param {import('./neon.js').NeonSurface} [opts.surface] - Palette source (e.g. level.ground.userData.neon)
+   * @param {THREE.ColorRepresentation} [opts.color] - Fallback color without a surface
+   * @param {number} [opts.lifetime] - Seconds a sample stays visible
+   * @param {number} [opts.width] - Ribbon width at the head, in units
+   * @param {number} [opts.intensity] - Multiplier on the surface's glow intensity
+   * @param {number} [opts.minSpeed] - Horizontal speed (units/s) below which samples are dark
+   * @param {number} [opts.fullSpeed] - Speed at which samples reach full brightness
+   * @param {number} [opts.spacing] - Units travelled between samples
+   * @param {number} [opts.maxPoints] - Samples kept at most
+   * @param {number} [opts.height] - Offset from the player center (negative = below)
+   */
+  constructor(scene, opts = {}) {
+    this.scene = scene;
+    this.surface = opts.surface ?? null;
+    this.color = new THREE.Color(opts.color ?? 0x00ffff);
+    this.lifetime = opts.lifetime ?? 0.6;
+    this.width = opts.width ?? 0.35;
+    this.intensity = opts.intensity ?? 1.5;
+    this.minSpeed = opts.minSpeed ?? 4;
+    this.fullSpeed = opts.fullSpeed ?? 8;
+    this.spacing = opts.spacing ?? 0.2;
+    this.maxPoints = opts.maxPoints ?? 64;
+    this.height = opts.height ?? -0.1;
+    this.teleportDistance = opts.teleportDistance ?? 3; // a jump this long in one frame clears the trail
+
+    /** @type {{ position: THREE.Vector3, time: number, strength: number }[]} oldest first */
+    this.points = [];
+    this._time = 0;
+    this._head = new THREE.Vector3();
+
+    const n = this.maxPoints + 1; // history plus the live head
+    this.geometry = new THREE.BufferGeometry();
+    this.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(n * 2 * 3), 3).setUsage(THREE.DynamicDrawUsage));
+    this.geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(n * 2 * 3), 3).setUsage(THREE.DynamicDrawUsage));
+    const index = [];
+    for (let i = 0; i < n - 1; i++) {
+      const a = i * 2;
+      index.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+    }
+    this.geometry.setIndex(index);
+    this.geometry.setDrawRange(0, 0);
+
+    this.material = new THREE.MeshBasicMaterial({
+      vertexColors: true,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+      toneMapped: false
+    });
+    this.mesh = new THREE.Mesh(this.geometry, this.material);
+    this.mesh.name = 'trail';
+    this.mesh.frustumCulled = false; // the ribbon moves with the player; bounds would be stale
+    this.mesh.renderOrder = 1;
+    scene.add(this.mesh);
+  }
+
+  /**
+   * Take color and intensity from another NeonSurface (e.g. after a level switch).
+   * @param {import('./neon.js').NeonSurface|null} surface
+   */
+  setSurface(surface) {
+    this.surface = surface ?? null;
+  }
+
+  /** Drop the history (respawn, restart), so no streak is drawn across the jump. */
+  reset() {
+    this.points.length = 0;
+    this.geometry.setDrawRange(0, 0);
+  }
+
+  /**
+   * Sample the player and rebuild the ribbon. Call once per rendered frame, after Player.interpolate().
+   * @param {number} deltaTime - Seconds since the last rendered frame
+   * @param {{ mesh: THREE.Object3D, velocity: THREE.Vector3 }} player
+   */
+  update(deltaTime, player) {
+    this._time += deltaTime;
+    const head = this._head.copy(player.mesh.position);
+    head.y += this.height;
+    const speed = Math.hypot(player.velocity.x, player.velocity.z);
+    const strength = THREE.MathUtils.clamp((speed - this.minSpeed) / Math.max(this.fullSpeed - this.minSpeed, 1e-6), 0, 1);
+
+    if (this.points.at(-1)?.position.distanceTo(head) > this.teleportDistance) this.reset();
+    const last = this.points.at(-1);
+    if (!last || last.position.distanceTo(head) >= this.spacing) {
+      this.points.push({ position: head.clone(), time: this._time, strength });
+      if (this.points.length > this.maxPoints) this.points.shift();
+    }
+    while (this.points.length && this._time - this.points[0].time > this.lifetime) this.points.shift();
+
+    this._rebuild(head, strength);
+  }
+
+  dispose() {
+    this.scene.remove(this.mesh);
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+
+  _rebuild(head, headStrength) {
+    // The newest sample may sit exactly on the head; skip it so the last segment has a direction
+    const pts = this.points;
+    let count = pts.length;
+    if (count && pts[count - 1].position.distanceToSquared(head) < 1e-8) count--;
+    const total = count + 1;
+    if (total < 2) {
+      this.geometry.setDrawRange(0, 0);
+      return;
+    }
+
+    const glow = this.surface?.uniforms.uGlowColor.value ?? this.color;
+    const gain = this.intensity * (this.surface?.uniforms.uGlowIntensity.value ?? 1);
+    const pos = this.geometry.attributes.position.array;
+    const col = this.geometry.attributes.color.array;
+    for (let i = 0; i < total; i++) {
+      const p = i < count ? pts[i].position : head;
+      const fade = i < count ? 1 - (this._time - pts[i].time) / this.lifetime : 1;
+      const strength = i < count ? pts[i].strength : headStrength;
+      // Direction of travel through this point, flattened; the ribbon lies across it
+      const prev = i > 0 ? (i - 1 < count ? pts[i - 1].position : head) : p;
+      const next = i < total - 1 ? (i + 1 < count ? pts[i + 1].position : head) : p;
+      _side.set(next.z - prev.z, 0, prev.x - next.x);
+      if (_side.lengthSq() < 1e-12) _side.set(1, 0, 0);
+      _side.normalize().multiplyScalar(this.width * 0.5 * Math.max(fade, 0) * (0.3 + 0.7 * (i / (total - 1))));
+
+      const o = i * 6;
+      pos[o] = p.x + _side.x; pos[o + 1] = p.y; pos[o + 2] = p.z + _side.z;
+      pos[o + 3] = p.x - _side.x; pos[o + 4] = p.y; pos[o + 5] = p.z - _side.z;
+      // Premultiplied brightness: additive blending turns dark vertices transparent
+      _color.copy(glow).multiplyScalar(gain * Math.max(fade, 0) ** 2 * strength);
+      col[o] = col[o + 3] = _color.r;
+      col[o + 1] = col[o + 4] = _color.g;
+      col[o + 2] = col[o + 5] = _color.b;
+    }
+    this.geometry.attributes.position.needsUpdate = true;
+    this.geometry.attributes.color.needsUpdate = true;
+    this.geometry.setDrawRange(0, (total - 1) * 6);
+  }
+}
@@ -0,0 +1,168 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { AudioEngine, DEFAULT_VOLUME } from '../src/audio.js';
+import { Player } from '../src/player.js';
+import { Emitter } from '../src/emitter.js';
+import { OfflineAudioContext } from './helpers.js';
+
+const SAMPLE_RATE = 22050;
+let engine = null;
+const create = (opts = {}) => {
+  const context = new OfflineAudioContext(2, SAMPLE_RATE * 2, SAMPLE_RATE);
+  engine = new AudioEngine({ context, window, ...opts });
+  return engine;
+};
+/** Nodes feeding `target` directly or through other nodes. */
+const upstream = (target, seen = new Set()) => {
+  for (const node of target.inputs ?? []) {
+    if (seen.has(node)) continue;
+    seen.add(node);
+    upstream(node, seen);
+  }
+  return seen;
+};
+const sources = (ctx, kind) => ctx.nodes.filter(n => n.kind === kind);
+
+afterEach(() => {
+  engine?.dispose();
+  engine = null;
+});
+
+describe('AudioEngine', () => {
+  it('routes the sfx and music buses through master to the destination', () => {
+    const { context, sfx, music, master, limiter } = create();
+    expect(sfx.outputs).toEqual([master]);
+    expect(music.outputs).toEqual([master]);
+    expect(master.outputs).toEqual([limiter]);
+    expect(limiter.outputs).toEqual([context.destination]);
+    expect(master.gain.value).toBe(DEFAULT_VOLUME.master);
+  });
+
+  it('plays procedural sound effects on the sfx bus', () => {
+    const { context, sfx } = create({ music: false });
+    engine.footstep(6);
+    engine.jump();
+    engine.land(12);
+    engine.chime(1);
+    const fed = upstream(sfx);
+    const oscillators = sources(context, 'oscillator');
+    const noise = sources(context, 'bufferSource');
+    expect(oscillators.length).toBeGreaterThanOrEqual(6);
+    expect(noise.length).toBe(3);
+    for (const src of [...oscillators, ...noise]) {
+      expect(fed.has(src)).toBe(true);
+      expect(src.stopTime).toBeGreaterThan(src.startTime);
+    }
+    expect(noise[0].buffer.length).toBe(SAMPLE_RATE); // one shared second of noise
+  });
+
+  it('scales footsteps with speed and skips soft landings', () => {
+    const { context } = create({ music: false });
+    const peak = (env) => env.gain.events.find(e => e.type === 'linearRampToValueAtTime').args[0];
+    engine.footstep(2);
+    const slow = context.nodes.filter(n => n.kind === 'gain').at(-1);
+    engine.footstep(9);
+    const fast = context.nodes.filter(n => n.kind === 'gain').at(-1);
+    expect(peak(fast)).toBeGreaterThan(peak(slow));
+
+    const before = context.nodes.length;
+    engine.land(1);
+    expect(context.nodes.length).toBe(before);
+  });
+
+  it('follows player events and plays the whoosh when a sprint gets going', () => {
+    create({ music: false });
+    const player = new Player(new THREE.Scene());
+    engine.attachPlayer(player);
+    const jump = vi.spyOn(engine, 'jump');
+    const whoosh = vi.spyOn(engine, 'whoosh');
+    player.emit('jump', {});
+    expect(jump).toHaveBeenCalledTimes(1);
+
+    player.handleInput({ axis: { x: 0, y: 1 }, sprint: true }, 0);
+    for (let i = 0; i < 60; i++) {
+      player.update(1 / 60);
+      engine.update();
+    }
+    expect(whoosh).toHaveBeenCalledTimes(1);
+  });
+
+  it('chimes on checkpoints and stops listening on dispose', () => {
+    create({ music: false });
+    const run = new Emitter();
+    engine.attachRun(run);
+    const chime = vi.spyOn(engine, 'chime');
+    run.emit('checkpoint', { index: 2 });
+    expect(chime).toHaveBeenCalledWith(2);
+    engine.dispose();
+    run.emit('checkpoint', { index: 3 });
+    expect(chime).toHaveBeenCalledTimes(1);
+  });
+
+  it('opens the pad filter with speed and cycles chords', () => {
+    const { context } = create({ chordTime: 4 });
+    const player = { velocity: new THREE.Vector3(), input: {}, grounded: true, speed: 5 };
+    engine.player = player;
+    const { filter } = engine._pad;
+    const first = engine._pad.voices[0].frequency.value;
+
+    engine.update();
+    const slow = filter.frequency.value;
+    player.velocity.set(9, 0, 0);
+    engine.update();
+    expect(filter.frequency.value).toBeGreaterThan(slow * 5);
+
+    context.currentTime = 4;
+    engine.update();
+    expect(engine._pad.chord).toBe(1);
+    expect(engine._pad.voices[0].frequency.value).not.toBe(first);
+  });
+
+  it('applies bus volumes and mutes while the tab is hidden', () => {
+    const { master, music } = create();
+    engine.setVolume('music', 2);
+    expect(engine.volume.music).toBe(1);
+    expect(music.gain.value).toBe(1);
+    expect(() => engine.setVolume('voice', 1)).toThrow(/unknown bus/);
+
+    Object.defineProperty(document, 'hidden', { value: true, configurable: true });
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(master.gain.value).toBe(0);
+    Object.defineProperty(document, 'hidden', { value: false, configurable: true });
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(master.gain.value).toBe(DEFAULT_VOLUME.master);
+
+    engine.setMuted(true);
+    expect(master.gain.value).toBe(0);
+  });
+
+  it('creates and resumes its own context on the first gesture', async () => {
+    const resume = vi.fn();
+    window.AudioContext = class extends OfflineAudioContext {
+      startRendering = undefined; // a realtime context
+      constructor() { super(2, SAMPLE_RATE, SAMPLE_RATE); }
+      async resume() { resume(); this.state = 'running'; }
+    };
+    engine = new AudioEngine({ window });
+    expect(engine.ready).toBe(false);
+    engine.jump(); // no-op until unlocked
+
+    window.dispatchEvent(new Event('pointerdown'));
+    await vi.waitFor(() => expect(engine.context?.state).toBe('running'));
+    expect(resume).toHaveBeenCalledTimes(1);
+    expect(engine._pad).not.toBeNull();
+
+    window.dispatchEvent(new Event('keydown'));
+    expect(resume).toHaveBeenCalledTimes(1); // listeners are gone once running
+    delete window.AudioContext;
+  });
+
+  it('renders offline', async () => {
+    const { context } = create();
+    engine.footstep(5);
+    const buffer = await context.startRendering();
+    expect(buffer.length).toBe(SAMPLE_RATE * 2);
+    expect(buffer.sampleRate).toBe(SAMPLE_RATE);
+  });
+});
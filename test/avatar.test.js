@@ -0,0 +1,208 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { RunnerAvatar } from '../src/avatar.js';
+import { NeonTrail } from '../src/trail.js';
+import { NeonSurface } from '../src/neon.js';
+import { Player } from '../src/player.js';
+import { Ghost, GhostData } from '../src/ghost.js';
+
+const motion = (vx = 0, vy = 0, vz = 0, extra = {}) => ({
+  velocity: new THREE.Vector3(vx, vy, vz),
+  grounded: vy === 0,
+  speed: 5,
+  sprintMultiplier: 1.6,
+  ...extra
+});
+/** Run `frames` 60 Hz frames of avatar.update() with the same motion. */
+const play = (avatar, player, frames = 30) => {
+  for (let i = 0; i < frames; i++) avatar.update(1 / 60, player);
+};
+
+describe('RunnerAvatar', () => {
+  it('fits the collision box: feet at the bottom, head near the top', () => {
+    const avatar = new RunnerAvatar({ height: 1, width: 0.5 });
+    const box = new THREE.Box3().setFromObject(avatar.root);
+    expect(box.min.y).toBeCloseTo(-0.5, 1);
+    expect(box.max.y).toBeGreaterThan(0.4);
+    expect(box.max.y).toBeLessThanOrEqual(0.52);
+    expect(box.max.x - box.min.x).toBeLessThanOrEqual(0.6);
+    avatar.dispose();
+  });
+
+  it('swings the legs in opposition and strides further at speed', () => {
+    const avatar = new RunnerAvatar({ stride: 3.2 });
+    const { hipL, hipR } = avatar.joints;
+    let maxJog = 0;
+    for (let i = 0; i < 60; i++) {
+      avatar.update(1 / 60, motion(0, 0, 3));
+      maxJog = Math.max(maxJog, Math.abs(hipL.rotation.x));
+    }
+    expect(Math.sign(hipL.rotation.x)).toBe(-Math.sign(hipR.rotation.x));
+
+    let maxSprint = 0;
+    for (let i = 0; i < 60; i++) {
+      avatar.update(1 / 60, motion(0, 0, 8));
+      maxSprint = Math.max(maxSprint, Math.abs(hipL.rotation.x));
+    }
+    expect(maxSprint).toBeGreaterThan(maxJog + 0.2);
+    expect(avatar.joints.body.rotation.x).toBeGreaterThan(0.2); // leaning forward
+  });
+
+  it('has distinct jump, fall and slide poses', () => {
+    const avatar = new RunnerAvatar();
+    const { shoulderL, hipL, body } = avatar.joints;
+    play(avatar, motion(0, 6, 4));
+    expect(shoulderL.rotation.x).toBeLessThan(-1.5); // arms drive up
+    expect(hipL.rotation.x).toBeLessThan(-0.5);      // lead knee tucked forward
+
+    play(avatar, motion(0, -10, 4));
+    expect(shoulderL.rotation.z).toBeGreaterThan(0.8); // arms out for balance (left arm towards +X)
+
+    play(avatar, motion(0, 0, 7, { state: 'slide' }));
+    expect(body.rotation.x).toBeLessThan(-0.4);      // leaning back
+  });
+
+  it('leans into turns, not when running straight', () => {
+    const avatar = new RunnerAvatar();
+    play(avatar, motion(0, 0, 8));
+    expect(Math.abs(avatar.joints.body.rotation.z)).toBeLessThan(0.01);
+    for (let i = 0; i < 30; i++) {
+      avatar.root.rotation.y += 0.04; // turning left (counterclockwise from above)
+      avatar.update(1 / 60, motion(0, 0, 8));
+    }
+    expect(avatar.joints.body.rotation.z).toBeLessThan(-0.2);
+  });
+
+  it('is the player mesh, animated by Player.animate and disposed with it', () => {
+    const scene = new THREE.Scene();
+    const player = new Player(scene, new THREE.Vector3(0, 0.5, 0));
+    expect(player.mesh).toBe(player.avatar.root);
+    expect(scene.children).toContain(player.mesh);
+
+    player.handleInput({ axis: { x: 0, y: 1 }, sprint: true }, 0);
+    for (let i = 0; i < 30; i++) {
+      player.update(1 / 60);
+      player.interpolate(1);
+      player.animate(1 / 60);
+    }
+    expect(player.avatar.joints.hipL.rotation.x).not.toBe(0);
+
+    let disposed = 0;
+    player.mesh.traverse(o => o.geometry?.addEventListener('dispose', () => disposed++));
+    const meshes = [];
+    player.mesh.traverse(o => { if (o.isMesh) meshes.push(o); });
+    player.dispose();
+    expect(disposed).toBe(meshes.length);
+    expect(scene.children).not.toContain(player.mesh);
+  });
+});
+
+describe('Ghost', () => {
+  /** Keyframes: `seconds` of running along +Z at `speed` (state 0, 'ground'), then a jump (state 1, 'air', rising). */
+  const ghostRun = (speed = 8, seconds = 1) => {
+    const frames = [];
+    for (let t = 0; t <= seconds + 1e-9; t += 0.05) frames.push(t, 0, 0.5, t * speed, 0, 0, 1);
+    frames.push(seconds + 0.05, 0, 1, seconds * speed + 0.4, 0, 1, 1);
+    return new GhostData({ level: 'x', time: seconds + 0.05, frames });
+  };
+
+  it('runs its own avatar from the recorded keyframes instead of sliding a frozen copy', () => {
+    const ghost = new Ghost({ avatar: { height: 1 } });
+    ghost.setData(ghostRun());
+    const { hipL } = ghost.avatar.joints;
+    let swing = 0;
+    for (let t = 0; t < 0.9; t += 1 / 60) {
+      ghost.update(t);
+      swing = Math.max(swing, Math.abs(hipL.rotation.x));
+    }
+    expect(ghost.state).toBe('ground');
+    expect(ghost.velocity.z).toBeCloseTo(8, 1);
+    expect(swing).toBeGreaterThan(0.4);
+    for (let t = 1.0; t < 1.05; t += 1 / 120) ghost.update(t);
+    expect(ghost.state).toBe('air');
+    expect(ghost.velocity.y).toBeGreaterThan(0);
+
+    // Every part in the ghost material; dispose() frees the avatar geometry and the material once
+    const materials = new Set();
+    ghost.mesh.traverse(o => { if (o.isMesh) materials.add(o.material); });
+    expect([...materials]).toEqual([ghost.material]);
+    let disposed = 0;
+    ghost.material.addEventListener('dispose', () => disposed++);
+    ghost.dispose();
+    expect(disposed).toBe(1);
+  });
+});
+
+describe('NeonTrail', () => {
+  const runner = () => ({ mesh: new THREE.Object3D(), velocity: new THREE.Vector3(0, 0, 10) });
+  const run = (trail, player, frames, step = 10 / 60) => {
+    for (let i = 0; i < frames; i++) {
+      player.mesh.position.z += step;
+      trail.update(1 / 60, player);
+    }
+  };
+
+  it('builds a ribbon behind a fast player and fades it out', () => {
+    const scene = new THREE.Scene();
+    const trail = new NeonTrail(scene, { color: 0xff00ff, lifetime: 0.5, spacing: 0.1 });
+    const player = runner();
+    run(trail, player, 20);
+    expect(scene.children).toContain(trail.mesh);
+    expect(trail.geometry.drawRange.count).toBeGreaterThan(6 * 10);
+
+    // Lies flat across the motion: positions spread along X, all at one height
+    const pos = trail.geometry.attributes.position;
+    expect(pos.getX(pos.count / 2) * pos.getX(pos.count / 2 + 1)).toBeLessThanOrEqual(0);
+    expect(pos.getY(0)).toBeCloseTo(pos.getY(2));
+
+    // Stop: every sample outlives its lifetime and the ribbon goes away
+    player.velocity.set(0, 0, 0);
+    run(trail, player, 60, 0);
+    expect(trail.geometry.drawRange.count).toBe(0);
+    trail.dispose();
+    expect(scene.children).not.toContain(trail.mesh);
+  });
+
+  it('stays dark below minSpeed', () => {
+    const trail = new NeonTrail(new THREE.Scene(), { minSpeed: 4 });
+    const player = runner();
+    player.velocity.set(0, 0, 3);
+    run(trail, player, 20, 3 / 60);
+    const colors = trail.geometry.attributes.color.array;
+    expect(Math.max(...colors)).toBe(0);
+  });
+
+  it('takes its color from the neon surface glow, fades included', () => {
+    const surface = new NeonSurface({ palette: { glow: '#ff0000' } });
+    const trail = new NeonTrail(new THREE.Scene(), { surface, spacing: 0.1 });
+    const player = runner();
+    run(trail, player, 10);
+    const head = () => {
+      const c = trail.geometry.attributes.color;
+      const i = trail.geometry.drawRange.count / 3 + 1; // newest vertex
+      return new THREE.Color(c.getX(i), c.getY(i), c.getZ(i));
+    };
+    expect(head().r).toBeGreaterThan(0.5);
+    expect(head().g).toBe(0);
+
+    surface.setPalette({ glow: '#00ff00' });
+    run(trail, player, 1);
+    expect(head().r).toBe(0);
+    expect(head().g).toBeGreaterThan(0.5);
+
+    surface.uniforms.uGlowIntensity.value *= 2;
+    const before = head().g;
+    run(trail, player, 1);
+    expect(head().g).toBeCloseTo(before * 2, 5);
+  });
+
+  it('clears instead of streaking across a teleport', () => {
+    const trail = new NeonTrail(new THREE.Scene(), { spacing: 0.1 });
+    const player = runner();
+    run(trail, player, 20);
+    player.mesh.position.set(50, 0, 50);
+    trail.update(1 / 60, player);
+    expect(trail.points).toHaveLength(1);
+    expect(trail.geometry.drawRange.count).toBe(0);
+  });
+});
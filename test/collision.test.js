@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { CollisionWorld } from '../src/collision.js';
+
+const half = new THREE.Vector3(0.3, 0.9, 0.3);
+const deg = THREE.MathUtils.degToRad;
+
+/** A floor at y = 0 plus what `add` builds ahead of the box, which starts standing at the origin. */
+function course(add) {
+  const world = new CollisionWorld();
+  world.addPlane({ y: 0 });
+  add(world);
+  return world;
+}
+
+/** Walk +Z with a little gravity each step; returns the final result and whether any step stepped up. */
+function walk(world, opts, steps = 60) {
+  const position = new THREE.Vector3(0, half.y, 0);
+  const move = new THREE.Vector3(0, -0.05, 0.05);
+  let res, stepped = false;
+  for (let i = 0; i < steps; i++) {
+    res = world.moveAABB(position, half, move, opts);
+    stepped ||= res.stepped;
+  }
+  return { ...res, stepped };
+}
+
+const ledge = height => course(w => w.addBox({ min: new THREE.Vector3(-2, 0, 1), max: new THREE.Vector3(2, height, 10) }));
+const ramp = angle => course(w => w.addRamp({
+  min: new THREE.Vector3(-2, 0, 1), max: new THREE.Vector3(2, Math.tan(deg(angle)) * 4, 5), axis: 'z'
+}));
+
+describe('CollisionWorld.moveAABB', () => {
+  it('steps up ledges no higher than stepHeight', () => {
+    const up = walk(ledge(0.3), { stepHeight: 0.35 });
+    expect(up.stepped).toBe(true);
+    expect(up.grounded).toBe(true);
+    expect(up.position.y).toBeCloseTo(0.3 + half.y);
+    expect(up.position.z).toBeCloseTo(3);
+  });
+
+  it('stops at ledges higher than stepHeight', () => {
+    const blocked = walk(ledge(0.3), { stepHeight: 0.2 });
+    expect(blocked.stepped).toBe(false);
+    expect(blocked.hitWall).toBe(true);
+    expect(blocked.wallNormal.z).toBeCloseTo(-1);
+    expect(blocked.position.y).toBeCloseTo(half.y);
+    expect(blocked.position.z).toBeCloseTo(1 - half.z, 3);
+  });
+
+  it('walks up ramps within maxSlope and reports their normal', () => {
+    const res = walk(ramp(30), { stepHeight: 0.35, maxSlope: deg(50), snapDistance: 0.2 });
+    expect(res.grounded).toBe(true);
+    expect(res.hitWall).toBe(false);
+    // The leading edge of the box rests on the slope
+    expect(res.position.y).toBeCloseTo(half.y + Math.tan(deg(30)) * (3 + half.z - 1));
+    expect(res.groundNormal.angleTo(new THREE.Vector3(0, 1, 0))).toBeCloseTo(deg(30));
+  });
+
+  it('treats ramps steeper than maxSlope as walls', () => {
+    const res = walk(ramp(60), { stepHeight: 0.35, maxSlope: deg(50), snapDistance: 0.2 });
+    expect(res.hitWall).toBe(true);
+    expect(res.position.y).toBeCloseTo(half.y);
+    expect(res.position.z).toBeLessThan(1);
+
+    // The same ramp is walkable once maxSlope allows it
+    expect(walk(ramp(60), { stepHeight: 0.35, maxSlope: deg(65), snapDistance: 0.2 }).position.y).toBeGreaterThan(2);
+  });
+});
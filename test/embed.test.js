@@ -0,0 +1,145 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mount } from '../src/index.js';
+import { InputManager } from '../src/input.js';
+import { PerfMonitor, PerfHUD } from '../src/perf.js';
+import { MenuSystem } from '../src/menu.js';
+import { fakeGamepad, memoryStorage, key } from './helpers.js';
+
+// jsdom has no WebGL: mount the game on a renderer that only records what it was asked to do
+const renderers = vi.hoisted(() => []);
+vi.mock('three', async (importOriginal) => {
+  const THREE = await importOriginal();
+  class FakeRenderer {
+    constructor({ canvas }) {
+      this.domElement = canvas;
+      this.shadowMap = {};
+      this.info = { render: { calls: 0, triangles: 0 }, memory: { geometries: 0, textures: 0 }, programs: [] };
+      this.size = new THREE.Vector2(300, 150);
+      this.contextLost = false;
+      this.disposed = false;
+      renderers.push(this);
+    }
+    setPixelRatio(ratio) { this.pixelRatio = ratio; }
+    getPixelRatio() { return this.pixelRatio; }
+    setSize(w, h) { this.size.set(w, h); }
+    getSize(v) { return v.copy(this.size); }
+    render() {}
+    dispose() { this.disposed = true; }
+    forceContextLoss() { this.contextLost = true; }
+  }
+  return { ...THREE, WebGLRenderer: FakeRenderer };
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  document.body.innerHTML = '';
+});
+
+describe('mount', () => {
+  it('rejects a missing container', () => {
+    expect(() => mount(null)).toThrow(/container must be an element/);
+  });
+
+  it('releases the WebGL context of every canvas it mounted and unmounted', () => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    renderers.length = 0;
+    for (let i = 0; i < 5; i++) {
+      const game = mount(container, { postprocessing: false, menu: false, autoStart: false });
+      expect(container.querySelectorAll('canvas')).toHaveLength(1);
+      game.destroy();
+      expect(container.children).toHaveLength(0);
+    }
+    expect(renderers).toHaveLength(5);
+    expect(renderers.every(r => r.disposed && r.contextLost)).toBe(true);
+  });
+
+  it('pauses only the game whose canvas lost pointer lock', () => {
+    let lockElement = null;
+    Object.defineProperty(document, 'pointerLockElement', { get: () => lockElement, configurable: true });
+    const games = [0, 1].map(() => {
+      const container = document.createElement('div');
+      document.body.appendChild(container);
+      return mount(container, { postprocessing: false, menu: false, autoStart: false });
+    });
+    const lock = (el) => { lockElement = el; document.dispatchEvent(new Event('pointerlockchange')); };
+
+    lock(games[0].renderer.domElement);
+    lock(null);
+    expect(games[0].menu.isOpen).toBe(true);
+    expect(games[1].menu.isOpen).toBe(false);
+
+    for (const game of games) game.destroy();
+    delete document.pointerLockElement;
+  });
+
+  it('falls back to adaptive quality when the saved preset is unknown', () => {
+    localStorage.setItem('neonparker:settings', JSON.stringify({ quality: 'extreme' }));
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const game = mount(container, { postprocessing: false, menu: false, autoStart: false });
+    game.menu.open('settings');
+    const row = [...container.querySelectorAll('.menu-item')].find(el => el.textContent.includes('Quality'));
+    expect(row.querySelector('.menu-value').textContent).toContain('Auto');
+    game.destroy();
+    localStorage.clear();
+  });
+
+  it('starts adaptive quality without PostFX at the pixel ratio the renderer already has', () => {
+    const dpr = window.devicePixelRatio;
+    window.devicePixelRatio = 2;
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const game = mount(container, { postprocessing: false, menu: false, autoStart: false });
+    expect(game.renderer.getPixelRatio()).toBe(2);
+    game.destroy();
+    window.devicePixelRatio = dpr;
+  });
+
+  it('leaves the container empty when the game cannot start', () => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    expect(() => mount(container, { level: 'No such level' })).toThrow(/unknown level "No such level"/);
+    expect(container.children).toHaveLength(0);
+    expect(document.getElementById('neonparker-styles')).not.toBeNull();
+  });
+});
+
+describe('embedding options', () => {
+  it('reads only the input devices it is given', () => {
+    const pad = fakeGamepad().press(0);
+    const input = new InputManager({
+      window, storage: memoryStorage(), enableTouchUI: false, keyboard: false, gamepad: false, getGamepads: () => [pad]
+    });
+    key(window, 'keydown', 'Space');
+    const state = input.update();
+    expect(state.jump).toBe(false);
+    expect(input.gamepads.active).toBeNull();
+    input.destroy();
+  });
+
+  it('puts the touch UI and performance overlay in the given parent', () => {
+    const parent = document.createElement('div');
+    document.body.appendChild(parent);
+    const input = new InputManager({ window, storage: memoryStorage(), enableTouchUI: true, touchParent: parent, getGamepads: () => [] });
+    expect(input.touch.el.parentElement).toBe(parent);
+    input.destroy();
+
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null); // jsdom has no 2D canvas
+    const hud = new PerfHUD(new PerfMonitor(), { parent, visible: true });
+    expect(hud.el.parentElement).toBe(parent);
+    expect(hud.el.style.position).toBe('absolute');
+    hud.destroy();
+  });
+
+  it('styles menus by class so several can share a page without duplicate ids', () => {
+    const menus = [new MenuSystem({ id: null }), new MenuSystem({ id: null })];
+    expect(document.querySelectorAll('.menu')).toHaveLength(2);
+    expect(document.getElementById('menu')).toBeNull();
+    const single = new MenuSystem();
+    expect(document.getElementById('menu')).toBe(single.el);
+    expect(document.getElementById('menu-styles').textContent).not.toContain('#menu');
+    for (const menu of [...menus, single]) menu.destroy();
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, it, expect, vi } from 'vitest';
+import { GamepadManager, applyStickDeadzone, CALIBRATION_STEPS } from '../src/gamepad.js';
+import { InputManager } from '../src/input.js';
+import { fakeGamepad, memoryStorage } from './helpers.js';
+
+describe('applyStickDeadzone', () => {
+  it('zeroes input inside the deadzone in both modes', () => {
+    expect(applyStickDeadzone(0.1, 0.1, 0.15, 'radial')).toEqual({ x: 0, y: 0 });
+    expect(applyStickDeadzone(0.1, -0.1, 0.15, 'axial')).toEqual({ x: 0, y: 0 });
+  });
+
+  it('keeps the direction and rescales the magnitude radially', () => {
+    const v = applyStickDeadzone(0.3, 0.4, 0.2, 'radial'); // length 0.5
+    expect(Math.hypot(v.x, v.y)).toBeCloseTo((0.5 - 0.2) / 0.8);
+    expect(v.x / v.y).toBeCloseTo(0.75);
+  });
+
+  it('drops small axes on their own in axial mode', () => {
+    const v = applyStickDeadzone(0.5, 0.1, 0.15, 'axial');
+    expect(v.y).toBe(0);
+    expect(v.x).toBeCloseTo((0.5 - 0.15) / 0.85);
+  });
+
+  it('clamps the magnitude to 1', () => {
+    for (const mode of ['radial', 'axial']) {
+      const v = applyStickDeadzone(1, 1, 0.1, mode);
+      expect(Math.hypot(v.x, v.y)).toBeCloseTo(1);
+    }
+  });
+});
+
+describe('GamepadManager', () => {
+  const manager = (pads, opts = {}) => new GamepadManager({ getGamepads: () => pads, eventTarget: null, ...opts });
+
+  it('picks up pads by polling and follows the last used one', () => {
+    const a = fakeGamepad({ index: 0, id: 'A' });
+    const b = fakeGamepad({ index: 1, id: 'B' });
+    const pads = [a];
+    const m = manager(pads);
+    const active = vi.fn();
+    m.on('active', active);
+
+    m.poll();
+    expect(m.activeIndex).toBe(0);
+    pads.push(b);
+    m.poll();
+    expect(m.activeIndex).toBe(0); // connecting alone doesn't steal focus
+
+    b.press(0);
+    expect(m.poll().buttons[0]).toBe(true);
+    expect(m.activeIndex).toBe(1);
+    expect(active).toHaveBeenLastCalledWith({ index: 1, id: 'B' });
+
+    pads.pop();
+    m.poll();
+    expect(m.activeIndex).toBe(0);
+    expect(m.pads.size).toBe(1);
+  });
+
+  it('handles gamepadconnected / gamepaddisconnected events', () => {
+    const target = new EventTarget();
+    const pad = fakeGamepad();
+    const m = new GamepadManager({ getGamepads: () => [pad], eventTarget: target });
+    const connected = vi.fn();
+    const disconnected = vi.fn();
+    m.on('connected', connected);
+    m.on('disconnected', disconnected);
+
+    target.dispatchEvent(Object.assign(new Event('gamepadconnected'), { gamepad: pad }));
+    expect(connected).toHaveBeenCalledWith({ index: 0, id: 'Fake pad', mapping: 'standard' });
+    expect(m.active?.id).toBe('Fake pad');
+
+    target.dispatchEvent(Object.assign(new Event('gamepaddisconnected'), { gamepad: pad }));
+    expect(disconnected).toHaveBeenCalledWith({ index: 0, id: 'Fake pad' });
+    expect(m.active).toBeNull();
+    m.destroy();
+  });
+
+  it('sticks to a pinned index', () => {
+    const a = fakeGamepad({ index: 0 });
+    const b = fakeGamepad({ index: 1 }).press(0);
+    const m = manager([a, b], { index: 0 });
+    m.poll();
+    expect(m.activeIndex).toBe(0);
+  });
+
+  it('applies per-pad deadzone settings and saves them', () => {
+    const pad = fakeGamepad({ axes: [0.25, 0, 0, 0] });
+    const storage = memoryStorage();
+    const m = manager([pad], { persist: true, storage, deadzone: 0.1 });
+    m.poll();
+    expect(m.stick(0, 1).x).toBeGreaterThan(0);
+
+    m.setPadSettings({ deadzone: 0.3 });
+    expect(m.stick(0, 1)).toEqual({ x: 0, y: 0 });
+    expect(() => m.setPadSettings({ deadzoneMode: 'square' })).toThrow(/unknown deadzone mode/);
+
+    const reloaded = manager([pad], { persist: true, storage });
+    expect(reloaded.padSettings('Fake pad').deadzone).toBe(0.3);
+  });
+
+  it('plays dual-rumble on the active pad and swallows rejections', () => {
+    const pad = fakeGamepad();
+    pad.vibrationActuator = { playEffect: vi.fn(() => Promise.reject(new Error('busy'))) };
+    const m = manager([pad]);
+    m.poll();
+    expect(m.rumble(2, 0.25, 100)).toBe(true);
+    expect(pad.vibrationActuator.playEffect).toHaveBeenCalledWith('dual-rumble',
+      { startDelay: 0, duration: 100, strongMagnitude: 1, weakMagnitude: 0.25 });
+
+    m.rumbleEnabled = false;
+    expect(m.rumble()).toBe(false);
+  });
+
+  it('calibrates a non-standard pad and remaps it to the standard layout', async () => {
+    // Triggers on axes 2 and 5 resting at -1, sticks on 0/1 and 3/4, d-pad up missing
+    const pad = fakeGamepad({ id: 'Odd pad', mapping: '', buttons: 14, axes: [0, 0, -1, 0, 0, -1] });
+    const m = manager([pad]);
+    const needed = vi.fn();
+    m.on('calibrationneeded', needed);
+    m.poll();
+    expect(needed).toHaveBeenCalledWith({ index: 0, id: 'Odd pad' });
+
+    const calibration = m.calibrate();
+    m.poll(); // rest pose
+    const operate = (set) => { set(true); m.poll(); set(false); m.poll(); };
+    const button = raw => on => pad.press(raw, on);
+    const axis = (i, value, rest = 0) => on => { pad.axes[i] = on ? value : rest; };
+    const inputs = [
+      button(0), button(1), button(2), button(3), button(4), button(5),
+      axis(2, 1, -1), axis(5, 1, -1),
+      button(6), button(7), button(8), button(9),
+      button(0), // d-pad up: already assigned, skips the step
+      button(10), button(11), button(12),
+      axis(0, 1), axis(1, -1), axis(3, 1), axis(4, 1)
+    ];
+    expect(inputs).toHaveLength(CALIBRATION_STEPS.length);
+    for (const input of inputs) operate(input);
+
+    const mapping = await calibration.result;
+    expect(m.calibration).toBeNull();
+    expect(mapping.buttons[12]).toBeNull();
+    expect(mapping.axes[1]).toEqual({ index: 1, invert: true });
+
+    pad.press(10);         // raw 10 is d-pad down
+    pad.axes[2] = 0;       // left trigger half pulled
+    pad.axes[1] = -0.8;    // raw up is standard down
+    const state = m.poll();
+    expect(state.buttons[13]).toBe(true);
+    expect(state.values[6]).toBeCloseTo(0.5);
+    expect(state.axes[1]).toBeCloseTo(0.8);
+  });
+
+  it('reports no input while calibrating and resolves null on cancel', async () => {
+    const pad = fakeGamepad().press(0);
+    const m = manager([pad]);
+    m.poll();
+    const calibration = m.calibrate();
+    expect(m.poll().buttons).toEqual([]);
+    calibration.cancel();
+    expect(await calibration.result).toBeNull();
+    expect(m.poll().buttons[0]).toBe(true);
+  });
+});
+
+describe('InputManager gamepad polling', () => {
+  it('reads a fake pad without any window', () => {
+    const pad = fakeGamepad({ axes: [0.6, -0.8, 0, 0] }).press(0);
+    const input = new InputManager({ getGamepads: () => [pad], storage: memoryStorage(), smooth: 1 });
+    expect(input.window).toBeNull();
+
+    const state = input.update();
+    expect(state.axis.x).toBeCloseTo(0.6);
+    expect(state.axis.y).toBeCloseTo(0.8); // stick up is forward
+    expect(state.jump).toBe(true);
+    expect(state.actions.jump.pressed).toBe(true);
+
+    expect(input.update().actions.jump.pressed).toBe(false);
+    input.destroy();
+  });
+
+  it('prefers the d-pad over the stick', () => {
+    const pad = fakeGamepad({ axes: [0.9, 0, 0, 0] }).press(14); // d-pad left
+    const input = new InputManager({ getGamepads: () => [pad], storage: memoryStorage(), smooth: 1 });
+    expect(input.update().axis).toEqual({ x: -1, y: 0 });
+    input.destroy();
+  });
+
+  it('captures the next gamepad button for rebinding', async () => {
+    const pad = fakeGamepad().press(0);
+    const input = new InputManager({ getGamepads: () => [pad], storage: memoryStorage() });
+    input.update();
+    const captured = input.captureNextBinding('gamepadButtons');
+    input.update();        // A is still held from before the capture
+    pad.press(0, false).press(5);
+    const state = input.update();
+    expect(await captured).toBe(5);
+    expect(state.sprint).toBe(false); // the captured press isn't gameplay input
+    input.destroy();
+  });
+});
@@ -0,0 +1,117 @@
+// Fakes shared by the tests: in-memory Storage, gamepads for GamepadManager.getGamepads and pointer events.
+
+/** Minimal Storage backed by a Map. */
+export function memoryStorage() {
+  const map = new Map();
+  return {
+    getItem: key => (map.has(key) ? map.get(key) : null),
+    setItem: (key, value) => { map.set(key, String(value)); },
+    removeItem: key => { map.delete(key); },
+    clear: () => map.clear()
+  };
+}
+
+/**
+ * A Gamepad-shaped object; change `axes` and call press() between polls.
+ * @param {{ index?: number, id?: string, mapping?: string, buttons?: number, axes?: number[] }} [opts]
+ */
+export function fakeGamepad(opts = {}) {
+  const pad = {
+    index: opts.index ?? 0,
+    id: opts.id ?? 'Fake pad',
+    mapping: opts.mapping ?? 'standard',
+    connected: true,
+    axes: opts.axes ?? [0, 0, 0, 0],
+    buttons: Array.from({ length: opts.buttons ?? 17 }, () => ({ pressed: false, value: 0 })),
+    press(i, down = true) {
+      this.buttons[i] = { pressed: down, value: down ? 1 : 0 };
+      return this;
+    }
+  };
+  return pad;
+}
+
+/**
+ * A pointer event that works whether or not the DOM implementation has PointerEvent.
+ * @param {Window} win
+ * @param {string} type
+ * @param {{ x?: number, y?: number, id?: number, pointerType?: string }} [opts]
+ */
+export function pointerEvent(win, type, { x = 0, y = 0, id = 1, pointerType = 'touch' } = {}) {
+  const e = new win.MouseEvent(type, { bubbles: true, cancelable: true, clientX: x, clientY: y });
+  Object.defineProperty(e, 'pointerId', { value: id });
+  Object.defineProperty(e, 'pointerType', { value: pointerType });
+  return e;
+}
+
+/** Dispatch a keydown/keyup for a KeyboardEvent.code on `target`. */
+export function key(win, type, code, target = win) {
+  target.dispatchEvent(new win.KeyboardEvent(type, { code, bubbles: true, cancelable: true }));
+}
+
+/**
+ * OfflineAudioContext to test audio graphs with: the real one when the runtime has it, otherwise a
+ * minimal stand-in that records connections, starts/stops and AudioParam automation (it renders silence).
+ */
+export const OfflineAudioContext = globalThis.OfflineAudioContext ?? class FakeOfflineAudioContext {
+  constructor(channels, length, sampleRate) {
+    this.sampleRate = sampleRate;
+    this.length = length;
+    this.currentTime = 0;
+    this.state = 'suspended';
+    this.nodes = [];
+    this.destination = this._node('destination');
+  }
+
+  createGain() { return this._node('gain', { gain: 1 }); }
+  createOscillator() { return this._source('oscillator', { frequency: 440, detune: 0 }, { type: 'sine' }); }
+  createBufferSource() { return this._source('bufferSource', { playbackRate: 1 }, { buffer: null, loop: false }); }
+  createBiquadFilter() { return this._node('biquadFilter', { frequency: 350, Q: 1, gain: 0 }, { type: 'lowpass' }); }
+  createDynamicsCompressor() { return this._node('dynamicsCompressor', { threshold: -24, knee: 30, ratio: 12, attack: 0.003, release: 0.25 }); }
+
+  createBuffer(channels, length, sampleRate) {
+    const data = Array.from({ length: channels }, () => new Float32Array(length));
+    return { numberOfChannels: channels, length, sampleRate, getChannelData: i => data[i] };
+  }
+
+  async startRendering() {
+    this.state = 'running';
+    this.currentTime = this.length / this.sampleRate;
+    this.state = 'closed';
+    return this.createBuffer(1, this.length, this.sampleRate);
+  }
+
+  _node(kind, params = {}, props = {}) {
+    const node = { kind, context: this, inputs: [], outputs: [], ...props };
+    for (const [name, value] of Object.entries(params)) node[name] = fakeParam(value);
+    node.connect = (target) => {
+      node.outputs.push(target);
+      (target.inputs ?? []).push(node);
+      return target;
+    };
+    node.disconnect = () => {
+      for (const t of node.outputs) t.inputs?.splice(t.inputs.indexOf(node), 1);
+      node.outputs.length = 0;
+    };
+    if (kind !== 'destination') this.nodes.push(node);
+    return node;
+  }
+
+  _source(kind, params, props) {
+    const node = this._node(kind, params, { ...props, startTime: null, stopTime: null, onended: null });
+    node.start = (when = 0) => { node.startTime = when; };
+    node.stop = (when = 0) => { node.stopTime = when; };
+    return node;
+  }
+};
+
+function fakeParam(value) {
+  const param = { value, events: [] };
+  const record = type => (...args) => { param.events.push({ type, args }); param.value = args[0]; return param; };
+  param.setValueAtTime = record('setValueAtTime');
+  param.linearRampToValueAtTime = record('linearRampToValueAtTime');
+  param.exponentialRampToValueAtTime = record('exponentialRampToValueAtTime');
+  param.setTargetAtTime = record('setTargetAtTime');
+  param.cancelScheduledValues = (t) => { param.events.push({ type: 'cancelScheduledValues', args: [t] }); return param; };
+  return param;
+}
@@ -0,0 +1,238 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { InputManager } from '../src/input.js';
+import { TouchControls, TouchLayoutEditor, DEFAULT_TOUCH_LAYOUT } from '../src/touch.js';
+import { memoryStorage, pointerEvent, key } from './helpers.js';
+
+let input = null;
+const create = (opts = {}) => {
+  input = new InputManager({ window, storage: memoryStorage(), enableTouchUI: false, smooth: 1, getGamepads: () => [], ...opts });
+  return input;
+};
+
+afterEach(() => {
+  input?.destroy();
+  input = null;
+  document.body.innerHTML = '';
+});
+
+describe('InputManager keyboard', () => {
+  it('combines keys into a normalized axis', () => {
+    create();
+    key(window, 'keydown', 'KeyW');
+    expect(input.update().axis).toEqual({ x: 0, y: 1 });
+
+    key(window, 'keydown', 'KeyD');
+    const { axis } = input.update();
+    expect(axis.x).toBeCloseTo(Math.SQRT1_2);
+    expect(axis.y).toBeCloseTo(Math.SQRT1_2);
+
+    key(window, 'keydown', 'ArrowDown'); // opposite of W cancels it
+    expect(input.update().axis).toEqual({ x: 1, y: 0 });
+
+    key(window, 'keyup', 'KeyW');
+    key(window, 'keyup', 'KeyD');
+    key(window, 'keyup', 'ArrowDown');
+    expect(input.update().axis).toEqual({ x: 0, y: 0 });
+  });
+
+  it('smooths the axis towards the target', () => {
+    create({ smooth: 0.5 });
+    key(window, 'keydown', 'KeyD');
+    expect(input.update().axis.x).toBeCloseTo(0.5);
+    expect(input.update().axis.x).toBeCloseTo(0.75);
+  });
+
+  it('tracks pressed / released edges and held time', () => {
+    let now = 0;
+    create({ now: () => now });
+    const pressed = vi.fn();
+    input.on('jump:pressed', pressed);
+
+    key(window, 'keydown', 'Space');
+    let { actions } = input.update();
+    expect(actions.jump).toMatchObject({ down: true, pressed: true, released: false });
+    expect(pressed).toHaveBeenCalledTimes(1);
+
+    now = 250;
+    ({ actions } = input.update());
+    expect(actions.jump.pressed).toBe(false);
+    expect(actions.jump.heldTime).toBeCloseTo(0.25);
+
+    key(window, 'keyup', 'Space');
+    ({ actions } = input.update());
+    expect(actions.jump).toMatchObject({ down: false, released: true });
+    expect(input.wasPressedWithin('jump', 300)).toBe(true);
+  });
+
+  it('forgets held keys when the window loses focus', () => {
+    create();
+    key(window, 'keydown', 'KeyA');
+    window.dispatchEvent(new Event('blur'));
+    expect(input.update().axis).toEqual({ x: 0, y: 0 });
+  });
+
+  it('rebinds, persists and resets bindings', async () => {
+    const storage = memoryStorage();
+    create({ storage, persistBindings: true });
+    input.rebind('jump', 'keyboard', ['KeyJ']);
+    key(window, 'keydown', 'KeyJ');
+    expect(input.update().jump).toBe(true);
+    input.destroy();
+
+    create({ storage, persistBindings: true });
+    expect(input.bindings.jump.keyboard).toEqual(['KeyJ']);
+    const captured = input.captureNextBinding('keyboard');
+    key(window, 'keydown', 'KeyK');
+    expect(await captured).toBe('KeyK');
+    expect(input.update().jump).toBe(false); // the captured key isn't gameplay input
+
+    input.resetBindings();
+    expect(input.bindings.jump.keyboard).toContain('Space');
+  });
+
+  it('stops listening after destroy()', () => {
+    create();
+    const instance = input;
+    instance.destroy();
+    input = null;
+    key(window, 'keydown', 'KeyW');
+    expect(instance.update().axis).toEqual({ x: 0, y: 0 });
+  });
+});
+
+describe('TouchControls', () => {
+  // jsdom has no layout; give the joystick base a fixed box for 'fixed' mode
+  const rectAt = (el, x, y, size) => {
+    el.getBoundingClientRect = () => ({ left: x - size / 2, top: y - size / 2, width: size, height: size, right: x + size / 2, bottom: y + size / 2 });
+  };
+
+  it('spawns the floating joystick under the thumb and feeds InputManager', () => {
+    create({ enableTouchUI: true });
+    const { touch } = input;
+    const zone = touch.el.querySelector('.touch-move');
+    const r = DEFAULT_TOUCH_LAYOUT.joystick.size / 2;
+
+    zone.dispatchEvent(pointerEvent(window, 'pointerdown', { x: 200, y: 400 }));
+    expect(touch.vector).toEqual({ x: 0, y: 0 });
+    zone.dispatchEvent(pointerEvent(window, 'pointermove', { x: 200 + r, y: 400 }));
+    expect(touch.vector.x).toBeCloseTo(1);
+    expect(input.update().axis.x).toBeCloseTo(1);
+
+    // Dragging past the rim clamps; up on screen is forward
+    zone.dispatchEvent(pointerEvent(window, 'pointermove', { x: 200, y: 400 - r * 3 }));
+    expect(touch.vector.x).toBeCloseTo(0);
+    expect(touch.vector.y).toBeCloseTo(1);
+
+    // Another finger doesn't take over the stick
+    zone.dispatchEvent(pointerEvent(window, 'pointermove', { x: 200 - r, y: 400, id: 2 }));
+    expect(touch.vector.y).toBeCloseTo(1);
+
+    zone.dispatchEvent(pointerEvent(window, 'pointerup', { x: 200, y: 400 - r * 3 }));
+    expect(touch.vector).toEqual({ x: 0, y: 0 });
+  });
+
+  it('applies the deadzone near the center', () => {
+    const touch = new TouchControls({ window, storage: memoryStorage(), deadzone: 0.2 });
+    const r = touch._radius();
+    touch._moveZone.dispatchEvent(pointerEvent(window, 'pointerdown', { x: 300, y: 300 }));
+    touch._moveZone.dispatchEvent(pointerEvent(window, 'pointermove', { x: 300 + r * 0.1, y: 300 }));
+    expect(touch.vector.x).toBe(0);
+    touch._moveZone.dispatchEvent(pointerEvent(window, 'pointermove', { x: 300 + r * 0.6, y: 300 }));
+    expect(touch.vector.x).toBeCloseTo((0.6 - 0.2) / 0.8);
+    touch.destroy();
+  });
+
+  it('only starts a fixed joystick on its base', () => {
+    const touch = new TouchControls({ window, storage: memoryStorage(), layout: { joystick: { mode: 'fixed' } } });
+    const r = touch._radius();
+    rectAt(touch._joystick, 100, 500, r * 2);
+
+    touch._moveZone.dispatchEvent(pointerEvent(window, 'pointerdown', { x: 100 + r * 3, y: 500 }));
+    touch._moveZone.dispatchEvent(pointerEvent(window, 'pointermove', { x: 100 + r * 4, y: 500 }));
+    expect(touch.vector.x).toBe(0);
+
+    touch._moveZone.dispatchEvent(pointerEvent(window, 'pointerdown', { x: 110, y: 500 }));
+    touch._moveZone.dispatchEvent(pointerEvent(window, 'pointermove', { x: 100 + r, y: 500 }));
+    expect(touch.vector.x).toBeCloseTo(1); // measured from the base center, not the touch point
+    touch.destroy();
+  });
+
+  it('places the joystick and edited controls inside an embedded touch UI, not the window', () => {
+    create({ enableTouchUI: true });
+    const { touch } = input;
+    // A 400x300 mount root at (100, 50) on the page
+    touch.el.getBoundingClientRect = () => ({ left: 100, top: 50, width: 400, height: 300, right: 500, bottom: 350 });
+    const r = DEFAULT_TOUCH_LAYOUT.joystick.size / 2;
+
+    const zone = touch.el.querySelector('.touch-move');
+    zone.dispatchEvent(pointerEvent(window, 'pointerdown', { x: 110, y: 200 }));
+    expect(touch._joystick.style.left).toBe(`${r}px`); // clamped to the root's left edge
+    expect(touch._joystick.style.top).toBe('150px');
+    zone.dispatchEvent(pointerEvent(window, 'pointermove', { x: 100 + r * 2, y: 200 }));
+    expect(touch.vector.x).toBeCloseTo(1);
+    zone.dispatchEvent(pointerEvent(window, 'pointerup', { x: 100 + r * 2, y: 200 }));
+
+    const editor = new TouchLayoutEditor(touch);
+    editor.open();
+    const jump = touch.elements.jump;
+    rectAt(jump, 400, 300, 60);
+    jump.dispatchEvent(pointerEvent(window, 'pointerdown', { x: 400, y: 300, id: 7 }));
+    jump.dispatchEvent(pointerEvent(window, 'pointermove', { x: 200, y: 125, id: 7 }));
+    expect(touch.layout.buttons.jump.x).toBeCloseTo(0.25);
+    expect(touch.layout.buttons.jump.y).toBeCloseTo(0.25);
+    editor.close();
+  });
+
+  it('accumulates look drags and presses buttons', () => {
+    create({ enableTouchUI: true });
+    const { touch } = input;
+    touch._lookZone.dispatchEvent(pointerEvent(window, 'pointerdown', { x: 600, y: 300, id: 3 }));
+    touch._lookZone.dispatchEvent(pointerEvent(window, 'pointermove', { x: 610, y: 290, id: 3 }));
+    touch._lookZone.dispatchEvent(pointerEvent(window, 'pointermove', { x: 625, y: 290, id: 3 }));
+    expect(input.update().lookDelta).toEqual({ x: 25, y: 10 });
+    expect(input.update().lookDelta).toEqual({ x: 0, y: 0 });
+
+    touch.elements.jump.dispatchEvent(pointerEvent(window, 'pointerdown', { id: 4 }));
+    expect(input.update().jump).toBe(true);
+    touch.elements.jump.dispatchEvent(pointerEvent(window, 'pointerup', { id: 4 }));
+    expect(input.update().jump).toBe(false);
+  });
+
+  it('ignores touches while the layout is being edited', () => {
+    const touch = new TouchControls({ window, storage: memoryStorage() });
+    touch.editing = true;
+    touch.elements.jump.dispatchEvent(pointerEvent(window, 'pointerdown'));
+    expect(touch.buttons.jump).toBeFalsy();
+    touch.destroy();
+  });
+
+  it('clamps and persists layout changes', () => {
+    const storage = memoryStorage();
+    const touch = new TouchControls({ window, storage, persistLayout: true });
+    touch.setLayout({ opacity: 5, joystick: { mode: 'fixed' } });
+    touch.setControl('jump', { size: 999, x: 0.5 });
+    expect(touch.layout.opacity).toBe(1);
+    expect(touch.layout.buttons.jump.size).toBe(200);
+    touch.destroy();
+
+    const reloaded = new TouchControls({ window, storage, persistLayout: true });
+    expect(reloaded.layout.joystick.mode).toBe('fixed');
+    expect(reloaded.layout.buttons.jump.x).toBe(0.5);
+    reloaded.resetLayout();
+    expect(reloaded.layout.buttons.jump).toEqual(DEFAULT_TOUCH_LAYOUT.buttons.jump);
+    reloaded.destroy();
+  });
+
+  it('vibrates through the injected window only when haptics are on', () => {
+    const vibrate = vi.fn();
+    Object.defineProperty(window.navigator, 'vibrate', { value: vibrate, configurable: true });
+    const touch = new TouchControls({ window, storage: memoryStorage() });
+    touch.vibrate(12);
+    touch.setLayout({ haptics: false });
+    touch.vibrate(12);
+    expect(vibrate).toHaveBeenCalledTimes(1);
+    touch.destroy();
+    delete window.navigator.vibrate;
+  });
+});
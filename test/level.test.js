@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { loadLevel, validateLevel, LevelError } from '../src/level.js';
+import { createNeonGround } from '../src/ground.js';
+import { CollisionWorld } from '../src/collision.js';
+import { Player } from '../src/player.js';
+import demo from '../src/levels/demo.json';
+
+describe('levels', () => {
+  it('builds the demo level into a scene and collision world', () => {
+    const scene = new THREE.Scene();
+    const world = new CollisionWorld();
+    const level = loadLevel(demo, { scene, world });
+
+    expect(scene.children).toContain(level.group);
+    expect(level.colliders).toHaveLength(1 + demo.platforms.length + demo.walls.length);
+    expect(world.colliders).toHaveLength(level.colliders.length);
+    expect(level.checkpoints.map(c => c.id)).toEqual(['blocks', 'wall']);
+    expect(level.spawn.position.toArray()).toEqual(demo.spawn.position);
+
+    level.dispose();
+    expect(world.colliders).toHaveLength(0);
+    expect(scene.children).not.toContain(level.group);
+  });
+
+  it('gives the scene its background and fog back on dispose, also across a swap', () => {
+    const scene = new THREE.Scene();
+    const background = new THREE.Color('#123456');
+    const fog = new THREE.Fog('#000000', 1, 2);
+    scene.background = background;
+    scene.fog = fog;
+
+    const first = loadLevel(demo, { scene });
+    expect(scene.background).not.toBe(background);
+    const other = { ...demo, palette: { ...demo.palette, background: '#ff0000' } };
+    const second = loadLevel(other, { scene }); // load the next, then dispose the old one
+    first.dispose();
+    expect(scene.background.getHexString()).toBe('ff0000');
+
+    second.dispose();
+    expect(scene.background).toBe(background);
+    expect(scene.fog).toBe(fog);
+  });
+
+  it('names the offending field of malformed data', () => {
+    const bad = { ...demo, platforms: [{ center: [0, 0, 0], size: [1, -1, 1] }] };
+    expect(() => validateLevel(bad)).toThrow(LevelError);
+    try {
+      validateLevel(bad);
+    } catch (err) {
+      expect(err.path).toMatch(/^platforms\[0\]/);
+    }
+    expect(() => validateLevel({ ...demo, version: 99 })).toThrow(/newer than supported/);
+  });
+
+  it('carries a player along on a moving platform', () => {
+    const world = new CollisionWorld();
+    const level = loadLevel(demo, { world });
+    const platform = level._moving[0].collider;
+    const start = new THREE.Vector3().addVectors(platform.min, platform.max).multiplyScalar(0.5);
+    const player = new Player(new THREE.Scene(), start.clone().setY(platform.max.y + 0.5), { world });
+
+    for (let i = 0; i < 60; i++) {
+      world.update(1 / 60);
+      player.handleInput({ axis: { x: 0, y: 0 } }, 0);
+      player.update(1 / 60);
+    }
+    expect(player.grounded).toBe(true);
+    expect(player.position.x).toBeLessThan(start.x - 1); // the platform heads towards -X at 1.5 units/s
+  });
+});
+
+describe('createNeonGround', () => {
+  it('recenters under its follow target and drives the surface clock', () => {
+    let now = 2000;
+    const target = { position: new THREE.Vector3(12, 5, -7) };
+    const ground = createNeonGround({ size: 50, follow: target, now: () => now });
+    ground.onBeforeRender(null, null, null);
+    expect(ground.position.x).toBe(12);
+    expect(ground.position.z).toBe(-7);
+    expect(ground.position.y).toBe(0);
+    expect(ground.userData.neon.uniforms.uTime.value).toBeCloseTo(2);
+
+    now = 3500;
+    ground.onBeforeRender(null, null, null);
+    expect(ground.userData.neon.uniforms.uTime.value).toBeCloseTo(3.5);
+  });
+});
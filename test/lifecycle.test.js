@@ -0,0 +1,121 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { InputManager } from '../src/input.js';
+import { TouchLayoutEditor } from '../src/touch.js';
+import { HUD } from '../src/hud.js';
+import { MenuSystem } from '../src/menu.js';
+import { AudioEngine } from '../src/audio.js';
+import { GameLoop } from '../src/loop.js';
+import { CollisionWorld } from '../src/collision.js';
+import { loadLevel, LevelError } from '../src/level.js';
+import { createGame } from '../src/game.js';
+import { Player } from '../src/player.js';
+import { RunManager } from '../src/run.js';
+import { GhostRacer } from '../src/ghost.js';
+import { NeonTrail } from '../src/trail.js';
+import { FollowCamera } from '../src/camera.js';
+import { memoryStorage } from './helpers.js';
+import demo from '../src/levels/demo.json';
+
+/** Record listeners added to and removed from `targets`; `live` holds the ones still attached. */
+function trackListeners(...targets) {
+  const live = [];
+  const capture = opts => (typeof opts === 'boolean' ? opts : !!opts?.capture);
+  for (const target of targets) {
+    const add = target.addEventListener.bind(target);
+    const remove = target.removeEventListener.bind(target);
+    vi.spyOn(target, 'addEventListener').mockImplementation((type, handler, opts) => {
+      const entry = { target, type, handler, capture: capture(opts) };
+      if (!live.some(l => l.target === target && l.type === type && l.handler === handler && l.capture === entry.capture)) live.push(entry);
+      add(type, handler, opts);
+    });
+    vi.spyOn(target, 'removeEventListener').mockImplementation((type, handler, opts) => {
+      const i = live.findIndex(l => l.target === target && l.type === type && l.handler === handler && l.capture === capture(opts));
+      if (i >= 0) live.splice(i, 1);
+      remove(type, handler, opts);
+    });
+  }
+  return live;
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  document.body.innerHTML = '';
+});
+
+describe('lifecycle', () => {
+  it('removes every window and document listener and its DOM on destroy', () => {
+    document.querySelector(':hover'); // jsdom's selector engine adds its own document listeners on first use
+    const live = trackListeners(window, document);
+    const scene = new THREE.Scene();
+    const level = loadLevel(demo, { scene });
+    const player = new Player(scene, level.spawn.position);
+    const run = new RunManager(level, player, { storage: memoryStorage() });
+
+    const input = new InputManager({ window, storage: memoryStorage(), enableTouchUI: true, getGamepads: () => [] });
+    const editor = new TouchLayoutEditor(input.touch);
+    editor.open();
+    const hud = new HUD(run, player);
+    hud.show();
+    const menu = new MenuSystem();
+    menu.define('main', { title: 'Main', items: [{ label: 'Play', action: () => menu.close() }] });
+    menu.open('main');
+    const audio = new AudioEngine({ window });
+    const loop = new GameLoop({ update() {} });
+    loop.start();
+    expect(live.length).toBeGreaterThan(5);
+    expect(document.body.children.length).toBeGreaterThan(0);
+
+    loop.stop();
+    audio.dispose();
+    menu.destroy();
+    hud.destroy();
+    editor.close();
+    input.destroy();
+    run.dispose();
+    expect(live.map(l => `${l.target === window ? 'window' : 'document'}:${l.type}`)).toEqual([]);
+    expect(document.body.children).toHaveLength(0);
+  });
+
+  it('disposes every geometry and material it put in the scene', () => {
+    const scene = new THREE.Scene();
+    const world = new CollisionWorld();
+    const level = loadLevel(demo, { scene, world });
+    const player = new Player(scene, level.spawn.position, { world });
+    const run = new RunManager(level, player, { storage: memoryStorage() });
+    const ghosts = new GhostRacer(run, player, scene, { storage: memoryStorage() });
+    const trail = new NeonTrail(scene, { surface: level.ground.userData.neon });
+    const followCamera = new FollowCamera(new THREE.PerspectiveCamera(), { target: player, world });
+
+    const resources = new Set();
+    scene.traverse(o => {
+      if (o.geometry) resources.add(o.geometry);
+      for (const m of [o.material ?? []].flat()) resources.add(m);
+    });
+    const disposed = new Set();
+    for (const r of resources) r.addEventListener('dispose', () => disposed.add(r));
+    expect(resources.size).toBeGreaterThan(10);
+
+    followCamera.dispose();
+    trail.dispose();
+    ghosts.dispose();
+    run.dispose();
+    player.dispose();
+    level.dispose();
+    expect([...resources].filter(r => !disposed.has(r)).map(r => r.type)).toEqual([]);
+    expect(scene.children).toHaveLength(0);
+    expect(world.colliders).toHaveLength(0);
+  });
+
+  it('creates no renderer or listeners when the start level is malformed', () => {
+    document.querySelector(':hover');
+    const live = trackListeners(window, document);
+    const getContext = vi.spyOn(HTMLCanvasElement.prototype, 'getContext');
+    const bad = { ...demo, name: 'Broken', platforms: [{ center: [0, 0, 0], size: [1, -1, 1] }] };
+    const canvas = document.createElement('canvas');
+    expect(() => createGame(canvas, { levels: [bad], level: 'Broken' })).toThrow(LevelError);
+    expect(getContext).not.toHaveBeenCalled();
+    expect(live).toEqual([]);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { GameLoop } from '../src/loop.js';
+
+const createLoop = (opts = {}) => {
+  const calls = { steps: 0, alphas: [] };
+  const loop = new GameLoop({
+    update: (dt) => { calls.steps++; opts.onUpdate?.(loop, dt); },
+    render: (alpha) => calls.alphas.push(alpha),
+    pauseWhenHidden: false,
+    ...opts
+  });
+  return { loop, calls };
+};
+
+describe('GameLoop', () => {
+  it('runs whole fixed steps and renders the remainder as alpha', () => {
+    const { loop, calls } = createLoop({ step: 0.01 });
+    expect(loop.advance(0.035)).toBe(3);
+    expect(calls.alphas[0]).toBeCloseTo(0.5);
+    expect(loop.advance(0.005)).toBe(1);
+    expect(loop.simTime).toBeCloseTo(0.04);
+  });
+
+  it('caps the steps of a slow frame and drops the backlog', () => {
+    const { loop } = createLoop({ step: 0.01, maxSteps: 4 });
+    expect(loop.advance(0.2)).toBe(4);
+    expect(loop.accumulator).toBeLessThan(loop.step);
+    expect(loop.advance(0)).toBe(0);
+  });
+
+  it('stops catching up as soon as a step pauses it', () => {
+    const { loop, calls } = createLoop({
+      step: 0.01,
+      onUpdate: (loop) => { if (calls.steps === 2) loop.pause(); }
+    });
+    expect(loop.advance(0.05)).toBe(2);
+    expect(loop.advance(0.05)).toBe(0);
+    expect(calls.alphas).toHaveLength(2); // still renders while paused
+    expect(Math.max(...calls.alphas)).toBeLessThan(1); // without extrapolating past the current state
+
+    loop.resume();
+    expect(loop.advance(0.015)).toBe(1); // the backlog from before the pause is gone
+  });
+
+  it('scales simulation time and steps manually while paused', () => {
+    const { loop, calls } = createLoop({ step: 0.01, timeScale: 0.5 });
+    expect(loop.advance(0.04)).toBe(2);
+    loop.pause();
+    loop.stepSimulation(3);
+    expect(calls.steps).toBe(5);
+    expect(calls.alphas).toHaveLength(1);
+  });
+});
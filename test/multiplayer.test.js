@@ -0,0 +1,231 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { splitLayout, SplitScreen } from '../src/split.js';
+import { JoinScreen } from '../src/join.js';
+import { playerInput } from '../src/input.js';
+import { loadLevel } from '../src/level.js';
+import { Player } from '../src/player.js';
+import { RunManager } from '../src/run.js';
+import { HUD } from '../src/hud.js';
+import { fakeGamepad, memoryStorage, key } from './helpers.js';
+import demo from '../src/levels/demo.json';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  document.body.innerHTML = '';
+});
+
+describe('splitLayout', () => {
+  it('splits two players along the long side and three or four into a grid', () => {
+    expect(splitLayout(1, 800, 600)).toEqual([{ x: 0, y: 0, width: 800, height: 600 }]);
+    expect(splitLayout(2, 800, 600)).toEqual([
+      { x: 0, y: 0, width: 400, height: 600 },
+      { x: 400, y: 0, width: 400, height: 600 }
+    ]);
+    expect(splitLayout(2, 600, 800).map(r => r.y)).toEqual([0, 400]);
+    const three = splitLayout(3, 800, 600);
+    expect(three).toHaveLength(3);
+    expect(three[2]).toEqual({ x: 0, y: 300, width: 400, height: 300 });
+    expect(() => splitLayout(5, 800, 600)).toThrow(/1-4/);
+  });
+
+  it('leaves the gap between views and covers the rest', () => {
+    const [a, b, c, d] = splitLayout(4, 801, 601, 2);
+    expect(b.x - (a.x + a.width)).toBe(2);
+    expect(c.y - (a.y + a.height)).toBe(2);
+    expect(d.x + d.width).toBe(801);
+    expect(d.y + d.height).toBe(601);
+  });
+});
+
+describe('SplitScreen', () => {
+  it('renders each camera into its own scissored viewport, bottom-up, with a fitted aspect', () => {
+    const calls = [];
+    const renderer = {
+      getSize: v => v.set(800, 600),
+      setScissorTest: on => calls.push(['scissorTest', on]),
+      setViewport: (...r) => calls.push(['viewport', ...r]),
+      setScissor: () => {},
+      clear: () => calls.push(['clear']),
+      render: (scene, camera) => calls.push(['render', camera])
+    };
+    const cameras = [new THREE.PerspectiveCamera(), new THREE.PerspectiveCamera(), new THREE.PerspectiveCamera()];
+    new SplitScreen(renderer, new THREE.Scene(), { gap: 0 }).render(cameras);
+
+    const renders = calls.filter(c => c[0] === 'render').map(c => c[1]);
+    expect(renders).toEqual(cameras);
+    const viewports = calls.filter(c => c[0] === 'viewport').map(c => c.slice(1));
+    // Full-canvas clear, then P1 top left, P2 top right, P3 bottom left (WebGL y is from the bottom), then restored
+    expect(viewports).toEqual([[0, 0, 800, 600], [0, 300, 400, 300], [400, 300, 400, 300], [0, 0, 400, 300], [0, 0, 800, 600]]);
+    expect(cameras[0].aspect).toBeCloseTo(400 / 300);
+    expect(calls[0]).toEqual(['scissorTest', true]);
+    expect(calls.at(-2)).toEqual(['scissorTest', false]);
+  });
+});
+
+describe('JoinScreen', () => {
+  const lobby = (pads = [], opts = {}) => {
+    const join = new JoinScreen({ window, getGamepads: () => pads, ...opts });
+    join.open();
+    return join;
+  };
+
+  it('gives the keyboard and each pad their own slot', () => {
+    const pads = [fakeGamepad({ index: 0 }), fakeGamepad({ index: 1, id: 'Second pad' })];
+    const join = lobby(pads);
+    const joined = [];
+    join.on('join', ({ player }) => joined.push(player));
+
+    key(window, 'keydown', 'Space');
+    pads[1].press(0);
+    join.update();
+    key(window, 'keydown', 'Space'); // already in
+    join.update();                   // still held: no second join
+    pads[1].press(0, false);
+    pads[1].press(0);
+    join.update();                   // pressed again: still one slot per pad
+
+    expect(joined).toEqual([
+      { slot: 0, device: 'keyboard' },
+      { slot: 1, device: 'gamepad', index: 1, id: 'Second pad' }
+    ]);
+    expect(join.el.querySelectorAll('.join-slot--taken')).toHaveLength(2);
+    join.destroy();
+  });
+
+  it('starts only with enough players, from Enter or Start', () => {
+    const pad = fakeGamepad({ index: 2 });
+    const join = lobby([pad]);
+    const start = vi.fn();
+    join.on('start', start);
+
+    key(window, 'keydown', 'Enter'); // joins the keyboard player
+    key(window, 'keydown', 'Enter'); // one player is not enough
+    expect(start).not.toHaveBeenCalled();
+
+    pad.press(9);
+    join.update();                   // Start from a new pad joins it
+    pad.press(9, false);
+    join.update();
+    pad.press(9);
+    join.update();                   // then starts
+    expect(start).toHaveBeenCalledTimes(1);
+    expect(start.mock.calls[0][0].players.map(p => p.device)).toEqual(['keyboard', 'gamepad']);
+    join.destroy();
+  });
+
+  it('frees slots on leave and disconnect, and cancels when nobody is in', () => {
+    const pads = [fakeGamepad({ index: 0 })];
+    const join = lobby(pads);
+    const cancel = vi.fn();
+    join.on('cancel', cancel);
+
+    pads[0].press(0);
+    join.update();
+    key(window, 'keydown', 'Space');
+    expect(join.players).toHaveLength(2);
+
+    pads.length = 0;                 // unplugged
+    join.update();
+    expect(join.players.map(p => p.device)).toEqual(['keyboard']);
+
+    key(window, 'keydown', 'Escape');
+    expect(join.players).toHaveLength(0);
+    expect(cancel).not.toHaveBeenCalled();
+    key(window, 'keydown', 'Escape');
+    expect(cancel).toHaveBeenCalledTimes(1);
+
+    join.join('gamepad', { index: 3 });
+    expect(join.slots[0]).toMatchObject({ device: 'gamepad', index: 3 });
+    join.destroy();
+  });
+
+  it('ignores buttons held when it opened and stops listening when closed', () => {
+    const pad = fakeGamepad().press(0);
+    const join = lobby([pad]);
+    join.update();
+    expect(join.players).toHaveLength(0);
+
+    join.close();
+    key(window, 'keydown', 'Space');
+    expect(join.players).toHaveLength(0);
+    join.destroy();
+    expect(document.getElementById('join')).toBeNull();
+  });
+});
+
+describe('playerInput', () => {
+  it('reads only the device the player joined with', () => {
+    const pads = [fakeGamepad({ index: 0 }), fakeGamepad({ index: 1 }).press(0)];
+    const opts = { window, storage: memoryStorage(), getGamepads: () => pads };
+    const keyboard = playerInput({ device: 'keyboard' }, opts);
+    const first = playerInput({ device: 'gamepad', index: 0 }, opts);
+    const second = playerInput({ device: 'gamepad', index: 1 }, opts);
+
+    key(window, 'keydown', 'KeyW');
+    keyboard.update();
+    expect(keyboard.update().axis.y).toBeGreaterThan(0);
+    expect(keyboard.update().jump).toBe(false);
+    expect(first.update()).toMatchObject({ jump: false, axis: { x: 0, y: 0 } });
+    expect(second.update().jump).toBe(true);
+    expect(keyboard.touch).toBeNull();
+    expect(() => playerInput({ device: 'gamepad' }, opts)).toThrow(/pad index/);
+
+    for (const input of [keyboard, first, second]) input.destroy();
+  });
+});
+
+describe('split-screen racers', () => {
+  it('start side by side with spawnOffset, facing the same way', () => {
+    const scene = new THREE.Scene();
+    const level = loadLevel(demo, { scene });
+    const runs = [-1, 1].map(spawnOffset => {
+      const player = new Player(scene, level.spawn.position);
+      return new RunManager(level, player, { storage: memoryStorage(), spawnOffset });
+    });
+    const [a, b] = runs.map(r => r.player.position);
+    expect(a.distanceTo(b)).toBeCloseTo(2);
+    expect(a.y).toBeCloseTo(b.y);
+    // b is to the right of a, facing the spawn rotation
+    const r = level.spawn.rotation;
+    const right = new THREE.Vector3(-Math.cos(r), 0, Math.sin(r));
+    expect(b.clone().sub(a).dot(right)).toBeCloseTo(2);
+    expect(runs[0].player.rotation).toBe(r);
+
+    runs[1].player.setPosition(new THREE.Vector3(0, -100, 0));
+    runs[1].respawn('fall');
+    expect(runs[1].player.position.distanceTo(b)).toBeCloseTo(0);
+  });
+
+  it('keep no personal bests with storage: null', () => {
+    localStorage.setItem('neonparker:best:Demo', JSON.stringify({ time: 99, splits: [] }));
+    const scene = new THREE.Scene();
+    const level = loadLevel(demo, { scene });
+    const player = new Player(scene, level.spawn.position);
+    const run = new RunManager(level, player, { storage: null });
+    expect(run.best).toBeNull();
+    player.setPosition(level.start.box.getCenter(new THREE.Vector3()).add(new THREE.Vector3(10, 0, 0)));
+    run.update(1 / 60);
+    for (const { box } of [...level.checkpoints, level.finish]) {
+      player.setPosition(box.getCenter(new THREE.Vector3()));
+      run.update(1 / 60);
+    }
+    expect(run.state).toBe('finished');
+    expect(JSON.parse(localStorage.getItem('neonparker:best:Demo')).time).toBe(99);
+    localStorage.clear();
+  });
+
+  it('can show several HUDs without duplicate ids', () => {
+    const scene = new THREE.Scene();
+    const level = loadLevel(demo, { scene });
+    const player = new Player(scene, level.spawn.position);
+    const run = new RunManager(level, player, { storage: memoryStorage() });
+    const huds = [new HUD(run, player, { id: null }), new HUD(run, player, { id: null })];
+    expect(document.querySelectorAll('.hud')).toHaveLength(2);
+    expect(document.getElementById('hud')).toBeNull();
+    const single = new HUD(run, player);
+    expect(document.getElementById('hud')).toBe(single.el);
+    for (const hud of [...huds, single]) hud.destroy();
+  });
+});
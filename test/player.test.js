@@ -0,0 +1,281 @@
+import { describe, it, expect, vi } from 'vitest';
+import * as THREE from 'three';
+import { Player } from '../src/player.js';
+import { CollisionWorld } from '../src/collision.js';
+
+const STEP = 1 / 60;
+const idle = { axis: { x: 0, y: 0 } };
+
+/** Feed `controls` (or controls(i)) and step the player `steps` times at 60 Hz. */
+function simulate(player, steps, controls = idle, yaw = 0) {
+  for (let i = 0; i < steps; i++) {
+    player.handleInput(typeof controls === 'function' ? controls(i) : controls, yaw);
+    player.update(STEP);
+  }
+}
+
+function flatWorld() {
+  const world = new CollisionWorld();
+  world.addPlane({ y: 0 });
+  return world;
+}
+
+const spawn = () => new THREE.Vector3(0, 0.5, 0);
+
+describe('Player movement', () => {
+  it('walks relative to the camera yaw and reaches its top speed', () => {
+    const player = new Player(new THREE.Scene(), spawn(), { world: flatWorld() });
+    simulate(player, 60, { axis: { x: 0, y: 1 } });
+    expect(player.position.z).toBeGreaterThan(3);
+    expect(Math.abs(player.position.x)).toBeLessThan(1e-6);
+    expect(player.velocity.length()).toBeCloseTo(player.speed);
+    expect(player.grounded).toBe(true);
+
+    // Camera facing +X: forward is +X
+    const turned = new Player(new THREE.Scene(), spawn(), { world: flatWorld() });
+    simulate(turned, 60, { axis: { x: 0, y: 1 } }, Math.PI / 2);
+    expect(turned.position.x).toBeGreaterThan(3);
+  });
+
+  it('runs faster while sprinting and stops by friction', () => {
+    const player = new Player(new THREE.Scene(), spawn(), { world: flatWorld() });
+    simulate(player, 90, { axis: { x: 0, y: 1 }, sprint: true });
+    expect(player.velocity.length()).toBeCloseTo(player.speed * player.sprintMultiplier);
+
+    simulate(player, 60);
+    expect(player.velocity.length()).toBeLessThan(1e-6);
+  });
+
+  it('jumps, lands and emits events', () => {
+    const player = new Player(new THREE.Scene(), spawn(), { world: flatWorld() });
+    const jump = vi.fn();
+    const land = vi.fn();
+    player.on('jump', jump);
+    player.on('land', land);
+    simulate(player, 5);
+
+    let peak = 0;
+    simulate(player, 90, (i) => {
+      peak = Math.max(peak, player.position.y);
+      return { axis: { x: 0, y: 0 }, jump: i < 40 };
+    });
+    expect(jump).toHaveBeenCalledTimes(1);
+    expect(land).toHaveBeenCalledTimes(1);
+    expect(land.mock.calls[0][0].impactSpeed).toBeGreaterThan(5);
+    const fullHeight = player.jumpSpeed ** 2 / (2 * player.gravity);
+    expect(peak - 0.5).toBeCloseTo(fullHeight, 0);
+    expect(player.position.y).toBeCloseTo(0.5);
+  });
+
+  it('cuts the jump short when jump is released early', () => {
+    const heights = [40, 3].map((held) => {
+      const player = new Player(new THREE.Scene(), spawn(), { world: flatWorld() });
+      simulate(player, 5);
+      let peak = 0;
+      simulate(player, 60, (i) => {
+        peak = Math.max(peak, player.position.y);
+        return { axis: { x: 0, y: 0 }, jump: i < held };
+      });
+      return peak;
+    });
+    expect(heights[1]).toBeLessThan(heights[0] * 0.7);
+  });
+
+  it('stops at walls and emits bump', () => {
+    const world = flatWorld();
+    world.addBox({ center: new THREE.Vector3(0, 1, 3), size: new THREE.Vector3(4, 2, 1) });
+    const player = new Player(new THREE.Scene(), spawn(), { world });
+    const bump = vi.fn();
+    player.on('bump', bump);
+    simulate(player, 120, { axis: { x: 0, y: 1 } });
+
+    expect(player.position.z).toBeLessThanOrEqual(2.5 - player.halfExtents.z + 1e-3);
+    expect(player.position.z).toBeGreaterThan(2);
+    expect(bump).toHaveBeenCalledTimes(1);
+    expect(bump.mock.calls[0][0].normal.z).toBe(-1);
+  });
+
+  it('is deterministic for the same inputs', () => {
+    const run = () => {
+      const player = new Player(new THREE.Scene(), spawn(), { world: flatWorld() });
+      simulate(player, 240, i => ({
+        axis: { x: Math.sin(i * 0.05), y: 1 },
+        jump: i % 70 < 10,
+        sprint: i > 100
+      }), 0.3);
+      return player.position.toArray();
+    };
+    expect(run()).toEqual(run());
+  });
+
+  it('stands on y = 0 without a collision world', () => {
+    const player = new Player(new THREE.Scene(), new THREE.Vector3(0, 3, 0));
+    simulate(player, 120);
+    expect(player.grounded).toBe(true);
+    expect(player.position.y).toBeCloseTo(player.halfHeight);
+  });
+});
+
+describe('Parkour states', () => {
+  /** Record the movement states the player goes through. */
+  const trackStates = (player) => {
+    const states = [player.state];
+    player.on('statechange', ({ to }) => states.push(to));
+    return states;
+  };
+
+  it('vaults a low box on a jump press without jumping again afterwards', () => {
+    const world = flatWorld();
+    world.addBox({ center: new THREE.Vector3(0, 0.4, 3.25), size: new THREE.Vector3(4, 0.8, 0.5) });
+    const player = new Player(new THREE.Scene(), spawn(), { world });
+    const states = trackStates(player);
+    const jump = vi.fn();
+    player.on('jump', jump);
+    simulate(player, 90, () => ({ axis: { x: 0, y: 1 }, jump: player.position.z > 2.4 }));
+
+    expect(states.slice(0, 4)).toEqual(['ground', 'vault', 'air', 'ground']);
+    expect(jump).not.toHaveBeenCalled();
+    expect(player.position.z).toBeGreaterThan(3.5);
+    expect(player.position.y).toBeCloseTo(0.5);
+  });
+
+  it('drops a slide on setPosition without offsetting the player', () => {
+    const player = new Player(new THREE.Scene(), spawn(), { world: flatWorld() });
+    const states = trackStates(player);
+    simulate(player, 60, { axis: { x: 0, y: 1 }, sprint: true });
+    simulate(player, 5, { axis: { x: 0, y: 1 }, sprint: true, crouch: true });
+    expect(player.state).toBe('slide');
+
+    const target = new THREE.Vector3(2, 0.5, -3);
+    player.setPosition(target);
+    expect(player.position.toArray()).toEqual(target.toArray());
+    expect(player.halfExtents.y).toBe(player.halfHeight);
+    expect(states.slice(-2)).toEqual(['slide', 'ground']);
+    simulate(player, 5);
+    expect(player.position.y).toBeCloseTo(0.5);
+  });
+
+  it('vaults on sprint alone but not over boxes taller than vault.maxHeight', () => {
+    const course = (height) => {
+      const world = flatWorld();
+      world.addBox({ center: new THREE.Vector3(0, height / 2, 3.25), size: new THREE.Vector3(4, height, 0.5) });
+      const player = new Player(new THREE.Scene(), spawn(), { world });
+      const states = trackStates(player);
+      simulate(player, 90, { axis: { x: 0, y: 1 }, sprint: true });
+      return { player, states };
+    };
+    const low = course(0.8);
+    expect(low.states).toContain('vault');
+    expect(low.player.position.z).toBeGreaterThan(3.5);
+
+    const tall = course(1.5);
+    expect(tall.states).toEqual(['ground']);
+    expect(tall.player.position.z).toBeCloseTo(3 - tall.player.halfExtents.z, 2);
+  });
+
+  it('wall-runs along a wall after jumping beside it, then wall-jumps off', () => {
+    const world = flatWorld();
+    world.addBox({ center: new THREE.Vector3(0.8, 2, 10), size: new THREE.Vector3(0.4, 4, 20) });
+    const player = new Player(new THREE.Scene(), new THREE.Vector3(0.3, 0.5, 0), { world });
+    const states = trackStates(player);
+    const walljump = vi.fn();
+    player.on('walljump', walljump);
+
+    simulate(player, 40, { axis: { x: 0, y: 1 }, sprint: true });
+    simulate(player, 20, i => ({ axis: { x: 0, y: 1 }, sprint: true, jump: i < 10 }));
+    expect(states).toEqual(['ground', 'air', 'wallrun']);
+    expect(player.velocity.z).toBeGreaterThan(player.movement.tunables.wallRun.minSpeed);
+
+    simulate(player, 1, { axis: { x: 0, y: 1 }, sprint: true, jump: true });
+    expect(states.at(-1)).toBe('air');
+    expect(walljump).toHaveBeenCalledTimes(1);
+    expect(walljump.mock.calls[0][0].normal.x).toBe(-1);
+    expect(player.velocity.x).toBeLessThan(-4); // pushed away from the wall
+    expect(player.velocity.y).toBeGreaterThan(0);
+  });
+
+  it('drops off the wall when the wall run times out', () => {
+    const world = flatWorld();
+    world.addBox({ center: new THREE.Vector3(0.8, 4, 20), size: new THREE.Vector3(0.4, 8, 40) });
+    const player = new Player(new THREE.Scene(), new THREE.Vector3(0.3, 0.5, 0), { world });
+    const states = trackStates(player);
+    simulate(player, 40, { axis: { x: 0, y: 1 }, sprint: true });
+    simulate(player, 20, i => ({ axis: { x: 0, y: 1 }, sprint: true, jump: i < 10 }));
+    simulate(player, 60, { axis: { x: 0, y: 1 }, sprint: true });
+    expect(states.slice(0, 4)).toEqual(['ground', 'air', 'wallrun', 'air']);
+  });
+
+  it('grabs a ledge while falling and mantles onto it when pushing forward', () => {
+    const world = flatWorld();
+    world.addBox({ min: new THREE.Vector3(-2, 0, 3), max: new THREE.Vector3(2, 2.2, 5) });
+    const player = new Player(new THREE.Scene(), new THREE.Vector3(0, 2, 2.7), { world });
+    player.grounded = false;
+    player.movement.reset('air');
+    const states = trackStates(player);
+
+    simulate(player, 1, { axis: { x: 0, y: 1 } });
+    expect(player.state).toBe('ledge');
+    expect(player.velocity.length()).toBe(0);
+
+    simulate(player, 30, { axis: { x: 0, y: 1 } });
+    expect(states).toEqual(['air', 'ledge', 'mantle', 'ground']);
+    expect(player.grounded).toBe(true);
+    expect(player.position.y).toBeCloseTo(2.2 + player.halfHeight, 2);
+    expect(player.position.z).toBeGreaterThan(3);
+  });
+
+  it('lets go of a ledge on crouch', () => {
+    const world = flatWorld();
+    world.addBox({ min: new THREE.Vector3(-2, 0, 3), max: new THREE.Vector3(2, 2.2, 5) });
+    const player = new Player(new THREE.Scene(), new THREE.Vector3(0, 2, 2.7), { world });
+    player.grounded = false;
+    player.movement.reset('air');
+    simulate(player, 1, { axis: { x: 0, y: 1 } });
+    expect(player.state).toBe('ledge');
+
+    simulate(player, 1, { axis: { x: 0, y: 0 }, crouch: true });
+    expect(player.state).toBe('air');
+    simulate(player, 60);
+    expect(player.state).toBe('ground');
+    expect(player.position.y).toBeCloseTo(player.halfHeight);
+  });
+
+  it('slides when crouching at sprint speed and stands up when it runs out', () => {
+    const player = new Player(new THREE.Scene(), spawn(), { world: flatWorld() });
+    const states = trackStates(player);
+    simulate(player, 60, { axis: { x: 0, y: 1 } });
+    simulate(player, 1, { axis: { x: 0, y: 1 }, crouch: true });
+    expect(player.state).toBe('ground'); // too slow without sprint
+
+    simulate(player, 60, { axis: { x: 0, y: 1 }, sprint: true });
+    simulate(player, 1, { axis: { x: 0, y: 1 }, sprint: true, crouch: true });
+    expect(player.state).toBe('slide');
+    expect(player.halfExtents.y).toBe(player.movement.tunables.slide.halfHeight);
+    expect(player.position.y).toBeCloseTo(player.halfExtents.y);
+    expect(player.velocity.z).toBeGreaterThan(player.speed * player.sprintMultiplier);
+
+    simulate(player, 80, { axis: { x: 0, y: 1 }, sprint: true, crouch: true });
+    expect(states).toEqual(['ground', 'slide', 'ground']);
+    expect(player.halfExtents.y).toBe(player.halfHeight);
+    expect(player.position.y).toBeCloseTo(player.halfHeight);
+  });
+
+  it('keeps sliding under a low ceiling until there is room to stand', () => {
+    const world = flatWorld();
+    world.addBox({ min: new THREE.Vector3(-2, 0.8, 5), max: new THREE.Vector3(2, 1.2, 8) });
+    const player = new Player(new THREE.Scene(), spawn(), { world });
+    simulate(player, 30, { axis: { x: 0, y: 1 }, sprint: true });
+    simulate(player, 1, { axis: { x: 0, y: 1 }, sprint: true, crouch: true });
+    expect(player.state).toBe('slide');
+
+    let underneath = false;
+    simulate(player, 100, () => {
+      if (player.position.z > 5.5 && player.position.z < 7.5) underneath ||= player.state === 'slide';
+      return { axis: { x: 0, y: 1 }, sprint: true, jump: player.position.z > 5.5 }; // wants to stand up
+    });
+    expect(underneath).toBe(true);
+    expect(player.position.z).toBeGreaterThan(8);
+    expect(player.state).toBe('ground');
+    expect(player.halfExtents.y).toBe(player.halfHeight);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { InputRecorder, ReplaySource, Recording } from '../src/replay.js';
+import { CollisionWorld } from '../src/collision.js';
+import { loadLevel } from '../src/level.js';
+import { Player } from '../src/player.js';
+import { RunManager } from '../src/run.js';
+import { memoryStorage } from './helpers.js';
+import demo from '../src/levels/demo.json';
+
+const STEP = 1 / 60;
+const FRAMES = 240;
+
+/** Unquantized live input: run forward while steering, jump twice, sprint and crouch for a while. */
+function liveInput(i) {
+  return {
+    axis: { x: Math.sin(i / 17) * 0.37, y: 0.9 + Math.cos(i / 23) * 0.0999 },
+    look: { x: Math.sin(i / 31) * 0.2345, y: 0 },
+    lookDelta: { x: 0, y: 0 },
+    jump: (i >= 30 && i < 42) || (i >= 150 && i < 156),
+    sprint: i >= 60,
+    crouch: i >= 200 && i < 215,
+    interact: false,
+    pause: false,
+    reset: false
+  };
+}
+
+/** Run the demo level for `frames` steps on `next(i)` controls, the way createGame's update does. */
+function simulate(next, frames = FRAMES) {
+  const scene = new THREE.Scene();
+  const world = new CollisionWorld();
+  const level = loadLevel(demo, { scene, world });
+  const player = new Player(scene, level.spawn.position, { world });
+  const run = new RunManager(level, player, { storage: memoryStorage() });
+  let yaw = level.spawn.rotation;
+  for (let i = 0; i < frames; i++) {
+    const controls = next(i);
+    world.update(STEP);
+    level.update();
+    yaw += controls.look.x * STEP * 2;
+    player.handleInput(controls, yaw);
+    player.update(STEP);
+    run.update(STEP, controls);
+  }
+  return { player, run };
+}
+
+describe('replay', () => {
+  it('plays a recording back to the same final position', () => {
+    let clock = 0;
+    const recorder = new InputRecorder({ now: () => (clock += STEP * 1000), meta: { level: demo.name } });
+    const live = simulate(i => recorder.capture(liveInput(i)));
+    const recording = recorder.stop();
+    expect(recording).toHaveLength(FRAMES);
+    expect(live.player.position.distanceTo(new THREE.Vector3().fromArray(demo.spawn.position))).toBeGreaterThan(5);
+
+    // Through both storage formats, as ?replay and shared files load them
+    for (const copy of [Recording.fromJSON(JSON.stringify(recording)), Recording.fromBinary(recording.toBinary())]) {
+      const source = new ReplaySource(copy);
+      const replayed = simulate(() => source.update());
+      expect(source.done).toBe(true);
+      expect(replayed.player.position.toArray()).toEqual(live.player.position.toArray());
+      expect(replayed.player.velocity.toArray()).toEqual(live.player.velocity.toArray());
+      expect(replayed.player.state).toBe(live.player.state);
+      expect(replayed.run.getState()).toEqual(live.run.getState());
+    }
+  });
+
+  it('diverges without the quantized copy, which is why the simulation must use it', () => {
+    const recorder = new InputRecorder({ now: () => 0 });
+    const live = simulate(i => { recorder.capture(liveInput(i)); return liveInput(i); });
+    const source = new ReplaySource(recorder.stop());
+    const replayed = simulate(() => source.update());
+    expect(replayed.player.position.toArray()).not.toEqual(live.player.position.toArray());
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { loadLevel } from '../src/level.js';
+import { Player } from '../src/player.js';
+import { RunManager } from '../src/run.js';
+import { memoryStorage } from './helpers.js';
+import demo from '../src/levels/demo.json';
+
+const STEP = 1 / 60;
+
+function setup(storage = memoryStorage()) {
+  const scene = new THREE.Scene();
+  const level = loadLevel(demo, { scene });
+  const player = new Player(scene, level.spawn.position);
+  const run = new RunManager(level, player, { storage });
+  const events = [];
+  for (const type of ['start', 'checkpoint', 'finish', 'respawn', 'restart']) run.on(type, e => events.push([type, e]));
+  return { level, player, run, events, storage };
+}
+
+/** Teleport the player into `box` and step the run `steps` times there. */
+function visit({ player, run }, box, steps = 1) {
+  player.setPosition(box.getCenter(new THREE.Vector3()));
+  for (let i = 0; i < steps; i++) run.update(STEP);
+}
+
+const outsideStart = level => level.start.box.clone().translate(new THREE.Vector3(10, 0, 0));
+
+/** Leave the start zone, then touch each checkpoint and the finish `steps` steps apart. */
+function lap(game, steps) {
+  const { level } = game;
+  visit(game, outsideStart(level), steps);
+  for (const cp of level.checkpoints) visit(game, cp.box, steps);
+  visit(game, level.finish.box);
+}
+
+describe('RunManager', () => {
+  it('starts on leaving the start zone and takes checkpoints in order', () => {
+    const game = setup();
+    const { level, run, events } = game;
+    run.update(STEP);
+    expect(run.state).toBe('ready');
+
+    visit(game, level.finish.box); // the finish does not count before the checkpoints
+    expect(run.state).toBe('running');
+    visit(game, level.checkpoints[1].box);
+    expect(run.nextCheckpoint).toBe(0);
+
+    visit(game, level.checkpoints[0].box, 3); // touched once, however long the player stays
+    visit(game, level.checkpoints[1].box);
+    visit(game, level.finish.box);
+    expect(events.map(([type]) => type)).toEqual(['start', 'checkpoint', 'checkpoint', 'finish']);
+    expect(run.splits).toHaveLength(2);
+    expect(run.state).toBe('finished');
+  });
+
+  it('saves the best time and compares later runs against it', () => {
+    const storage = memoryStorage();
+    const first = setup(storage);
+    lap(first, 30);
+    const best = first.run.best;
+    expect(first.events.at(-1)[1]).toMatchObject({ isBest: true, best: null });
+
+    // A new session loads the saved best and reports splits against it
+    const second = setup(storage);
+    expect(second.run.best.time).toBeCloseTo(best.time);
+    lap(second, 20);
+    const split = second.events.find(([type]) => type === 'checkpoint')[1];
+    expect(split.delta).toBeLessThan(0);
+    expect(second.events.at(-1)[1]).toMatchObject({ isBest: true, best: best.time });
+
+    const third = setup(storage);
+    lap(third, 40);
+    expect(third.events.at(-1)[1].isBest).toBe(false);
+    expect(third.run.best.time).toBeCloseTo(second.run.time);
+
+    third.run.clearBest();
+    expect(setup(storage).run.best).toBeNull();
+  });
+
+  it('respawns at the last checkpoint when falling, keeping the timer', () => {
+    const game = setup();
+    const { level, player, run, events } = game;
+    visit(game, outsideStart(level), 5);
+    visit(game, level.checkpoints[0].box, 5);
+    const time = run.time;
+
+    player.setPosition(new THREE.Vector3(0, level.killY - 1, 0));
+    run.update(STEP);
+    const [, respawn] = events.at(-1);
+    expect(respawn).toMatchObject({ reason: 'fall', checkpoint: level.checkpoints[0].id });
+    expect(level.checkpoints[0].box.containsPoint(player.position)).toBe(true);
+    expect(run.time).toBeCloseTo(time + STEP);
+
+    run.restart();
+    expect(run.getState()).toMatchObject({ state: 'ready', time: 0, splits: [], nextCheckpoint: 0 });
+  });
+
+  it('still catches falls after the finish, without touching the result', () => {
+    const game = setup();
+    const { level, player, run, events } = game;
+    lap(game, 5);
+    const time = run.time;
+
+    player.setPosition(new THREE.Vector3(0, level.killY - 1, 0));
+    run.update(STEP);
+    expect(events.at(-1)).toEqual(['respawn', expect.objectContaining({ reason: 'fall', checkpoint: level.checkpoints.at(-1).id })]);
+    expect(player.position.y).toBeGreaterThan(level.killY);
+    expect(run.state).toBe('finished');
+    expect(run.time).toBe(time);
+  });
+});
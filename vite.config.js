@@ -1,6 +1,31 @@
 import { defineConfig } from 'vite';
 
-export default defineConfig({
+// `vite build` builds the GitHub Pages app into dist/; `vite build --mode lib` builds the embeddable
+// library (src/index.js) into dist/lib/ next to it. three stays external: the ES build imports it and
+// the UMD build reads the THREE global, so a page never carries two copies
+export default defineConfig(({ mode }) => ({
   base: '/NeonParker-Copilot/',
-  server: { open: true }
-});
+  server: { open: true },
+  ...(mode === 'lib' && {
+    publicDir: false,
+    build: {
+      outDir: 'dist/lib',
+      emptyOutDir: false,
+      lib: {
+        entry: 'src/index.js',
+        name: 'NeonParker',
+        formats: ['es', 'umd'],
+        fileName: format => (format === 'es' ? 'neonparker.js' : 'neonparker.umd.js')
+      },
+      rollupOptions: {
+        external: ['three'],
+        output: { globals: { three: 'THREE' } }
+      }
+    }
+  }),
+  // Tests run in Node; files that need a DOM opt into jsdom with a `@vitest-environment jsdom` comment
+  test: {
+    include: ['test/**/*.test.js'],
+    environment: 'node'
+  }
+}));